@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Send path benchmark
+ * 
+ * Pushes generated audio through AooSource.sendAudio as fast as possible
+ * and reports the block rate, the heap allocated per block and the time
+ * spent in garbage collection. By default the datagrams are dropped
+ * right at the socket, which measures the source alone; with --network
+ * they go to a UDP socket on the loopback interface.
+ * 
+ * The send path is meant not to allocate. What is left is the clock
+ * reading of each sendAudio call (performance.now() returns a new heap
+ * number), so the benchmark fails (exit code 1) if the heap per call
+ * exceeds --max-heap. With --network the limit is off by default, as
+ * Node's dgram module allocates per datagram.
+ * 
+ * @example
+ * npm run bench
+ * node bench/send-audio.js --channels 2 --rate 48000 --bit-depth int16 --network
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const dgram = require('dgram');
+const { PerformanceObserver, performance } = require('perf_hooks');
+const { AooSource } = require('../src');
+const { parseArgs, numberOption } = require('../bin/args');
+
+const kUsage = `Usage: node bench/send-audio.js [options]
+
+  -c, --channels <n>      Channels (default 8)
+  -r, --rate <Hz>         Sample rate (default 96000)
+  -b, --block <frames>    Block size (default 256)
+      --chunk <frames>    Frames per sendAudio call (default 128)
+  -d, --duration <s>      Seconds of audio to send (default 60)
+      --bit-depth <fmt>   PCM format: int16, int24, float32, float64 (default float32)
+      --sinks <n>         Number of sinks (default 1)
+      --timing            Send timetags and the real sample rate
+      --network           Send to a local UDP socket instead of dropping packets
+      --max-heap <bytes>  Fail if the heap per sendAudio call exceeds this
+                          (default 64, none with --network)
+  -h, --help              Show this help`;
+
+const kSpec = [
+    ['channels', 'c', true],
+    ['rate', 'r', true],
+    ['block', 'b', true],
+    ['chunk', null, true],
+    ['duration', 'd', true],
+    ['bit-depth', null, true],
+    ['sinks', null, true],
+    ['timing', null, false],
+    ['network', null, false],
+    ['max-heap', null, true],
+    ['help', 'h', false]
+];
+
+/**
+ * Calls between heap samples; small enough that a batch rarely
+ * contains a garbage collection
+ */
+const kBatchCalls = 16;
+
+/**
+ * sendAudio calls before measuring, enough for the JIT to optimize the
+ * send path (before that, iterators and numbers on it still allocate)
+ */
+const kWarmupCalls = 20000;
+
+let options;
+try {
+    ({ options } = parseArgs(process.argv.slice(2), kSpec));
+    if (options.help) {
+        console.log(kUsage);
+        process.exit(0);
+    }
+    options.channels = numberOption(options, 'channels', 8);
+    options.rate = numberOption(options, 'rate', 96000);
+    options.block = numberOption(options, 'block', 256);
+    options.chunk = numberOption(options, 'chunk', 128);
+    options.duration = numberOption(options, 'duration', 60, false);
+    options.sinks = numberOption(options, 'sinks', 1);
+    options.maxHeap = numberOption(options, 'max-heap', options.network ? Infinity : 64, false);
+} catch (err) {
+    console.error(`send-audio: ${err.message}\n\n${kUsage}`);
+    process.exit(1);
+}
+
+// ============================================================================
+// Setup
+// ============================================================================
+
+const source = new AooSource({
+    channels: options.channels,
+    sampleRate: options.rate,
+    blockSize: options.block,
+    codecOptions: { bitDepth: options['bit-depth'] || 'float32' },
+    sendTimetags: !!options.timing,
+    sendSampleRate: !!options.timing,
+    pingInterval: 0,
+    sinkTimeout: 0
+});
+
+let receiver = null;
+if (options.network) {
+    receiver = dgram.createSocket('udp4');
+    receiver.on('message', () => {});
+} else {
+    // Drop the datagrams; the packet is free again right away
+    source.socket.send = (msg, offset, length, port, host, callback) => {
+        if (typeof callback === 'function') callback();
+    };
+}
+
+// One sendAudio call worth of audio per channel, a different tone each
+const chunk = [];
+for (let ch = 0; ch < options.channels; ch++) {
+    const samples = new Float32Array(options.chunk);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = 0.5 * Math.sin(2 * Math.PI * 110 * (ch + 1) * i / options.rate);
+    }
+    chunk.push(samples);
+}
+
+// Garbage collections while the benchmark runs
+const gc = { count: 0, time: 0 };
+const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+        gc.count++;
+        gc.time += entry.duration;
+    }
+});
+
+// ============================================================================
+// Run
+// ============================================================================
+
+/**
+ * Heap used by taking a heap sample itself (process.memoryUsage()
+ * allocates its result)
+ * 
+ * @returns {number} Bytes per sample
+ */
+function sampleOverhead() {
+    let total = 0;
+    let count = 0;
+    for (let i = 0; i < 1000; i++) {
+        const heap = process.memoryUsage().heapUsed;
+        const growth = process.memoryUsage().heapUsed - heap;
+        if (growth >= 0) {
+            total += growth;
+            count++;
+        }
+    }
+    return count > 0 ? total / count : 0;
+}
+
+/**
+ * Sends `total` chunks in small batches, giving the event loop a turn
+ * after each batch so sent packets return to the pool
+ * 
+ * @param {number} total - sendAudio calls
+ * @param {Object|null} heap - Heap statistics to update
+ *   {overhead, allocated, blocks, calls}, or null
+ * @param {Function} done - Called after the last batch
+ */
+function sendBatches(total, heap, done) {
+    let calls = 0;
+    function batch() {
+        const blocks = source.sequence;
+        const first = calls;
+        const heapUsed = process.memoryUsage().heapUsed;
+        for (let i = 0; i < kBatchCalls && calls < total; i++, calls++) {
+            source.sendAudio(chunk);
+        }
+        const growth = process.memoryUsage().heapUsed - heapUsed;
+        if (heap && growth >= 0) {
+            // A shrinking heap means a collection ran during the batch
+            heap.allocated += Math.max(0, growth - heap.overhead);
+            heap.blocks += source.sequence - blocks;
+            heap.calls += calls - first;
+        }
+        if (calls < total) {
+            setImmediate(batch);
+        } else {
+            done();
+        }
+    }
+    batch();
+}
+
+function run(port) {
+    for (let i = 0; i < options.sinks; i++) {
+        source.addSink('127.0.0.1', port, i + 1);
+    }
+    source.start();
+
+    // Warm up (JIT, ring and packet pool at their working size)
+    sendBatches(kWarmupCalls, null, () => {
+        const heap = { overhead: sampleOverhead(), allocated: 0, blocks: 0, calls: 0 };
+        const startBlocks = source.sequence;
+        observer.observe({ entryTypes: ['gc'] });
+        const startTime = performance.now();
+
+        const totalCalls = Math.ceil(options.duration * options.rate / options.chunk);
+        sendBatches(totalCalls, heap, () => {
+            const elapsed = (performance.now() - startTime) / 1000;
+            setTimeout(() => report(source.sequence - startBlocks, elapsed, heap), 100);
+        });
+    });
+}
+
+function report(blocks, elapsed, heap) {
+    observer.disconnect();
+    const audioSeconds = blocks * options.block / options.rate;
+    const perBlock = heap.blocks > 0 ? heap.allocated / heap.blocks : 0;
+    const perCall = heap.calls > 0 ? heap.allocated / heap.calls : 0;
+
+    console.log(`${options.channels} ch, ${options.rate} Hz, ${options.block} frames/block, ` +
+        `${source.codecOptions.bitDepth || 'float32'}, ${options.sinks} sink(s)` +
+        (options.timing ? ', timing' : '') + (options.network ? ', loopback UDP' : ''));
+    console.log(`  blocks sent:       ${blocks} in ${elapsed.toFixed(2)} s`);
+    console.log(`  blocks/s:          ${Math.round(blocks / elapsed)} ` +
+        `(${(audioSeconds / elapsed).toFixed(1)}x real time)`);
+    console.log(`  heap per block:    ${perBlock.toFixed(1)} bytes (${perCall.toFixed(1)} per sendAudio call)`);
+    console.log(`  GC:                ${gc.count} collections, ${gc.time.toFixed(1)} ms ` +
+        `(${(gc.count / audioSeconds).toFixed(2)} per audio second)`);
+    console.log(`  packet buffers:    ${source._packets.allocated}`);
+
+    if (perCall > options.maxHeap) {
+        console.error(`send-audio: ${perCall.toFixed(1)} bytes of heap per sendAudio call, ` +
+            `more than the ${options.maxHeap} allowed (--max-heap)`);
+        process.exitCode = 1;
+    }
+
+    source.once('close', () => {
+        if (receiver) receiver.close();
+    });
+    source.close();
+}
+
+if (receiver) {
+    receiver.bind(0, '127.0.0.1', () => run(receiver.address().port));
+} else {
+    run(9);
+}
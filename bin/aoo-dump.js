@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * aoo-dump - show AOO traffic in readable form, record it and replay
+ * recordings
+ * 
+ * @example
+ * aoo-dump -p 9999
+ * aoo-dump -p 9999 -w session.aoodump --no-data
+ * aoo-dump -r session.aoodump
+ * aoo-dump --replay session.aoodump --direction in 127.0.0.1:9999
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const net = require('net');
+const {
+    AooCapture,
+    DumpWriter,
+    DumpPlayer,
+    readDump,
+    decodePacket,
+    formatEntry
+} = require('../src/dump');
+const { parseArgs, numberOption, parseEndpoint } = require('./args');
+
+const kUsage = `Usage: aoo-dump [options]
+       aoo-dump -r <file> [options]
+       aoo-dump --replay <file> [options] <host:port>
+
+Listens on a UDP port and prints every datagram it receives, decoded: AOO
+OSC messages with named arguments and the headers of binary data messages.
+Run it on the port of a sink (with the sink stopped) to see what sources
+send it. Sessions can be recorded to a file, printed again and replayed to
+a target with their original timing.
+
+Capture:
+  -p, --port <n>          UDP port to listen on (default 9999)
+  -6, --ipv6              Use an IPv6 (dual-stack) socket
+      --bind <address>    Local address to bind to (default all interfaces)
+      --interface <name>  Network interface to bind to
+      --join <group>      Join a multicast group (shares the port with sinks
+                          on this host)
+  -w, --write <file>      Record the datagrams to a file
+  -t, --duration <s>      Stop after this many seconds
+
+Recordings:
+  -r, --read <file>       Print a recording instead of listening
+      --replay <file>     Send a recording to host:port
+      --direction <dir>   Only datagrams received ('in') or sent ('out') by
+                          the capturing socket (default: all)
+      --speed <factor>    Replay speed (default 1)
+
+Output:
+      --no-data           Don't print binary data messages (audio)
+  -q, --quiet             Don't print datagrams
+  -h, --help              Show this help
+`;
+
+/**
+ * Command-line options: [long name, short name, takes a value]
+ */
+const kOptions = [
+    ['port', 'p', true],
+    ['ipv6', '6', false],
+    ['bind', null, true],
+    ['interface', null, true],
+    ['join', null, true],
+    ['write', 'w', true],
+    ['duration', 't', true],
+    ['read', 'r', true],
+    ['replay', null, true],
+    ['direction', null, true],
+    ['speed', null, true],
+    ['no-data', null, false],
+    ['quiet', 'q', false],
+    ['help', 'h', false]
+];
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2), kOptions);
+    } catch (err) {
+        fail(err.message, true);
+    }
+    const { options, positional } = args;
+    if (options.help) {
+        process.stdout.write(kUsage);
+        return;
+    }
+
+    const direction = options.direction || 'all';
+    if (!['in', 'out', 'all'].includes(direction)) {
+        fail(`--direction must be 'in', 'out' or 'all'`, true);
+    }
+
+    // Datagrams to print: those of the chosen direction, without audio for --no-data
+    const show = (entry) => !options.quiet && (direction === 'all' || entry.direction === direction) &&
+        !(options['no-data'] && decodePacket(entry.data).kind === 'data');
+    const print = (entry) => {
+        if (show(entry)) console.log(formatEntry(entry));
+    };
+
+    if (options.read) {
+        read(options.read, print);
+    } else if (options.replay) {
+        replay(options, positional, direction, print);
+    } else {
+        listen(options, print);
+    }
+}
+
+/**
+ * Prints a recording
+ * 
+ * @param {string} path - Recording
+ * @param {Function} print - Prints an entry if it is shown
+ */
+function read(path, print) {
+    let dump;
+    try {
+        dump = readDump(path);
+    } catch (err) {
+        fail(err.message);
+    }
+    console.error(`${path}: ${dump.entries.length} datagrams, recorded ${dump.start.toISOString()}`);
+    for (const entry of dump.entries) print(entry);
+}
+
+/**
+ * Replays a recording to the target given on the command line
+ * 
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} positional - Positional arguments (the target)
+ * @param {string} direction - 'in', 'out' or 'all'
+ * @param {Function} print - Prints an entry if it is shown
+ */
+function replay(options, positional, direction, print) {
+    if (positional.length !== 1) {
+        fail('--replay needs one target host:port', true);
+    }
+    let player;
+    try {
+        const { host, port } = parseEndpoint(positional[0]);
+        const { entries } = readDump(options.replay);
+        const selected = direction === 'all' ? entries : entries.filter((entry) => entry.direction === direction);
+        player = new DumpPlayer(selected, {
+            host,
+            port,
+            speed: numberOption(options, 'speed', 1, false),
+            socketType: options.ipv6 || net.isIPv6(host) ? 'udp6' : 'udp4'
+        });
+        console.error(`Replaying ${selected.length} datagrams to ${positional[0]}`);
+    } catch (err) {
+        fail(err.message);
+    }
+
+    player.on('error', (err) => fail(err.message));
+    player.on('packet', print);
+    player.on('end', () => {
+        console.error('Done');
+        player.close();
+    });
+    process.on('SIGINT', () => player.close());
+    player.start();
+}
+
+/**
+ * Captures datagrams on a port of our own
+ * 
+ * @param {Object} options - Parsed options
+ * @param {Function} print - Prints an entry if it is shown
+ */
+function listen(options, print) {
+    let capture, writer = null, duration;
+    try {
+        duration = numberOption(options, 'duration', 0, false);
+        capture = new AooCapture({
+            port: numberOption(options, 'port', 9999),
+            socketType: options.ipv6 ? 'udp6' : 'udp4',
+            localAddress: options.bind,
+            localInterface: options.interface,
+            multicastGroups: options.join ? [options.join] : [],
+            reuseAddr: !!options.join
+        });
+        if (options.write) writer = new DumpWriter(options.write);
+    } catch (err) {
+        fail(err.message);
+    }
+
+    capture.on('error', (err) => {
+        // Without a socket there is nothing to do
+        if (err.syscall === 'bind') fail(err.message);
+        console.error(`aoo-dump: ${err.message}`);
+    });
+    capture.on('listening', (address) => {
+        console.error(`Listening on port ${address.port}` + (writer ? `, recording to ${writer.path}` : ''));
+    });
+    capture.on('packet', (entry) => {
+        if (writer) writer.write(entry);
+        print(entry);
+    });
+
+    let finished = false;
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        if (writer) {
+            writer.close();
+            console.error(`Recorded ${writer.count} datagrams to ${writer.path}`);
+        }
+        capture.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', finish);
+    process.on('SIGTERM', finish);
+    if (duration > 0) {
+        setTimeout(finish, duration * 1000);
+    }
+}
+
+/**
+ * Prints an error and exits
+ * 
+ * @param {string} message - Error message
+ * @param {boolean} [usage=false] - Point to --help (for command line errors)
+ */
+function fail(message, usage = false) {
+    console.error(`aoo-dump: ${message}`);
+    if (usage) console.error('Try aoo-dump --help');
+    process.exit(1);
+}
+
+main();
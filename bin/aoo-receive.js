@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * aoo-receive - receive AOO streams, record them to WAV files and show
+ * live stats
+ * 
+ * @example
+ * aoo-receive 192.168.1.10:9998:1
+ * aoo-receive -p 9999 -s 2 -o take --format int24
+ * aoo-receive --once -t 10 -o /tmp/check 127.0.0.1:9998
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const net = require('net');
+const { AooSink } = require('../src');
+const { WavWriter } = require('../src/wav');
+const { validateFormat } = require('../src/pcm');
+const { parseArgs, numberOption, parseEndpoint } = require('./args');
+
+const kUsage = `Usage: aoo-receive [options] [host:port[:sourceId]]...
+
+Receives AOO streams and records each one to a WAV file. The sources given
+on the command line are invited (sourceId defaults to 1); streams that other
+sources send to this sink are recorded too. A source that changes its format
+gets a new file.
+
+  -p, --port <n>          Local UDP port (default 9999)
+  -6, --ipv6              Use an IPv6 (dual-stack) socket; implied by IPv6 sources
+      --bind <address>    Local address to bind to (default all interfaces)
+      --interface <name>  Network interface to bind to
+      --join <group>      Join a multicast group (also lets other sinks on this
+                          host use the port)
+      --multicast-interface <name>
+                          Interface to join the group on
+  -s, --sink-id <n>       Sink ID (default 1)
+  -o, --output <prefix>   File name prefix (default aoo); files are named
+                          <prefix>-<sourceId>-<n>.wav
+      --format <format>   WAV sample format: int16, int24, int32,
+                          float32 (default) or float64
+      --no-record         Only show stats, don't write files
+  -l, --latency <ms>      Jitter buffer latency (default 50)
+  -t, --duration <s>      Stop after this many seconds
+      --once              Exit when the first stream stops
+  -q, --quiet             Don't print live stats
+  -h, --help              Show this help
+`;
+
+/**
+ * Command-line options: [long name, short name, takes a value]
+ */
+const kOptions = [
+    ['port', 'p', true],
+    ['ipv6', '6', false],
+    ['bind', null, true],
+    ['interface', null, true],
+    ['join', null, true],
+    ['multicast-interface', null, true],
+    ['sink-id', 's', true],
+    ['output', 'o', true],
+    ['format', null, true],
+    ['no-record', null, false],
+    ['latency', 'l', true],
+    ['duration', 't', true],
+    ['once', null, false],
+    ['quiet', 'q', false],
+    ['help', 'h', false]
+];
+
+/**
+ * Interval (ms) for live stats and for repeating unanswered invitations
+ */
+const kStatsInterval = 1000;
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2), kOptions);
+    } catch (err) {
+        fail(err.message, true);
+    }
+    const { options, positional } = args;
+    if (options.help) {
+        process.stdout.write(kUsage);
+        return;
+    }
+
+    const record = !options['no-record'];
+    const prefix = options.output || 'aoo';
+    const format = options.format || 'float32';
+    const log = (message) => console.error(message);
+    let sources, duration, sink;
+
+    try {
+        sources = positional.map(parseEndpoint);
+        validateFormat(format, 'le');
+        duration = numberOption(options, 'duration', 0, false);
+        sink = new AooSink({
+            sinkId: numberOption(options, 'sink-id', 1),
+            localPort: numberOption(options, 'port', 9999),
+            socketType: options.ipv6 || sources.some(({ host }) => net.isIPv6(host)) ? 'udp6' : 'udp4',
+            localAddress: options.bind,
+            localInterface: options.interface,
+            multicastGroups: options.join ? [options.join] : [],
+            multicastInterface: options['multicast-interface'],
+            reuseAddr: !!options.join,
+            latency: numberOption(options, 'latency', 50, false)
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+
+    // Per stream state, keyed by "host:port:sourceId"
+    const streams = new Map();
+    const rtts = new Map();
+    const started = new Set();  // Sources that have streamed - no more invitations
+    let fileCount = 0;
+
+    const closeStream = (key) => {
+        const stream = streams.get(key);
+        if (!stream) return;
+        streams.delete(key);
+        const { info, writer, blocks } = stream;
+        let summary = `Source ${info.sourceId} at ${info.host}:${info.port}: ` +
+            `${blocks.ok} blocks, ${blocks.lost} lost, ${blocks.underrun} underruns`;
+        if (writer) {
+            writer.close();
+            summary += `; wrote ${(writer.frames / info.sampleRate).toFixed(2)} s to ${writer.path}`;
+        }
+        log(summary);
+    };
+
+    sink.on('error', (err) => {
+        // Without a socket there is nothing to do
+        if (err.syscall === 'bind') fail(err.message);
+        console.error(`aoo-receive: ${err.message}`);
+    });
+
+    sink.on('start', (info) => {
+        const key = `${info.host}:${info.port}:${info.sourceId}`;
+        closeStream(key);
+        started.add(key);
+
+        let writer = null;
+        if (record) {
+            const path = `${prefix}-${info.sourceId}-${++fileCount}.wav`;
+            try {
+                writer = new WavWriter(path, { format, channels: info.channels, sampleRate: info.sampleRate });
+            } catch (err) {
+                fail(err.message);
+            }
+        }
+        streams.set(key, { info, writer, blocks: { ok: 0, lost: 0, underrun: 0 } });
+        log(`Source ${info.sourceId} at ${info.host}:${info.port}: ${info.channels} ch, ` +
+            `${info.sampleRate} Hz, block ${info.blockSize}, codec ${info.codec}` +
+            describeMetadata(info.metadata) + (writer ? ` -> ${writer.path}` : ''));
+    });
+
+    sink.on('metadata', (info) => {
+        log(`Source ${info.sourceId} at ${info.host}:${info.port}: metadata` +
+            (describeMetadata(info.metadata) || ' removed'));
+    });
+
+    sink.on('data', (channels, info) => {
+        const stream = streams.get(`${info.host}:${info.port}:${info.sourceId}`);
+        if (!stream) return;
+        stream.blocks[info.status]++;
+        // Concealed and silent blocks are recorded too, so the file keeps the timing
+        if (stream.writer) stream.writer.write(channels);
+    });
+
+    sink.on('stop', (info) => {
+        const key = `${info.host}:${info.port}:${info.sourceId}`;
+        const stream = streams.get(key);
+        if (stream && stream.info.streamId === info.streamId) {
+            closeStream(key);
+        }
+        if (options.once) finish();
+    });
+
+    sink.on('ping', ({ host, port, sourceId, rtt }) => {
+        rtts.set(`${host}:${port}:${sourceId}`, rtt);
+    });
+
+    // Invitations are repeated until the source answers; a source that
+    // stops its stream later is not asked again, since invitations start it.
+    // Host names are replaced by their address, which events report.
+    const invite = () => {
+        for (const source of sources) {
+            const { host, port, id } = source;
+            if (started.has(`${host}:${port}:${id}`)) continue;
+            sink.invite(host, port, id, (err, invitation) => {
+                if (err) fail(err.message);
+                source.host = invitation.host;
+            });
+        }
+    };
+
+    const printStats = () => {
+        for (const stats of sink.getStats()) {
+            const key = `${stats.host}:${stats.port}:${stats.sourceId}`;
+            const rtt = rtts.has(key) ? `${rtts.get(key).toFixed(2)} ms` : '-';
+            log(`[${stats.sourceId} ${stats.host}:${stats.port}] received ${stats.received}` +
+                ` lost ${stats.lost} reordered ${stats.reordered} late ${stats.late}` +
+                ` duplicates ${stats.duplicates} buffered ${stats.buffered} rtt ${rtt}`);
+        }
+    };
+
+    const timer = setInterval(() => {
+        invite();
+        if (!options.quiet) printStats();
+    }, kStatsInterval);
+
+    let finished = false;
+    function finish() {
+        if (finished) return;
+        finished = true;
+        clearInterval(timer);
+        for (const key of Array.from(streams.keys())) {
+            closeStream(key);
+        }
+        sink.close();
+        process.exit(0);
+    }
+    process.on('SIGINT', finish);
+    process.on('SIGTERM', finish);
+
+    sink.on('listening', (address) => {
+        log(`Sink ${sink.sinkId} listening on port ${address.port}`);
+        invite();
+    });
+    if (duration > 0) {
+        setTimeout(finish, duration * 1000);
+    }
+}
+
+/**
+ * Formats stream metadata for the log
+ * 
+ * @param {Object|null} metadata - Metadata from the source info
+ * @returns {string} Description (with a leading space), or '' without metadata
+ */
+function describeMetadata(metadata) {
+    if (!metadata) return '';
+    let data;
+    if (typeof metadata.data === 'string') data = metadata.data;
+    else if (Buffer.isBuffer(metadata.data)) data = `${metadata.data.length} bytes`;
+    else data = JSON.stringify(metadata.data);
+    return ` [${metadata.type}: ${data}]`;
+}
+
+/**
+ * Prints an error and exits
+ * 
+ * @param {string} message - Error message
+ * @param {boolean} [usage=false] - Point to --help (for command line errors)
+ */
+function fail(message, usage = false) {
+    console.error(`aoo-receive: ${message}`);
+    if (usage) console.error('Try aoo-receive --help');
+    process.exit(1);
+}
+
+main();
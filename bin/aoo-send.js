@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * aoo-send - stream a WAV file, raw PCM from stdin or a test signal to
+ * one or more AOO sinks
+ * 
+ * @example
+ * aoo-send --sine 1000 192.168.1.20:9999:1
+ * aoo-send -i take1.wav --loop 192.168.1.20:9999:1 192.168.1.21:9999:1
+ * ffmpeg -i song.mp3 -f s16le -ac 2 -ar 48000 - | aoo-send -i - 127.0.0.1:9999
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { AooSource } = require('../src');
+const wav = require('../src/wav');
+const { parseArgs, numberOption, parseEndpoint } = require('./args');
+
+const kUsage = `Usage: aoo-send [options] <host:port[:sinkId]>...
+
+Streams audio to one or more AOO sinks (sinkId defaults to 1). A target may
+be a multicast group or a broadcast address, which reaches all its sinks with
+one stream.
+
+Input (default: --sine 440):
+  -i, --input <file>      WAV file (16/24/32 bit PCM or 32/64 bit float),
+                          or - for raw interleaved PCM on stdin
+      --sine [freq]       Sine tone (Hz, default 440)
+      --pink              Pink noise
+      --click [bpm]       Click track, accent on every 4th beat (default 120)
+      --level <dB>        Test signal level in dBFS (default -12)
+
+Raw PCM on stdin:
+      --format <format>   int16 (default), int24, int32, float32 or float64
+      --endianness <le|be>  Byte order (default le)
+  -c, --channels <n>      Channels (default 2, also for test signals)
+  -r, --rate <hz>         Sample rate (default 48000, also for test signals)
+
+Stream:
+  -b, --block-size <n>    Samples per block (default 256)
+  -s, --source-id <n>     Source ID (default 1)
+  -p, --port <n>          Local UDP port (default 9998)
+  -6, --ipv6              Use an IPv6 (dual-stack) socket; implied by IPv6 targets
+      --bind <address>    Local address to bind to (default all interfaces)
+      --interface <name>  Network interface to bind to
+      --ttl <n>           Multicast TTL (default 1: local network only)
+      --multicast-interface <name>
+                          Interface to send multicast packets from
+      --codec <name>      Codec (default pcm)
+      --bit-depth <depth> PCM codec sample format: int16, int24,
+                          float32 (default) or float64
+      --metadata <text>   Stream metadata for receivers, e.g. a track name;
+                          sent as JSON if it is a JSON object, else as text
+      --loop              Play the WAV file in a loop
+      --no-realtime       Send input blocks as soon as they are read instead of
+                          pacing them in real time (for live input on stdin)
+  -t, --duration <s>      Stop after this many seconds
+  -q, --quiet             Only print errors
+  -h, --help              Show this help
+`;
+
+// ============================================================================
+// Arguments
+// ============================================================================
+
+/**
+ * Command-line options: [long name, short name, takes a value]
+ * ('optional' values are only taken if the next argument is a number)
+ */
+const kOptions = [
+    ['input', 'i', true],
+    ['sine', null, 'optional'],
+    ['pink', null, false],
+    ['click', null, 'optional'],
+    ['level', null, true],
+    ['format', null, true],
+    ['endianness', null, true],
+    ['channels', 'c', true],
+    ['rate', 'r', true],
+    ['block-size', 'b', true],
+    ['source-id', 's', true],
+    ['port', 'p', true],
+    ['ipv6', '6', false],
+    ['bind', null, true],
+    ['interface', null, true],
+    ['ttl', null, true],
+    ['multicast-interface', null, true],
+    ['codec', null, true],
+    ['bit-depth', null, true],
+    ['metadata', null, true],
+    ['loop', null, false],
+    ['no-realtime', null, false],
+    ['duration', 't', true],
+    ['quiet', 'q', false],
+    ['help', 'h', false]
+];
+
+/**
+ * Turns the --metadata argument into stream metadata
+ * 
+ * @param {string} text - Argument
+ * @returns {{type: string, data: *}} JSON metadata for JSON objects,
+ *   otherwise text
+ */
+function parseMetadata(text) {
+    try {
+        const value = JSON.parse(text);
+        if (value && typeof value === 'object') return { type: 'json', data: value };
+    } catch (e) {
+        // Plain text
+    }
+    return { type: 'text', data: text };
+}
+
+// ============================================================================
+// Test Signals
+// ============================================================================
+
+/**
+ * Creates a sine tone generator
+ * 
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} gain - Linear amplitude
+ * @returns {Function} Scheduler mode callback `(frames, channels)`
+ */
+function sineGenerator(frequency, sampleRate, gain) {
+    let phase = 0;
+    const increment = frequency / sampleRate;
+    return (frames, channels) => {
+        for (let i = 0; i < frames; i++) {
+            const sample = gain * Math.sin(2 * Math.PI * phase);
+            for (const channel of channels) channel[i] = sample;
+            phase += increment;
+            if (phase >= 1) phase -= 1;
+        }
+    };
+}
+
+/**
+ * Creates a pink noise generator (Paul Kellett's filter), with
+ * independent noise on every channel
+ * 
+ * @param {number} numChannels - Number of channels
+ * @param {number} gain - Linear amplitude
+ * @returns {Function} Scheduler mode callback `(frames, channels)`
+ */
+function pinkGenerator(numChannels, gain) {
+    const state = Array.from({ length: numChannels }, () => new Float64Array(7));
+    // The filter has a gain of about 5 at low frequencies
+    const scale = gain / 5;
+    return (frames, channels) => {
+        for (let ch = 0; ch < channels.length; ch++) {
+            const b = state[ch];
+            const out = channels[ch];
+            for (let i = 0; i < frames; i++) {
+                const white = Math.random() * 2 - 1;
+                b[0] = 0.99886 * b[0] + white * 0.0555179;
+                b[1] = 0.99332 * b[1] + white * 0.0750759;
+                b[2] = 0.96900 * b[2] + white * 0.1538520;
+                b[3] = 0.86650 * b[3] + white * 0.3104856;
+                b[4] = 0.55000 * b[4] + white * 0.5329522;
+                b[5] = -0.7616 * b[5] - white * 0.0168980;
+                const pink = b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362;
+                b[6] = white * 0.115926;
+                out[i] = Math.max(-1, Math.min(1, pink * scale));
+            }
+        }
+    };
+}
+
+/**
+ * Creates a click track: a short decaying tone burst on every beat,
+ * higher and louder on the first beat of each bar of 4
+ * 
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} gain - Linear amplitude of the accented click
+ * @returns {Function} Scheduler mode callback `(frames, channels)`
+ */
+function clickGenerator(bpm, sampleRate, gain) {
+    const beatLength = Math.round(sampleRate * 60 / bpm);
+    const clickLength = Math.round(sampleRate * 0.03);
+    let position = 0;   // Samples since the start of the bar
+    return (frames, channels) => {
+        for (let i = 0; i < frames; i++) {
+            const beat = Math.floor(position / beatLength);
+            const t = position - beat * beatLength;
+            let sample = 0;
+            if (t < clickLength) {
+                const accent = beat === 0;
+                const frequency = accent ? 1500 : 1000;
+                const amplitude = accent ? gain : gain * 0.5;
+                sample = amplitude * Math.exp(-t / (clickLength / 5)) *
+                    Math.sin(2 * Math.PI * frequency * t / sampleRate);
+            }
+            for (const channel of channels) channel[i] = sample;
+            if (++position >= 4 * beatLength) position = 0;
+        }
+    };
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2), kOptions);
+    } catch (err) {
+        fail(err.message, true);
+    }
+    const { options, positional: targets } = args;
+    if (options.help) {
+        process.stdout.write(kUsage);
+        return;
+    }
+    if (targets.length === 0) {
+        fail('No targets given', true);
+    }
+
+    const log = options.quiet ? () => {} : (message) => console.error(message);
+    const input = options.input;
+    const realtime = !options['no-realtime'];
+    let sinks, channels, sampleRate, duration, header = null, description;
+
+    try {
+        sinks = targets.map((target) => {
+            const { host, port, id } = parseEndpoint(target);
+            return { host, port, sinkId: id };
+        });
+        channels = numberOption(options, 'channels', 2);
+        sampleRate = numberOption(options, 'rate', 48000);
+        duration = numberOption(options, 'duration', 0, false);
+
+        if (input !== undefined && input !== '-') {
+            header = wav.readHeader(input);
+            channels = header.channels;
+            sampleRate = header.sampleRate;
+            description = `${input} (${header.format}, ${(header.frames / sampleRate).toFixed(1)} s)`;
+        } else if (input === '-') {
+            description = `stdin (${options.format || 'int16'} ${options.endianness || 'le'})`;
+        }
+    } catch (err) {
+        fail(err.message);
+    }
+
+    // Test signal (unless we read a file or stdin)
+    let generator = null;
+    try {
+        if (input === undefined) {
+            const level = numberOption(options, 'level', -12, false);
+            const gain = Math.pow(10, level / 20);
+            if (options.pink) {
+                generator = pinkGenerator(channels, gain);
+                description = `pink noise at ${level} dBFS`;
+            } else if (options.click) {
+                const bpm = numberOption(options, 'click', 120, false);
+                generator = clickGenerator(bpm, sampleRate, gain);
+                description = `click track at ${bpm} bpm, ${level} dBFS`;
+            } else {
+                const frequency = numberOption(options, 'sine', 440, false);
+                generator = sineGenerator(frequency, sampleRate, gain);
+                description = `${frequency} Hz sine at ${level} dBFS`;
+            }
+        }
+    } catch (err) {
+        fail(err.message);
+    }
+
+    let source;
+    try {
+        source = new AooSource({
+            channels,
+            sampleRate,
+            blockSize: numberOption(options, 'block-size', 256),
+            sourceId: numberOption(options, 'source-id', 1),
+            localPort: numberOption(options, 'port', 9998),
+            socketType: options.ipv6 || sinks.some(({ host }) => net.isIPv6(host)) ? 'udp6' : 'udp4',
+            localAddress: options.bind,
+            localInterface: options.interface,
+            multicastTTL: numberOption(options, 'ttl', 1),
+            multicastInterface: options['multicast-interface'],
+            codec: options.codec || 'pcm',
+            codecOptions: options['bit-depth'] ? { bitDepth: options['bit-depth'] } : {},
+            metadata: options.metadata !== undefined ? parseMetadata(options.metadata) : undefined,
+            // Targets given on the command line stay until we exit
+            sinkTimeout: 0,
+            process: generator || undefined
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+
+    source.on('error', (err) => {
+        // Without a socket there is nothing to do
+        if (err.syscall === 'bind') fail(err.message);
+        console.error(`aoo-send: ${err.message}`);
+    });
+    source.on('late', ({ lateness, skipped, silent }) => {
+        log(`Block ${lateness.toFixed(1)} ms late` +
+            (skipped ? `, ${skipped} skipped` : '') + (silent ? ', sent silence' : ''));
+    });
+    source.on('ping', ({ host, port, sinkId, rtt }) => {
+        if (options.quiet) return;
+        process.stderr.write(`\r${host}:${port}:${sinkId} rtt ${rtt.toFixed(2)} ms  `);
+    });
+
+    for (const { host, port, sinkId } of sinks) {
+        source.addSink(host, port, sinkId, (err) => {
+            if (err) fail(err.message);
+        });
+    }
+
+    let finished = false;
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        log('\nStopping');
+        source.once('close', () => process.exit(0));
+        source.close();
+    };
+    process.on('SIGINT', finish);
+    process.on('SIGTERM', finish);
+
+    log(`Streaming ${description}: ${channels} ch, ${sampleRate} Hz, block ${source.blockSize}`);
+    log(`Targets: ${sinks.map(({ host, port, sinkId }) => `${host}:${port}:${sinkId}`).join(', ')}`);
+    source.start();
+
+    if (duration > 0) {
+        setTimeout(finish, duration * 1000);
+    }
+    if (generator) return;
+
+    // File or stdin input through the source's write stream
+    let stream;
+    try {
+        stream = source.createWriteStream({
+            format: header ? header.format : (options.format || 'int16'),
+            endianness: header ? header.endianness : (options.endianness || 'le'),
+            realtime
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+    stream.on('error', (err) => fail(err.message));
+    stream.on('finish', finish);
+
+    if (!header) {
+        process.stdin.pipe(stream);
+        return;
+    }
+
+    const playFile = () => {
+        const file = fs.createReadStream(input, {
+            start: header.dataOffset,
+            end: header.dataOffset + header.dataSize - 1
+        });
+        file.on('error', (err) => fail(err.message));
+        if (options.loop) {
+            file.on('end', playFile);
+        }
+        file.pipe(stream, { end: !options.loop });
+    };
+    if (header.dataSize > 0 || !options.loop) {
+        playFile();
+    } else {
+        fail(`${input} has no audio to loop`);
+    }
+}
+
+/**
+ * Prints an error and exits
+ * 
+ * @param {string} message - Error message
+ * @param {boolean} [usage=false] - Point to --help (for command line errors)
+ */
+function fail(message, usage = false) {
+    console.error(`aoo-send: ${message}`);
+    if (usage) console.error('Try aoo-send --help');
+    process.exit(1);
+}
+
+main();
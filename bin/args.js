@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Command-line argument helpers shared by the aoo-* tools
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+/**
+ * Parses a command line
+ * 
+ * Options are given as [long name, short name, takes a value], where a
+ * value of 'optional' is only taken if the next argument is a number.
+ * Values can also be attached with '=' (--level=-6).
+ * 
+ * @param {Array<string>} argv - Arguments (without node and the script)
+ * @param {Array<Array>} spec - Known options
+ * @returns {{options: Object, positional: Array<string>}} Options by long
+ *   name and the positional arguments
+ * @throws {Error} For unknown options and missing values
+ */
+function parseArgs(argv, spec) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-' || !arg.startsWith('-')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.split('=', 2);
+        const option = spec.find(([long, short]) =>
+            name === `--${long}` || (short && name === `-${short}`));
+        if (!option) {
+            throw new Error(`Unknown option ${name}`);
+        }
+        const [long, , takesValue] = option;
+
+        if (!takesValue) {
+            options[long] = true;
+        } else if (inline !== undefined) {
+            options[long] = inline;
+        } else if (takesValue === 'optional') {
+            const next = argv[i + 1];
+            options[long] = next !== undefined && isFinite(next) ? argv[++i] : true;
+        } else if (i + 1 < argv.length) {
+            options[long] = argv[++i];
+        } else {
+            throw new Error(`Option ${name} needs a value`);
+        }
+    }
+    return { options, positional };
+}
+
+/**
+ * Parses a numeric option
+ * 
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {number} defaultValue - Value if the option is absent
+ * @param {boolean} [integer=true] - Whether the value must be an integer
+ * @returns {number} The value
+ * @throws {RangeError} If the value is not a (non-negative, for integers) number
+ */
+function numberOption(options, name, defaultValue, integer = true) {
+    if (options[name] === undefined || options[name] === true) return defaultValue;
+    const value = Number(options[name]);
+    if (!isFinite(value) || (integer && !(Number.isInteger(value) && value >= 0))) {
+        throw new RangeError(`--${name} must be a${integer ? ' non-negative integer' : ' number'}`);
+    }
+    return value;
+}
+
+/**
+ * Parses an endpoint: host:port[:id], with IPv6 hosts in brackets
+ * 
+ * @param {string} target - Endpoint argument, e.g. '192.168.1.20:9999:1' or '[::1]:9999'
+ * @returns {{host: string, port: number, id: number}} The endpoint (id defaults to 1)
+ * @throws {RangeError} If the endpoint is malformed
+ */
+function parseEndpoint(target) {
+    const match = /^(?:\[([^\]]+)\]|([^:]+)):(\d+)(?::(\d+))?$/.exec(target);
+    if (!match) {
+        throw new RangeError(`Invalid address '${target}' (expected host:port[:id])`);
+    }
+    return {
+        host: match[1] || match[2],
+        port: parseInt(match[3], 10),
+        id: match[4] !== undefined ? parseInt(match[4], 10) : 1
+    };
+}
+
+module.exports = {
+    parseArgs,
+    numberOption,
+    parseEndpoint
+};
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview AudioWorkletProcessor that captures audio for AooSource
+ * 
+ * Registered as 'aoo-capture'. Runs on the audio rendering thread and
+ * hands its input to the main thread, where AooWorkletCapture (see
+ * aoo-worklet.js) passes it to an AooSource or AooWebClient:
+ *   - through a shared AudioRingBuffer if the main thread passed one
+ *     (`processorOptions.buffer`), which it polls
+ *   - otherwise as messages on the node's port, in blocks of
+ *     `processorOptions.blockFrames` frames: an array of Float32Arrays,
+ *     one per channel (their buffers are transferred)
+ * 
+ * Load audio-ring-buffer.js into the AudioWorkletGlobalScope first;
+ * AooWorkletCapture.addModule() loads both.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+/* global AudioRingBuffer, AudioWorkletProcessor, registerProcessor */
+
+/**
+ * Frames per render quantum
+ */
+const kQuantumFrames = 128;
+
+// ============================================================================
+// AooCaptureProcessor Class
+// ============================================================================
+
+/**
+ * AooCaptureProcessor - copies its input into a ring buffer or port messages
+ * 
+ * processorOptions:
+ *   channels    - Number of channels (the node's channelCount)
+ *   buffer      - SharedArrayBuffer of an AudioRingBuffer, or null for messages
+ *   capacity    - Frames to buffer for messages (without `buffer`)
+ *   blockFrames - Frames per message (without `buffer`)
+ * 
+ * A { type: 'stop' } message on the port ends processing.
+ */
+class AooCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { channels, buffer, capacity, blockFrames } = options.processorOptions;
+        this.channels = channels;
+        this.shared = !!buffer;
+        this.blockFrames = blockFrames;
+        // Without a shared buffer, a local ring collects quanta into blocks
+        this.ring = new AudioRingBuffer(buffer || AudioRingBuffer.allocate(channels, capacity, false), channels);
+        this.active = true;
+
+        // Input of an unconnected node: no channels, so we write silence
+        this.silence = [];
+        for (let ch = 0; ch < channels; ch++) {
+            this.silence.push(new Float32Array(kQuantumFrames));
+        }
+
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'stop') this.active = false;
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0].length === this.channels ? inputs[0] : this.silence;
+        this.ring.write(input);
+
+        if (!this.shared) {
+            while (this.ring.availableRead >= this.blockFrames) {
+                const block = [];
+                for (let ch = 0; ch < this.channels; ch++) {
+                    block.push(new Float32Array(this.blockFrames));
+                }
+                this.ring.read(block);
+                this.port.postMessage(block, block.map((channel) => channel.buffer));
+            }
+        }
+        return this.active;
+    }
+}
+
+registerProcessor('aoo-capture', AooCaptureProcessor);
@@ -0,0 +1,369 @@
+/**
+ * @fileoverview Browser client for AooWebBridge
+ * 
+ * Streams audio from a web page to AOO sinks through an AooWebBridge
+ * (src/web-bridge.js) on a Node.js server. Each client gets an AooSource
+ * on the server; this class sends it commands and audio blocks and
+ * re-emits its events. No dependencies: load it with a <script> tag
+ * (the class is then `window.AooWebClient`), import it with a bundler,
+ * or require it in Node.js (with a WebSocket implementation).
+ * 
+ * @example
+ * const client = new AooWebClient('ws://localhost:8080/aoo');
+ * await client.open({ channels: 2, sampleRate: audioContext.sampleRate });
+ * await client.addSink('192.168.1.20', 9999, 1);
+ * await client.start();
+ * client.sendAudio([left, right]);  // Float32Arrays, e.g. from an AudioWorklet
+ * client.on('ping', ({ host, rtt }) => console.log(`${host}: ${rtt.toFixed(1)} ms`));
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AooWebClient = factory().AooWebClient;
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Default limit for audio waiting in the WebSocket send buffer (bytes);
+     * blocks beyond it are dropped instead of adding latency
+     */
+    const kDefaultMaxBufferedAmount = 256 * 1024;
+
+    // ========================================================================
+    // AooWebClient Class
+    // ========================================================================
+
+    /**
+     * AooWebClient - connection to an AooWebBridge
+     * 
+     * Commands return Promises that resolve with the bridge's answer and
+     * reject with an Error if the bridge reports one. Commands given
+     * before the connection is open are sent once it is.
+     * 
+     * Events (see AooSource for the arguments of the source events):
+     *   open, close (code, reason) - The connection opened or closed
+     *   invite, decline, uninvite, sinkAdded, sinkRemoved, sinkTimeout,
+     *   memberAdded, memberRemoved, start, stop, formatChange, ping,
+     *   stats - Events of the AooSource
+     *   error (error) - Errors of the source, the bridge or the connection
+     */
+    class AooWebClient {
+        /**
+         * Connects to a bridge
+         * 
+         * @param {string} url - WebSocket URL of the bridge, e.g. 'ws://host:8080/aoo'
+         * @param {Object} [options] - Configuration options
+         * @param {Function} [options.WebSocket] - WebSocket class (default: the global one)
+         * @param {number} [options.maxBufferedAmount=262144] - Bytes that may
+         *   wait in the send buffer before audio blocks are dropped
+         */
+        constructor(url, options = {}) {
+            const WebSocketClass = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+            if (!WebSocketClass) {
+                throw new TypeError('No WebSocket implementation available');
+            }
+            this.maxBufferedAmount = options.maxBufferedAmount || kDefaultMaxBufferedAmount;
+            this.channels = 0;      // Channel count of the source, set by open()
+            this.dropped = 0;       // Audio blocks dropped (not connected, or send buffer full)
+            this._sampleRate = 0;   // Input sample rate last sent to the bridge
+
+            this._listeners = new Map();
+            this._pending = new Map();     // Command id -> {resolve, reject}
+            this._queue = [];              // Commands waiting for the connection
+            this._nextId = 1;
+
+            this.ws = new WebSocketClass(url);
+            this.ws.binaryType = 'arraybuffer';
+            this.ws.onopen = () => {
+                for (const text of this._queue) this.ws.send(text);
+                this._queue = [];
+                this._emit('open');
+            };
+            this.ws.onmessage = (event) => this._handleMessage(event.data);
+            this.ws.onerror = () => this._emit('error', new Error(`WebSocket error (${url})`));
+            this.ws.onclose = (event) => {
+                for (const { reject } of this._pending.values()) {
+                    reject(new Error('Connection closed'));
+                }
+                this._pending.clear();
+                this._emit('close', event.code, event.reason);
+            };
+        }
+
+        /**
+         * Whether the connection is open
+         * 
+         * @type {boolean}
+         */
+        get connected() {
+            return this.ws.readyState === 1;
+        }
+
+        // ====================================================================
+        // Events
+        // ====================================================================
+
+        /**
+         * Adds an event listener
+         * 
+         * @param {string} name - Event name
+         * @param {Function} listener - Called with the event's arguments
+         * @returns {AooWebClient} this
+         */
+        on(name, listener) {
+            if (!this._listeners.has(name)) this._listeners.set(name, []);
+            this._listeners.get(name).push(listener);
+            return this;
+        }
+
+        /**
+         * Removes an event listener
+         * 
+         * @param {string} name - Event name
+         * @param {Function} listener - Listener added with `on`
+         * @returns {AooWebClient} this
+         */
+        off(name, listener) {
+            const listeners = this._listeners.get(name);
+            if (listeners) {
+                const index = listeners.indexOf(listener);
+                if (index >= 0) listeners.splice(index, 1);
+            }
+            return this;
+        }
+
+        /**
+         * Calls the listeners of an event
+         * 
+         * @private
+         * @param {string} name - Event name
+         * @param {...*} args - Event arguments
+         */
+        _emit(name, ...args) {
+            for (const listener of (this._listeners.get(name) || []).slice()) {
+                listener(...args);
+            }
+        }
+
+        // ====================================================================
+        // Commands
+        // ====================================================================
+
+        /**
+         * Creates the AooSource on the server
+         * 
+         * @param {Object} [options] - AooSource options: channels, sampleRate,
+         *   blockSize, codec, codecOptions, sourceId, pingInterval,
+         *   statsInterval, sinkTimeout, maxPacketSize, metadata, historyMs,
+         *   sendTimetags, sendSampleRate, streamMessages, resampler,
+         *   inputSampleRate, driftCorrection (the server may override them)
+         * @returns {Promise<{port: number, sourceId: number}>} UDP port and
+         *   ID of the source
+         */
+        open(options = {}) {
+            this.channels = options.channels || 2;
+            return this._command('open', { options });
+        }
+
+        /**
+         * Adds a sink (see AooSource.addSink)
+         * 
+         * @param {string} host - Host name or IP address of the sink
+         * @param {number} port - UDP port of the sink
+         * @param {number} [sinkId=1] - Sink ID
+         * @returns {Promise<{host, port, sinkId}>} The added sink
+         */
+        addSink(host, port, sinkId = 1) {
+            return this._command('addSink', { host, port, sinkId });
+        }
+
+        /**
+         * Removes a sink (see AooSource.removeSink)
+         * 
+         * @param {string} host - Host name or IP address of the sink
+         * @param {number} port - UDP port of the sink
+         * @param {number} [sinkId] - Sink ID (default: all sinks at host:port)
+         * @returns {Promise<boolean>} Whether a sink was removed
+         */
+        removeSink(host, port, sinkId) {
+            return this._command('removeSink', { host, port, sinkId });
+        }
+
+        /**
+         * Removes all sinks
+         * 
+         * @returns {Promise}
+         */
+        removeAllSinks() {
+            return this._command('removeAllSinks');
+        }
+
+        /**
+         * Starts streaming
+         * 
+         * @returns {Promise}
+         */
+        start() {
+            return this._command('start');
+        }
+
+        /**
+         * Stops streaming
+         * 
+         * @returns {Promise}
+         */
+        stop() {
+            return this._command('stop');
+        }
+
+        /**
+         * Sets the stream metadata (see AooSource.setMetadata)
+         * 
+         * @param {string|number|null} type - Data type, or null to remove the metadata
+         * @param {*} [data] - Metadata (a string, or a JSON value for 'json')
+         * @returns {Promise}
+         */
+        setMetadata(type, data) {
+            return this._command('metadata', { metadataType: type, data });
+        }
+
+        /**
+         * Sends a stream message (see AooSource.sendMessage); needs the
+         * streamMessages option
+         * 
+         * @param {*} data - Message (a string, or a JSON value for 'json')
+         * @param {Object} [options] - {type, sampleOffset, channel}
+         * @returns {Promise}
+         */
+        sendMessage(data, options = {}) {
+            return this._command('message', {
+                data,
+                messageType: options.type,
+                sampleOffset: options.sampleOffset,
+                channel: options.channel
+            });
+        }
+
+        /**
+         * Fetches the network statistics of the source (see AooSource.getStats)
+         * 
+         * @returns {Promise<Object>} Statistics
+         */
+        getStats() {
+            return this._command('stats');
+        }
+
+        /**
+         * Closes the connection; the server closes the source
+         */
+        close() {
+            this.ws.close(1000);
+        }
+
+        /**
+         * Sends a command
+         * 
+         * @private
+         * @param {string} type - Command type
+         * @param {Object} [fields] - Command fields
+         * @returns {Promise} Resolves with the result
+         */
+        _command(type, fields = {}) {
+            const id = this._nextId++;
+            const text = JSON.stringify(Object.assign({ id, type }, fields));
+            return new Promise((resolve, reject) => {
+                if (this.ws.readyState > 1) {
+                    reject(new Error('Connection closed'));
+                    return;
+                }
+                this._pending.set(id, { resolve, reject });
+                if (this.connected) {
+                    this.ws.send(text);
+                } else {
+                    this._queue.push(text);
+                }
+            });
+        }
+
+        /**
+         * Handles a message from the bridge
+         * 
+         * @private
+         * @param {string} text - JSON message
+         */
+        _handleMessage(text) {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (err) {
+                return;
+            }
+            if (message.type === 'result') {
+                const pending = this._pending.get(message.id);
+                if (!pending) {
+                    if (message.error) this._emit('error', new Error(message.error));
+                    return;
+                }
+                this._pending.delete(message.id);
+                if (message.error) {
+                    pending.reject(new Error(message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+            } else if (message.type === 'event') {
+                const args = message.args || [];
+                if (message.name === 'error') {
+                    this._emit('error', Object.assign(new Error(args[0] && args[0].message), args[0]));
+                } else {
+                    this._emit(message.name, ...args);
+                }
+            }
+        }
+
+        // ====================================================================
+        // Audio
+        // ====================================================================
+
+        /**
+         * Sends a block of audio (any number of frames)
+         * 
+         * Blocks are dropped (and counted in `dropped`) while the connection
+         * is not open or too much data is waiting to be sent.
+         * 
+         * A sample rate goes to the bridge (an 'inputSampleRate' command)
+         * whenever it changes, and the source treats it as in
+         * AooSource.sendAudio: it follows the rate, or resamples from it.
+         * 
+         * @param {Array<Float32Array>} channels - One array per channel, all
+         *   of the same length
+         * @param {number} [sampleRate] - Sample rate of the audio
+         * @returns {boolean} Whether the block was sent
+         */
+        sendAudio(channels, sampleRate) {
+            if (!this.connected || this.ws.bufferedAmount > this.maxBufferedAmount) {
+                this.dropped++;
+                return false;
+            }
+            // Commands before open() would fail; the block is ignored then anyway
+            if (sampleRate && sampleRate !== this._sampleRate && this.channels) {
+                this._sampleRate = sampleRate;
+                this._command('inputSampleRate', { sampleRate }).catch((err) => this._emit('error', err));
+            }
+            const frames = channels[0].length;
+            const block = new Float32Array(frames * channels.length);
+            for (let ch = 0; ch < channels.length; ch++) {
+                block.set(channels[ch], ch * frames);
+            }
+            this.ws.send(block.buffer);
+            return true;
+        }
+    }
+
+    return { AooWebClient };
+}));
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Captures any Web Audio node into an AooSource with an AudioWorklet
+ * 
+ * Replaces the ScriptProcessorNode, which runs on the main thread and
+ * loses audio whenever the page is busy. The 'aoo-capture' processor
+ * (aoo-capture-processor.js) takes the audio on the rendering thread and
+ * AooWorkletCapture passes it on here: from a SharedArrayBuffer ring
+ * (see audio-ring-buffer.js) that holds `bufferMs` of audio while the
+ * main thread is busy, or, where SharedArrayBuffer isn't available
+ * (pages that are not cross-origin isolated), from messages on the
+ * node's port.
+ * 
+ * The target is anything with a `sendAudio([channels...], sampleRate)`
+ * method: an AooSource (Electron, with Node integration) or an
+ * AooWebClient (plain pages, through an AooWebBridge).
+ * 
+ * Loads as a CommonJS module or as a script after audio-ring-buffer.js
+ * (defining `AooWorkletCapture`).
+ * 
+ * @example
+ * const context = new AudioContext();
+ * await AooWorkletCapture.addModule(context);
+ * const source = new AooSource({ channels: 2, sampleRate: context.sampleRate });
+ * const capture = new AooWorkletCapture(context, source);
+ * capture.connect(context.createMediaElementSource(video));
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const { pathToFileURL } = require('url');
+        module.exports = factory(require('./audio-ring-buffer').AudioRingBuffer,
+            pathToFileURL(__dirname + '/').href);
+    } else {
+        const script = typeof document !== 'undefined' && document.currentScript;
+        root.AooWorkletCapture = factory(root.AudioRingBuffer,
+            script ? new URL('./', script.src).href : '').AooWorkletCapture;
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (AudioRingBuffer, moduleBaseUrl) {
+    'use strict';
+
+    /**
+     * Defaults for the capture options
+     */
+    const kDefaultBufferMs = 500;
+    const kDefaultPollInterval = 10;
+    const kDefaultBlockFrames = 512;
+
+    // ========================================================================
+    // AooWorkletCapture Class
+    // ========================================================================
+
+    /**
+     * AooWorkletCapture - feeds the audio of Web Audio nodes to an AooSource
+     * 
+     * The capture node (`node`) takes `channels` channels; Web Audio mixes
+     * its inputs up or down to that. Unconnected, it sends silence. Audio
+     * goes to the target in calls of `blockFrames` frames, together with
+     * the sample rate of the AudioContext: an AooSource created with
+     * another rate follows the context (or resamples, with a resampler).
+     */
+    class AooWorkletCapture {
+        /**
+         * Loads the processor into an AudioContext; needed once per context
+         * before creating captures
+         * 
+         * @param {BaseAudioContext} context - Audio context
+         * @param {string} [baseUrl] - URL of the directory with
+         *   audio-ring-buffer.js and aoo-capture-processor.js (default: the
+         *   directory this file was loaded from)
+         * @returns {Promise} Resolves when the processor is registered
+         */
+        static async addModule(context, baseUrl = moduleBaseUrl) {
+            const url = (name) => baseUrl ? new URL(name, baseUrl).href : name;
+            // One global scope per context: the processor finds AudioRingBuffer there
+            await context.audioWorklet.addModule(url('audio-ring-buffer.js'));
+            await context.audioWorklet.addModule(url('aoo-capture-processor.js'));
+        }
+
+        /**
+         * Creates the capture node
+         * 
+         * @param {BaseAudioContext} context - Audio context (see `addModule`)
+         * @param {Object} target - AooSource or AooWebClient (anything with
+         *   `sendAudio(channels, sampleRate)`)
+         * @param {Object} [options] - Configuration options
+         * @param {number} [options.channels] - Number of channels (default:
+         *   the target's `channels`, else those of the context's destination)
+         * @param {number} [options.blockFrames] - Frames per `sendAudio` call
+         *   (default: the target's `blockSize`, else 512)
+         * @param {number} [options.bufferMs=500] - Audio the ring holds while
+         *   the main thread is busy; more is dropped
+         * @param {number} [options.pollInterval=10] - How often the ring is
+         *   read (ms)
+         * @param {boolean} [options.shared] - Use a SharedArrayBuffer (default:
+         *   where available) or port messages
+         * @throws {RangeError} If the channel count or block size is invalid
+         */
+        constructor(context, target, options = {}) {
+            this.context = context;
+            this.target = target;
+            this.sampleRate = context.sampleRate;
+            this.channels = options.channels || target.channels || context.destination.channelCount;
+            this.blockFrames = options.blockFrames || target.blockSize || kDefaultBlockFrames;
+            if (!Number.isInteger(this.channels) || this.channels < 1) {
+                throw new RangeError(`channels must be a positive integer, got ${this.channels}`);
+            }
+            if (!Number.isInteger(this.blockFrames) || this.blockFrames < 1) {
+                throw new RangeError(`blockFrames must be a positive integer, got ${this.blockFrames}`);
+            }
+            this.shared = options.shared !== undefined ? options.shared :
+                typeof SharedArrayBuffer !== 'undefined' &&
+                (typeof crossOriginIsolated === 'undefined' || crossOriginIsolated);
+
+            const bufferMs = options.bufferMs || kDefaultBufferMs;
+            const capacity = Math.max(Math.ceil(this.sampleRate * bufferMs / 1000), 2 * this.blockFrames);
+            const buffer = this.shared ? AudioRingBuffer.allocate(this.channels, capacity) : null;
+
+            this.node = new AudioWorkletNode(context, 'aoo-capture', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: this.channels,
+                channelCountMode: 'explicit',
+                channelInterpretation: 'speakers',
+                processorOptions: { channels: this.channels, buffer, capacity, blockFrames: this.blockFrames }
+            });
+
+            if (this.shared) {
+                this.ring = new AudioRingBuffer(buffer, this.channels);
+                this._block = [];
+                for (let ch = 0; ch < this.channels; ch++) {
+                    this._block.push(new Float32Array(this.blockFrames));
+                }
+                this._timer = setInterval(() => this._poll(), options.pollInterval || kDefaultPollInterval);
+            } else {
+                this.ring = null;
+                this._timer = null;
+                this.node.port.onmessage = (event) => this.target.sendAudio(event.data, this.sampleRate);
+            }
+            this._closed = false;
+        }
+
+        /**
+         * Frames dropped because the main thread fell behind by more than
+         * `bufferMs` (shared buffer only)
+         * 
+         * @type {number}
+         */
+        get dropped() {
+            return this.ring ? this.ring.dropped : 0;
+        }
+
+        /**
+         * Connects a node to the capture
+         * 
+         * @param {AudioNode} input - Any Web Audio node
+         * @returns {AooWorkletCapture} this
+         */
+        connect(input) {
+            input.connect(this.node);
+            return this;
+        }
+
+        /**
+         * Disconnects a node from the capture
+         * 
+         * @param {AudioNode} input - A node passed to `connect`
+         * @returns {AooWorkletCapture} this
+         */
+        disconnect(input) {
+            input.disconnect(this.node);
+            return this;
+        }
+
+        /**
+         * Stops capturing and releases the node; the target stays open
+         */
+        close() {
+            if (this._closed) return;
+            this._closed = true;
+            if (this._timer) clearInterval(this._timer);
+            this.node.port.postMessage({ type: 'stop' });
+            this.node.port.onmessage = null;
+            this.node.disconnect();
+        }
+
+        /**
+         * Passes the complete blocks in the ring to the target
+         * 
+         * @private
+         */
+        _poll() {
+            while (this.ring.availableRead >= this.blockFrames) {
+                this.ring.read(this._block);
+                this.target.sendAudio(this._block, this.sampleRate);
+            }
+        }
+    }
+
+    return { AooWorkletCapture };
+}));
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Lock-free ring buffer for planar audio between threads
+ * 
+ * Moves audio from an AudioWorkletProcessor (see aoo-capture-processor.js)
+ * to the main thread through a SharedArrayBuffer, without locks or
+ * messages: one thread writes, the other reads, and each side only moves
+ * its own index (with Atomics). Works on a plain ArrayBuffer as well,
+ * for use within one thread.
+ * 
+ * Loads as a script in a page or an AudioWorkletGlobalScope (defining
+ * `AudioRingBuffer`) and as a CommonJS module in Node.js.
+ * 
+ * Buffer layout:
+ *   Int32 x 4    - read index, write index, dropped frames, reserved
+ *   Float32 x N  - one region of `capacity` samples per channel
+ * 
+ * The indices count frames and wrap around at 2^32, so the capacity is
+ * a power of two.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AudioRingBuffer = factory().AudioRingBuffer;
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    /**
+     * Header fields (Int32Array indices)
+     */
+    const kReadIndex = 0;
+    const kWriteIndex = 1;
+    const kDropped = 2;
+    const kHeaderBytes = 16;
+
+    /**
+     * Largest capacity in frames; the difference of two indices must fit an int32
+     */
+    const kMaxCapacity = 1 << 30;
+
+    // ========================================================================
+    // AudioRingBuffer Class
+    // ========================================================================
+
+    /**
+     * AudioRingBuffer - single producer, single consumer ring of planar audio
+     * 
+     * Both threads construct an AudioRingBuffer on the same buffer; one
+     * only calls `write`, the other only `read`.
+     * 
+     * @example
+     * // Main thread
+     * const buffer = AudioRingBuffer.allocate(2, 16384);
+     * const node = new AudioWorkletNode(context, 'processor', { processorOptions: { buffer } });
+     * const ring = new AudioRingBuffer(buffer, 2);
+     * ring.read([left, right]);           // frames the worklet wrote
+     * 
+     * // AudioWorkletProcessor
+     * const ring = new AudioRingBuffer(options.processorOptions.buffer, 2);
+     * ring.write(inputs[0]);
+     */
+    class AudioRingBuffer {
+        /**
+         * Bytes needed for a ring
+         * 
+         * @param {number} channels - Number of channels
+         * @param {number} capacity - Frames; rounded up to a power of two
+         * @returns {number} Buffer size in bytes
+         */
+        static byteLength(channels, capacity) {
+            return kHeaderBytes + 4 * channels * AudioRingBuffer.roundCapacity(capacity);
+        }
+
+        /**
+         * Rounds a capacity up to the next power of two
+         * 
+         * @param {number} capacity - Frames
+         * @returns {number} Capacity the ring will have
+         * @throws {RangeError} If the capacity is not positive or too large
+         */
+        static roundCapacity(capacity) {
+            if (!(capacity > 0) || capacity > kMaxCapacity) {
+                throw new RangeError(`Ring buffer capacity must be 1 to ${kMaxCapacity} frames, got ${capacity}`);
+            }
+            let rounded = 1;
+            while (rounded < capacity) rounded *= 2;
+            return rounded;
+        }
+
+        /**
+         * Allocates the buffer for a ring
+         * 
+         * @param {number} channels - Number of channels
+         * @param {number} capacity - Frames; rounded up to a power of two
+         * @param {boolean} [shared=true] - SharedArrayBuffer (for two threads)
+         *   or ArrayBuffer
+         * @returns {SharedArrayBuffer|ArrayBuffer} Zeroed buffer
+         */
+        static allocate(channels, capacity, shared = true) {
+            const bytes = AudioRingBuffer.byteLength(channels, capacity);
+            return shared ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes);
+        }
+
+        /**
+         * Uses a buffer from `allocate`
+         * 
+         * @param {SharedArrayBuffer|ArrayBuffer} buffer - Ring buffer memory
+         * @param {number} channels - Number of channels it was allocated for
+         * @throws {RangeError} If the buffer doesn't fit the channel count
+         */
+        constructor(buffer, channels) {
+            const capacity = (buffer.byteLength - kHeaderBytes) / (4 * channels);
+            if (!(capacity >= 1) || AudioRingBuffer.roundCapacity(capacity) !== capacity) {
+                throw new RangeError(`Buffer of ${buffer.byteLength} bytes is no ring buffer of ${channels} channel(s)`);
+            }
+            this.buffer = buffer;
+            this.channels = channels;
+            this.capacity = capacity;
+            this._mask = capacity - 1;
+            this._header = new Int32Array(buffer, 0, kHeaderBytes / 4);
+            this._planes = [];
+            for (let ch = 0; ch < channels; ch++) {
+                this._planes.push(new Float32Array(buffer, kHeaderBytes + 4 * ch * capacity, capacity));
+            }
+        }
+
+        /**
+         * Frames that can be read
+         * 
+         * @type {number}
+         */
+        get availableRead() {
+            return (Atomics.load(this._header, kWriteIndex) - Atomics.load(this._header, kReadIndex)) | 0;
+        }
+
+        /**
+         * Frames that can be written
+         * 
+         * @type {number}
+         */
+        get availableWrite() {
+            return this.capacity - this.availableRead;
+        }
+
+        /**
+         * Frames the writer had to drop because the ring was full
+         * 
+         * @type {number}
+         */
+        get dropped() {
+            return Atomics.load(this._header, kDropped) >>> 0;
+        }
+
+        /**
+         * Writes frames; those that don't fit are dropped (and counted)
+         * 
+         * @param {Array<Float32Array>} channels - One array per channel
+         * @param {number} [frames] - Frames to write (default: the length of
+         *   the first channel)
+         * @returns {number} Frames written
+         */
+        write(channels, frames = channels[0].length) {
+            const writeIndex = Atomics.load(this._header, kWriteIndex);
+            const free = this.capacity - ((writeIndex - Atomics.load(this._header, kReadIndex)) | 0);
+            const count = Math.min(frames, free);
+            if (count < frames) {
+                Atomics.add(this._header, kDropped, frames - count);
+            }
+
+            const start = writeIndex & this._mask;
+            const first = Math.min(count, this.capacity - start);
+            for (let ch = 0; ch < this.channels; ch++) {
+                const plane = this._planes[ch];
+                const input = channels[ch];
+                plane.set(input.subarray(0, first), start);
+                if (count > first) plane.set(input.subarray(first, count), 0);
+            }
+            // Publish the frames only once they are in place
+            Atomics.store(this._header, kWriteIndex, (writeIndex + count) | 0);
+            return count;
+        }
+
+        /**
+         * Reads frames
+         * 
+         * @param {Array<Float32Array>} channels - One array per channel to read into
+         * @param {number} [frames] - Frames to read at most (default: the
+         *   length of the first channel)
+         * @returns {number} Frames read
+         */
+        read(channels, frames = channels[0].length) {
+            const readIndex = Atomics.load(this._header, kReadIndex);
+            const count = Math.min(frames, (Atomics.load(this._header, kWriteIndex) - readIndex) | 0);
+
+            const start = readIndex & this._mask;
+            const first = Math.min(count, this.capacity - start);
+            for (let ch = 0; ch < this.channels; ch++) {
+                const plane = this._planes[ch];
+                const output = channels[ch];
+                output.set(plane.subarray(start, start + first), 0);
+                if (count > first) output.set(plane.subarray(0, count - first), first);
+            }
+            // Hand the space back to the writer
+            Atomics.store(this._header, kReadIndex, (readIndex + count) | 0);
+            return count;
+        }
+    }
+
+    return { AudioRingBuffer };
+}));
@@ -7,13 +7,32 @@
 
 const { AooSource } = require('../src');
 
-// Create audio source
+// Generate test tone (440Hz sine wave)
+const sampleRate = 48000;
+const frequency = 440;
+let phase = 0;
+
+// Create audio source. In scheduler mode the source asks for one block
+// per block period on its own clock, so the stream doesn't drift or burst.
 const source = new AooSource({
     channels: 2,
-    sampleRate: 48000,
+    sampleRate,
     blockSize: 512,
     sourceId: 1,
-    localPort: 9998
+    localPort: 9998,
+    process: (frames, [left, right]) => {
+        for (let i = 0; i < frames; i++) {
+            const sample = Math.sin(phase * 2 * Math.PI);
+            left[i] = sample * 0.5;  // Left channel
+            right[i] = sample * 0.5; // Right channel
+            phase += frequency / sampleRate;
+            if (phase >= 1) phase -= 1;
+        }
+    }
+});
+
+source.on('late', ({ lateness, skipped }) => {
+    console.warn(`Block ${lateness.toFixed(1)} ms late` + (skipped ? `, ${skipped} skipped` : ''));
 });
 
 // Add sink (receiver) - change IP and port to match your setup
@@ -26,32 +45,11 @@ console.log('Press Ctrl+C to stop');
 // Start streaming
 source.start();
 
-// Generate test tone (440Hz sine wave)
-const sampleRate = 48000;
-const frequency = 440;
-const blockSize = 512;
-
-let phase = 0;
-
-setInterval(() => {
-    const left = new Float32Array(blockSize);
-    const right = new Float32Array(blockSize);
-
-    for (let i = 0; i < blockSize; i++) {
-        const sample = Math.sin(phase * 2 * Math.PI);
-        left[i] = sample * 0.5;  // Left channel
-        right[i] = sample * 0.5; // Right channel
-        phase += frequency / sampleRate;
-        if (phase >= 1) phase -= 1;
-    }
-
-    source.sendAudio(left, right);
-}, (blockSize / sampleRate) * 1000);
-
 // Handle exit
 process.on('SIGINT', () => {
     console.log('\nStopping...');
+    // Exit once the socket is closed, after the /stop messages went out
+    source.once('close', () => process.exit(0));
     source.stop();
     source.close();
-    process.exit(0);
 });
@@ -0,0 +1,417 @@
+/**
+ * @fileoverview AOO protocol constants and binary message helpers
+ * 
+ * Shared by AooSource and AooSink so both ends of a stream agree on
+ * the wire format. Contains the binary message constants, the data
+ * message parser and the data types of stream metadata. The OSC
+ * handshake messages are encoded and decoded with the osc module (osc.js).
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+// ============================================================================
+// AOO Protocol Constants
+// ============================================================================
+
+/**
+ * Binary message domain bit - indicates this is an AOO binary message
+ * When set (0x80), the message contains raw audio data
+ */
+const kAooBinMsgDomainBit = 0x80;
+
+/**
+ * Binary message command type for audio data
+ * Value 0 indicates this is audio sample data
+ */
+const kAooBinMsgCmdData = 0;
+
+/**
+ * Data trailer flag: the trailer holds the real sample rate of the
+ * source (float64 BE, see `TimeDLL` in time.js)
+ * 
+ * The data trailer is an aoo-js extension that follows the audio data
+ * of a data message: a flags byte, then the fields the flags announce.
+ * Standard AOO receivers read `size` bytes of audio after the header
+ * and never look at it, so they still play the stream.
+ */
+const kAooBinMsgDataFlagSampleRate = 0x10;
+
+/**
+ * Data trailer flag: the trailer holds the NTP timetag of the block
+ * (uint64 BE, after the sample rate if both are present)
+ */
+const kAooBinMsgDataFlagTimetag = 0x20;
+
+/**
+ * Data trailer flag: the trailer holds the stream messages of the
+ * block (see `encodeStreamMessages`, after the timing fields)
+ */
+const kAooBinMsgDataFlagMessages = 0x40;
+
+/**
+ * Message type identifier for source (sender) messages
+ * Value 0 indicates the message is destined for a source
+ */
+const kAooMsgTypeSource = 0;
+
+/**
+ * Message type identifier for sink (receiver) messages
+ * Value 1 indicates the message is destined for a sink
+ */
+const kAooMsgTypeSink = 1;
+
+/**
+ * Size of the binary data message header in bytes
+ * (4 byte message header + 12 bytes of stream information)
+ */
+const kAooBinMsgDataHeaderSize = 16;
+
+/**
+ * Size of the fields in front of the data of a stream message
+ * (see `encodeStreamMessages`)
+ */
+const kAooStreamMessageHeaderSize = 10;
+
+/**
+ * Default maximum UDP payload size in bytes
+ * Stays below a typical Ethernet MTU (1500) minus IP/UDP headers
+ */
+const kAooDefaultPacketSize = 1400;
+
+/**
+ * Maximum number of frames a block can be split into
+ * (the frame index and count are single bytes)
+ */
+const kAooMaxFrames = 255;
+
+/**
+ * PCM codec extension values (bit depth)
+ */
+const kAooPcmInt16 = 1;
+const kAooPcmInt24 = 2;
+const kAooPcmFloat32 = 3;
+const kAooPcmFloat64 = 4;
+
+/**
+ * AOO protocol version sent in handshake messages
+ */
+const kAooVersion = '2.0';
+
+// ============================================================================
+// Data Types
+// ============================================================================
+
+/**
+ * AOO data types (AooDataType), which tell receivers how to read the
+ * bytes of stream metadata. Values from 1000 on are free for
+ * application defined types.
+ */
+const kAooDataTypes = {
+    unspecified: -1,
+    raw: 0,
+    text: 1,
+    osc: 2,
+    midi: 3,
+    fudi: 4,
+    json: 5,
+    xml: 6,
+    float32: 7,
+    float64: 8,
+    int16: 9,
+    int32: 10,
+    int64: 11
+};
+
+/**
+ * First application defined data type
+ */
+const kAooDataUser = 1000;
+
+/**
+ * Data types whose bytes are UTF-8 text
+ */
+const kTextDataTypes = new Set([kAooDataTypes.text, kAooDataTypes.fudi,
+    kAooDataTypes.json, kAooDataTypes.xml]);
+
+/**
+ * Looks up the numeric value of a data type
+ * 
+ * @param {string|number} type - Type name (e.g. 'json') or AooDataType value
+ * @returns {number} AooDataType value
+ * @throws {RangeError} For unknown type names and invalid values
+ */
+function dataTypeId(type) {
+    if (typeof type === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(kAooDataTypes, type)) {
+            throw new RangeError(`Unknown data type '${type}' (expected one of ${Object.keys(kAooDataTypes).join(', ')} or a number)`);
+        }
+        return kAooDataTypes[type];
+    }
+    if (!Number.isInteger(type) || type < -1 || type > 0x7FFFFFFF) {
+        throw new RangeError(`Invalid data type ${type}`);
+    }
+    return type;
+}
+
+/**
+ * Looks up the name of a data type
+ * 
+ * @param {number} id - AooDataType value
+ * @returns {string|number} Type name, or `id` for application defined
+ *   and unknown types
+ */
+function dataTypeName(id) {
+    for (const name of Object.keys(kAooDataTypes)) {
+        if (kAooDataTypes[name] === id) return name;
+    }
+    return id;
+}
+
+/**
+ * Converts data to the bytes sent for a data type
+ * 
+ * Strings are sent as UTF-8; for 'json', other values are serialized
+ * with JSON.stringify first. Buffers and typed arrays are sent as they
+ * are (in the byte order of the machine).
+ * 
+ * @param {number} type - AooDataType value
+ * @param {string|Buffer|ArrayBufferView|*} data - Data
+ * @returns {Buffer} Encoded data
+ * @throws {TypeError} If the data can't be sent as this type
+ */
+function encodeData(type, data) {
+    if (typeof data === 'string') return Buffer.from(data, 'utf8');
+    if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    if (type === kAooDataTypes.json && data !== undefined) return Buffer.from(JSON.stringify(data), 'utf8');
+    throw new TypeError('Data must be a string, a Buffer or a typed array' +
+        (type === kAooDataTypes.json ? ', or a JSON value' : ''));
+}
+
+/**
+ * Reads received data according to its type
+ * 
+ * @param {number} type - AooDataType value
+ * @param {Buffer} bytes - Received data
+ * @returns {string|*|Buffer} A string for text types, the parsed value
+ *   for 'json' (the text if it doesn't parse), otherwise `bytes`
+ */
+function decodeData(type, bytes) {
+    if (!kTextDataTypes.has(type)) return bytes;
+    const text = bytes.toString('utf8');
+    if (type !== kAooDataTypes.json) return text;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// ============================================================================
+// Sequence Numbers
+// ============================================================================
+
+/**
+ * Sequence numbers wrap to 0 when they reach this value
+ * (see `AooSource._sendBlock`)
+ */
+const kSequenceWrap = 0x7FFFFFFF;
+
+/**
+ * Returns the signed distance from sequence `b` to sequence `a`,
+ * taking wrap-around at `kSequenceWrap` into account
+ * 
+ * @param {number} a - Sequence number
+ * @param {number} b - Reference sequence number
+ * @returns {number} Positive if `a` comes after `b`
+ */
+function sequenceDiff(a, b) {
+    let diff = (a - b) % kSequenceWrap;
+    if (diff > kSequenceWrap / 2) diff -= kSequenceWrap;
+    else if (diff < -kSequenceWrap / 2) diff += kSequenceWrap;
+    return diff;
+}
+
+/**
+ * Advances a sequence number by `n` (or rewinds it if `n` is negative),
+ * wrapping at `kSequenceWrap`
+ * 
+ * @param {number} seq - Sequence number
+ * @param {number} [n=1] - Number of steps
+ * @returns {number} Resulting sequence number
+ */
+function sequenceAdd(seq, n = 1) {
+    return ((seq + n) % kSequenceWrap + kSequenceWrap) % kSequenceWrap;
+}
+
+// ============================================================================
+// Binary Message Parsing
+// ============================================================================
+
+/**
+ * Size of the fixed part of the data trailer for the given trailer flags
+ * 
+ * @param {number} flags - Trailer flags (the first byte of the trailer)
+ * @returns {number} Number of bytes after the audio data, including the
+ *   flags byte but not the stream messages; 0 without flags (no trailer)
+ */
+function dataTrailerSize(flags) {
+    if (!flags) return 0;
+    let size = 1;
+    if (flags & kAooBinMsgDataFlagSampleRate) size += 8;
+    if (flags & kAooBinMsgDataFlagTimetag) size += 8;
+    return size;
+}
+
+/**
+ * Encodes the stream messages of a block
+ * 
+ * Layout: size of the message list in bytes (uint16 BE), then per
+ * message the fields of an AooStreamMessage: sample offset in the
+ * block (uint16 BE), channel (uint16 BE), data type (int32 BE,
+ * AooDataType), data size (uint16 BE) and the data.
+ * 
+ * @param {Array<{sampleOffset: number, channel: number, type: number, data: Buffer}>} messages -
+ *   Messages, in the order they should be delivered
+ * @returns {Buffer} Encoded message list
+ */
+function encodeStreamMessages(messages) {
+    let size = 0;
+    for (const message of messages) size += kAooStreamMessageHeaderSize + message.data.length;
+    const buf = Buffer.alloc(2 + size);
+    buf.writeUInt16BE(size, 0);
+    let offset = 2;
+    for (const message of messages) {
+        buf.writeUInt16BE(message.sampleOffset, offset);
+        buf.writeUInt16BE(message.channel, offset + 2);
+        buf.writeInt32BE(message.type, offset + 4);
+        buf.writeUInt16BE(message.data.length, offset + 8);
+        message.data.copy(buf, offset + kAooStreamMessageHeaderSize);
+        offset += kAooStreamMessageHeaderSize + message.data.length;
+    }
+    return buf;
+}
+
+/**
+ * Parses the stream messages of a data message
+ * 
+ * @param {Buffer} msg - Raw binary message
+ * @param {number} start - Offset of the message list (its size field)
+ * @returns {{messages: Array<Object>, end: number}|null} Messages
+ *   {sampleOffset, channel, type, data} with `data` a view into `msg`,
+ *   and the offset after the list; null if the list is malformed
+ */
+function parseStreamMessages(msg, start) {
+    if (start + 2 > msg.length) return null;
+    const end = start + 2 + msg.readUInt16BE(start);
+    if (end > msg.length) return null;
+
+    const messages = [];
+    let offset = start + 2;
+    while (offset < end) {
+        if (offset + kAooStreamMessageHeaderSize > end) return null;
+        const dataStart = offset + kAooStreamMessageHeaderSize;
+        const size = msg.readUInt16BE(offset + 8);
+        if (dataStart + size > end) return null;
+        messages.push({
+            sampleOffset: msg.readUInt16BE(offset),
+            channel: msg.readUInt16BE(offset + 2),
+            type: msg.readInt32BE(offset + 4),
+            data: msg.subarray(dataStart, dataStart + size)
+        });
+        offset = dataStart + size;
+    }
+    return { messages, end };
+}
+
+/**
+ * Parses the header of an AOO v2 binary data message
+ * 
+ * See `AooSource._prepareDataHeader` and `_prepareDataTrailer` for the
+ * byte layout.
+ * 
+ * @param {Buffer} msg - Raw binary message
+ * @returns {Object|null} Parsed header and a view of the audio data,
+ *   or null if the message is not a valid data message. `sampleRate`,
+ *   `timetag` and `messages` are null unless the source sent them.
+ */
+function parseDataMessage(msg) {
+    if (msg.length < kAooBinMsgDataHeaderSize || !(msg[0] & kAooBinMsgDomainBit)) {
+        return null;
+    }
+    if (msg[1] !== kAooBinMsgCmdData) return null;
+
+    const size = msg.readUInt16BE(14);
+    if (kAooBinMsgDataHeaderSize + size > msg.length) return null;
+
+    // Data trailer, if anything follows the audio data
+    let offset = kAooBinMsgDataHeaderSize + size;
+    let sampleRate = null;
+    let timetag = null;
+    let messages = null;
+    if (offset < msg.length) {
+        const trailerFlags = msg[offset];
+        if (offset + dataTrailerSize(trailerFlags) > msg.length) return null;
+        offset++;
+        if (trailerFlags & kAooBinMsgDataFlagSampleRate) {
+            sampleRate = msg.readDoubleBE(offset);
+            offset += 8;
+        }
+        if (trailerFlags & kAooBinMsgDataFlagTimetag) {
+            timetag = msg.readBigUInt64BE(offset);
+            offset += 8;
+        }
+        if (trailerFlags & kAooBinMsgDataFlagMessages) {
+            const list = parseStreamMessages(msg, offset);
+            if (!list) return null;
+            messages = list.messages;
+        }
+    }
+
+    return {
+        type: msg[0] & ~kAooBinMsgDomainBit,
+        sinkId: msg[2],
+        sourceId: msg[3],
+        streamId: msg.readInt32BE(4),
+        sequence: msg.readInt32BE(8),
+        frameIndex: msg[12],
+        frameCount: Math.max(1, msg[13]),  // 0 = block was not split
+        size,
+        sampleRate,
+        timetag,
+        messages,
+        data: msg.subarray(kAooBinMsgDataHeaderSize, kAooBinMsgDataHeaderSize + size)
+    };
+}
+
+module.exports = {
+    kAooBinMsgDomainBit,
+    kAooBinMsgCmdData,
+    kAooBinMsgDataFlagSampleRate,
+    kAooBinMsgDataFlagTimetag,
+    kAooBinMsgDataFlagMessages,
+    kAooMsgTypeSource,
+    kAooMsgTypeSink,
+    kAooBinMsgDataHeaderSize,
+    kAooStreamMessageHeaderSize,
+    kAooDefaultPacketSize,
+    kAooMaxFrames,
+    kAooPcmInt16,
+    kAooPcmInt24,
+    kAooPcmFloat32,
+    kAooPcmFloat64,
+    kAooVersion,
+    kAooDataTypes,
+    kAooDataUser,
+    dataTypeId,
+    dataTypeName,
+    encodeData,
+    decodeData,
+    kSequenceWrap,
+    sequenceDiff,
+    sequenceAdd,
+    dataTrailerSize,
+    encodeStreamMessages,
+    parseStreamMessages,
+    parseDataMessage
+};
@@ -0,0 +1,1049 @@
+/**
+ * @fileoverview AOO (Audio over OSC) Sink Implementation
+ * 
+ * This module implements the receiving side of the AOO v2 protocol.
+ * It invites sources, parses their /start format messages and decodes
+ * the binary audio data packets into per-channel Float32Arrays.
+ * 
+ * Compatible with:
+ * - aoo-js AooSource
+ * - Max/MSP and Pure Data aoo_send~ externals
+ * 
+ * Protocol Reference: https://github.com/Spacechild1/aoo
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+const { JitterBuffer } = require('./jitter-buffer');
+const { FrameAssembler } = require('./frame-assembler');
+const { AooReadStream } = require('./streams');
+const {
+    kAooBinMsgDomainBit,
+    kAooMsgTypeSink,
+    kAooVersion,
+    dataTypeName,
+    decodeData,
+    parseDataMessage,
+    sequenceDiff
+} = require('./aoo-protocol');
+const osc = require('./osc');
+const time = require('./time');
+const codec = require('./codec');
+const udp = require('./udp');
+
+/**
+ * Minimum time between two format requests to the same source (ms)
+ */
+const kFormatRequestInterval = 1000;
+
+/**
+ * Playout of a source stops when no packets arrived for this long (ms)
+ */
+const kPlayoutIdleTimeout = 1000;
+
+/**
+ * Largest stream format accepted in /start; the sink allocates its
+ * buffers from these fields, which come from the network
+ */
+const kMaxChannels = 256;
+const kMaxSampleRate = 768000;
+const kMaxBlockSize = 16384;
+
+/**
+ * Checks a format field of /start
+ * 
+ * @param {*} value - Field value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} True for an integer from 1 to `max`
+ */
+function isFormatField(value, max) {
+    return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+/**
+ * Reads the stream metadata arguments of a /start message
+ * 
+ * @param {*} type - AooDataType (int32), or nil without metadata
+ * @param {*} data - Metadata (blob), or nil
+ * @returns {{type: (string|number), data: *, bytes: Buffer}|null} Metadata
+ *   with its type name, the data read according to the type (see
+ *   `decodeData`) and the raw bytes, or null
+ */
+function parseMetadata(type, data) {
+    if (!Number.isInteger(type) || !Buffer.isBuffer(data)) return null;
+    const bytes = Buffer.from(data);  // Copy, so the datagram can be freed
+    return { type: dataTypeName(type), data: decodeData(type, bytes), bytes };
+}
+
+/**
+ * Reads the stream messages of a data packet
+ * 
+ * @param {Array<Object>} messages - Messages from `parseDataMessage`
+ * @returns {Array<Object>} Messages {sampleOffset, channel, type, data, bytes} with
+ *   the type name, the decoded data (see `decodeData`) and the raw bytes
+ */
+function readStreamMessages(messages) {
+    return messages.map(({ sampleOffset, channel, type, data }) => {
+        const bytes = Buffer.from(data);  // Copy, so the datagram can be freed
+        return { sampleOffset, channel, type: dataTypeName(type), data: decodeData(type, bytes), bytes };
+    });
+}
+
+/**
+ * Compares two metadata objects returned by `parseMetadata`
+ * 
+ * @param {Object|null} a - Metadata
+ * @param {Object|null} b - Metadata
+ * @returns {boolean} True if both are equal (or both null)
+ */
+function sameMetadata(a, b) {
+    if (!a || !b) return a === b;
+    return a.type === b.type && a.bytes.equals(b.bytes);
+}
+
+// ============================================================================
+// AooSink Class
+// ============================================================================
+
+/**
+ * AooSink - Audio streaming sink using AOO v2 protocol
+ * 
+ * Binds a UDP socket, invites sources and emits the decoded audio of
+ * every source that streams to it. One sink can receive several sources
+ * at once; each source is identified by its address, port and source ID.
+ * 
+ * @example
+ * const sink = new AooSink({ sinkId: 1, localPort: 9999 });
+ * 
+ * sink.on('data', (channels, info) => {
+ *   // channels[0] = left, channels[1] = right (Float32Array)
+ * });
+ * 
+ * sink.invite('127.0.0.1', 9998, 1);
+ */
+class AooSink extends EventEmitter {
+    /**
+     * Creates a new AOO audio sink
+     * 
+     * @param {Object} options - Configuration options
+     * @param {number} [options.sinkId=1] - Unique identifier for this sink
+     * @param {number} [options.localPort=9999] - Local UDP port to bind to
+     *   (0: any free port, see the 'listening' event)
+     * @param {string} [options.socketType='udp4'] - 'udp4', or 'udp6' for an
+     *   IPv6 socket (dual-stack, i.e. also reaching IPv4 sources, unless ipv6Only)
+     * @param {boolean} [options.ipv6Only=false] - With 'udp6': IPv6 only
+     * @param {string} [options.localAddress] - Address to bind to (default:
+     *   all interfaces, '0.0.0.0' or '::')
+     * @param {string} [options.localInterface] - Name of a network interface
+     *   to bind to (its address), if no localAddress is given
+     * @param {Array<string>} [options.multicastGroups] - Multicast groups to
+     *   join (see `joinGroup`); the socket must be bound to all interfaces
+     * @param {string} [options.multicastInterface] - Interface (name or
+     *   address) to join the groups on (default: chosen by the system)
+     * @param {boolean} [options.reuseAddr=false] - Let several sockets bind
+     *   the port (e.g. several sinks of one multicast group on one host)
+     * @param {number} [options.latency=50] - Jitter buffer latency target in ms
+     * @param {number} [options.maxLatency] - Buffered audio (ms) above which old
+     *   blocks are discarded (default: 2 × latency)
+     * @param {string} [options.concealment='silence'] - Lost block handling:
+     *   'silence' or 'repeat'
+     * @param {number} [options.pingInterval=1000] - Interval (ms) for pinging
+     *   sources, which keeps us from timing out on their side; 0 disables pings
+     * @param {number} [options.sourceTimeout=10000] - Forget sources that
+     *   have not been heard from for this long (ms), e.g. ones that went
+     *   away without /stop; 0 disables
+     */
+    constructor(options = {}) {
+        super();
+
+        this.sinkId = options.sinkId || 1;
+        this.localPort = options.localPort !== undefined ? options.localPort : 9999;
+        this.pingInterval = options.pingInterval !== undefined ? options.pingInterval : 1000;
+        this.sourceTimeout = options.sourceTimeout !== undefined ? options.sourceTimeout : 10000;
+
+        // Jitter buffer configuration (applied to every source)
+        this.latency = options.latency !== undefined ? options.latency : 50;
+        this.maxLatency = options.maxLatency;
+        this.concealment = options.concealment || 'silence';
+
+        // Create UDP socket for receiving audio and sending OSC replies
+        const socketConfig = udp.socketConfig(options);
+        this.socketType = socketConfig.type;
+        this.ipv6Only = socketConfig.ipv6Only;
+        this.localAddress = socketConfig.address;
+        this.socket = dgram.createSocket({
+            type: this.socketType,
+            ipv6Only: this.ipv6Only,
+            reuseAddr: !!options.reuseAddr
+        });
+        this._closed = false;
+        this._bound = false;
+
+        // Joined multicast groups - key: group address, value: interface
+        // address (or undefined); joined once the socket is bound
+        this.multicastGroups = new Map();
+        this.multicastInterface = options.multicastInterface || null;
+        for (const group of options.multicastGroups || []) {
+            this.joinGroup(group);
+        }
+
+        // Map of known sources - key: "ip:port:sourceId", with the address
+        // normalized (see udp.js)
+        this.sources = new Map();
+
+        // Map of pending invitations - key: "host:port:sourceId"
+        this.invitations = new Map();
+
+        // Time of the last /start request per source key (rate limiting)
+        this._formatRequests = new Map();
+
+        // Set up message handler for incoming messages (format, data, pings)
+        this.socket.on('message', (msg, rinfo) => {
+            // IPv4 sources reach a dual-stack socket with mapped addresses
+            rinfo.address = udp.unmapAddress(rinfo.address);
+            this._handleMessage(msg, rinfo);
+        });
+
+        this.socket.on('error', (err) => {
+            this._emitError(err);
+        });
+
+        this.socket.on('listening', () => {
+            this._bound = true;
+            for (const [group, iface] of this.multicastGroups) {
+                try {
+                    this.socket.addMembership(group, iface);
+                } catch (err) {
+                    this._emitError(err);
+                }
+            }
+            this.emit('listening', this.socket.address());
+        });
+
+        // Bind socket to local port to receive audio
+        this.socket.bind(this.localPort, this.localAddress);
+
+        // Ping all known sources and expire the ones that went away,
+        // every `pingInterval` ms (or every second if pings are disabled)
+        this._timer = this.pingInterval || this.sourceTimeout
+            ? setInterval(() => {
+                if (this.pingInterval) this._sendPings();
+                this._expireSources();
+            }, this.pingInterval || 1000)
+            : null;
+    }
+
+    // ========================================================================
+    // Invitations
+    // ========================================================================
+
+    /**
+     * Invites a source to stream to this sink
+     * 
+     * Sends /aoo/src/<id>/invite with our sink ID and a random stream
+     * token. The source answers with a /start message and begins streaming.
+     * 
+     * Host names are resolved first (as in `AooSource.addSink`), so the
+     * invitation matches the address the source answers from.
+     * 
+     * @param {string} host - Host name or IP address of the source
+     * @param {number} port - UDP port of the source
+     * @param {number} sourceId - Source identifier
+     * @param {Function} [callback] - Called as `callback(err, {host, port, sourceId, token})`
+     *   when the invitation was sent (synchronously for IP addresses).
+     *   Without a callback, lookup failures are reported through the
+     *   'error' event.
+     * @returns {number} Token sent with the invitation
+     */
+    invite(host, port, sourceId, callback) {
+        const token = Math.floor(Math.random() * 0x7FFFFFFF);
+        this._resolveHost(host, callback, (address) => {
+            const invitation = { host: address, port, sourceId, token };
+            this.invitations.set(`${address}:${port}:${sourceId}`, invitation);
+
+            const msg = osc.encodeMessage(`/aoo/src/${sourceId}/invite`, [
+                { type: 'i', value: this.sinkId },
+                { type: 'i', value: token }
+            ]);
+            this.socket.send(msg, port, udp.socketAddress(address, this.socketType));
+            if (callback) callback(null, { ...invitation });
+        });
+        return token;
+    }
+
+    /**
+     * Asks a source to stop streaming to this sink
+     * 
+     * Sends /aoo/src/<id>/uninvite; the source acknowledges with /stop.
+     * 
+     * @param {string} host - Host name or IP address of the source
+     * @param {number} port - UDP port of the source
+     * @param {number} sourceId - Source identifier
+     */
+    uninvite(host, port, sourceId) {
+        this._resolveHost(host, null, (address) => {
+            const key = `${address}:${port}:${sourceId}`;
+            const source = this.sources.get(key);
+            const invitation = this.invitations.get(key);
+            const streamId = source ? source.streamId : (invitation ? invitation.token : 0);
+            this.invitations.delete(key);
+
+            const msg = osc.encodeMessage(`/aoo/src/${sourceId}/uninvite`, [
+                { type: 'i', value: this.sinkId },
+                { type: 'i', value: streamId }
+            ]);
+            this.socket.send(msg, port, udp.socketAddress(address, this.socketType));
+        });
+    }
+
+    /**
+     * Resolves a source host for `invite`/`uninvite`
+     * 
+     * Nothing happens if the sink was closed in the meantime.
+     * 
+     * @private
+     * @param {string} host - Host name or IP address
+     * @param {Function|null} callback - User callback that gets lookup
+     *   errors; without one they are emitted as 'error'
+     * @param {Function} resolved - Called with the normalized address
+     */
+    _resolveHost(host, callback, resolved) {
+        udp.resolveHost(host, this.socketType, this.ipv6Only, (err, address) => {
+            if (this._closed) return;
+            if (err) {
+                if (callback) callback(err);
+                else this._emitError(err);
+                return;
+            }
+            resolved(address);
+        });
+    }
+
+    // ========================================================================
+    // Multicast Groups
+    // ========================================================================
+
+    /**
+     * Joins a multicast group, to receive sources that stream to the
+     * group (see `AooSource.addSink`)
+     * 
+     * All sinks of a group use the same sink ID and port.
+     * 
+     * @param {string} group - Multicast group address (e.g. '239.1.2.3', 'ff12::1')
+     * @param {string} [iface] - Interface (name or address) to join on
+     *   (default: `multicastInterface`, or chosen by the system)
+     * @throws {RangeError} If `group` is not a multicast address of the
+     *   socket's address family, or for unknown interfaces
+     */
+    joinGroup(group, iface = this.multicastInterface) {
+        const address = udp.normalizeAddress(group);
+        if (udp.addressKind(address) !== 'multicast') {
+            throw new RangeError(`${group} is not a multicast address`);
+        }
+        // Group membership is per address family (no IPv4 groups on 'udp6')
+        if (net.isIPv6(address) !== (this.socketType === 'udp6')) {
+            throw new RangeError(`Multicast group ${group} doesn't match the socket type '${this.socketType}'`);
+        }
+        if (this.multicastGroups.has(address)) return;
+        const ifaceAddress = iface ? udp.multicastInterface(iface, this.socketType) : undefined;
+        this.multicastGroups.set(address, ifaceAddress);
+        if (this._bound) this.socket.addMembership(address, ifaceAddress);
+    }
+
+    /**
+     * Leaves a multicast group joined with `joinGroup`
+     * 
+     * @param {string} group - Multicast group address
+     */
+    leaveGroup(group) {
+        const address = udp.normalizeAddress(group);
+        if (!this.multicastGroups.has(address)) return;
+        const ifaceAddress = this.multicastGroups.get(address);
+        this.multicastGroups.delete(address);
+        if (this._bound && !this._closed) this.socket.dropMembership(address, ifaceAddress);
+    }
+
+    // ========================================================================
+    // Incoming Message Handling
+    // ========================================================================
+
+    /**
+     * Handles incoming messages from sources
+     * 
+     * Binary messages carry audio data, OSC messages are one of:
+     *   /aoo/sink/<id>/start - Stream format
+     *   /aoo/sink/<id>/stop  - Stream ended
+     *   /aoo/sink/<id>/decline - Source refused our invitation
+     *   /aoo/sink/<id>/pong  - Reply to our ping (measures round trip time)
+     *   /aoo/sink/<id>/ping  - Keep-alive ping (responds with pong)
+     * 
+     * @private
+     * @param {Buffer} msg - Raw UDP message
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleMessage(msg, rinfo) {
+        try {
+            if (msg.length >= 4 && (msg[0] & kAooBinMsgDomainBit)) {
+                this._handleData(msg, rinfo);
+            } else {
+                this._handleOscPacket(osc.decode(msg), rinfo);
+            }
+        } catch (e) {
+            // Whatever a packet does, it must not end the process
+            this._emitError(e);
+        }
+    }
+
+    /**
+     * Dispatches a decoded OSC message (or the contents of a bundle)
+     * 
+     * @private
+     * @param {Object} packet - Decoded OSC message or bundle
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleOscPacket(packet, rinfo) {
+        if (packet.elements) {
+            for (const element of packet.elements) {
+                this._handleOscPacket(element, rinfo);
+            }
+            return;
+        }
+
+        const match = /^\/aoo\/sink\/(\d+)\/(\w+)$/.exec(packet.address);
+        if (!match || Number(match[1]) !== this.sinkId) return;
+
+        const args = packet.args;
+        switch (match[2]) {
+            case 'start':
+                this._handleStart(args, rinfo);
+                break;
+            case 'stop':
+                this._handleStop(args, rinfo);
+                break;
+            case 'decline':
+                this._handleDecline(args, rinfo);
+                break;
+            case 'pong':
+                this._handlePong(args, rinfo);
+                break;
+            case 'ping':
+                this._touchSource(rinfo, args[0]);
+                this._sendPong(rinfo.address, rinfo.port, args);
+                break;
+        }
+    }
+
+    /**
+     * Handles a /start message describing a source's stream format
+     * 
+     * Arguments (as sent by `AooSource._sendStartOSC`):
+     *   sourceId, version, streamId, sequence, formatId, channels,
+     *   sampleRate, blockSize, codec, extension, startTime, reblock size,
+     *   reserved, metadata type, metadata, flags
+     * 
+     * A /start that only changes the metadata of a running stream is
+     * reported with the 'metadata' event. One with an invalid channel
+     * count, sample rate or block size is reported as an error and ignored.
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleStart(args, rinfo) {
+        if (args.length < 10) return;
+
+        const [sourceId, version, streamId, sequence, formatId,
+            channels, sampleRate, blockSize, codec, extension] = args;
+        if (!isFormatField(channels, kMaxChannels) || !isFormatField(sampleRate, kMaxSampleRate) ||
+                !isFormatField(blockSize, kMaxBlockSize)) {
+            this._emitError(new RangeError(
+                `Invalid format from source ${sourceId} at ${rinfo.address}:${rinfo.port}: ` +
+                `${channels} channels, ${sampleRate} Hz, blocks of ${blockSize} ` +
+                `(max ${kMaxChannels}, ${kMaxSampleRate} and ${kMaxBlockSize})`));
+            return;
+        }
+        const key = `${rinfo.address}:${rinfo.port}:${sourceId}`;
+        let previous = this.sources.get(key);
+        if (previous && previous.stopping) {
+            // A new stream while the old one is still playing out its end
+            this._endStream(key, previous);
+            previous = null;
+        }
+
+        const source = previous || {};
+        const metadata = parseMetadata(args[13], args[14]);
+        const metadataChanged = previous && !sameMetadata(previous.metadata, metadata);
+        Object.assign(source, {
+            host: rinfo.address,
+            port: rinfo.port,
+            sourceId,
+            version,
+            streamId,
+            sequence,
+            formatId,
+            channels,
+            sampleRate,
+            blockSize,
+            codec,
+            extension,
+            startTime: typeof args[10] === 'bigint' ? args[10] : null,
+            metadata,
+            lastSeen: Date.now()
+        });
+        this.sources.set(key, source);
+        this.invitations.delete(key);
+
+        if (!source.jitterBuffer) {
+            source.jitterBuffer = new JitterBuffer({
+                latency: this.latency,
+                maxLatency: this.maxLatency,
+                concealment: this.concealment
+            });
+            source.assembler = new FrameAssembler();
+            source.messages = new Map();  // Stream messages by block sequence
+        }
+
+        // Sources repeat /start on request - only report new streams/formats
+        const jb = source.jitterBuffer;
+        if (jb.streamId !== streamId || jb.formatId !== formatId) {
+            this._stopPlayout(source);
+            jb.reset(streamId, formatId, { sampleRate, blockSize, channels });
+            source.assembler.reset();
+            source.messages.clear();
+            source.decoder = this._createDecoder(source);
+            source.realSampleRate = null;
+            source.lastTimetag = null;
+            this.emit('start', this._sourceInfo(source));
+        } else if (metadataChanged) {
+            this.emit('metadata', this._sourceInfo(source));
+        }
+    }
+
+    /**
+     * Handles a /stop message - the source ended its stream
+     * 
+     * Arguments: sourceId, streamId
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleStop(args, rinfo) {
+        if (args.length < 2) return;
+        const [sourceId, streamId] = args;
+        const key = `${rinfo.address}:${rinfo.port}:${sourceId}`;
+        const source = this.sources.get(key);
+        if (!source || source.streamId !== streamId || source.stopping) return;
+
+        if (source.playout && source.jitterBuffer.size > 0) {
+            // Play out the buffered audio first; the playout clock ends the stream
+            source.stopping = true;
+            source.jitterBuffer.finish();
+            return;
+        }
+        this._endStream(key, source);
+    }
+
+    /**
+     * Removes a source whose stream has ended and emits 'stop'
+     * 
+     * @private
+     * @param {string} key - Source key "ip:port:sourceId"
+     * @param {Object} source - Internal source state
+     */
+    _endStream(key, source) {
+        this._stopPlayout(source);
+        source.stopping = false;
+        if (this.sources.get(key) === source) {
+            this.sources.delete(key);
+            this._formatRequests.delete(key);
+        }
+        this.emit('stop', this._sourceInfo(source));
+    }
+
+    /**
+     * Handles a /decline message - the source refused our invitation
+     * 
+     * Arguments: sourceId, token
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleDecline(args, rinfo) {
+        if (args.length < 2) return;
+        const [sourceId, token] = args;
+
+        for (const [key, invitation] of this.invitations) {
+            if (invitation.sourceId === sourceId && invitation.token === token) {
+                this.invitations.delete(key);
+                this.emit('decline', { host: rinfo.address, port: rinfo.port, sourceId });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Handles a binary audio data message
+     * 
+     * Split blocks are collected until all their frames have arrived.
+     * Decodes the block with the stream's codec into one Float32Array
+     * per channel and queues them in the source's jitter buffer. The blocks
+     * and their stream messages are emitted by the playout clock (see
+     * `_startPlayout`); messages of blocks that arrive too late for
+     * playout are emitted right away.
+     * 
+     * @private
+     * @param {Buffer} msg - Raw binary message
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleData(msg, rinfo) {
+        const packet = parseDataMessage(msg);
+        if (!packet || packet.type !== kAooMsgTypeSink) return;
+        if (packet.sinkId !== (this.sinkId & 0xFF)) return;
+
+        const key = `${rinfo.address}:${rinfo.port}:${packet.sourceId}`;
+        const source = this.sources.get(key);
+
+        // Unknown stream - ask the source for its format
+        if (!source || source.streamId !== packet.streamId) {
+            this._requestFormat(key, rinfo, packet.sourceId);
+            return;
+        }
+
+        // Unsupported codec - already reported by _createDecoder
+        if (!source.decoder) return;
+
+        source.lastPacketTime = source.lastSeen = Date.now();
+        if (packet.sampleRate !== null) source.realSampleRate = packet.sampleRate;
+        if (packet.timetag !== null) source.lastTimetag = packet.timetag;
+
+        const data = source.assembler.add(packet);
+        if (!data) return;
+
+        let samples;
+        try {
+            samples = source.decoder.decode(data);
+        } catch (e) {
+            this._emitError(e);
+            return;
+        }
+
+        source.sequence = packet.sequence;
+        const status = source.jitterBuffer.push(packet.streamId, source.formatId, packet.sequence,
+            this._deinterleave(samples, source.channels));
+
+        if (packet.messages) {
+            const messages = readStreamMessages(packet.messages);
+            if (status === 'late') {
+                this._emitMessages(source, packet.sequence, messages, true);
+            } else if (status !== 'duplicate') {
+                source.messages.set(packet.sequence, messages);
+            }
+        }
+
+        if (!source.playout) {
+            this._startPlayout(source);
+        }
+    }
+
+    /**
+     * Creates the decoder for a source's codec
+     * 
+     * Reports unknown codecs (or invalid codec extensions) through the
+     * 'error' event; the source's data is then ignored.
+     * 
+     * @private
+     * @param {Object} source - Internal source state
+     * @returns {Object|null} Decoder {decode(data)}, or null
+     */
+    _createDecoder(source) {
+        try {
+            return codec.createDecoder(source.codec, {
+                channels: source.channels,
+                sampleRate: source.sampleRate,
+                blockSize: source.blockSize
+            }, source.extension);
+        } catch (e) {
+            this._emitError(new Error(
+                `Unsupported codec '${source.codec}' from source ${source.sourceId}: ${e.message}`));
+            return null;
+        }
+    }
+
+    /**
+     * Splits interleaved samples into one array per channel
+     * 
+     * @private
+     * @param {Float32Array} samples - Interleaved samples
+     * @param {number} numChannels - Number of channels in the stream
+     * @returns {Array<Float32Array>} De-interleaved channel data
+     */
+    _deinterleave(samples, numChannels) {
+        const frames = Math.floor(samples.length / numChannels);
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            channels.push(new Float32Array(frames));
+        }
+
+        let offset = 0;
+        for (let i = 0; i < frames; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                channels[ch][i] = samples[offset++];
+            }
+        }
+        return channels;
+    }
+
+    // ========================================================================
+    // Playout
+    // ========================================================================
+
+    /**
+     * Starts the playout clock of a source
+     * 
+     * Pops one block from the jitter buffer per block period and emits
+     * it as 'data', after the stream messages sent with it. The clock is
+     * measured against a fixed origin, so timer jitter does not accumulate;
+     * after a stall the missed blocks are caught up (up to the buffer
+     * capacity). Playout stops when the source has been silent for
+     * `kPlayoutIdleTimeout`, or when a stopped stream has played out its
+     * buffered audio.
+     * 
+     * @private
+     * @param {Object} source - Internal source state
+     */
+    _startPlayout(source) {
+        const jb = source.jitterBuffer;
+        const period = source.blockSize / source.sampleRate * 1000;
+        const playout = { origin: performance.now(), blocks: 0, timer: null };
+        source.playout = playout;
+
+        const tick = () => {
+            if (!source.stopping && Date.now() - source.lastPacketTime > kPlayoutIdleTimeout) {
+                this._stopPlayout(source);
+                jb.reset(jb.streamId, jb.formatId);
+                source.messages.clear();
+                return;
+            }
+
+            const due = Math.floor((performance.now() - playout.origin) / period);
+
+            // Don't try to catch up on more audio than the buffer can hold
+            if (due - playout.blocks > jb.capacityBlocks) {
+                playout.blocks = due - jb.capacityBlocks;
+            }
+
+            while (playout.blocks < due) {
+                const block = jb.pop();
+                if (!block && source.stopping) {
+                    this._endStream(`${source.host}:${source.port}:${source.sourceId}`, source);
+                    return;
+                }
+                if (!block) {
+                    // Still filling up to the latency target
+                    playout.origin = performance.now();
+                    playout.blocks = 0;
+                    break;
+                }
+                playout.blocks++;
+                if (source.messages.size > 0) {
+                    this._playMessages(source, block.sequence);
+                }
+                this.emit('data', block.channels, {
+                    ...this._sourceInfo(source),
+                    sequence: block.sequence,
+                    status: block.status
+                });
+                if (source.playout !== playout) return;  // stopped by a listener
+            }
+
+            const next = (playout.blocks + 1) * period - (performance.now() - playout.origin);
+            playout.timer = setTimeout(tick, Math.max(0, next));
+        };
+
+        playout.timer = setTimeout(tick, period);
+    }
+
+    /**
+     * Emits the stream messages of the block being played
+     * 
+     * Messages of earlier blocks (skipped by the jitter buffer) are
+     * emitted as late.
+     * 
+     * @private
+     * @param {Object} source - Internal source state
+     * @param {number} sequence - Sequence number of the block
+     */
+    _playMessages(source, sequence) {
+        for (const [messageSequence, messages] of source.messages) {
+            const diff = sequenceDiff(messageSequence, sequence);
+            if (diff > 0) continue;
+            source.messages.delete(messageSequence);
+            this._emitMessages(source, messageSequence, messages, diff < 0);
+        }
+    }
+
+    /**
+     * Emits 'message' for each stream message of a block
+     * 
+     * @private
+     * @param {Object} source - Internal source state
+     * @param {number} sequence - Sequence number of the block
+     * @param {Array<Object>} messages - Messages from `readStreamMessages`
+     * @param {boolean} late - The block missed its playout time
+     */
+    _emitMessages(source, sequence, messages, late) {
+        const info = { ...this._sourceInfo(source), sequence, late };
+        for (const message of messages) {
+            this.emit('message', message, info);
+        }
+    }
+
+    /**
+     * Stops the playout clock of a source
+     * 
+     * @private
+     * @param {Object} source - Internal source state
+     */
+    _stopPlayout(source) {
+        if (source.playout) {
+            clearTimeout(source.playout.timer);
+            source.playout = null;
+        }
+    }
+
+    // ========================================================================
+    // Streams
+    // ========================================================================
+
+    /**
+     * Creates a readable stream of raw interleaved PCM
+     * 
+     * @example
+     * sink.createReadStream({ format: 'int16', sourceId: 1 }).pipe(process.stdout);
+     * 
+     * @param {Object} [options] - Stream options (see `AooReadStream`): format,
+     *   endianness, sourceId, host, port, endOnStop
+     * @returns {AooReadStream} Readable stream
+     */
+    createReadStream(options) {
+        return new AooReadStream(this, options);
+    }
+
+    // ========================================================================
+    // Statistics
+    // ========================================================================
+
+    /**
+     * Returns jitter buffer statistics for every known source
+     * 
+     * @returns {Array<Object>} Source info plus counters: received, reordered,
+     *   duplicates, late, lost, dropped, underruns, overruns, incomplete
+     */
+    getStats() {
+        const stats = [];
+        for (const source of this.sources.values()) {
+            stats.push({
+                ...this._sourceInfo(source),
+                ...source.jitterBuffer.stats,
+                incomplete: source.assembler.incomplete,
+                buffered: source.jitterBuffer.size
+            });
+        }
+        return stats;
+    }
+
+    /**
+     * Asks a source to (re)send its /start message
+     * 
+     * Rate limited per source so a burst of data packets from an
+     * unknown stream does not turn into a burst of requests.
+     * 
+     * @private
+     * @param {string} key - Source key "ip:port:sourceId"
+     * @param {Object} rinfo - Remote address info {address, port}
+     * @param {number} sourceId - Source identifier
+     */
+    _requestFormat(key, rinfo, sourceId) {
+        const now = Date.now();
+        if (now - (this._formatRequests.get(key) || 0) < kFormatRequestInterval) return;
+        this._formatRequests.set(key, now);
+
+        const msg = osc.encodeMessage(`/aoo/src/${sourceId}/start`, [
+            { type: 'i', value: this.sinkId },
+            { type: 's', value: kAooVersion }
+        ]);
+        this.socket.send(msg, rinfo.port, udp.socketAddress(rinfo.address, this.socketType));
+    }
+
+    /**
+     * Notes that a known source is still there (it pinged us)
+     * 
+     * @private
+     * @param {Object} rinfo - Remote address info {address, port}
+     * @param {number} sourceId - Source identifier
+     */
+    _touchSource(rinfo, sourceId) {
+        const source = this.sources.get(`${rinfo.address}:${rinfo.port}:${sourceId}`);
+        if (source) source.lastSeen = Date.now();
+    }
+
+    /**
+     * Forgets sources we have not heard from within `sourceTimeout`
+     * 
+     * Sources normally leave with /stop; one that went away without it
+     * would otherwise be pinged forever. Expired sources are reported
+     * with 'sourceTimeout' and 'stop'. Format request times older than
+     * the rate limit are dropped as well, so that packets from unknown
+     * streams don't pile up entries.
+     * 
+     * @private
+     */
+    _expireSources() {
+        const now = Date.now();
+        if (this.sourceTimeout) {
+            for (const [key, source] of this.sources) {
+                if (now - source.lastSeen > this.sourceTimeout) {
+                    this.emit('sourceTimeout', this._sourceInfo(source));
+                    this._endStream(key, source);
+                }
+            }
+        }
+        for (const [key, requested] of this._formatRequests) {
+            if (now - requested >= kFormatRequestInterval) this._formatRequests.delete(key);
+        }
+    }
+
+    /**
+     * Sends /ping to every known source
+     * 
+     * @private
+     */
+    _sendPings() {
+        const tt = time.now();  // Current time (NTP)
+        for (const source of this.sources.values()) {
+            const msg = osc.encodeMessage(`/aoo/src/${source.sourceId}/ping`, [
+                { type: 'i', value: this.sinkId },
+                { type: 't', value: tt }
+            ]);
+            this.socket.send(msg, source.port, udp.socketAddress(source.host, this.socketType));
+        }
+    }
+
+    /**
+     * Handles a /pong reply to one of our pings
+     * 
+     * Arguments: sourceId, tt1 (our ping time), tt2 (source time)
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handlePong(args, rinfo) {
+        if (args.length < 2 || typeof args[1] !== 'bigint') return;
+        const [sourceId, tt1] = args;
+        const source = this.sources.get(`${rinfo.address}:${rinfo.port}:${sourceId}`);
+        if (!source) return;
+
+        const rtt = time.duration(tt1, time.now()) * 1000;
+        source.rtt = rtt;
+        source.lastSeen = Date.now();
+        this.emit('ping', { host: source.host, port: source.port, sourceId, rtt });
+    }
+
+    /**
+     * Sends a /pong response to a source's /ping
+     * 
+     * @private
+     * @param {string} host - Source IP address
+     * @param {number} port - Source UDP port
+     * @param {Array} args - Parsed ping arguments [sourceId, tt1]
+     */
+    _sendPong(host, port, args) {
+        if (args.length < 2) return;
+        const [sourceId, tt1] = args;
+        const tt2 = time.now();
+
+        const msg = osc.encodeMessage(`/aoo/src/${sourceId}/pong`, [
+            { type: 'i', value: this.sinkId },
+            { type: 't', value: BigInt(tt1 || 0) },
+            { type: 't', value: tt2 }
+        ]);
+        this.socket.send(msg, port, udp.socketAddress(host, this.socketType));
+    }
+
+    /**
+     * Returns the public description of a source's stream
+     * 
+     * @private
+     * @param {Object} source - Internal source state
+     * @returns {Object} Source info passed to event listeners
+     */
+    _sourceInfo(source) {
+        return {
+            host: source.host,
+            port: source.port,
+            sourceId: source.sourceId,
+            streamId: source.streamId,
+            formatId: source.formatId,
+            channels: source.channels,
+            sampleRate: source.sampleRate,
+            blockSize: source.blockSize,
+            codec: source.codec,
+            startTime: source.startTime,
+            metadata: source.metadata || null,
+            realSampleRate: source.realSampleRate || null,
+            lastTimetag: source.lastTimetag || null
+        };
+    }
+
+    /**
+     * Emits an 'error' event if anyone is listening
+     * 
+     * Malformed packets from the network must not crash applications
+     * that don't handle 'error'.
+     * 
+     * @private
+     * @param {Error} err - The error
+     */
+    _emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+    }
+
+    // ========================================================================
+    // Cleanup
+    // ========================================================================
+
+    /**
+     * Closes the sink and releases resources
+     * 
+     * The sink cannot be used after calling close().
+     */
+    close() {
+        if (this._closed) return;
+        this._closed = true;
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        for (const source of this.sources.values()) {
+            this._stopPlayout(source);
+        }
+        this.sources.clear();
+        this.invitations.clear();
+        this._formatRequests.clear();
+        this.socket.close();
+        this.emit('close');
+    }
+}
+
+// Export the AooSink class
+module.exports = { AooSink };
@@ -16,28 +16,91 @@
  */
 
 const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+const {
+    kAooBinMsgDomainBit,
+    kAooBinMsgCmdData,
+    kAooBinMsgDataFlagSampleRate,
+    kAooBinMsgDataFlagTimetag,
+    kAooBinMsgDataFlagMessages,
+    kAooMsgTypeSink,
+    kAooBinMsgDataHeaderSize,
+    kAooStreamMessageHeaderSize,
+    kAooDefaultPacketSize,
+    kAooMaxFrames,
+    kAooVersion,
+    kSequenceWrap,
+    sequenceDiff,
+    sequenceAdd,
+    dataTrailerSize,
+    dataTypeId,
+    encodeData,
+    encodeStreamMessages
+} = require('./aoo-protocol');
+const osc = require('./osc');
+const time = require('./time');
+const codec = require('./codec');
+const udp = require('./udp');
+const { HistoryBuffer } = require('./history-buffer');
+const { RingBuffer } = require('./ring-buffer');
+const { PacketPool } = require('./packet-pool');
+const { Scheduler } = require('./scheduler');
+const { Resampler } = require('./resampler');
+const { interleave } = require('./pcm');
+const { AooWriteStream } = require('./streams');
 
-// ============================================================================
-// AOO Protocol Constants
-// ============================================================================
+/**
+ * The sample rate estimate restarts when no audio arrived for this many
+ * of the last call's durations (e.g. after the application stalled)
+ */
+const kDllResetFactor = 8;
+
+/**
+ * Largest automatic drift correction of the resampler (relative to the
+ * nominal input rate); bigger deviations are measurement errors
+ */
+const kMaxDriftCorrection = 0.01;
+
+/**
+ * Largest encoded sample (float64), for codecs that don't tell their
+ * largest block (`maxBlockBytes`)
+ */
+const kMaxSampleBytes = 8;
 
 /**
- * Binary message domain bit - indicates this is an AOO binary message
- * When set (0x80), the message contains raw audio data
+ * Room in a /start message for everything but the stream metadata
+ * (bytes); the rest of `maxPacketSize` is left for the metadata
  */
-const kAooBinMsgDomainBit = 0x80;
+const kStartMessageOverhead = 256;
 
 /**
- * Binary message command type for audio data
- * Value 0 indicates this is audio sample data
+ * Checks whether a value can be used as a buffer of samples
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True for typed arrays and arrays of numbers
  */
-const kAooBinMsgCmdData = 0;
+function isSampleArray(value) {
+    if (ArrayBuffer.isView(value) && !(value instanceof DataView)) return true;
+    return Array.isArray(value) && (value.length === 0 || typeof value[0] === 'number');
+}
 
 /**
- * Message type identifier for sink (receiver) messages
- * Value 1 indicates the message is destined for a sink
+ * Creates the link statistics of a sink or group member
+ * 
+ * @returns {Object} Counters and measurements, see `AooSource._sinkStats`
  */
-const kAooMsgTypeSink = 1;
+function createLinkStats() {
+    return {
+        packets: 0,             // Data packets sent to the peer
+        bytes: 0,               // Bytes in those packets
+        resent: 0,              // Blocks resent to the peer
+        pongs: 0,               // Pongs received
+        rtt: null,              // Last round trip time (ms)
+        jitter: null,           // Transit time jitter (ms), see _handlePong
+        transit: null           // Last transit time (ms)
+    };
+}
 
 // ============================================================================
 // AooSource Class
@@ -56,11 +119,34 @@ const kAooMsgTypeSink = 1;
  *   blockSize: 512
  * });
  * 
+ * source.on('invite', (host, port, sinkId) => { ... });
+ * 
  * source.addSink('127.0.0.1', 9999, 1);
  * source.start();
  * source.sendAudio(leftChannel, rightChannel);
+ * 
+ * Events:
+ *   listening    (address)              - Socket is bound
+ *   invite       (host, port, sinkId)   - A sink invited us (and was accepted)
+ *   decline      (host, port, sinkId)   - An invitation was declined
+ *   uninvite     (host, port, sinkId)   - A sink asked us to stop
+ *   sinkAdded    (sink)                 - A sink was added
+ *   sinkRemoved  (sink)                 - A sink was removed
+ *   sinkTimeout  (sink)                 - A sink stopped pinging and was removed
+ *   start        ()                     - Streaming started
+ *   stop         ()                     - Streaming stopped
+ *   formatChange (format)               - Sample rate/format changed
+ *   late         ({lateness, skipped, silent}) - Scheduler mode: a block was
+ *                                        late, skipped or replaced by silence
+ *   memberAdded  (member)               - A sink replied to a multicast/broadcast
+ *                                        target (see addSink)
+ *   memberRemoved (member)              - A member of a group target timed out
+ *   ping         ({host, port, sinkId, rtt, [group]}) - A sink answered our ping
+ *   stats        (stats)                - Every `statsInterval` ms (see getStats)
+ *   error        (error)                - Socket or protocol error
+ *   close        ()                     - Source was closed
  */
-class AooSource {
+class AooSource extends EventEmitter {
     /**
      * Creates a new AOO audio source
      * 
@@ -68,27 +154,168 @@ class AooSource {
      * @param {number} [options.channels=2] - Number of audio channels (1=mono, 2=stereo)
      * @param {number} [options.sampleRate=48000] - Sample rate in Hz
      * @param {number} [options.blockSize=256] - Samples per audio block
+     * @param {string} [options.codec='pcm'] - Name of a registered codec (see codec.js)
+     * @param {Object} [options.codecOptions] - Options for the codec's encoder; for
+     *   'pcm': bitDepth ('int16', 'int24', 'float32' or 'float64'), clip ('hard'
+     *   or 'soft') and dither (boolean)
      * @param {number} [options.sourceId=1] - Unique identifier for this source
      * @param {number} [options.localPort=9998] - Local UDP port to bind to
+     *   (0: any free port, see the 'listening' event)
+     * @param {string} [options.socketType='udp4'] - 'udp4', or 'udp6' for an
+     *   IPv6 socket (dual-stack, i.e. also reaching IPv4 sinks, unless ipv6Only)
+     * @param {boolean} [options.ipv6Only=false] - With 'udp6': IPv6 only
+     * @param {string} [options.localAddress] - Address to bind to (default:
+     *   all interfaces, '0.0.0.0' or '::')
+     * @param {string} [options.localInterface] - Name of a network interface
+     *   to bind to (its address), if no localAddress is given
+     * @param {number} [options.multicastTTL=1] - Hops multicast packets may
+     *   travel (1 = local network only)
+     * @param {string} [options.multicastInterface] - Interface (name or
+     *   address) to send multicast packets from (default: chosen by the system)
+     * @param {boolean} [options.multicastLoopback=true] - Whether multicast
+     *   packets are also delivered to this host
+     * @param {number} [options.pingInterval=1000] - Interval (ms) for pinging sinks
+     *   while streaming; 0 disables pings
+     * @param {number} [options.statsInterval=0] - Interval (ms) for the 'stats'
+     *   event; 0 disables it
+     * @param {number} [options.sinkTimeout=10000] - Remove sinks that have not been
+     *   heard from for this long (ms); 0 disables. Sinks that never sent us
+     *   anything (added by hand) are not affected.
+     * @param {Function} [options.onInvite] - Invitation policy, called as
+     *   `onInvite({host, port, sinkId, token})`; return (or resolve to) false
+     *   to decline. All invitations are accepted by default.
+     * @param {number} [options.maxPacketSize=1400] - Largest UDP datagram to send;
+     *   bigger blocks are split into frames (at most 255)
+     * @param {Object} [options.metadata] - Stream metadata sent with /start,
+     *   as {type, data} (see `setMetadata`)
+     * @param {number} [options.historyMs=1000] - How much sent audio (ms) to keep for resending
+     * @param {number} [options.historyBlocks] - Number of sent blocks to keep (overrides historyMs)
+     * @param {number} [options.maxResendsPerRequest=16] - Blocks resent for a single request
+     * @param {number} [options.maxResendsPerSecond=128] - Blocks resent to one sink per second
+     * @param {boolean} [options.sendTimetags=false] - Stamp data packets with the
+     *   NTP timetag of the block. An aoo-js extension in a trailer after the
+     *   audio: standard AOO receivers (Pd, Max, the C++ library) play the
+     *   audio and ignore the timetag.
+     * @param {boolean} [options.sendSampleRate=false] - Send the estimated real
+     *   sample rate with every data packet (in the trailer, like sendTimetags)
+     * @param {boolean} [options.streamMessages=false] - Allow `sendMessage`.
+     *   An aoo-js extension in the trailer, like sendTimetags: standard AOO
+     *   receivers play the audio and ignore the messages. Reserves half of
+     *   every data packet for them.
+     * @param {number} [options.dllBandwidth=0.012] - Bandwidth (Hz) of the
+     *   sample rate estimator
+     * @param {Function} [options.process] - Scheduler mode: called once per block
+     *   period as `process(frames, channels)` to fill `channels` (one
+     *   zeroed Float32Array of `frames` samples per channel, the same arrays
+     *   every block). May return a promise, which must resolve within one
+     *   block period.
+     * @param {number} [options.maxCatchUp=4] - Scheduler mode: most blocks to
+     *   produce in a row after a stall; older ones are skipped
+     * @param {string} [options.resampler] - Convert the input to `sampleRate`
+     *   instead of changing the stream format when the input rate differs:
+     *   'linear' or 'sinc' (higher quality). Off by default.
+     * @param {number} [options.inputSampleRate=sampleRate] - With a resampler:
+     *   sample rate of the audio passed to sendAudio (or produced by `process`)
+     * @param {boolean} [options.driftCorrection=false] - With a resampler:
+     *   follow the estimated real input rate (see `realSampleRate`), so the
+     *   stream keeps its nominal rate against the system clock
+     * @throws {RangeError} If maxPacketSize is out of range, or a block
+     *   doesn't fit into 255 packets of maxPacketSize
      */
     constructor(options = {}) {
+        super();
+
         // Audio format configuration
         this.channels = options.channels || 2;
         this.sampleRate = options.sampleRate || 48000;
         this.blockSize = options.blockSize || 256;
+        this.codec = options.codec || 'pcm';
+        this.codecOptions = options.codecOptions || {};
         this.sourceId = options.sourceId || 1;
-        this.localPort = options.localPort || 9998;
+        this.localPort = options.localPort !== undefined ? options.localPort : 9998;
+        this.pingInterval = options.pingInterval !== undefined ? options.pingInterval : 1000;
+        this.sinkTimeout = options.sinkTimeout !== undefined ? options.sinkTimeout : 10000;
+        this.statsInterval = options.statsInterval || 0;
+        this.onInvite = options.onInvite || null;
+
+        // Blocks larger than this are split into several frames
+        this.maxPacketSize = options.maxPacketSize || kAooDefaultPacketSize;
+        if (this.maxPacketSize <= kAooBinMsgDataHeaderSize || this.maxPacketSize > 65507) {
+            throw new RangeError(`maxPacketSize must be between ${kAooBinMsgDataHeaderSize + 1} and 65507`);
+        }
 
-        // Create UDP socket for sending/receiving OSC messages
-        this.socket = dgram.createSocket('udp4');
+        // Stream messages (sendMessage) are an aoo-js extension, see below
+        this.streamMessages = !!options.streamMessages;
+
+        // Room for the stream messages of a block: at most half of a packet,
+        // so that every packet still carries a good part of audio
+        const timingSize = dataTrailerSize(kAooBinMsgDataFlagSampleRate | kAooBinMsgDataFlagTimetag);
+        this._maxMessageBytes = this.streamMessages
+            ? Math.floor((this.maxPacketSize - kAooBinMsgDataHeaderSize - timingSize) / 2)
+            : 0;
+        this._maxHeaderSize = kAooBinMsgDataHeaderSize + timingSize + this._maxMessageBytes;
+
+        // Stream metadata {type, data}, or null
+        this.metadata = null;
+        this._metadataBytes = null;        // Encoded metadata.data
+        if (options.metadata) this.setMetadata(options.metadata.type, options.metadata.data);
+
+        // Resend configuration
+        this.historyMs = options.historyMs !== undefined ? options.historyMs : 1000;
+        this.historyBlocks = options.historyBlocks;
+        this.maxResendsPerRequest = options.maxResendsPerRequest || 16;
+        this.maxResendsPerSecond = options.maxResendsPerSecond || 128;
+
+        // Timing information in data packets
+        this.sendTimetags = !!options.sendTimetags;
+        this.sendSampleRate = !!options.sendSampleRate;
+
+        // Scheduler mode: the source pulls audio from `process` on its own clock
+        this.process = options.process || null;
+        this.maxCatchUp = options.maxCatchUp || 4;
+        this._scheduler = null;
+        this._pendingProcess = null;       // Async process call still running
+        this._processChannels = null;      // Arrays `process` fills, one per channel
+        this._silence = null;              // A block of silence (interleaved)
+        this._silentBlocks = 0;            // Blocks replaced by silence
+
+        // Encoder for the configured codec (throws for unknown codecs)
+        this._encoder = this._createEncoder();
+
+        // Optional sample rate conversion of the input to `sampleRate`
+        this.resampler = options.resampler || null;
+        this.driftCorrection = !!options.driftCorrection;
+        this._inputSampleRate = options.inputSampleRate || this.sampleRate;
+        this._resampler = this._createResampler();
 
-        // Map of connected sinks (receivers) - key: "ip:port:sinkId"
+        // Create UDP socket for sending/receiving OSC messages
+        const socketConfig = udp.socketConfig(options);
+        this.socketType = socketConfig.type;
+        this.ipv6Only = socketConfig.ipv6Only;
+        this.localAddress = socketConfig.address;
+        this.socket = dgram.createSocket({ type: this.socketType, ipv6Only: this.ipv6Only });
+        this._bound = false;
+
+        // Multicast and broadcast settings, applied once the socket is bound
+        this.multicastTTL = 1;
+        this.multicastInterface = null;
+        this.multicastLoopback = true;
+        this._multicastAddress = null;     // multicastInterface in socket form
+        this._broadcast = false;           // Whether broadcast sinks were added
+        if (options.multicastTTL !== undefined) this.setMulticastTTL(options.multicastTTL);
+        if (options.multicastInterface) this.setMulticastInterface(options.multicastInterface);
+        if (options.multicastLoopback !== undefined) this.setMulticastLoopback(options.multicastLoopback);
+
+        // Map of connected sinks (receivers) - key: "ip:port:sinkId", with
+        // the address normalized (see udp.js)
         this.sinks = new Map();
 
-        // Sequence number for audio packets (increments each block)
+        // Block counter (increments each block). Every sink has its own
+        // sequence numbers on the wire; this one indexes the resend history.
         this.sequence = 0;
 
-        // Unique stream ID - generated from timestamp, used to identify this stream session
+        // Stream ID for sinks added with addSink() - generated from timestamp.
+        // Invited sinks use the token from their invitation instead.
         this.streamId = (Date.now() & 0x7FFFFFFF);
 
         // Streaming state flag
@@ -98,23 +325,79 @@ class AooSource {
         this.formatId = 0;
 
         // AOO protocol version string for handshake
-        this.sinkVersion = '2.0';
+        this.sinkVersion = kAooVersion;
 
         // Internal state flags
         this._startSent = false;           // Whether /start message has been sent
         this._detectedSampleRate = null;   // Sample rate detected from incoming audio
-        this.sampleBuffer = [];            // Buffer for accumulating samples before sending
+        this._timer = null;                // Interval timer for pings and sink timeouts
+        this._closed = false;              // Whether close() was called
+        this._startTime = null;            // NTP timetag of the stream start
+        // Time (s) of the last sendAudio call; NaN rather than null before
+        // the first one, so the field holds a plain double and storing
+        // the time doesn't allocate
+        this._lastAudioTime = NaN;
+        this._dll = new time.TimeDLL({ bandwidth: options.dllBandwidth });
+
+        // Stream messages waiting for their block, ordered by position
+        // {position, type, data}; positions are stream frames since start()
+        this._messages = [];
+        this._sentFrames = 0;              // Frames sent since start()
+
+        // Audio path buffers, allocated once so that sending doesn't
+        // create garbage: sendAudio sorts its arguments into _args and
+        // _input, incoming samples collect in the ring until a block is
+        // complete, blocks are read into _block, and datagrams are
+        // written into pooled packets from the _header template
+        this._args = [];
+        this._input = { channels: null, interleaved: null, sampleRate: undefined };
+        this._ring = new RingBuffer(this.channels, this.blockSize * 2);
+        this._block = new Float32Array(this.blockSize * this.channels);
+        this._timing = { time: 0, sampleRate: 0 };  // Reused by _blockTiming
+        this._header = Buffer.alloc(this._maxHeaderSize);
+        this._packets = new PacketPool(this.maxPacketSize);
+
+        // Recently sent blocks, kept for answering resend requests
+        this._history = new HistoryBuffer(this._historyCapacity());
+
+        // Resend counters (totals across all sinks)
+        this.resendStats = {
+            requested: 0,   // Blocks asked for by sinks
+            served: 0,      // Blocks actually resent
+            missing: 0,     // Blocks no longer (or never) in the history
+            limited: 0      // Blocks refused by the rate limits
+        };
+
+        // Send counters (totals across all sinks; per sink in the sink entries)
+        this.sendStats = {
+            blocks: 0,      // Blocks sent
+            packets: 0,     // Data packets sent, including resent ones
+            bytes: 0        // Bytes in those packets
+        };
+        this._statsTimer = null;
 
         // Set up message handler for incoming OSC messages (invites, pings, etc.)
         this.socket.on('message', (msg, rinfo) => {
+            // IPv4 sinks reach a dual-stack socket with mapped addresses
+            rinfo.address = udp.unmapAddress(rinfo.address);
             this._handleMessage(msg, rinfo);
         });
 
-        // Suppress socket errors (handled gracefully)
-        this.socket.on('error', (err) => { });
+        this.socket.on('error', (err) => {
+            this._emitError(err);
+        });
+
+        this.socket.on('listening', () => {
+            this._bound = true;
+            this._applySocketOptions();
+            this.emit('listening', this.socket.address());
+        });
 
         // Bind socket to local port to receive responses
-        this.socket.bind(this.localPort, '0.0.0.0');
+        this.socket.bind(this.localPort, this.localAddress);
+
+        this._startTimer();
+        this._startStatsTimer();
     }
 
     // ========================================================================
@@ -124,13 +407,278 @@ class AooSource {
     /**
      * Adds a sink (receiver) to stream audio to
      * 
-     * @param {string} host - IP address of the sink (e.g., '127.0.0.1')
+     * Sinks added by hand share the source's `streamId`. Adding a sink
+     * that already exists only reactivates it.
+     * 
+     * IP addresses are added right away. Host names are resolved first
+     * (see `socketType` for the address families used), so the sink is
+     * keyed by its address and can't be added twice under different
+     * names; it is added once the lookup has finished.
+     * 
+     * The address may be a multicast group or a broadcast address, which
+     * feeds every sink in the group (all listening on `port` with the
+     * same `sinkId`) with one datagram per packet. The group members
+     * answer from their own addresses; they are tracked as members of
+     * the group target, so that their pings, invitations and resend
+     * requests work as for other sinks. Messages from an unknown address
+     * with the port and sink ID of a group target are taken as coming
+     * from a member.
+     * 
+     * @param {string} host - Host name or IP address of the sink
+     *   (e.g. '127.0.0.1', '::1', 'studio.local', '239.1.2.3', '192.168.1.255')
      * @param {number} port - UDP port of the sink
      * @param {number} sinkId - Unique sink identifier (must match receiver's ID)
+     * @param {Function} [callback] - Called as `callback(err, {host, port, sinkId})`
+     *   when the sink was added (synchronously for IP addresses). Without a
+     *   callback, lookup failures are reported through the 'error' event.
+     */
+    addSink(host, port, sinkId, callback) {
+        udp.resolveHost(host, this.socketType, this.ipv6Only, (err, address) => {
+            if (this._closed) return;
+            if (err) {
+                if (callback) callback(err);
+                else this._emitError(err);
+                return;
+            }
+            this._addSink(address, port, sinkId, this.streamId, host);
+            if (callback) callback(null, { host: address, port, sinkId });
+        });
+    }
+
+    /**
+     * Creates (or reactivates) a sink entry
+     * 
+     * @private
+     * @param {string} host - IP address of the sink (normalized)
+     * @param {number} port - UDP port of the sink
+     * @param {number} sinkId - Sink identifier
+     * @param {number} streamId - Stream ID to use for this sink
+     * @param {string} [name=host] - Host name the sink was added as
+     * @returns {Object} The sink entry
      */
-    addSink(host, port, sinkId) {
+    _addSink(host, port, sinkId, streamId, name = host) {
         const key = `${host}:${port}:${sinkId}`;
-        this.sinks.set(key, { host, port, sinkId, active: true });
+        let sink = this.sinks.get(key);
+        if (sink) {
+            sink.active = true;
+            return sink;
+        }
+
+        const kind = udp.addressKind(host);
+        sink = {
+            host, port, sinkId, active: true,
+            name,                   // Host name as given to addSink
+            address: udp.socketAddress(host, this.socketType),  // Address to send to
+            kind,                   // 'unicast', 'multicast' or 'broadcast'
+            members: kind === 'unicast' ? null : new Map(),  // Group members, key: "ip:port"
+            streamId,               // Stream ID of this sink's stream
+            sequence: 0,            // Next sequence number to send to this sink
+            startSent: false,       // Whether this sink got /start for the current stream
+            lastSeen: null,         // Time (ms) we last heard from the sink, null = never
+            ...createLinkStats(),
+            pings: 0,               // Pings sent
+            resendWindow: 0,        // Start of the current rate limit window (ms)
+            resendCount: 0          // Blocks resent in the current window
+        };
+        this.sinks.set(key, sink);
+        if (kind === 'broadcast') this._enableBroadcast();
+        this.emit('sinkAdded', { host, port, sinkId });
+        return sink;
+    }
+
+    /**
+     * Finds the sender of a message: a sink, or a member of a group target
+     * 
+     * @private
+     * @param {string} host - IP address the message came from (normalized)
+     * @param {number} port - UDP port it came from
+     * @param {number} sinkId - Sink ID in the message
+     * @returns {Object|null} Sink entry, member entry (with `group` set to
+     *   the group's sink entry), or null for unknown senders
+     */
+    _findPeer(host, port, sinkId) {
+        const sink = this.sinks.get(`${host}:${port}:${sinkId}`);
+        if (sink) return sink;
+        const group = this._findGroup(port, sinkId);
+        return group ? group.members.get(`${host}:${port}`) || null : null;
+    }
+
+    /**
+     * Finds the group target (multicast or broadcast sink) a sink that is
+     * not known by its address belongs to
+     * 
+     * @private
+     * @param {number} port - UDP port of the sink
+     * @param {number} sinkId - Sink identifier
+     * @returns {Object|null} The group's sink entry, or null
+     */
+    _findGroup(port, sinkId) {
+        for (const sink of this.sinks.values()) {
+            if (sink.members && sink.port === port && sink.sinkId === sinkId) return sink;
+        }
+        return null;
+    }
+
+    /**
+     * Registers (or returns) a member of a group target
+     * 
+     * Members are added when they first send us a message (usually a
+     * /start request or a /pong). They receive the group's stream; they
+     * are only sent the replies to their own messages (/start, /stop,
+     * /pong and resent packets). Members are added without asking the
+     * invitation policy, as the group was added by hand.
+     * 
+     * @private
+     * @param {Object} group - Sink entry of the group
+     * @param {string} host - IP address of the member (normalized)
+     * @param {number} port - UDP port of the member
+     * @returns {Object} Member entry
+     */
+    _addMember(group, host, port) {
+        const key = `${host}:${port}`;
+        let member = group.members.get(key);
+        if (member) return member;
+
+        member = {
+            host, port, sinkId: group.sinkId, active: true,
+            address: udp.socketAddress(host, this.socketType),
+            group,                  // Sink entry of the group target
+            lastSeen: null,
+            ...createLinkStats(),
+            resendWindow: 0,
+            resendCount: 0
+        };
+        group.members.set(key, member);
+        this.emit('memberAdded', this._memberInfo(member));
+        return member;
+    }
+
+    /**
+     * Returns the public description of a group member
+     * 
+     * @private
+     * @param {Object} member - Member entry
+     * @returns {Object} {host, port, sinkId, group} with the group address
+     */
+    _memberInfo(member) {
+        return { host: member.host, port: member.port, sinkId: member.sinkId, group: member.group.host };
+    }
+
+    /**
+     * Removes a sink
+     * 
+     * If the stream is running, the sink is sent a /stop message first.
+     * Without a sink ID, all sinks at host:port are removed.
+     * 
+     * @param {string} host - IP address of the sink, or the host name it
+     *   was added as
+     * @param {number} port - UDP port of the sink
+     * @param {number} [sinkId] - Sink identifier
+     * @returns {boolean} True if a sink was removed
+     */
+    removeSink(host, port, sinkId) {
+        const address = udp.normalizeAddress(host);
+        let removed = false;
+        for (const [key, sink] of this.sinks) {
+            if ((sink.host !== address && sink.name !== host) || sink.port !== port) continue;
+            if (sinkId !== undefined && sink.sinkId !== sinkId) continue;
+            this._removeSinkEntry(key, sink);
+            removed = true;
+        }
+        return removed;
+    }
+
+    /**
+     * Removes all sinks, sending /stop to each of them if streaming
+     */
+    removeAllSinks() {
+        for (const [key, sink] of this.sinks) {
+            this._removeSinkEntry(key, sink);
+        }
+    }
+
+    /**
+     * Stops streaming to a sink and forgets it
+     * 
+     * @private
+     * @param {string} key - Sink key "ip:port:sinkId"
+     * @param {Object} sink - Sink entry
+     */
+    _removeSinkEntry(key, sink) {
+        if (this.isStreaming && sink.active) {
+            this._sendStopOSC(sink);
+        }
+        this.sinks.delete(key);
+        this.emit('sinkRemoved', { host: sink.host, port: sink.port, sinkId: sink.sinkId });
+    }
+
+    // ========================================================================
+    // Multicast and Broadcast
+    // ========================================================================
+
+    /**
+     * Sets how many hops multicast packets may travel
+     * 
+     * @param {number} ttl - Time to live, 0-255 (1 = local network only)
+     * @throws {RangeError} For values outside 0-255
+     */
+    setMulticastTTL(ttl) {
+        if (!Number.isInteger(ttl) || ttl < 0 || ttl > 255) {
+            throw new RangeError(`multicastTTL must be an integer between 0 and 255, got ${ttl}`);
+        }
+        this.multicastTTL = ttl;
+        if (this._bound) this.socket.setMulticastTTL(ttl);
+    }
+
+    /**
+     * Sets the network interface multicast packets are sent from
+     * 
+     * @param {string} iface - Interface name (e.g. 'eth0') or address
+     * @throws {RangeError} For unknown interfaces
+     */
+    setMulticastInterface(iface) {
+        this._multicastAddress = udp.multicastInterface(iface, this.socketType);
+        this.multicastInterface = iface;
+        if (this._bound) this.socket.setMulticastInterface(this._multicastAddress);
+    }
+
+    /**
+     * Sets whether multicast packets are also delivered to this host
+     * (needed for sinks on the same machine)
+     * 
+     * @param {boolean} enabled - Loop multicast packets back
+     */
+    setMulticastLoopback(enabled) {
+        this.multicastLoopback = !!enabled;
+        if (this._bound) this.socket.setMulticastLoopback(this.multicastLoopback);
+    }
+
+    /**
+     * Allows sending to broadcast addresses (once a broadcast sink is added)
+     * 
+     * @private
+     */
+    _enableBroadcast() {
+        if (this._broadcast) return;
+        this._broadcast = true;
+        if (this._bound) this.socket.setBroadcast(true);
+    }
+
+    /**
+     * Applies the multicast and broadcast settings made before the
+     * socket was bound
+     * 
+     * @private
+     */
+    _applySocketOptions() {
+        try {
+            this.socket.setMulticastTTL(this.multicastTTL);
+            this.socket.setMulticastLoopback(this.multicastLoopback);
+            if (this._multicastAddress) this.socket.setMulticastInterface(this._multicastAddress);
+            if (this._broadcast) this.socket.setBroadcast(true);
+        } catch (err) {
+            this._emitError(err);
+        }
     }
 
     // ========================================================================
@@ -147,9 +695,20 @@ class AooSource {
         if (this.isStreaming) return;
         this.isStreaming = true;
         this.sequence = 0;
-        this.sampleBuffer = [];
+        for (const sink of this.sinks.values()) {
+            sink.sequence = 0;
+            sink.startSent = false;
+        }
+        this._ring.clear();
+        this._messages = [];
+        this._sentFrames = 0;
         this._startSent = false;
         this._detectedSampleRate = null;
+        this._startTime = time.now();
+        this._dll.reset();
+        this._resetHistory();
+        if (this.process) this._startScheduler();
+        this.emit('start');
     }
 
     /**
@@ -157,7 +716,7 @@ class AooSource {
      * 
      * This message informs receivers about the stream format:
      * - Sample rate, channels, block size
-     * - Codec type (PCM)
+     * - Codec name and extension
      * - Stream and format IDs
      * 
      * @private
@@ -165,7 +724,7 @@ class AooSource {
     _sendStartToAllSinks() {
         for (const sink of this.sinks.values()) {
             if (sink.active) {
-                this._sendStartOSC(sink.host, sink.port, sink.sinkId);
+                this._sendStartOSC(sink);
             }
         }
         this._startSent = true;
@@ -174,10 +733,19 @@ class AooSource {
     /**
      * Stops the audio stream
      * 
-     * Sets streaming flag to false. Audio buffers are cleared on next start().
+     * Sends /stop to all active sinks and sets streaming flag to false.
+     * Audio buffers are cleared on next start().
      */
     stop() {
+        if (!this.isStreaming) return;
+        this._stopScheduler();
+        for (const sink of this.sinks.values()) {
+            if (sink.active) {
+                this._sendStopOSC(sink);
+            }
+        }
         this.isStreaming = false;
+        this.emit('stop');
     }
 
     /**
@@ -189,8 +757,16 @@ class AooSource {
      */
     _setSampleRate(newRate) {
         if (this.sampleRate !== newRate) {
+            // Throws before anything changed if the new format can't be sent
+            const encoder = this._createEncoder(newRate);
             this.sampleRate = newRate;
             this.formatId++;
+            this._encoder = encoder;
+            this._resampler = this._createResampler();
+            this._dll.reset();
+            this._restartScheduler();
+            this._resetHistory();
+            this.emit('formatChange', this._formatInfo());
         }
     }
 
@@ -201,293 +777,1077 @@ class AooSource {
      * to notify them of the format change.
      * 
      * @param {number} newRate - New sample rate in Hz
+     * @throws {RangeError} If a block of the new format doesn't fit into
+     *   255 packets (the format stays as it was)
      */
     updateSampleRate(newRate) {
-        if (!this._startSent) {
-            this._setSampleRate(newRate);
-            return;
+        if (this.sampleRate === newRate) return;
+        this._setSampleRate(newRate);
+        if (!this._startSent) return;
+        // Notify all sinks of format change
+        for (const sink of this.sinks.values()) {
+            if (sink.active) {
+                this._sendStartOSC(sink);
+            }
         }
-        if (this.sampleRate !== newRate) {
-            this.sampleRate = newRate;
-            this.formatId++;
-            // Notify all sinks of format change
+    }
+
+    /**
+     * Sets the stream metadata, which receivers get with /start and can
+     * use to tell streams apart (track name, title, sending application)
+     * 
+     * While streaming, /start is sent to every active sink again, so
+     * the receivers pick up the change.
+     * 
+     * @example
+     * source.setMetadata('json', { title: 'Main mix', app: 'Abletube' });
+     * source.setMetadata('text', 'Drums');
+     * source.setMetadata(null);  // No metadata
+     * 
+     * @param {string|number|null} type - Data type: 'text', 'json', 'xml',
+     *   'fudi', 'osc', 'midi', 'raw' etc. (see kAooDataTypes in
+     *   aoo-protocol.js) or an AooDataType value (1000 and up are free for
+     *   applications); null removes the metadata
+     * @param {string|Buffer|ArrayBufferView|*} data - Metadata; for 'json'
+     *   any value JSON.stringify accepts
+     * @throws {RangeError} For unknown types and metadata that doesn't fit
+     *   into a /start message (`maxPacketSize`)
+     * @throws {TypeError} If the data can't be sent as this type
+     */
+    setMetadata(type, data) {
+        if (type === null || type === undefined) {
+            this.metadata = null;
+            this._metadataBytes = null;
+        } else {
+            const bytes = encodeData(dataTypeId(type), data);
+            const maxSize = this.maxPacketSize - kStartMessageOverhead;
+            if (bytes.length > maxSize) {
+                throw new RangeError(`Metadata of ${bytes.length} bytes is too large (max ${maxSize} with maxPacketSize ${this.maxPacketSize})`);
+            }
+            this.metadata = { type, data };
+            this._metadataBytes = bytes;
+        }
+
+        if (this.isStreaming && this._startSent) {
             for (const sink of this.sinks.values()) {
                 if (sink.active) {
-                    this._sendStartOSC(sink.host, sink.port, sink.sinkId);
+                    this._sendStartOSC(sink);
                 }
             }
         }
     }
 
-    // ========================================================================
-    // Audio Data Transmission
-    // ========================================================================
-
     /**
-     * Sends audio data to all connected sinks
+     * Returns the current stream format
      * 
-     * Audio samples are buffered and sent in blocks of size `blockSize`.
-     * Interleaves stereo channels: [L0, R0, L1, R1, L2, R2, ...]
+     * @private
+     * @returns {Object} Format info {formatId, channels, sampleRate, blockSize}
+     */
+    _formatInfo() {
+        return {
+            formatId: this.formatId,
+            channels: this.channels,
+            sampleRate: this.sampleRate,
+            blockSize: this.blockSize
+        };
+    }
+
+    /**
+     * Sample rate of the audio passed to sendAudio: the input rate of the
+     * resampler, or the stream's sample rate if there is none
      * 
-     * @param {Float32Array|Array} left - Left channel samples
-     * @param {Float32Array|Array} right - Right channel samples
-     * @param {number} [sampleRate] - Optional sample rate (for dynamic rate detection)
+     * @type {number}
      */
-    sendAudio(left, right, sampleRate) {
-        if (!this.isStreaming) return;
+    get inputSampleRate() {
+        return this._resampler ? this._resampler.inputRate : this.sampleRate;
+    }
 
-        // Send /start message on first audio data
-        if (!this._startSent) {
-            if (sampleRate && sampleRate !== this.sampleRate) {
-                this._setSampleRate(sampleRate);
-            }
-            this._sendStartToAllSinks();
+    /**
+     * Changes the sample rate of the input
+     * 
+     * With a resampler the stream format stays the same and only the
+     * conversion ratio changes. Without one this is `updateSampleRate()`.
+     * 
+     * @param {number} rate - New input sample rate in Hz
+     */
+    setInputSampleRate(rate) {
+        if (!this._resampler) {
+            this.updateSampleRate(rate);
+            return;
         }
+        if (rate === this._resampler.inputRate) return;
+        this._inputSampleRate = rate;
+        this._resampler.setInputRate(rate);
+        this._resampler.setDrift(1);
+        this._dll.reset();
+        this._restartScheduler();
+    }
 
-        // Convert to arrays if Float32Array
-        const leftArr = Array.isArray(left) ? left : Array.from(left);
-        const rightArr = Array.isArray(right) ? right : Array.from(right);
-
-        // Interleave samples into buffer: [L, R, L, R, ...]
-        for (let i = 0; i < leftArr.length; i++) {
-            this.sampleBuffer.push(leftArr[i]);
-            this.sampleBuffer.push(rightArr[i]);
+    /**
+     * Corrects the resampler for clock drift of the input: the input is
+     * consumed `factor` times faster than its nominal rate (e.g. 1.0001
+     * for an input that runs 100 ppm fast). Replaces the automatic
+     * correction of the `driftCorrection` option until the next estimate.
+     * 
+     * @param {number} factor - Correction factor, close to 1
+     * @throws {Error} If the source has no resampler
+     */
+    setDriftCorrection(factor) {
+        if (!this._resampler) {
+            throw new Error('Drift correction needs the resampler option');
         }
+        this._resampler.setDrift(factor);
+    }
 
-        // Send complete blocks
-        const samplesPerBlock = this.blockSize * this.channels;
-        while (this.sampleBuffer.length >= samplesPerBlock) {
-            const block = this.sampleBuffer.splice(0, samplesPerBlock);
-            this._sendBlock(block);
-        }
+    /**
+     * Creates the resampler for the current input and stream rates
+     * 
+     * @private
+     * @returns {Resampler|null} Resampler, or null if resampling is off
+     */
+    _createResampler() {
+        if (!this.resampler) return null;
+        return new Resampler({
+            channels: this.channels,
+            inputRate: this._inputSampleRate,
+            outputRate: this.sampleRate,
+            quality: this.resampler
+        });
     }
 
     /**
-     * Sends a single audio block to all sinks
+     * Creates an encoder for the current codec and format
      * 
-     * Converts float samples to big-endian 32-bit floats and
-     * wraps in AOO binary data message format.
+     * Also checks that an encoded block fits into kAooMaxFrames packets,
+     * even with the largest header, so that a format that can't be sent
+     * is refused here and not on the first block.
      * 
      * @private
-     * @param {Array<number>} samples - Interleaved audio samples
+     * @param {number} [sampleRate=this.sampleRate] - Sample rate of the format
+     * @returns {Object} Encoder {extension, encode(samples)}
+     * @throws {RangeError} If a block needs more than kAooMaxFrames packets
      */
-    _sendBlock(samples) {
-        // Convert float samples to binary buffer (32-bit float, big-endian)
-        const audioBytes = Buffer.allocUnsafe(samples.length * 4);
-        for (let i = 0; i < samples.length; i++) {
-            audioBytes.writeFloatBE(samples[i], i * 4);
-        }
-
-        // Send to all active sinks
-        for (const sink of this.sinks.values()) {
-            const msg = this._buildDataMessage(sink, audioBytes);
-            this.socket.send(msg, sink.port, sink.host);
-        }
-
-        // Increment sequence number (wraps at max int32)
-        this.sequence++;
-        if (this.sequence >= 0x7FFFFFFF) {
-            this.sequence = 0;
+    _createEncoder(sampleRate = this.sampleRate) {
+        const encoder = codec.createEncoder(this.codec, {
+            channels: this.channels,
+            sampleRate,
+            blockSize: this.blockSize
+        }, this.codecOptions);
+
+        const blockBytes = encoder.maxBlockBytes || this.blockSize * this.channels * kMaxSampleBytes;
+        const frames = Math.ceil(blockBytes / (this.maxPacketSize - this._maxHeaderSize));
+        if (frames > kAooMaxFrames) {
+            throw new RangeError(
+                `Blocks of ${this.blockSize} frames x ${this.channels} channels (${blockBytes} bytes) need ` +
+                `${frames} packets of maxPacketSize ${this.maxPacketSize} (max ${kAooMaxFrames}); ` +
+                'increase maxPacketSize or reduce blockSize');
         }
+        return encoder;
     }
 
     // ========================================================================
-    // AOO Binary Message Building
+    // Audio Data Transmission
     // ========================================================================
 
     /**
-     * Builds an AOO v2 binary data message
+     * Sends audio data to all connected sinks
      * 
-     * Binary message format (bytes):
-     *   0: Message type (sink) | domain bit (0x80)
-     *   1: Command (data = 0)
-     *   2: Sink ID
-     *   3: Source ID
-     *   4-7: Stream ID (int32 BE)
-     *   8-11: Sequence number (int32 BE)
-     *   12: Reserved (0)
-     *   13: Reserved (0)
-     *   14-15: Audio data length (uint16 BE)
-     *   16+: Audio data (PCM float32 BE)
+     * Audio samples are buffered and sent in blocks of size `blockSize`.
+     * Channels are interleaved: [L0, R0, L1, R1, L2, R2, ...]
      * 
-     * @private
-     * @param {Object} sink - Sink configuration {host, port, sinkId}
-     * @param {Buffer} audioData - Raw audio bytes
-     * @returns {Buffer} Complete binary message
+     * Accepts any of:
+     *   sendAudio(ch0, ch1, ..., [sampleRate])  - one array per channel
+     *   sendAudio([ch0, ch1, ...], [sampleRate]) - array of channel arrays
+     *   sendAudio(interleaved, [sampleRate])    - pre-interleaved samples
+     * 
+     * A single array is always treated as interleaved, which for a mono
+     * stream is the same as one channel array.
+     * 
+     * @param {...(Float32Array|Array<number>|Array<Float32Array>|number)} args -
+     *   Channel data, optionally followed by the sample rate of the data
+     *   (for dynamic rate detection; with a resampler it sets the input rate)
+     * @throws {TypeError} If the input is not audio data
+     * @throws {RangeError} If the channel count or lengths don't match `channels`
      */
-    _buildDataMessage(sink, audioData) {
-        const totalSize = 4 + 12 + audioData.length;  // Header (4) + metadata (12) + audio
-        const msg = Buffer.allocUnsafe(totalSize);
-        let offset = 0;
-
-        // Byte 0: Message type with domain bit set (binary message indicator)
-        msg.writeUInt8(kAooMsgTypeSink | kAooBinMsgDomainBit, offset++);
-
-        // Byte 1: Command type (0 = audio data)
-        msg.writeUInt8(kAooBinMsgCmdData, offset++);
-
-        // Byte 2: Sink ID (destination)
-        msg.writeUInt8(sink.sinkId & 0xFF, offset++);
-
-        // Byte 3: Source ID (sender)
-        msg.writeUInt8(this.sourceId & 0xFF, offset++);
+    sendAudio() {
+        if (!this.isStreaming) return;
 
-        // Bytes 4-7: Stream ID (identifies this streaming session)
-        msg.writeInt32BE(this.streamId, offset); offset += 4;
+        // `arguments` instead of a rest parameter, copied into the reused
+        // _args, so that the call doesn't allocate an array
+        const args = this._args;
+        args.length = arguments.length;
+        for (let i = 0; i < arguments.length; i++) args[i] = arguments[i];
+        const { channels, interleaved, sampleRate } = this._normalizeAudioInput(args);
+        const now = time.seconds();
 
-        // Bytes 8-11: Sequence number (for ordering/loss detection)
-        msg.writeInt32BE(this.sequence, offset); offset += 4;
+        if (this._resampler && sampleRate) {
+            this.setInputSampleRate(sampleRate);
+        }
 
-        // Bytes 12-13: Reserved fields
-        msg.writeUInt8(0, offset++);
-        msg.writeUInt8(0, offset++);
+        // Send /start message on first audio data
+        if (!this._startSent) {
+            if (!this._resampler && sampleRate && sampleRate !== this.sampleRate) {
+                this._setSampleRate(sampleRate);
+            }
+            this._sendStartToAllSinks();
+        }
 
-        // Bytes 14-15: Audio data length
-        msg.writeUInt16BE(audioData.length, offset); offset += 2;
+        if (this._resampler) {
+            this._ring.writeInterleaved(this._resampler.process(interleaved || interleave(channels)));
+        } else if (interleaved) {
+            this._ring.writeInterleaved(interleaved);
+        } else {
+            // Interleaved in the ring: [c0, c1, ..., c0, c1, ...]
+            this._ring.writeChannels(channels);
+        }
 
-        // Bytes 16+: Audio data
-        audioData.copy(msg, offset);
+        this._updateSampleRateEstimate(
+            interleaved ? interleaved.length / this.channels : channels[0].length, now);
+
+        // Send complete blocks. A block ends before the samples that stay
+        // buffered (here and in the resampler), which dates it back from
+        // the time of this call.
+        const resamplerDelay = this._resampler ? this._resampler.buffered / this.inputSampleRate : 0;
+        while (this._ring.size >= this.blockSize) {
+            this._ring.read(this._block);
+            const buffered = this._ring.size;
+            this._sendBlock(this._block, this._blockTiming(now - buffered / this.sampleRate - resamplerDelay));
+        }
 
-        return msg;
+        // Don't hold on to the caller's arrays
+        args.fill(null);
+        this._input.channels = null;
+        this._input.interleaved = null;
     }
 
-    // ========================================================================
-    // OSC Message Building & Sending
-    // ========================================================================
-
     /**
-     * Sends OSC /start message to a sink
+     * Feeds the timing of a sendAudio call into the sample rate estimator
      * 
-     * This message contains full stream format information:
-     * - Source ID, version, stream ID, sequence, format ID
-     * - Channel count, sample rate, block size
-     * - Codec type ("pcm") with extension data
-     * - Timing and buffer information
+     * The estimator assumes calls of equal size, so it starts over when
+     * the call size changes or after a long pause.
      * 
      * @private
-     * @param {string} host - Sink IP address
-     * @param {number} port - Sink UDP port
-     * @param {number} sinkId - Sink identifier
+     * @param {number} frames - Samples per channel in this call
+     * @param {number} now - Time of the call in seconds
      */
-    _sendStartOSC(host, port, sinkId) {
-        const address = `/aoo/sink/${sinkId}/start`;
-        const version = this.sinkVersion || '2.0';
-
-        // Build OSC message with all format parameters
-        const msg = this._buildOSCMessage(address, [
-            { type: 'i', value: this.sourceId },          // Source ID
-            { type: 's', value: version },                 // Protocol version
-            { type: 'i', value: this.streamId },          // Stream session ID
-            { type: 'i', value: this.sequence },          // Current sequence
-            { type: 'i', value: this.formatId },          // Format version
-            { type: 'i', value: this.channels },          // Channel count
-            { type: 'i', value: this.sampleRate },        // Sample rate (Hz)
-            { type: 'i', value: this.blockSize },         // Samples per block
-            { type: 's', value: 'pcm' },                  // Codec name
-            { type: 'b', value: this._makePcmExtension() }, // Codec extension (bit depth)
-            { type: 't', value: BigInt(0) },              // Timestamp
-            { type: 'i', value: this.sampleRate / 10 },   // Reblock size
-            { type: 'i', value: 0 },                      // Reserved
-            { type: 'N', value: null },                   // Null (metadata)
-            { type: 'N', value: null },                   // Null (metadata)
-            { type: 'i', value: 0 },                      // Flags
-        ]);
-
-        this.socket.send(msg, port, host);
+    _updateSampleRateEstimate(frames, now) {
+        const dll = this._dll;
+        const last = this._lastAudioTime;
+        this._lastAudioTime = now;
+        if (frames === 0) return;
+
+        const inputRate = this.inputSampleRate;
+        const stalled = !Number.isNaN(last) &&
+            now - last > kDllResetFactor * frames / inputRate;
+        if (!dll.initialized || dll.blockSize !== frames || stalled) {
+            dll.setup(inputRate, frames, now);
+        } else {
+            dll.update(now);
+            if (this._resampler && this.driftCorrection) {
+                const drift = dll.sampleRate / inputRate;
+                this._resampler.setDrift(Math.min(1 + kMaxDriftCorrection,
+                    Math.max(1 - kMaxDriftCorrection, drift)));
+            }
+        }
     }
 
     /**
-     * Creates PCM codec extension data
+     * Estimated real sample rate of the stream
      * 
-     * Extension specifies bit depth:
-     *   3 = 32-bit float (used by this implementation)
+     * Derived from the timing of the sendAudio calls; equals the nominal
+     * sample rate until the first call. With a resampler this is the rate
+     * of its output, i.e. the estimated input rate scaled by the conversion
+     * ratio (the nominal rate, if drift correction keeps up).
      * 
-     * @private
-     * @returns {Buffer} 4-byte extension data
+     * @type {number}
      */
-    _makePcmExtension() {
-        const buf = Buffer.alloc(4);
-        buf.writeInt32BE(3, 0);  // 3 = float32 format
-        return buf;
+    get realSampleRate() {
+        if (!this._dll.initialized) return this.sampleRate;
+        if (!this._resampler) return this._dll.sampleRate;
+        return this._dll.sampleRate / this._resampler.ratio;
     }
 
     /**
-     * Builds a complete OSC message from address and arguments
-     * 
-     * OSC message format:
-     *   1. Address pattern (null-terminated, padded to 4 bytes)
-     *   2. Type tag string (comma + types, null-terminated, padded to 4 bytes)
-     *   3. Arguments (each padded to 4 bytes as needed)
+     * Creates the timing information sent with a block
      * 
-     * Supported types:
-     *   'i' - int32
-     *   's' - string
-     *   'b' - blob (binary data)
-     *   't' - timetag (uint64)
-     *   'N' - null
-     *   'T' - true
-     *   'F' - false
+     * @private
+     * @param {number} secs - Time of the block in seconds since 1970
+     * @returns {{time: number, sampleRate: number}|null} Timing (the same
+     *   object every time), or null if neither timetags nor the sample
+     *   rate are sent
+     */
+    _blockTiming(secs) {
+        if (!this.sendTimetags && !this.sendSampleRate) return null;
+        this._timing.time = secs;
+        this._timing.sampleRate = this.realSampleRate;
+        return this._timing;
+    }
+
+    /**
+     * Sorts out the argument forms accepted by `sendAudio` and checks
+     * them against the configured channel count
      * 
      * @private
-     * @param {string} address - OSC address pattern (e.g., "/aoo/sink/1/start")
-     * @param {Array<Object>} args - Array of {type, value} objects
-     * @returns {Buffer} Complete OSC message
+     * @param {Array} args - Arguments passed to sendAudio (modified: a
+     *   trailing sample rate is removed)
+     * @returns {{channels: Array|null, interleaved: ArrayLike<number>|null, sampleRate: number|undefined}}
+     *   Either one array per channel or the interleaved samples (`_input`,
+     *   the same object every time)
      */
-    _buildOSCMessage(address, args) {
-        const parts = [];
+    _normalizeAudioInput(args) {
+        // Trailing sample rate (may be passed as undefined)
+        let sampleRate;
+        while (args.length > 0 &&
+            (typeof args[args.length - 1] === 'number' || args[args.length - 1] === undefined)) {
+            const value = args.pop();
+            if (sampleRate === undefined) sampleRate = value;
+        }
 
-        // Address pattern (padded to 4-byte boundary)
-        const addrLen = Math.ceil((address.length + 1) / 4) * 4;
-        const addrBuf = Buffer.alloc(addrLen);
-        addrBuf.write(address, 0, 'ascii');
-        parts.push(addrBuf);
+        if (args.length === 0) {
+            throw new TypeError('sendAudio: no audio data given');
+        }
 
-        // Type tag string: comma followed by type characters
-        let typeTag = ',';
-        for (const arg of args) typeTag += arg.type;
-        const tagLen = Math.ceil((typeTag.length + 1) / 4) * 4;
-        const tagBuf = Buffer.alloc(tagLen);
-        tagBuf.write(typeTag, 0, 'ascii');
-        parts.push(tagBuf);
+        for (let i = 0; i < args.length; i++) {
+            if (!isSampleArray(args[i]) && !Array.isArray(args[i])) {
+                throw new TypeError('sendAudio: audio data must be Float32Arrays or arrays of numbers');
+            }
+        }
 
-        // Arguments - each encoded according to its type
-        for (const arg of args) {
-            switch (arg.type) {
-                case 'i':  // 32-bit integer (big-endian)
-                    const iBuf = Buffer.alloc(4);
-                    iBuf.writeInt32BE(arg.value, 0);
-                    parts.push(iBuf);
-                    break;
+        // Array of channel arrays: sendAudio([left, right])
+        let channels = args;
+        if (args.length === 1 && Array.isArray(args[0]) && args[0].length > 0 && typeof args[0][0] !== 'number') {
+            channels = args[0];
+            for (let ch = 0; ch < channels.length; ch++) {
+                if (!isSampleArray(channels[ch])) {
+                    throw new TypeError('sendAudio: channel buffers must be Float32Arrays or arrays of numbers');
+                }
+            }
+        } else if (args.length === 1) {
+            // Pre-interleaved (or mono) samples
+            const interleaved = args[0];
+            if (interleaved.length % this.channels !== 0) {
+                throw new RangeError(
+                    `sendAudio: interleaved data length ${interleaved.length} is not a multiple of ${this.channels} channels`);
+            }
+            return this._setInput(null, interleaved, sampleRate);
+        }
 
-                case 's':  // String (null-terminated, padded to 4 bytes)
-                    const sLen = Math.ceil((arg.value.length + 1) / 4) * 4;
-                    const sBuf = Buffer.alloc(sLen);
-                    sBuf.write(arg.value, 0, 'ascii');
-                    parts.push(sBuf);
-                    break;
+        if (channels.length !== this.channels) {
+            throw new RangeError(
+                `sendAudio: got ${channels.length} channel(s), but the source is configured for ${this.channels}`);
+        }
+        const frames = channels[0].length;
+        for (let ch = 1; ch < channels.length; ch++) {
+            if (channels[ch].length !== frames) {
+                throw new RangeError(
+                    `sendAudio: channel ${ch} has ${channels[ch].length} samples, channel 0 has ${frames}`);
+            }
+        }
+        return this._setInput(channels, null, sampleRate);
+    }
 
-                case 'b':  // Blob (4-byte length prefix + data, padded)
-                    const blobLen = Math.ceil(arg.value.length / 4) * 4;
-                    const bBuf = Buffer.alloc(4 + blobLen);
-                    bBuf.writeInt32BE(arg.value.length, 0);
-                    arg.value.copy(bBuf, 4);
-                    parts.push(bBuf);
-                    break;
+    /**
+     * Fills in the reused result of `_normalizeAudioInput`
+     * 
+     * @private
+     * @param {Array|null} channels - One array per channel
+     * @param {ArrayLike<number>|null} interleaved - Interleaved samples
+     * @param {number|undefined} sampleRate - Sample rate passed to sendAudio
+     * @returns {Object} `_input`
+     */
+    _setInput(channels, interleaved, sampleRate) {
+        const input = this._input;
+        input.channels = channels;
+        input.interleaved = interleaved;
+        input.sampleRate = sampleRate;
+        return input;
+    }
+
+    /**
+     * Sends a single audio block to all sinks
+     * 
+     * Encodes the samples with the configured codec (into the resend
+     * history slot of the block, if the codec supports `encodeInto`) and
+     * sends them in AOO binary data messages, with the stream messages
+     * that are due. Blocks that don't fit into `maxPacketSize` are sent
+     * as several frames, each with the stream messages.
+     * 
+     * @private
+     * @param {Float32Array} samples - Interleaved audio samples
+     * @param {Object} [timing=null] - Block time and sample rate (see `_blockTiming`)
+     */
+    _sendBlock(samples, timing = null) {
+        const encoder = this._encoder;
+        const messages = this._takeMessages();
+        let block;
+        if (encoder.encodeInto) {
+            block = this._history.reserve(this.sequence, encoder.maxBlockBytes);
+            this._history.commit(block, encoder.encodeInto(samples, block.buffer), timing, messages);
+        } else {
+            block = this._history.push(this.sequence, encoder.encode(samples), timing, messages);
+        }
+
+        // Send to all active sinks, each with its own stream ID and sequence
+        this._prepareDataHeader();
+        const trailerSize = this._prepareDataTrailer(block.timing, block.messages);
+        for (const sink of this.sinks.values()) {
+            if (!sink.active) continue;
+            if (!sink.startSent) {
+                this._sendStartOSC(sink);
+            }
+            this._sendDataFrames(sink, block, sink.sequence, -1, trailerSize);
+            sink.sequence = sequenceAdd(sink.sequence);
+        }
 
-                case 't':  // Timetag (64-bit, big-endian)
-                    const tBuf = Buffer.alloc(8);
-                    tBuf.writeBigUInt64BE(arg.value, 0);
-                    parts.push(tBuf);
-                    break;
+        // Increment block counter (wraps at max int32)
+        this.sequence = sequenceAdd(this.sequence);
+        this._sentFrames += this.blockSize;
+        this.sendStats.blocks++;
+    }
 
-                case 'N':  // Null - no data bytes
-                case 'T':  // True - no data bytes
-                case 'F':  // False - no data bytes
-                    break;
+    /**
+     * Sends the frames of an encoded block to a sink
+     * 
+     * Each datagram is written into a pooled packet: the header and
+     * trailer are copied from the template made by `_prepareDataHeader`
+     * and `_prepareDataTrailer`, the trailer is moved behind the frame's
+     * part of the block data, and the header is patched with the sink,
+     * sequence and frame fields. The template and the data (a view kept
+     * by the history slot) are copied whole with `set()`, as copying part
+     * of a buffer allocates a view of that part.
+     * 
+     * @private
+     * @param {Object} sink - Sink entry {host, port, sinkId, streamId}
+     * @param {Object} block - Encoded block {buffer, size} (a history slot)
+     * @param {number} sequence - Sequence number (the sink's)
+     * @param {number} frame - Frame to send, or -1 for all of them
+     * @param {number} trailerSize - Trailer size returned by `_prepareDataTrailer`
+     * @param {Object} [target=sink] - Where to send the frames (a member,
+     *   for packets resent to one member of a group target)
+     */
+    _sendDataFrames(sink, block, sequence, frame, trailerSize, target = sink) {
+        const headerSize = kAooBinMsgDataHeaderSize;
+        const frameSize = this.maxPacketSize - headerSize - trailerSize;
+        const count = this._frameCount(block.size, frameSize);
+        for (let i = 0; i < count; i++) {
+            if (frame >= 0 && frame !== i) continue;
+            const start = i * frameSize;
+            const end = Math.min(start + frameSize, block.size);
+
+            const packet = this._packets.acquire();
+            const msg = packet.buffer;
+            // The template may be longer than this header and trailer; the
+            // data overwrites the rest
+            msg.set(this._header, 0);
+            if (trailerSize > 0) {
+                msg.copyWithin(headerSize + end - start, headerSize, headerSize + trailerSize);
             }
+            this._patchDataHeader(msg, sink, sequence, i, count, end - start);
+            msg.set(this._history.range(block, i, start, end), headerSize);
+            const size = headerSize + end - start + trailerSize;
+            this.socket.send(msg, 0, size, target.port, target.address, packet.release);
+
+            target.packets++;
+            target.bytes += size;
+            this.sendStats.packets++;
+            this.sendStats.bytes += size;
+        }
+    }
+
+    /**
+     * Number of frames an encoded block is split into
+     * 
+     * @private
+     * @param {number} size - Size of the encoded block in bytes
+     * @param {number} frameSize - Audio bytes per frame
+     * @returns {number} Frame count (at least 1)
+     * @throws {RangeError} If the block needs more than kAooMaxFrames frames
+     */
+    _frameCount(size, frameSize) {
+        const count = Math.max(1, Math.ceil(size / frameSize));
+        if (count > kAooMaxFrames) {
+            throw new RangeError(
+                `Block of ${size} bytes needs ${count} frames (max ${kAooMaxFrames}); ` +
+                'increase maxPacketSize or reduce blockSize');
+        }
+        return count;
+    }
+
+    // ========================================================================
+    // Stream Messages
+    // ========================================================================
+
+    /**
+     * Sends a message with the stream, at a sample position of the audio
+     * (MIDI, cue triggers or other control data)
+     * 
+     * The message goes out with the data packets of the block that holds
+     * that position, together with its offset in the block, so receivers
+     * can act on it sample-accurately. It is resent with the block if
+     * packets get lost.
+     * 
+     * The position counts from the first sample of the next audio passed
+     * to sendAudio; in scheduler mode, called from `process`, from the
+     * start of the block being filled. With a resampler, offsets are input
+     * samples and the position is approximate. Messages are ignored unless
+     * the source is streaming.
+     * 
+     * Only with the `streamMessages` option: the messages travel in the
+     * data trailer of aoo-js (see `_prepareDataTrailer`). Standard AOO
+     * receivers (Pd, Max, the C++ library) play the audio of these packets
+     * but don't see the messages.
+     * 
+     * @example
+     * source.sendMessage(Buffer.from([0x90, 60, 100]), { type: 'midi', sampleOffset: 64 });
+     * source.sendMessage('cue 3', { type: 'text' });
+     * 
+     * @param {string|Buffer|ArrayBufferView|*} data - Message; for 'json' any
+     *   value JSON.stringify accepts
+     * @param {Object} [options] - Message options
+     * @param {string|number} [options.type='raw'] - Data type name or
+     *   AooDataType value (see `setMetadata`)
+     * @param {number} [options.sampleOffset=0] - Position in samples (per channel)
+     * @param {number} [options.channel=0] - Channel the message is meant for
+     *   (like the channel of an AooStreamMessage; 0 to 65535)
+     * @throws {Error} If the source was created without `streamMessages`
+     * @throws {RangeError} For unknown types, negative offsets, invalid
+     *   channels and messages that don't fit into a packet
+     * @throws {TypeError} If the data can't be sent as this type
+     */
+    sendMessage(data, options = {}) {
+        if (!this.streamMessages) {
+            throw new Error('Stream messages need the streamMessages option');
         }
+        const type = dataTypeId(options.type !== undefined ? options.type : 'raw');
+        const bytes = encodeData(type, data);
+        const sampleOffset = options.sampleOffset || 0;
+        if (!(sampleOffset >= 0) || !isFinite(sampleOffset)) {
+            throw new RangeError(`sampleOffset must be a non-negative number, got ${sampleOffset}`);
+        }
+        const channel = options.channel || 0;
+        if (!Number.isInteger(channel) || channel < 0 || channel > 0xFFFF) {
+            throw new RangeError(`channel must be an integer between 0 and 65535, got ${channel}`);
+        }
+        // List size field + message header + data
+        const overhead = 2 + kAooStreamMessageHeaderSize;
+        if (overhead + bytes.length > this._maxMessageBytes) {
+            throw new RangeError(`Message of ${bytes.length} bytes is too large ` +
+                `(max ${this._maxMessageBytes - overhead} with maxPacketSize ${this.maxPacketSize})`);
+        }
+        if (!this.isStreaming) return;
+
+        // Stream position of the next input sample: after the samples
+        // waiting in the ring and in the resampler
+        let position = this._sentFrames + this._ring.size;
+        let ratio = 1;
+        if (this._resampler) {
+            ratio = this.sampleRate / this.inputSampleRate;
+            position += this._resampler.buffered * ratio;
+        }
+        position = Math.round(position + sampleOffset * ratio);
+
+        const queue = this._messages;
+        let i = queue.length;
+        while (i > 0 && queue[i - 1].position > position) i--;
+        queue.splice(i, 0, { position, channel, type, data: bytes });
+    }
+
+    /**
+     * Takes the queued stream messages that fall into the next block
+     * 
+     * Messages that don't fit into the block's packets any more are left
+     * for the next block (at its start).
+     * 
+     * @private
+     * @returns {Buffer|null} Encoded messages, or null if there are none
+     */
+    _takeMessages() {
+        const queue = this._messages;
+        if (queue.length === 0 || queue[0].position >= this._sentFrames + this.blockSize) return null;
+
+        const blockEnd = this._sentFrames + this.blockSize;
+        const messages = [];
+        let size = 2;
+        while (queue.length > 0 && queue[0].position < blockEnd) {
+            const message = queue[0];
+            const messageSize = kAooStreamMessageHeaderSize + message.data.length;
+            if (size + messageSize > this._maxMessageBytes) break;
+            size += messageSize;
+            messages.push({
+                sampleOffset: Math.max(0, message.position - this._sentFrames),
+                channel: message.channel,
+                type: message.type,
+                data: message.data
+            });
+            queue.shift();
+        }
+        return encodeStreamMessages(messages);
+    }
+
+    // ========================================================================
+    // Streams
+    // ========================================================================
+
+    /**
+     * Creates a writable stream that sends raw interleaved PCM
+     * 
+     * The data is split into blocks of `blockSize` frames. By default
+     * it is played out in real time, with backpressure while more than
+     * `bufferMs` of audio is queued. The source must be started for the
+     * audio to be sent.
+     * 
+     * @example
+     * source.start();
+     * process.stdin.pipe(source.createWriteStream({ format: 'int16', endianness: 'le' }));
+     * 
+     * @param {Object} [options] - Stream options (see `AooWriteStream`): format,
+     *   endianness, realtime, bufferMs
+     * @returns {AooWriteStream} Writable stream
+     */
+    createWriteStream(options) {
+        return new AooWriteStream(this, options);
+    }
+
+    // ========================================================================
+    // Scheduler Mode
+    // ========================================================================
+
+    /**
+     * Starts pulling blocks from `process` once per block period
+     * 
+     * @private
+     */
+    _startScheduler() {
+        this._silentBlocks = 0;
+        // Allocated once per format, here, since a format change restarts the scheduler
+        this._processChannels = this._createProcessChannels();
+        this._silence = new Float32Array(this.blockSize * this.channels);
+        this._scheduler = new Scheduler({
+            period: this.blockSize / this.inputSampleRate * 1000,
+            maxCatchUp: this.maxCatchUp,
+            callback: (tick) => this._processBlock(tick)
+        });
+        this._scheduler.start();
+    }
+
+    /**
+     * Stops the scheduler; a running async `process` call is abandoned
+     * 
+     * @private
+     */
+    _stopScheduler() {
+        if (this._scheduler) {
+            this._scheduler.stop();
+            this._scheduler = null;
+        }
+        if (this._pendingProcess) {
+            this._pendingProcess.abandoned = true;
+            this._pendingProcess = null;
+        }
+    }
+
+    /**
+     * Restarts the scheduler with the current block period (format change)
+     * 
+     * @private
+     */
+    _restartScheduler() {
+        if (!this._scheduler) return;
+        this._stopScheduler();
+        this._startScheduler();
+    }
+
+    /**
+     * Scheduler callback: produces one block
+     * 
+     * An async `process` call gets until the next block is due. If it
+     * hasn't finished by then, silence is sent in its place and its
+     * output is dropped. Blocks whose callback throws are silent too.
+     * Late blocks are reported with the 'late' event.
+     * 
+     * @private
+     * @param {Object} tick - {lateness, skipped} from the scheduler
+     */
+    _processBlock({ lateness, skipped }) {
+        const period = this._scheduler.period;
+
+        const pending = this._pendingProcess;
+        if (pending) {
+            // The previous block missed its deadline
+            pending.abandoned = true;
+            this._pendingProcess = null;
+            // It may still write into its arrays, so the next block gets new ones
+            this._processChannels = this._createProcessChannels();
+            this._sendSilence();
+            this.emit('late', { lateness: performance.now() - pending.deadline, skipped: 0, silent: true });
+        }
+
+        if (lateness >= period || skipped > 0) {
+            this.emit('late', { lateness, skipped, silent: false });
+        }
+
+        const channels = this._processChannels;
+        for (let ch = 0; ch < channels.length; ch++) {
+            channels[ch].fill(0);
+        }
+
+        let result;
+        try {
+            result = this.process(this.blockSize, channels);
+        } catch (e) {
+            this._emitError(e);
+            this._sendSilence();
+            return;
+        }
+
+        if (!result || typeof result.then !== 'function') {
+            this.sendAudio(channels);
+            return;
+        }
+
+        const call = { abandoned: false, deadline: performance.now() + period };
+        this._pendingProcess = call;
+        result.then(() => {
+            if (call.abandoned) return;
+            this._pendingProcess = null;
+            this.sendAudio(channels);
+        }, (e) => {
+            if (call.abandoned) return;
+            this._pendingProcess = null;
+            this._emitError(e);
+            this._sendSilence();
+        });
+    }
+
+    /**
+     * Sends one block of silence in place of a missing one
+     * 
+     * @private
+     */
+    _sendSilence() {
+        this._silentBlocks++;
+        this.sendAudio(this._silence);
+    }
+
+    /**
+     * Creates the channel arrays that `process` fills
+     * 
+     * @private
+     * @returns {Array<Float32Array>} One zeroed array of `blockSize` samples per channel
+     */
+    _createProcessChannels() {
+        const channels = [];
+        for (let ch = 0; ch < this.channels; ch++) {
+            channels.push(new Float32Array(this.blockSize));
+        }
+        return channels;
+    }
+
+    /**
+     * Scheduler counters since the scheduler (re)started: blocks produced,
+     * late blocks (a whole period or more behind), blocks skipped by the
+     * catch-up limit and blocks that were sent as silence. Null unless
+     * the scheduler is running.
+     * 
+     * @type {Object|null}
+     */
+    get schedulerStats() {
+        if (!this._scheduler) return null;
+        return { ...this._scheduler.stats, silent: this._silentBlocks };
+    }
+
+    // ========================================================================
+    // Packet Resending
+    // ========================================================================
+
+    /**
+     * Number of blocks the resend history should hold
+     * 
+     * @private
+     * @returns {number} History capacity in blocks
+     */
+    _historyCapacity() {
+        if (this.historyBlocks !== undefined) return this.historyBlocks;
+        return Math.ceil(this.historyMs / 1000 * this.sampleRate / this.blockSize);
+    }
+
+    /**
+     * Clears the resend history (new stream or format)
+     * 
+     * Also resizes it, as the capacity depends on the sample rate.
+     * 
+     * @private
+     */
+    _resetHistory() {
+        this._history.resize(this._historyCapacity());
+    }
+
+    /**
+     * Handles a resend request from a sink
+     * 
+     * Request arguments: sinkId, streamId, followed by (sequence, frame)
+     * pairs. A frame of -1 asks for all frames of the block.
+     * 
+     * Requests for unknown sinks or old streams are ignored. At most
+     * `maxResendsPerRequest` blocks are served per request and
+     * `maxResendsPerSecond` per sink (or group member), so a misbehaving
+     * sink cannot make us flood the network.
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleResendRequest(args, rinfo) {
+        if (args.length < 4) return;
+        const [sinkId, streamId] = args;
+
+        // Members of a group target get the group's packets resent to them alone
+        const peer = this._findPeer(rinfo.address, rinfo.port, sinkId);
+        const sink = peer && (peer.group || peer);
+        if (!peer || !peer.active || !sink.active || streamId !== sink.streamId) return;
+
+        // Start a new rate limit window every second
+        const now = Date.now();
+        if (now - peer.resendWindow >= 1000) {
+            peer.resendWindow = now;
+            peer.resendCount = 0;
+        }
+
+        let served = 0;
+        for (let i = 2; i + 1 < args.length; i += 2) {
+            const sequence = args[i];
+            this.resendStats.requested++;
+
+            if (served >= this.maxResendsPerRequest ||
+                peer.resendCount >= this.maxResendsPerSecond) {
+                this.resendStats.limited++;
+                continue;
+            }
+
+            // The sink's sequence numbers run in parallel to our block counter
+            const age = sequenceDiff(sink.sequence, sequence);
+            const block = age > 0 ? this._history.find(sequenceAdd(this.sequence, -age)) : null;
+            if (!block) {
+                this.resendStats.missing++;
+                continue;
+            }
+
+            this._prepareDataHeader();
+            const trailerSize = this._prepareDataTrailer(block.timing, block.messages);
+            this._sendDataFrames(sink, block, sequence, args[i + 1], trailerSize, peer);
+
+            served++;
+            peer.resendCount++;
+            peer.resent++;
+            this.resendStats.served++;
+        }
+    }
+
+    // ========================================================================
+    // AOO Binary Message Building
+    // ========================================================================
+
+    /**
+     * Writes the parts of the AOO v2 binary data message header that are
+     * the same for all sinks and frames of a block into `_header`
+     * 
+     * Binary message format (bytes):
+     *   0: Message type (sink) | domain bit (0x80)
+     *   1: Command (data = 0)
+     *   2: Sink ID
+     *   3: Source ID
+     *   4-7: Stream ID (int32 BE)
+     *   8-11: Sequence number (int32 BE)
+     *   12: Frame index (0 if the block is not split)
+     *   13: Frame count (0 if the block is not split)
+     *   14-15: Audio data length of this frame (uint16 BE)
+     *   16-: Audio data (encoded with the stream codec)
+     *   then: Data trailer, if any (see `_prepareDataTrailer`)
+     * 
+     * Bytes 2 and 4-15 are filled in per packet by `_patchDataHeader`.
+     * 
+     * @private
+     */
+    _prepareDataHeader() {
+        const header = this._header;
+
+        // Byte 0: Message type with domain bit set (binary message indicator)
+        header.writeUInt8(kAooMsgTypeSink | kAooBinMsgDomainBit, 0);
+
+        // Byte 1: Command type (0 = audio data)
+        header.writeUInt8(kAooBinMsgCmdData, 1);
+
+        // Byte 3: Source ID (sender)
+        header.writeUInt8(this.sourceId & 0xFF, 3);
+    }
+
+    /**
+     * Writes the data trailer of a block into `_header`, after the header
+     * 
+     * The trailer carries the aoo-js extensions after the audio data,
+     * where standard AOO receivers don't look: they play the audio and
+     * ignore it. Layout (bytes):
+     *   0: Trailer flags
+     *   [8 bytes]: Real sample rate (float64 BE), if flag 0x10 is set
+     *   [8 bytes]: Block timetag (NTP, uint64 BE), if flag 0x20 is set
+     *   [2 + n bytes]: Stream messages, if flag 0x40 is set (see
+     *     `encodeStreamMessages` in aoo-protocol.js)
+     * 
+     * Without `sendTimetags`/`sendSampleRate` and messages there is no
+     * trailer.
+     * 
+     * @private
+     * @param {Object|null} timing - Block time and sample rate (see `_blockTiming`)
+     * @param {Buffer|null} messages - Encoded stream messages of the block
+     * @returns {number} Trailer size in bytes (0 without a trailer)
+     */
+    _prepareDataTrailer(timing, messages) {
+        const flags = (timing ? this._dataFlags() : 0) | (messages ? kAooBinMsgDataFlagMessages : 0);
+        if (!flags) return 0;
+        const header = this._header;
+
+        let offset = kAooBinMsgDataHeaderSize;
+        header.writeUInt8(flags, offset++);
+        if (flags & kAooBinMsgDataFlagSampleRate) {
+            header.writeDoubleBE(timing.sampleRate, offset); offset += 8;
+        }
+        if (flags & kAooBinMsgDataFlagTimetag) {
+            offset = time.writeTimetag(header, offset, timing.time);
+        }
+        if (messages) {
+            header.set(messages, offset);
+            offset += messages.length;
+        }
+
+        return offset - kAooBinMsgDataHeaderSize;
+    }
+
+    /**
+     * Fills in the per packet fields of a data message header
+     * 
+     * @private
+     * @param {Buffer} msg - Message, starting with a copy of the header template
+     * @param {Object} sink - Sink entry {sinkId, streamId}
+     * @param {number} sequence - Sequence number
+     * @param {number} frameIndex - Index of this frame within the block
+     * @param {number} frameCount - Number of frames the block was split into
+     * @param {number} size - Audio data length of this frame
+     */
+    _patchDataHeader(msg, sink, sequence, frameIndex, frameCount, size) {
+        // Byte 2: Sink ID (destination)
+        msg.writeUInt8(sink.sinkId & 0xFF, 2);
+
+        // Bytes 4-7: Stream ID (identifies this streaming session)
+        msg.writeInt32BE(sink.streamId, 4);
+
+        // Bytes 8-11: Sequence number (for ordering/loss detection)
+        msg.writeInt32BE(sequence, 8);
+
+        // Bytes 12-13: Frame index and count (left at zero for unsplit
+        // blocks, which keeps the original single packet layout)
+        const split = frameCount > 1;
+        msg.writeUInt8(split ? frameIndex : 0, 12);
+        msg.writeUInt8(split ? frameCount : 0, 13);
+
+        // Bytes 14-15: Audio data length
+        msg.writeUInt16BE(size, 14);
+    }
+
+    /**
+     * Data trailer flags for the configured timing options
+     * 
+     * @private
+     * @returns {number} Flags for the first byte of the trailer
+     */
+    _dataFlags() {
+        return (this.sendSampleRate ? kAooBinMsgDataFlagSampleRate : 0) |
+            (this.sendTimetags ? kAooBinMsgDataFlagTimetag : 0);
+    }
+
+    // ========================================================================
+    // OSC Message Building & Sending
+    // ========================================================================
+
+    /**
+     * Sends OSC /start message to a sink
+     * 
+     * This message contains full stream format information:
+     * - Source ID, version, stream ID, sequence, format ID
+     * - Channel count, sample rate, block size
+     * - Codec name with extension data
+     * - Timing and buffer information
+     * - Stream metadata: AooDataType (int32) and data (blob), or two
+     *   nils without metadata
+     * 
+     * @private
+     * @param {Object} sink - Sink entry {host, port, sinkId, streamId, sequence}
+     * @param {Object} [target=sink] - Where to send it (a member of a group target)
+     */
+    _sendStartOSC(sink, target = sink) {
+        const address = `/aoo/sink/${sink.sinkId}/start`;
+        const version = this.sinkVersion || kAooVersion;
+        const metadata = this.metadata
+            ? [{ type: 'i', value: dataTypeId(this.metadata.type) }, { type: 'b', value: this._metadataBytes }]
+            : [{ type: 'N', value: null }, { type: 'N', value: null }];
+
+        // Build OSC message with all format parameters
+        const msg = osc.encodeMessage(address, [
+            { type: 'i', value: this.sourceId },          // Source ID
+            { type: 's', value: version },                 // Protocol version
+            { type: 'i', value: sink.streamId },          // Stream session ID
+            { type: 'i', value: sink.sequence },          // Current sequence
+            { type: 'i', value: this.formatId },          // Format version
+            { type: 'i', value: this.channels },          // Channel count
+            { type: 'i', value: this.sampleRate },        // Sample rate (Hz)
+            { type: 'i', value: this.blockSize },         // Samples per block
+            { type: 's', value: this.codec },             // Codec name
+            { type: 'b', value: this._encoder.extension }, // Codec extension
+            { type: 't', value: this._startTime || time.now() }, // Stream start time
+            { type: 'i', value: Math.floor(this.sampleRate / 10) }, // Reblock size
+            { type: 'i', value: 0 },                      // Reserved
+            metadata[0],                                  // Metadata type (or nil)
+            metadata[1],                                  // Metadata (or nil)
+            { type: 'i', value: 0 },                      // Flags
+        ]);
+
+        this.socket.send(msg, target.port, target.address);
+        if (target === sink) sink.startSent = true;
+    }
+
+    /**
+     * Sends OSC /stop message to a sink
+     * 
+     * Arguments: source ID, stream ID of the stream that ended
+     * 
+     * @private
+     * @param {Object} sink - Sink entry {host, port, sinkId, streamId}
+     * @param {Object} [target=sink] - Where to send it (a member of a group target)
+     */
+    _sendStopOSC(sink, target = sink) {
+        const msg = osc.encodeMessage(`/aoo/sink/${sink.sinkId}/stop`, [
+            { type: 'i', value: this.sourceId },
+            { type: 'i', value: sink.streamId }
+        ]);
+        this.socket.send(msg, target.port, target.address);
+    }
 
-        return Buffer.concat(parts);
+    /**
+     * Sends OSC /decline message in reply to a refused invitation
+     * 
+     * Arguments: source ID, token of the declined invitation
+     * 
+     * @private
+     * @param {string} host - Sink IP address
+     * @param {number} port - Sink UDP port
+     * @param {number} sinkId - Sink identifier
+     * @param {number} token - Token from the invitation
+     */
+    _sendDeclineOSC(host, port, sinkId, token) {
+        const msg = osc.encodeMessage(`/aoo/sink/${sinkId}/decline`, [
+            { type: 'i', value: this.sourceId },
+            { type: 'i', value: token }
+        ]);
+        this.socket.send(msg, port, udp.socketAddress(host, this.socketType));
     }
 
     // ========================================================================
@@ -497,10 +1857,17 @@ class AooSource {
     /**
      * Handles incoming OSC messages from sinks
      * 
-     * Responds to:
-     *   /invite - Sink requesting to receive audio
-     *   /start  - Sink confirming stream start
-     *   /ping   - Keep-alive ping (responds with pong)
+     * Only messages addressed to /aoo/src/<sourceId>/<command> are
+     * handled. Commands:
+     *   /invite   - Sink requesting to receive audio
+     *   /uninvite - Sink requesting to stop receiving audio
+     *   /start    - Sink confirming stream start
+     *   /ping     - Keep-alive ping (responds with pong)
+     *   /pong     - Reply to our ping (measures round trip time)
+     *   /data     - Resend request for lost packets
+     * 
+     * OSC bundles are unpacked and their messages handled in order.
+     * Malformed messages are reported through the 'error' event.
      * 
      * @private
      * @param {Buffer} msg - Raw UDP message
@@ -512,47 +1879,237 @@ class AooSource {
             return;
         }
 
-        // Find address string (null-terminated)
-        const nullIdx = msg.indexOf(0);
-        if (nullIdx > 0) {
-            const address = msg.toString('ascii', 0, nullIdx);
-
-            // Handle /invite - sink wants to receive our audio
-            if (address.includes('/invite')) {
-                try {
-                    const args = this._parseOscArgs(msg, nullIdx);
-                    if (args.length >= 2) {
-                        const token = args[1];
-                        this.streamId = token;  // Use sink's token as stream ID
-                        this.formatId = 0;
-                        this.sequence = 0;
-                        this.addSink(rinfo.address, rinfo.port, 1);
-                        this._sendStartOSC(rinfo.address, rinfo.port, 1);
-                        this.start();
-                    }
-                } catch (e) { }
+        try {
+            this._handleOscPacket(osc.decode(msg), rinfo);
+        } catch (e) {
+            this._emitError(e);
+        }
+    }
+
+    /**
+     * Dispatches a decoded OSC message (or the contents of a bundle)
+     * 
+     * @private
+     * @param {Object} packet - Decoded OSC message or bundle
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleOscPacket(packet, rinfo) {
+        if (packet.elements) {
+            for (const element of packet.elements) {
+                this._handleOscPacket(element, rinfo);
             }
-            // Handle /start - sink acknowledging our stream
-            else if (address.includes('/start')) {
-                try {
-                    const args = this._parseOscArgs(msg, nullIdx);
-                    if (args.length >= 2) {
-                        this.sinkVersion = args[1];  // Store sink's protocol version
-                    }
-                } catch (e) { }
-
-                // Ensure this sink is in our list
-                const sinkKey = `${rinfo.address}:${rinfo.port}:1`;
-                if (!this.sinks.has(sinkKey)) {
-                    this.addSink(rinfo.address, rinfo.port, 1);
-                }
-                this._sendStartOSC(rinfo.address, rinfo.port, 1);
+            return;
+        }
+
+        // Only handle /aoo/src/<our id>/<command>
+        const match = /^\/aoo\/src\/(\d+)\/(\w+)$/.exec(packet.address);
+        if (!match || Number(match[1]) !== this.sourceId) return;
+
+        const args = packet.args;
+
+        // Every sink message starts with the sink ID - note that it is
+        // alive. Sinks answering a group target become its members.
+        let known = this._findPeer(rinfo.address, rinfo.port, args[0]);
+        if (!known) {
+            const group = this._findGroup(rinfo.port, args[0]);
+            if (group) known = this._addMember(group, rinfo.address, rinfo.port);
+        }
+        if (known) known.lastSeen = Date.now();
+
+        switch (match[2]) {
+            case 'invite':
+                this._handleInvite(args, rinfo);
+                break;
+            case 'uninvite':
+                this._handleUninvite(args, rinfo);
+                break;
+            case 'start':
+                this._handleStartRequest(args, rinfo);
+                break;
+            case 'ping':
+                this._sendPong(rinfo.address, rinfo.port, args);
+                break;
+            case 'pong':
+                this._handlePong(args, rinfo);
+                break;
+            case 'data':
+                this._handleResendRequest(args, rinfo);
+                break;
+        }
+    }
+
+    /**
+     * Handles /invite - sink wants to receive our audio
+     * 
+     * Arguments: sinkId, token (stream ID requested by the sink)
+     * 
+     * The invitation is passed to the `onInvite` policy. If accepted,
+     * the sink gets its own stream (ID = token) and a /start message,
+     * and streaming starts; otherwise the sink gets /decline. Members of
+     * a group target already receive the group's stream and only get
+     * its /start.
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleInvite(args, rinfo) {
+        if (args.length < 2) return;
+        const [sinkId, token] = args;
+
+        this._checkInvite({ host: rinfo.address, port: rinfo.port, sinkId, token }, () => {
+            const key = `${rinfo.address}:${rinfo.port}:${sinkId}`;
+            let sink = this.sinks.get(key);
+
+            const group = sink ? null : this._findGroup(rinfo.port, sinkId);
+            if (group) {
+                const member = this._addMember(group, rinfo.address, rinfo.port);
+                member.active = true;
+                member.lastSeen = Date.now();
+                this._sendStartOSC(group, member);
+                this.emit('invite', rinfo.address, rinfo.port, sinkId);
+                this.start();
+                return;
             }
-            // Handle /ping - keep-alive request
-            else if (address.includes('/ping')) {
-                this._sendPong(rinfo.address, rinfo.port, msg, nullIdx);
+
+            // A repeated invitation for the same stream only repeats /start
+            if (!sink || sink.streamId !== token) {
+                const name = sink ? sink.name : undefined;
+                if (sink) this.sinks.delete(key);
+                sink = this._addSink(rinfo.address, rinfo.port, sinkId, token, name);
             }
+            sink.active = true;
+            sink.lastSeen = Date.now();
+
+            this._sendStartOSC(sink);
+            this.emit('invite', rinfo.address, rinfo.port, sinkId);
+            this.start();
+        });
+    }
+
+    /**
+     * Runs an invitation through the `onInvite` policy
+     * 
+     * The policy may answer synchronously or with a promise. Declined
+     * (or failed) invitations are answered with /decline.
+     * 
+     * @private
+     * @param {Object} invitation - {host, port, sinkId, token}
+     * @param {Function} accept - Called if the invitation is accepted
+     */
+    _checkInvite(invitation, accept) {
+        const settle = (accepted) => {
+            if (this._closed) return;
+            if (accepted) {
+                accept();
+            } else {
+                this._sendDeclineOSC(invitation.host, invitation.port, invitation.sinkId, invitation.token);
+                this.emit('decline', invitation.host, invitation.port, invitation.sinkId);
+            }
+        };
+
+        if (!this.onInvite) {
+            settle(true);
+            return;
+        }
+
+        let result;
+        try {
+            result = this.onInvite({ ...invitation });
+        } catch (e) {
+            this._emitError(e);
+            settle(false);
+            return;
         }
+
+        if (result && typeof result.then === 'function') {
+            result.then((accepted) => settle(accepted !== false), (err) => {
+                this._emitError(err);
+                settle(false);
+            });
+        } else {
+            settle(result !== false);
+        }
+    }
+
+    /**
+     * Handles /uninvite - sink no longer wants our audio
+     * 
+     * Stops sending to that sink only and acknowledges with /stop. A
+     * member of a group target keeps receiving the group's packets; it
+     * is sent /stop and no longer answered until it invites us again.
+     * 
+     * Only the current stream of a known sink is ended: a late /uninvite
+     * for an earlier stream must not end the current one, and unknown
+     * senders get no answer (a forged sender address would make us send
+     * /stop to any host).
+     * 
+     * Arguments: sinkId, streamId
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleUninvite(args, rinfo) {
+        if (args.length < 2) return;
+        const [sinkId, streamId] = args;
+        const key = `${rinfo.address}:${rinfo.port}:${sinkId}`;
+        const sink = this.sinks.get(key);
+
+        const member = sink ? null : this._findPeer(rinfo.address, rinfo.port, sinkId);
+        if (member) {
+            if (streamId !== member.group.streamId) return;
+            this.emit('uninvite', rinfo.address, rinfo.port, sinkId);
+            member.active = false;
+            this._sendStopOSC(member.group, member);
+            return;
+        }
+        if (!sink || streamId !== sink.streamId) return;
+
+        this.emit('uninvite', rinfo.address, rinfo.port, sinkId);
+        this._sendStopOSC(sink);
+        sink.active = false;
+        this.sinks.delete(key);
+        this.emit('sinkRemoved', { host: sink.host, port: sink.port, sinkId: sink.sinkId });
+    }
+
+    /**
+     * Handles /start - sink asking for (or acknowledging) our stream format
+     * 
+     * Arguments: sinkId, version
+     * 
+     * Unknown sinks are added (subject to the invitation policy), or
+     * become members of a matching group target.
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handleStartRequest(args, rinfo) {
+        if (args.length < 1) return;
+        const sinkId = args[0];
+        if (args.length >= 2) {
+            this.sinkVersion = args[1];  // Store sink's protocol version
+        }
+
+        const peer = this._findPeer(rinfo.address, rinfo.port, sinkId);
+        if (peer && peer.group) {
+            // A member of a group target (uninvited ones are ignored)
+            if (peer.active) this._sendStartOSC(peer.group, peer);
+            return;
+        }
+        if (peer) {
+            this._sendStartOSC(peer);
+            return;
+        }
+
+        // Unknown sink - treat the request like an invitation for our stream
+        const invitation = { host: rinfo.address, port: rinfo.port, sinkId, token: this.streamId };
+        this._checkInvite(invitation, () => {
+            const added = this._addSink(rinfo.address, rinfo.port, sinkId, this.streamId);
+            added.lastSeen = Date.now();
+            this._sendStartOSC(added);
+        });
     }
 
     /**
@@ -565,100 +2122,258 @@ class AooSource {
      * @private
      * @param {string} host - Sender's IP address
      * @param {number} port - Sender's UDP port
-     * @param {Buffer} msg - Original ping message
-     * @param {number} nullIdx - Index of null terminator in address
+     * @param {Array} args - Parsed ping arguments (sinkId, tt1)
      */
-    _sendPong(host, port, msg, nullIdx) {
-        try {
-            const args = this._parseOscArgs(msg, nullIdx);
-            if (args.length >= 2) {
-                const sinkId = args[0];
-                const tt1 = args[1];  // Ping timestamp
-                const tt2 = BigInt(Date.now()) * BigInt(1000000);  // Current time (nanoseconds)
-
-                const pongAddr = `/aoo/sink/${sinkId}/pong`;
-                const pongMsg = this._buildOSCMessage(pongAddr, [
-                    { type: 'i', value: this.sourceId },
-                    { type: 't', value: BigInt(tt1 || 0) },  // Echo back ping time
-                    { type: 't', value: tt2 }                 // Our current time
-                ]);
-                this.socket.send(pongMsg, port, host);
-            }
-        } catch (e) { }
+    _sendPong(host, port, args) {
+        if (args.length < 2) return;
+        const sinkId = args[0];
+        const tt1 = args[1];  // Ping timestamp
+        const tt2 = time.now();  // Our current time (NTP)
+
+        const pongAddr = `/aoo/sink/${sinkId}/pong`;
+        const pongMsg = osc.encodeMessage(pongAddr, [
+            { type: 'i', value: this.sourceId },
+            { type: 't', value: BigInt(tt1 || 0) },  // Echo back ping time
+            { type: 't', value: tt2 }                 // Our current time
+        ]);
+        this.socket.send(pongMsg, port, udp.socketAddress(host, this.socketType));
     }
 
     // ========================================================================
-    // OSC Message Parsing
+    // Pings and Sink Timeouts
     // ========================================================================
 
     /**
-     * Parses OSC message arguments from a buffer
+     * Starts the timer that pings sinks (while streaming) and expires
+     * sinks that went away
      * 
-     * Reads type tags and extracts corresponding values.
+     * Runs every `pingInterval` ms, or every second if pings are disabled.
      * 
      * @private
-     * @param {Buffer} buf - OSC message buffer
-     * @param {number} addressEnd - Index where address string ends
-     * @returns {Array} Parsed argument values
      */
-    _parseOscArgs(buf, addressEnd) {
-        const args = [];
-
-        // Skip past address (padded to 4 bytes)
-        let offset = Math.ceil((addressEnd + 1) / 4) * 4;
-
-        if (offset >= buf.length) return args;
+    _startTimer() {
+        this._stopTimer();
+        if (!this.pingInterval && !this.sinkTimeout) return;
+        this._timer = setInterval(() => {
+            if (this.isStreaming && this.pingInterval) {
+                this._sendPings();
+            }
+            this._expireSinks();
+        }, this.pingInterval || 1000);
+    }
 
-        // Find type tag string
-        const typeTagEnd = buf.indexOf(0, offset);
-        if (typeTagEnd === -1) return args;
+    /**
+     * Stops the ping/timeout timer
+     * 
+     * @private
+     */
+    _stopTimer() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
 
-        // Type tags start after comma
-        const typeTags = buf.toString('ascii', offset + 1, typeTagEnd);
-        offset = Math.ceil((typeTagEnd + 1) / 4) * 4;
+    /**
+     * Removes sinks we have not heard from within `sinkTimeout`
+     * 
+     * Only sinks that have talked to us at least once can time out;
+     * sinks added by hand (e.g. old receivers that never ping) stay.
+     * Members of group targets time out the same way.
+     * 
+     * @private
+     */
+    _expireSinks() {
+        if (!this.sinkTimeout) return;
+        const now = Date.now();
+        for (const [key, sink] of this.sinks) {
+            if (sink.members) this._expireMembers(sink, now);
+            if (sink.lastSeen !== null && now - sink.lastSeen > this.sinkTimeout) {
+                this.sinks.delete(key);
+                const info = { host: sink.host, port: sink.port, sinkId: sink.sinkId };
+                this.emit('sinkTimeout', info);
+                this.emit('sinkRemoved', info);
+            }
+        }
+    }
 
-        // Parse each argument according to its type
-        for (const tag of typeTags) {
-            if (offset >= buf.length) break;
+    /**
+     * Forgets the members of a group target we have not heard from
+     * within `sinkTimeout`
+     * 
+     * @private
+     * @param {Object} group - Sink entry of the group
+     * @param {number} now - Current time (ms)
+     */
+    _expireMembers(group, now) {
+        for (const [key, member] of group.members) {
+            if (member.lastSeen !== null && now - member.lastSeen > this.sinkTimeout) {
+                group.members.delete(key);
+                this.emit('memberRemoved', this._memberInfo(member));
+            }
+        }
+    }
 
-            switch (tag) {
-                case 'i':  // 32-bit integer
-                    args.push(buf.readInt32BE(offset));
-                    offset += 4;
-                    break;
+    /**
+     * Sends /ping to every active sink
+     * 
+     * The timetag is our current time; the sink echoes it back in its
+     * /pong so we can measure the round trip time.
+     * 
+     * @private
+     */
+    _sendPings() {
+        const tt = time.now();  // Current time (NTP)
+        for (const sink of this.sinks.values()) {
+            if (!sink.active) continue;
+            const msg = osc.encodeMessage(`/aoo/sink/${sink.sinkId}/ping`, [
+                { type: 'i', value: this.sourceId },
+                { type: 't', value: tt }
+            ]);
+            this.socket.send(msg, sink.port, sink.address);
+            sink.pings++;
+        }
+    }
 
-                case 'f':  // 32-bit float
-                    args.push(buf.readFloatBE(offset));
-                    offset += 4;
-                    break;
+    /**
+     * Handles a /pong reply to one of our pings
+     * 
+     * Arguments: sinkId, tt1 (our ping time), tt2 (sink time)
+     * 
+     * Pings to a group target are answered by each member; the round
+     * trip time is kept per member.
+     * 
+     * The jitter is the smoothed variation of the transit time from one
+     * pong to the next, as for RTP (RFC 3550, 6.4.1): from our ping time
+     * to the sink's time, or half the round trip time if the sink did not
+     * send its time. Clock offsets between the machines cancel out.
+     * 
+     * @private
+     * @param {Array} args - Parsed OSC arguments
+     * @param {Object} rinfo - Remote address info {address, port}
+     */
+    _handlePong(args, rinfo) {
+        if (args.length < 2 || typeof args[1] !== 'bigint') return;
+        const [sinkId, tt1, tt2] = args;
+
+        const peer = this._findPeer(rinfo.address, rinfo.port, sinkId);
+        if (!peer) return;
+
+        const rtt = time.duration(tt1, time.now()) * 1000;
+        const transit = typeof tt2 === 'bigint' ? time.duration(tt1, tt2) * 1000 : rtt / 2;
+        if (peer.transit !== null) {
+            const delta = Math.abs(transit - peer.transit);
+            peer.jitter = peer.jitter === null ? delta : peer.jitter + (delta - peer.jitter) / 16;
+        }
+        peer.transit = transit;
+        peer.rtt = rtt;
+        peer.pongs++;
+        const info = { host: peer.host, port: peer.port, sinkId: peer.sinkId, rtt };
+        if (peer.group) info.group = peer.group.host;
+        this.emit('ping', info);
+    }
 
-                case 's':  // String (null-terminated)
-                    const strEnd = buf.indexOf(0, offset);
-                    args.push(buf.toString('ascii', offset, strEnd));
-                    offset = Math.ceil((strEnd + 1) / 4) * 4;
-                    break;
+    // ========================================================================
+    // Statistics
+    // ========================================================================
 
-                case 'b':  // Blob (length-prefixed binary)
-                    const size = buf.readInt32BE(offset);
-                    offset += 4;
-                    args.push(buf.slice(offset, offset + size));
-                    offset = Math.ceil((offset + size) / 4) * 4;
-                    break;
+    /**
+     * Returns a snapshot of the network statistics
+     * 
+     * Counters run from the creation of the source (per sink: from when
+     * the sink was added). Data sent to a group target is counted for the
+     * group; its members only count what was sent to them alone (resent
+     * packets) and their pongs.
+     * 
+     * @example
+     * for (const sink of source.getStats().sinks) {
+     *   console.log(`${sink.host}:${sink.port} rtt ${sink.rtt} ms, jitter ${sink.jitter} ms`);
+     * }
+     * 
+     * @returns {Object} {sourceId, streaming, formatId, sequence, blocks,
+     *   packets, bytes, resends, sinks}; `resends` are the `resendStats`
+     *   and `sinks` has one entry per sink (see `_sinkStats`)
+     */
+    getStats() {
+        const sinks = [];
+        for (const sink of this.sinks.values()) {
+            const stats = this._sinkStats(sink);
+            if (sink.members) {
+                stats.members = Array.from(sink.members.values(), (member) => this._sinkStats(member));
+            }
+            sinks.push(stats);
+        }
+        return {
+            sourceId: this.sourceId,
+            streaming: this.isStreaming,
+            formatId: this.formatId,
+            sequence: this.sequence,
+            ...this.sendStats,
+            resends: { ...this.resendStats },
+            sinks
+        };
+    }
 
-                case 'N':  // Null
-                    args.push(null);
-                    break;
+    /**
+     * Returns the statistics of a sink or group member
+     * 
+     * @private
+     * @param {Object} peer - Sink or member entry
+     * @returns {Object} {host, port, sinkId, active, packets, bytes, resent,
+     *   pongs, rtt, jitter, lastSeen}; sinks add {name, kind, streamId,
+     *   formatId, sequence, pings}. `rtt` and `jitter` are in ms (null until
+     *   measured), `lastSeen` is a Date.now() time or null.
+     */
+    _sinkStats(peer) {
+        const stats = {
+            host: peer.host,
+            port: peer.port,
+            sinkId: peer.sinkId,
+            active: peer.active,
+            packets: peer.packets,
+            bytes: peer.bytes,
+            resent: peer.resent,
+            pongs: peer.pongs,
+            rtt: peer.rtt,
+            jitter: peer.jitter,
+            lastSeen: peer.lastSeen
+        };
+        if (!peer.group) {
+            Object.assign(stats, {
+                name: peer.name,
+                kind: peer.kind,
+                streamId: peer.streamId,
+                formatId: this.formatId,
+                sequence: peer.sequence,
+                pings: peer.pings
+            });
+        }
+        return stats;
+    }
 
-                case 'T':  // True
-                    args.push(true);
-                    break;
+    /**
+     * Starts the timer for the 'stats' event
+     * 
+     * @private
+     */
+    _startStatsTimer() {
+        if (!this.statsInterval) return;
+        this._statsTimer = setInterval(() => this.emit('stats', this.getStats()), this.statsInterval);
+    }
 
-                case 'F':  // False
-                    args.push(false);
-                    break;
-            }
+    /**
+     * Emits an 'error' event if anyone is listening
+     * 
+     * Errors caused by the network (bad packets, unreachable hosts) must
+     * not crash applications that don't handle 'error'.
+     * 
+     * @private
+     * @param {Error} err - The error
+     */
+    _emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
         }
-        return args;
     }
 
     // ========================================================================
@@ -669,11 +2384,21 @@ class AooSource {
      * Closes the audio source and releases resources
      * 
      * Stops streaming and closes the UDP socket.
-     * The source cannot be used after calling close().
+     * The source cannot be used after calling close(). 'close' is
+     * emitted once the socket is closed.
      */
     close() {
+        if (this._closed) return;
         this.stop();
-        this.socket.close();
+        this._stopTimer();
+        if (this._statsTimer) {
+            clearInterval(this._statsTimer);
+            this._statsTimer = null;
+        }
+        this._closed = true;
+        // Let the /stop messages go out first - closing the socket in the
+        // same tick drops them
+        setImmediate(() => this.socket.close(() => this.emit('close')));
     }
 }
 
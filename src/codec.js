@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Codec registry and the built-in PCM codec
+ * 
+ * AooSource encodes every block with the codec named by its `codec`
+ * option and announces the codec name and its extension blob in
+ * /start. AooSink looks the name up here to create a matching decoder.
+ * 
+ * A codec is an object with two factory functions:
+ * 
+ *   createEncoder(format, options) -> {
+ *       extension: Buffer,                 // sent in /start
+ *       encode(samples) -> Buffer          // interleaved Float32Array of one block
+ *       encodeInto(samples, buffer) -> n   // optional, see below
+ *       maxBlockBytes: number              // required with encodeInto
+ *   }
+ *   createDecoder(format, extension) -> {
+ *       decode(data) -> Float32Array       // interleaved samples of one block
+ *   }
+ * 
+ * where `format` is {channels, sampleRate, blockSize}. Encoders and
+ * decoders may keep state (e.g. a WASM instance); a new one is created
+ * for every stream and format.
+ * 
+ * `encodeInto` writes a block into a buffer of at least `maxBlockBytes`
+ * bytes and returns the number of bytes written. AooSource uses it, if
+ * present, to encode straight into its preallocated resend history
+ * instead of allocating a buffer per block.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const {
+    kAooPcmInt16,
+    kAooPcmInt24,
+    kAooPcmFloat32,
+    kAooPcmFloat64
+} = require('./aoo-protocol');
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+// Registered codecs, keyed by name
+const codecs = new Map();
+
+/**
+ * Registers a codec (or replaces one with the same name)
+ * 
+ * @example
+ * registerCodec('opus', {
+ *     createEncoder(format, options) {
+ *         const enc = wasmOpus.createEncoder(format.sampleRate, format.channels, options.bitrate);
+ *         return { extension: Buffer.alloc(0), encode: (samples) => Buffer.from(enc.encode(samples)) };
+ *     },
+ *     createDecoder(format, extension) {
+ *         const dec = wasmOpus.createDecoder(format.sampleRate, format.channels);
+ *         return { decode: (data) => dec.decode(data) };
+ *     }
+ * });
+ * 
+ * @param {string} name - Codec name as sent in /start (e.g. 'pcm', 'opus')
+ * @param {Object} codec - Codec with `createEncoder` and `createDecoder`
+ * @throws {TypeError} If the codec is incomplete
+ */
+function registerCodec(name, codec) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new TypeError('Codec name must be a non-empty string');
+    }
+    if (!codec || typeof codec.createEncoder !== 'function' || typeof codec.createDecoder !== 'function') {
+        throw new TypeError(`Codec '${name}' must implement createEncoder() and createDecoder()`);
+    }
+    codecs.set(name, codec);
+}
+
+/**
+ * Looks up a registered codec
+ * 
+ * @param {string} name - Codec name
+ * @returns {Object|null} The codec, or null if none is registered under `name`
+ */
+function getCodec(name) {
+    return codecs.get(name) || null;
+}
+
+/**
+ * Names of all registered codecs
+ * 
+ * @returns {Array<string>} Codec names
+ */
+function listCodecs() {
+    return Array.from(codecs.keys());
+}
+
+/**
+ * Creates an encoder for a registered codec
+ * 
+ * @param {string} name - Codec name
+ * @param {Object} format - Stream format {channels, sampleRate, blockSize}
+ * @param {Object} [options={}] - Codec specific options
+ * @returns {Object} Encoder {extension, encode(samples), [encodeInto(samples, buffer)]}
+ * @throws {Error} If the codec is unknown
+ */
+function createEncoder(name, format, options = {}) {
+    const codec = getCodec(name);
+    if (!codec) throw new Error(`Unknown codec '${name}'`);
+    return codec.createEncoder(format, options);
+}
+
+/**
+ * Creates a decoder for a registered codec
+ * 
+ * @param {string} name - Codec name
+ * @param {Object} format - Stream format {channels, sampleRate, blockSize}
+ * @param {Buffer} extension - Codec extension blob from /start
+ * @returns {Object} Decoder {decode(data)}
+ * @throws {Error} If the codec is unknown or the extension is invalid
+ */
+function createDecoder(name, format, extension) {
+    const codec = getCodec(name);
+    if (!codec) throw new Error(`Unknown codec '${name}'`);
+    return codec.createDecoder(format, extension);
+}
+
+// ============================================================================
+// PCM Codec
+// ============================================================================
+
+/**
+ * PCM sample formats: extension value, bytes per sample and full scale
+ * (integer formats only)
+ */
+const kPcmFormats = {
+    int16: { id: kAooPcmInt16, size: 2, scale: 0x8000 },
+    int24: { id: kAooPcmInt24, size: 3, scale: 0x800000 },
+    float32: { id: kAooPcmFloat32, size: 4 },
+    float64: { id: kAooPcmFloat64, size: 8 }
+};
+
+/**
+ * Input level above which soft clipping starts to bend the signal
+ */
+const kSoftClipKnee = 0.9;
+
+/**
+ * Finds a PCM sample format by name or extension value
+ * 
+ * @param {string|number} bitDepth - 'int16', 'int24', 'float32', 'float64'
+ *   or the extension value
+ * @returns {Object} Sample format {name, id, size, scale}
+ * @throws {RangeError} If the format is not supported
+ */
+function pcmFormat(bitDepth) {
+    for (const [name, format] of Object.entries(kPcmFormats)) {
+        if (bitDepth === name || bitDepth === format.id) return { name, ...format };
+    }
+    throw new RangeError(`Unsupported PCM bit depth '${bitDepth}'`);
+}
+
+/**
+ * Soft clipper: linear up to the knee, then bends smoothly towards
+ * full scale
+ * 
+ * @param {number} x - Sample
+ * @returns {number} Sample within [-1, 1]
+ */
+function softClip(x) {
+    const a = Math.abs(x);
+    if (a <= kSoftClipKnee) return x;
+    const range = 1 - kSoftClipKnee;
+    const y = kSoftClipKnee + range * Math.tanh((a - kSoftClipKnee) / range);
+    return x < 0 ? -y : y;
+}
+
+/**
+ * PCM codec - uncompressed big-endian samples
+ * 
+ * Encoder options:
+ *   bitDepth - 'int16', 'int24', 'float32' (default) or 'float64'
+ *   clip     - 'hard' (default) or 'soft' clipping of integer samples
+ *   dither   - add TPDF dither before quantizing to integers (default false)
+ * 
+ * The extension blob is the bit depth as int32 (see kAooPcm* in
+ * aoo-protocol.js).
+ */
+const pcmCodec = {
+    createEncoder(format, options = {}) {
+        const sampleFormat = pcmFormat(options.bitDepth || 'float32');
+        const clip = options.clip || 'hard';
+        if (clip !== 'hard' && clip !== 'soft') {
+            throw new RangeError(`Unknown clip mode '${clip}'`);
+        }
+        const dither = !!options.dither;
+        // Looked up once: reading the `scale` that float formats don't have
+        // within encodeInto can leave it deoptimized, boxing every sample
+        const { size, scale } = sampleFormat;
+
+        const extension = Buffer.alloc(4);
+        extension.writeInt32BE(sampleFormat.id, 0);
+
+        return {
+            extension,
+            bitDepth: sampleFormat.name,
+            clipped: 0,  // Integer samples that exceeded full scale
+            maxBlockBytes: format.blockSize * format.channels * sampleFormat.size,
+
+            encode(samples) {
+                const buf = Buffer.allocUnsafe(samples.length * size);
+                this.encodeInto(samples, buf);
+                return buf;
+            },
+
+            encodeInto(samples, buf) {
+                if (!scale) {
+                    for (let i = 0; i < samples.length; i++) {
+                        if (size === 4) buf.writeFloatBE(samples[i], i * 4);
+                        else buf.writeDoubleBE(samples[i], i * 8);
+                    }
+                    return samples.length * size;
+                }
+
+                const max = scale - 1;
+                for (let i = 0; i < samples.length; i++) {
+                    let x = samples[i];
+                    if (x > 1 || x < -1) this.clipped++;
+                    if (clip === 'soft') x = softClip(x);
+
+                    let v = x * scale;
+                    if (dither) v += Math.random() - Math.random();  // TPDF, ±1 LSB
+                    v = Math.round(v);
+                    if (v > max) v = max;
+                    else if (v < -scale) v = -scale;
+
+                    if (size === 2) buf.writeInt16BE(v, i * 2);
+                    else buf.writeIntBE(v, i * 3, 3);
+                }
+                return samples.length * size;
+            }
+        };
+    },
+
+    createDecoder(format, extension) {
+        const id = extension && extension.length >= 4 ? extension.readInt32BE(0) : kAooPcmFloat32;
+        const sampleFormat = pcmFormat(id);
+
+        return {
+            bitDepth: sampleFormat.name,
+
+            decode(data) {
+                const { size, scale } = sampleFormat;
+                const samples = new Float32Array(Math.floor(data.length / size));
+                for (let i = 0; i < samples.length; i++) {
+                    const offset = i * size;
+                    switch (size) {
+                        case 2: samples[i] = data.readInt16BE(offset) / scale; break;
+                        case 3: samples[i] = data.readIntBE(offset, 3) / scale; break;
+                        case 4: samples[i] = data.readFloatBE(offset); break;
+                        case 8: samples[i] = data.readDoubleBE(offset); break;
+                    }
+                }
+                return samples;
+            }
+        };
+    }
+};
+
+registerCodec('pcm', pcmCodec);
+
+module.exports = {
+    registerCodec,
+    getCodec,
+    listCodecs,
+    createEncoder,
+    createDecoder
+};
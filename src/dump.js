@@ -0,0 +1,662 @@
+/**
+ * @fileoverview Capture, inspection and replay of AOO traffic
+ * 
+ * Decodes AOO datagrams - OSC messages and bundles, and binary data
+ * messages - into objects and readable one-line descriptions, so that
+ * a session with Max or Pd can be followed without Wireshark. Traffic
+ * is captured on a port of its own or by tapping the socket of an
+ * AooSource or AooSink (both directions), can be recorded to a file
+ * and replayed to a target with its original timing.
+ * 
+ * Recordings are text files with one JSON object per line: a header
+ * {"aooDump": 1, "start": <ISO date>} followed by one line per
+ * datagram {"t": <ms since start>, "dir": "in"|"out", "host", "port",
+ * "data": <base64>}.
+ * 
+ * @example
+ * const capture = new AooCapture({ socket: source.socket });
+ * capture.on('packet', (entry) => console.log(formatEntry(entry)));
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const fs = require('fs');
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+const {
+    kAooBinMsgDomainBit,
+    kAooMsgTypeSink,
+    dataTypeName,
+    decodeData,
+    parseDataMessage
+} = require('./aoo-protocol');
+const osc = require('./osc');
+const time = require('./time');
+const udp = require('./udp');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Version of the recording format (the "aooDump" field of the header)
+ */
+const kDumpVersion = 1;
+
+/**
+ * Argument names of the AOO OSC messages, keyed by "<src|sink>/<command>"
+ * (the receiving end and the command of the address)
+ */
+const kAooArgNames = {
+    'src/invite': ['sinkId', 'token'],
+    'src/uninvite': ['sinkId', 'streamId'],
+    'src/start': ['sinkId', 'version'],
+    'src/ping': ['sinkId', 'tt'],
+    'src/pong': ['sinkId', 'tt1', 'tt2'],
+    'src/data': ['sinkId', 'streamId'],  // Followed by sequence/frame pairs
+    'sink/start': ['sourceId', 'version', 'streamId', 'sequence', 'formatId',
+        'channels', 'sampleRate', 'blockSize', 'codec', 'extension', 'startTime',
+        'reblock', 'reserved', 'metadataType', 'metadata', 'flags'],
+    'sink/stop': ['sourceId', 'streamId'],
+    'sink/decline': ['sourceId', 'token'],
+    'sink/ping': ['sourceId', 'tt'],
+    'sink/pong': ['sourceId', 'tt1', 'tt2']
+};
+
+/**
+ * Blobs up to this size are shown as hex, larger ones by their size
+ */
+const kMaxHexBytes = 16;
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+/**
+ * Decodes an AOO datagram
+ * 
+ * OSC messages to AOO addresses (/aoo/src/<id>/<command> and
+ * /aoo/sink/<id>/<command>) get an `aoo` field with the receiving end,
+ * its ID, the command and the arguments by name. Binary data and blobs
+ * are views into `msg`.
+ * 
+ * @example
+ * decodePacket(msg);
+ * // {kind: 'osc', size: 48, address: '/aoo/sink/1/stop', types: 'ii', args: [1, 42],
+ * //  aoo: {to: 'sink', id: 1, command: 'stop', args: {sourceId: 1, streamId: 42}}}
+ * 
+ * @param {Buffer} msg - Datagram
+ * @returns {Object} {kind, size, ...}: for 'data' the fields of
+ *   `parseDataMessage` (`size` is the size of the audio data) plus `to`
+ *   ('sink' or 'source'); otherwise `size` is the datagram size, with
+ *   {address, types, args, aoo} for 'osc', {timetag, elements} with
+ *   decoded elements for 'bundle' and {error} for 'invalid'
+ */
+function decodePacket(msg) {
+    if (msg.length >= 4 && (msg[0] & kAooBinMsgDomainBit)) {
+        const data = parseDataMessage(msg);
+        if (!data) {
+            return { kind: 'invalid', size: msg.length, error: 'Malformed binary data message' };
+        }
+        return { kind: 'data', to: data.type === kAooMsgTypeSink ? 'sink' : 'source', ...data };
+    }
+
+    try {
+        return { size: msg.length, ...describeOsc(osc.decode(msg)) };
+    } catch (err) {
+        return { kind: 'invalid', size: msg.length, error: err.message };
+    }
+}
+
+/**
+ * Adds the AOO meaning to a decoded OSC message or bundle
+ * 
+ * @param {Object} packet - Result of `osc.decode`
+ * @returns {Object} Message {kind: 'osc', address, types, args, aoo} or
+ *   bundle {kind: 'bundle', timetag, elements}
+ */
+function describeOsc(packet) {
+    if (packet.elements) {
+        return { kind: 'bundle', timetag: packet.timetag, elements: packet.elements.map(describeOsc) };
+    }
+
+    let aoo = null;
+    const match = /^\/aoo\/(src|sink)\/(\d+)\/(\w+)$/.exec(packet.address);
+    if (match) {
+        const [, to, id, command] = match;
+        const names = kAooArgNames[`${to}/${command}`] || [];
+        const args = {};
+        packet.args.forEach((value, i) => {
+            args[i < names.length ? names[i] : `arg${i}`] = value;
+        });
+        aoo = { to: to === 'src' ? 'source' : 'sink', id: Number(id), command, args };
+    }
+    return { kind: 'osc', ...packet, aoo };
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Formats an OSC argument value for display
+ * 
+ * @param {*} value - Argument value
+ * @returns {string} Readable value; timetags as ISO dates
+ */
+function formatValue(value) {
+    if (value === null) return 'nil';
+    if (typeof value === 'bigint') return formatTimetag(value);
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (Buffer.isBuffer(value)) {
+        return value.length <= kMaxHexBytes ? `<${value.toString('hex') || 'empty'}>` : `<${value.length} bytes>`;
+    }
+    if (Array.isArray(value)) return `[${value.map(formatValue).join(' ')}]`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Formats an NTP timetag as an ISO date (0 and 1 are "immediately")
+ * 
+ * @param {bigint} timetag - NTP timetag
+ * @returns {string} Date with milliseconds, e.g. 2024-05-01T12:00:00.123Z
+ */
+function formatTimetag(timetag) {
+    if (timetag <= BigInt(1)) return 'immediately';
+    const date = new Date(time.toSeconds(timetag) * 1000);
+    return isNaN(date) ? timetag.toString() : date.toISOString();
+}
+
+/**
+ * Formats a decoded datagram as one line
+ * 
+ * @example
+ * formatPacket(decodePacket(msg));
+ * // 'data to sink 1 from source 1 stream 42 seq 17 frame 1/2 1024 bytes'
+ * 
+ * @param {Object} packet - Result of `decodePacket`
+ * @returns {string} Readable description
+ */
+function formatPacket(packet) {
+    switch (packet.kind) {
+        case 'data': {
+            const [to, from] = packet.to === 'sink'
+                ? [`sink ${packet.sinkId}`, `source ${packet.sourceId}`]
+                : [`source ${packet.sourceId}`, `sink ${packet.sinkId}`];
+            let line = `data to ${to} from ${from} stream ${packet.streamId} seq ${packet.sequence}` +
+                ` frame ${packet.frameIndex + 1}/${packet.frameCount} ${packet.size} bytes`;
+            if (packet.sampleRate !== null) line += ` sr ${packet.sampleRate}`;
+            if (packet.timetag !== null) line += ` tt ${formatTimetag(packet.timetag)}`;
+            if (packet.messages) {
+                line += ' messages ' + packet.messages.map((message) =>
+                    `[@${message.sampleOffset}${message.channel ? ` ch ${message.channel}` : ''} ` +
+                    `${dataTypeName(message.type)} ` +
+                    `${formatValue(decodeData(message.type, message.data))}]`).join(' ');
+            }
+            return line;
+        }
+        case 'osc': {
+            const args = packet.aoo
+                ? Object.entries(packet.aoo.args).map(([name, value]) => `${name}=${formatValue(value)}`)
+                : packet.args.map(formatValue);
+            return [packet.address, ...args].join(' ');
+        }
+        case 'bundle':
+            return `#bundle ${formatTimetag(packet.timetag)} { ${packet.elements.map(formatPacket).join('; ')} }`;
+        default:
+            return `invalid ${packet.size} bytes: ${packet.error}`;
+    }
+}
+
+/**
+ * Formats a captured (or recorded) datagram as one line, with its
+ * time, direction and peer
+ * 
+ * @param {Object} entry - Entry {time, direction, host, port, data}
+ * @returns {string} e.g. '  12.345 out 127.0.0.1:9999 /aoo/sink/1/ping sourceId=1 tt=...'
+ */
+function formatEntry(entry) {
+    const peer = entry.host.includes(':') ? `[${entry.host}]:${entry.port}` : `${entry.host}:${entry.port}`;
+    const seconds = (entry.time / 1000).toFixed(3).padStart(8);
+    return `${seconds} ${entry.direction.padEnd(3)} ${peer} ${formatPacket(decodePacket(entry.data))}`;
+}
+
+// ============================================================================
+// AooCapture Class
+// ============================================================================
+
+/**
+ * AooCapture - captures the datagrams of a UDP socket
+ * 
+ * With `socket`, taps an existing socket (e.g. `source.socket` or
+ * `sink.socket`): incoming datagrams through a 'message' listener,
+ * outgoing ones by wrapping its `send` method. Otherwise binds a
+ * socket of its own that only listens, e.g. on the port a sink would
+ * use, to see what sources send to it.
+ * 
+ * Events:
+ *   listening (address) - Own socket is bound
+ *   packet    (entry)   - A datagram {time, direction, host, port, data};
+ *                          `time` in ms since the capture started, `data`
+ *                          a copy of the datagram
+ *   error     (error)   - Socket error (only emitted when a listener is attached)
+ *   close     ()        - Capture was closed
+ */
+class AooCapture extends EventEmitter {
+    /**
+     * Starts capturing
+     * 
+     * @param {Object} [options] - Configuration options
+     * @param {dgram.Socket} [options.socket] - Socket to tap
+     * @param {number} [options.port=9999] - Without `socket`: port to listen on
+     * @param {string} [options.socketType='udp4'] - 'udp4' or 'udp6'
+     * @param {boolean} [options.ipv6Only=false] - With 'udp6': IPv6 only
+     * @param {string} [options.localAddress] - Address to bind to
+     * @param {string} [options.localInterface] - Network interface to bind to
+     * @param {boolean} [options.reuseAddr=false] - Share the port with other
+     *   sockets (e.g. a sink of a multicast group on the same host)
+     * @param {Array<string>} [options.multicastGroups] - Multicast groups to join
+     * @param {Function} [options.filter] - Only capture entries for which
+     *   `filter(entry)` returns true
+     */
+    constructor(options = {}) {
+        super();
+
+        this.filter = options.filter || null;
+        this.count = 0;                    // Datagrams captured
+        this._origin = performance.now();
+        this._closed = false;
+        this._onMessage = (msg, rinfo) => this._capture('in', rinfo.address, rinfo.port, msg);
+
+        if (options.socket) {
+            this.socket = options.socket;
+            this._ownSocket = false;
+            this.socket.on('message', this._onMessage);
+            this._send = this.socket.send;
+            const capture = this;
+            this.socket.send = function (msg, ...args) {
+                capture._captureSend(msg, args);
+                return capture._send.call(this, msg, ...args);
+            };
+            return;
+        }
+
+        const socketConfig = udp.socketConfig(options);
+        this.socketType = socketConfig.type;
+        this.socket = dgram.createSocket({
+            type: socketConfig.type,
+            ipv6Only: socketConfig.ipv6Only,
+            reuseAddr: !!options.reuseAddr
+        });
+        this._ownSocket = true;
+        this._send = null;
+        const groups = options.multicastGroups || [];
+
+        this.socket.on('message', this._onMessage);
+        this.socket.on('error', (err) => this._emitError(err));
+        this.socket.on('listening', () => {
+            for (const group of groups) {
+                try {
+                    this.socket.addMembership(group);
+                } catch (err) {
+                    this._emitError(err);
+                }
+            }
+            this.emit('listening', this.socket.address());
+        });
+        this.socket.bind(options.port !== undefined ? options.port : 9999, socketConfig.address);
+    }
+
+    /**
+     * Stops capturing; an own socket is closed, a tapped socket gets its
+     * `send` method back
+     */
+    close() {
+        if (this._closed) return;
+        this._closed = true;
+        this.socket.removeListener('message', this._onMessage);
+        if (this._ownSocket) {
+            this.socket.close(() => this.emit('close'));
+        } else {
+            this.socket.send = this._send;
+            setImmediate(() => this.emit('close'));
+        }
+    }
+
+    /**
+     * Captures an outgoing datagram from the arguments of `socket.send`
+     * 
+     * Handles `send(msg, port, address, [callback])` and
+     * `send(msg, offset, length, port, address, [callback])`.
+     * 
+     * @private
+     * @param {Buffer} msg - Datagram buffer
+     * @param {Array} args - Remaining arguments of the send call
+     */
+    _captureSend(msg, args) {
+        if (typeof args[1] === 'number') {
+            const [offset, length, port, address] = args;
+            this._capture('out', address, port, msg.subarray(offset, offset + length));
+        } else {
+            this._capture('out', args[1], args[0], msg);
+        }
+    }
+
+    /**
+     * Records a datagram and emits 'packet'
+     * 
+     * @private
+     * @param {string} direction - 'in' or 'out'
+     * @param {string} host - Peer address
+     * @param {number} port - Peer port
+     * @param {Buffer} data - Datagram (copied, sent packets are reused)
+     */
+    _capture(direction, host, port, data) {
+        const entry = {
+            time: performance.now() - this._origin,
+            direction,
+            host: udp.unmapAddress(host || ''),
+            port,
+            data: Buffer.from(data)
+        };
+        if (this.filter && !this.filter(entry)) return;
+        this.count++;
+        this.emit('packet', entry);
+    }
+
+    /**
+     * Emits an 'error' event if anyone is listening
+     * 
+     * @private
+     * @param {Error} err - The error
+     */
+    _emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+    }
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * DumpWriter - records captured datagrams to a file
+ * 
+ * @example
+ * const writer = new DumpWriter('session.aoodump');
+ * capture.on('packet', (entry) => writer.write(entry));
+ * process.on('SIGINT', () => writer.close());
+ */
+class DumpWriter {
+    /**
+     * Creates the file and writes the header
+     * 
+     * @param {string} path - File path
+     */
+    constructor(path) {
+        this.path = path;
+        this.count = 0;         // Entries written
+        this._fd = fs.openSync(path, 'w');
+        fs.writeSync(this._fd, JSON.stringify({ aooDump: kDumpVersion, start: new Date().toISOString() }) + '\n');
+    }
+
+    /**
+     * Appends a datagram
+     * 
+     * @param {Object} entry - Entry {time, direction, host, port, data}
+     */
+    write(entry) {
+        if (this._fd === null) {
+            throw new Error('DumpWriter is closed');
+        }
+        fs.writeSync(this._fd, JSON.stringify({
+            t: Math.round(entry.time * 1000) / 1000,
+            dir: entry.direction,
+            host: entry.host,
+            port: entry.port,
+            data: entry.data.toString('base64')
+        }) + '\n');
+        this.count++;
+    }
+
+    /**
+     * Closes the file (safe to call twice)
+     */
+    close() {
+        if (this._fd === null) return;
+        fs.closeSync(this._fd);
+        this._fd = null;
+    }
+}
+
+/**
+ * Reads a recording made by `DumpWriter`
+ * 
+ * A last line that was cut off (recording not closed cleanly) is ignored.
+ * 
+ * @param {string} path - File path
+ * @returns {{start: Date, entries: Array<Object>}} Start of the recording
+ *   and its entries {time, direction, host, port, data}
+ * @throws {Error} If the file is not an AOO dump (or of a newer version)
+ */
+function readDump(path) {
+    const lines = fs.readFileSync(path, 'utf8').split('\n');
+    let header;
+    try {
+        header = JSON.parse(lines[0]);
+    } catch (err) {
+        header = null;
+    }
+    if (!header || typeof header.aooDump !== 'number') {
+        throw new Error(`${path} is not an AOO dump file`);
+    }
+    if (header.aooDump > kDumpVersion) {
+        throw new Error(`${path} has dump format version ${header.aooDump} (supported: ${kDumpVersion})`);
+    }
+
+    const entries = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (!lines[i]) continue;
+        let record;
+        try {
+            record = JSON.parse(lines[i]);
+        } catch (err) {
+            if (i === lines.length - 1) break;
+            throw new Error(`${path}:${i + 1}: ${err.message}`);
+        }
+        entries.push({
+            time: record.t,
+            direction: record.dir,
+            host: record.host,
+            port: record.port,
+            data: Buffer.from(record.data, 'base64')
+        });
+    }
+    return { start: new Date(header.start), entries };
+}
+
+// ============================================================================
+// DumpPlayer Class
+// ============================================================================
+
+/**
+ * DumpPlayer - replays recorded datagrams to a target with their
+ * original timing
+ * 
+ * Datagrams are sent at their recorded times relative to the first one,
+ * measured from a fixed origin so that timer jitter does not accumulate.
+ * The packets are sent as they are: a sink receiving the replay must
+ * have the sink ID the recording was made with.
+ * 
+ * @example
+ * const { entries } = readDump('session.aoodump');
+ * const player = new DumpPlayer(entries.filter((e) => e.direction === 'out'),
+ *     { host: '127.0.0.1', port: 9999 });
+ * player.on('end', () => player.close());
+ * player.start();
+ * 
+ * Events:
+ *   packet (entry) - A datagram was sent
+ *   end    ()      - All datagrams were sent (their send callbacks ran, so
+ *                    the socket can be closed)
+ *   error  (error) - Socket or host name resolution error (only emitted
+ *                    when a listener is attached)
+ *   close  ()      - Player was closed
+ */
+class DumpPlayer extends EventEmitter {
+    /**
+     * Creates a player
+     * 
+     * @param {Array<Object>} entries - Entries {time, data, ...} in time
+     *   order, e.g. from `readDump`
+     * @param {Object} options - Configuration options
+     * @param {string} options.host - Target host name or IP address
+     * @param {number} options.port - Target UDP port
+     * @param {number} [options.speed=1] - Playback speed factor
+     * @param {dgram.Socket} [options.socket] - Socket to send from (default:
+     *   a new socket on a free port)
+     * @param {string} [options.socketType='udp4'] - Type of the new socket
+     * @throws {RangeError} If the speed is not a positive number
+     */
+    constructor(entries, options) {
+        super();
+        this.entries = entries;
+        this.host = options.host;
+        this.port = options.port;
+        this.speed = options.speed !== undefined ? options.speed : 1;
+        if (!(this.speed > 0)) {
+            throw new RangeError(`Replay speed must be a positive number, got ${options.speed}`);
+        }
+
+        this._ownSocket = !options.socket;
+        this.socketType = options.socketType || (options.socket ? options.socket.type : 'udp4');
+        this.socket = options.socket || dgram.createSocket(this.socketType);
+        if (this._ownSocket) this.socket.on('error', (err) => this._emitError(err));
+
+        this.position = 0;      // Index of the next entry
+        this._address = null;   // Resolved target address
+        this._origin = 0;
+        this._timer = null;
+        this._running = false;
+        this._pending = 0;      // Datagrams handed to the socket but not sent yet
+        this._sent = (err) => {
+            this._pending--;
+            if (err) this._emitError(err);
+            this._checkEnd();
+        };
+    }
+
+    /**
+     * Starts (or restarts) the replay from the first entry
+     */
+    start() {
+        this.stop();
+        this.position = 0;
+        this._running = true;
+        udp.resolveHost(this.host, this.socketType, false, (err, address) => {
+            if (!this._running) return;
+            if (err) {
+                this._running = false;
+                this._emitError(err);
+                return;
+            }
+            this._address = udp.socketAddress(address, this.socketType);
+            this._origin = performance.now();
+            this._run();
+        });
+    }
+
+    /**
+     * Stops the replay; `start()` begins again from the first entry
+     */
+    stop() {
+        this._running = false;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Stops the replay and closes the player's own socket
+     */
+    close() {
+        this.stop();
+        if (this._ownSocket) {
+            this.socket.close(() => this.emit('close'));
+        } else {
+            setImmediate(() => this.emit('close'));
+        }
+    }
+
+    /**
+     * Timer handler: sends all entries that are due and schedules the next run
+     * 
+     * @private
+     */
+    _run() {
+        this._timer = null;
+        const entries = this.entries;
+        if (entries.length === 0) {
+            this._checkEnd();
+            return;
+        }
+
+        const first = entries[0].time;
+        const elapsed = performance.now() - this._origin;
+        while (this._running && this.position < entries.length &&
+            (entries[this.position].time - first) / this.speed <= elapsed) {
+            const entry = entries[this.position++];
+            this._pending++;
+            this.socket.send(entry.data, this.port, this._address, this._sent);
+            this.emit('packet', entry);
+        }
+
+        if (!this._running || this.position >= entries.length) return;
+        const next = (entries[this.position].time - first) / this.speed - (performance.now() - this._origin);
+        this._timer = setTimeout(() => this._run(), Math.max(0, next));
+    }
+
+    /**
+     * Emits 'end' once all entries are sent and the socket is done with them
+     * 
+     * Closing the socket drops datagrams it has not sent yet, so 'end'
+     * waits for the send callbacks.
+     * 
+     * @private
+     */
+    _checkEnd() {
+        if (this._running && this.position >= this.entries.length && this._pending === 0) {
+            this._running = false;
+            this.emit('end');
+        }
+    }
+
+    /**
+     * Emits an 'error' event if anyone is listening
+     * 
+     * @private
+     * @param {Error} err - The error
+     */
+    _emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+    }
+}
+
+module.exports = {
+    kDumpVersion,
+    decodePacket,
+    formatPacket,
+    formatEntry,
+    AooCapture,
+    DumpWriter,
+    readDump,
+    DumpPlayer
+};
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Reassembly of AOO data frames
+ * 
+ * Blocks that do not fit into `maxPacketSize` are split by AooSource
+ * into several data messages ("frames") that share a sequence number
+ * and carry a frame index and frame count (bytes 12 and 13 of the data
+ * header). The FrameAssembler collects the frames of each block and
+ * hands back the complete audio data once all of them have arrived.
+ * Blocks that stay incomplete are eventually dropped.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const { sequenceDiff } = require('./aoo-protocol');
+
+// ============================================================================
+// FrameAssembler Class
+// ============================================================================
+
+/**
+ * FrameAssembler - puts split blocks back together
+ * 
+ * @example
+ * const assembler = new FrameAssembler();
+ * const packet = parseDataMessage(msg);
+ * const data = assembler.add(packet);
+ * if (data) decode(data);
+ */
+class FrameAssembler {
+    /**
+     * Creates a new frame assembler
+     * 
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.maxPending=16] - Incomplete blocks to keep before
+     *   the oldest one is dropped
+     */
+    constructor(options = {}) {
+        this.maxPending = options.maxPending || 16;
+
+        // Blocks dropped because frames were missing
+        this.incomplete = 0;
+
+        this.reset();
+    }
+
+    /**
+     * Discards all pending frames (e.g. when the stream changes)
+     */
+    reset() {
+        this._pending = new Map();  // sequence -> { frames, received, size }
+        this._newest = null;        // Newest sequence seen
+    }
+
+    /**
+     * Adds a data packet (as returned by `parseDataMessage`)
+     * 
+     * Unsplit packets are returned immediately.
+     * 
+     * @param {Object} packet - Parsed data packet
+     * @param {number} packet.sequence - Block sequence number
+     * @param {number} packet.frameIndex - Index of this frame
+     * @param {number} packet.frameCount - Number of frames in the block
+     * @param {Buffer} packet.data - Frame payload
+     * @returns {Buffer|null} Complete block data, or null while frames are missing
+     */
+    add(packet) {
+        const { sequence, frameIndex, frameCount, data } = packet;
+        if (frameCount <= 1) return data;
+        if (frameIndex >= frameCount) return null;
+
+        let block = this._pending.get(sequence);
+        if (!block) {
+            block = { frames: new Array(frameCount).fill(null), received: 0, size: 0 };
+            this._pending.set(sequence, block);
+            if (this._newest === null || sequenceDiff(sequence, this._newest) > 0) {
+                this._newest = sequence;
+            }
+            this._expire();
+        }
+
+        // Duplicate or inconsistent frame
+        if (block.frames.length !== frameCount || block.frames[frameIndex]) return null;
+
+        // Copy, the packet buffer may be reused by the caller
+        block.frames[frameIndex] = Buffer.from(data);
+        block.received++;
+        block.size += data.length;
+
+        if (block.received < frameCount) return null;
+
+        this._pending.delete(sequence);
+        return Buffer.concat(block.frames, block.size);
+    }
+
+    /**
+     * Drops incomplete blocks that are too far behind the newest one
+     * 
+     * @private
+     */
+    _expire() {
+        for (const sequence of this._pending.keys()) {
+            if (sequenceDiff(this._newest, sequence) >= this.maxPending) {
+                this._pending.delete(sequence);
+                this.incomplete++;
+            }
+        }
+    }
+
+    /**
+     * Number of blocks waiting for missing frames
+     * 
+     * @type {number}
+     */
+    get pending() {
+        return this._pending.size;
+    }
+}
+
+module.exports = { FrameAssembler };
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Sent block history for packet resending
+ * 
+ * AooSource keeps the last few encoded blocks it sent, so that sinks
+ * can ask for lost packets by sequence number. The history is a fixed
+ * size ring: the oldest block is overwritten by the newest one.
+ * 
+ * The slots are allocated once. Encoders that support `encodeInto`
+ * write straight into the storage of the slot they are about to
+ * overwrite (see `reserve`), and the slots keep the views of the
+ * packet sized parts of their data (see `range`), so keeping the
+ * history costs no allocations per block.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+// ============================================================================
+// HistoryBuffer Class
+// ============================================================================
+
+/**
+ * Creates an empty history slot
+ * 
+ * @returns {Object} Slot {sequence, buffer, size, timing, messages}
+ */
+function createEntry() {
+    return {
+        sequence: -1,       // Sequence number of the block (-1 if empty)
+        buffer: null,       // Encoded block data (the first `size` bytes)
+        size: 0,
+        timing: null,       // Copy of the block timing, or null
+        messages: null,     // Encoded stream messages of the block, or null
+        _storage: null,     // Buffer owned by the slot, reused by reserve()
+        _ranges: [],        // Views of the data, by frame index (see range())
+        _timing: { time: 0, sampleRate: 0 }
+    };
+}
+
+/**
+ * HistoryBuffer - ring buffer of recently sent blocks, indexed by sequence
+ * 
+ * @example
+ * const history = new HistoryBuffer(64);
+ * const entry = history.reserve(sequence, encoder.maxBlockBytes);
+ * history.commit(entry, encoder.encodeInto(samples, entry.buffer));
+ * const block = history.find(sequence);  // null if too old
+ */
+class HistoryBuffer {
+    /**
+     * Creates a new history buffer
+     * 
+     * @param {number} capacity - Number of blocks to keep
+     */
+    constructor(capacity) {
+        this.capacity = 0;
+        this._entries = [];
+        this._scratch = createEntry();  // Used for every block if capacity is 0
+        this.resize(capacity);
+    }
+
+    /**
+     * Changes the number of blocks to keep
+     * 
+     * Clears the history. The slots (and their storage) are kept if the
+     * capacity doesn't change.
+     * 
+     * @param {number} capacity - Number of blocks to keep (0 disables history)
+     */
+    resize(capacity) {
+        capacity = Math.max(0, Math.floor(capacity));
+        if (capacity !== this.capacity) {
+            this.capacity = capacity;
+            this._entries = [];
+            for (let i = 0; i < capacity; i++) {
+                this._entries.push(createEntry());
+            }
+        }
+        this.clear();
+    }
+
+    /**
+     * Removes all blocks
+     */
+    clear() {
+        for (const entry of this._entries) {
+            entry.sequence = -1;
+        }
+    }
+
+    /**
+     * Claims the slot of a block about to be sent, replacing the oldest
+     * block if the buffer is full
+     * 
+     * The slot's `buffer` has room for at least `size` bytes; write the
+     * encoded block into it and call `commit`.
+     * 
+     * @param {number} sequence - Sequence number of the block
+     * @param {number} size - Largest possible size of the encoded block
+     * @returns {Object} The slot
+     */
+    reserve(sequence, size) {
+        const entry = this._slot(sequence);
+        if (!entry._storage || entry._storage.length < size) {
+            entry._storage = Buffer.alloc(size);
+        }
+        entry.buffer = entry._storage;
+        entry.size = 0;
+        entry.timing = null;
+        entry.messages = null;
+        return entry;
+    }
+
+    /**
+     * Completes a slot claimed with `reserve`
+     * 
+     * @param {Object} entry - Slot returned by `reserve`
+     * @param {number} size - Bytes written to `entry.buffer`
+     * @param {Object} [timing=null] - Block time and sample rate the block
+     *   was sent with, so that resent packets carry the same values
+     *   (copied, so the caller may reuse the object)
+     * @param {Buffer} [messages=null] - Encoded stream messages sent with
+     *   the block (not copied)
+     */
+    commit(entry, size, timing = null, messages = null) {
+        entry.size = size;
+        entry.messages = messages;
+        if (timing) {
+            entry._timing.time = timing.time;
+            entry._timing.sampleRate = timing.sampleRate;
+            entry.timing = entry._timing;
+        } else {
+            entry.timing = null;
+        }
+    }
+
+    /**
+     * Stores a sent block that was encoded into a buffer of its own
+     * 
+     * @param {number} sequence - Sequence number of the block
+     * @param {Buffer} data - Encoded audio data of the block (not copied)
+     * @param {Object} [timing=null] - Block time and sample rate (see `commit`)
+     * @param {Buffer} [messages=null] - Encoded stream messages (see `commit`)
+     * @returns {Object} The slot
+     */
+    push(sequence, data, timing = null, messages = null) {
+        const entry = this._slot(sequence);
+        entry.buffer = data;
+        this.commit(entry, data.length, timing, messages);
+        return entry;
+    }
+
+    /**
+     * Part of a block's data, e.g. one frame of a block split into packets
+     * 
+     * Copying a range with `set()` or `Buffer.copy()` takes a view of
+     * it, which allocates. The views are kept with the slot instead, so
+     * once a slot has been used with the same frame sizes, sending its
+     * block in frames doesn't allocate.
+     * 
+     * @param {Object} entry - Slot
+     * @param {number} index - Frame index, under which the view is kept
+     * @param {number} start - Start of the range in the block data
+     * @param {number} end - End of the range (exclusive)
+     * @returns {Buffer} The range (the block data itself if it's all of it)
+     */
+    range(entry, index, start, end) {
+        const data = entry.buffer;
+        if (start === 0 && end === data.length) return data;
+
+        let view = entry._ranges[index];
+        if (!view || view.buffer !== data.buffer ||
+            view.byteOffset !== data.byteOffset + start || view.length !== end - start) {
+            view = data.subarray(start, end);
+            entry._ranges[index] = view;
+        }
+        return view;
+    }
+
+    /**
+     * Looks up a block by sequence number
+     * 
+     * @param {number} sequence - Sequence number to find
+     * @returns {{sequence: number, buffer: Buffer, size: number, timing: Object, messages: Buffer}|null}
+     *   The block, or null if it was never sent or has already been overwritten
+     */
+    find(sequence) {
+        if (this.capacity === 0 || sequence < 0) return null;
+        const entry = this._entries[sequence % this.capacity];
+        return entry.sequence === sequence ? entry : null;
+    }
+
+    /**
+     * Slot for a sequence number, marked as holding that block
+     * 
+     * @private
+     * @param {number} sequence - Sequence number
+     * @returns {Object} The slot
+     */
+    _slot(sequence) {
+        const entry = this.capacity > 0 ? this._entries[sequence % this.capacity] : this._scratch;
+        entry.sequence = sequence;
+        return entry;
+    }
+}
+
+module.exports = { HistoryBuffer };
@@ -10,7 +10,24 @@
  */
 
 const { AooSource } = require('./aoo-source');
+const { AooSink } = require('./aoo-sink');
+const { AooWriteStream, AooReadStream } = require('./streams');
+const { Resampler } = require('./resampler');
+const { AooWebBridge } = require('./web-bridge');
+const osc = require('./osc');
+const time = require('./time');
+const codec = require('./codec');
+const dump = require('./dump');
 
 module.exports = {
-    AooSource
+    AooSource,
+    AooSink,
+    AooWriteStream,
+    AooReadStream,
+    Resampler,
+    AooWebBridge,
+    osc,
+    time,
+    codec,
+    dump
 };
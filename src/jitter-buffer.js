@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Receive-side jitter buffer for AOO streams
+ * 
+ * UDP delivers packets late, out of order, twice or not at all. The
+ * jitter buffer sits between the network and the playout clock of an
+ * AooSink: packets are pushed in as they arrive (keyed on streamId and
+ * sequence number) and blocks are popped out in sequence order once
+ * enough audio has been buffered to cover the latency target.
+ * 
+ * Missing blocks are concealed with silence or by repeating the last
+ * good block. A change of streamId or formatId resets the buffer.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const { sequenceDiff, sequenceAdd } = require('./aoo-protocol');
+
+// ============================================================================
+// JitterBuffer Class
+// ============================================================================
+
+/**
+ * JitterBuffer - reorders and conceals audio blocks of one stream
+ * 
+ * @example
+ * const jb = new JitterBuffer({ latency: 50, sampleRate: 48000, blockSize: 256, channels: 2 });
+ * 
+ * // network side
+ * jb.push(streamId, formatId, sequence, channels);
+ * 
+ * // playout side, once per block period
+ * const block = jb.pop();
+ * if (block) play(block.channels);
+ */
+class JitterBuffer {
+    /**
+     * Creates a new jitter buffer
+     * 
+     * @param {Object} options - Configuration options
+     * @param {number} [options.latency=50] - Latency target in ms
+     * @param {number} [options.maxLatency] - Buffered audio (ms) above which
+     *   old blocks are discarded (default: 2 × latency)
+     * @param {string} [options.concealment='silence'] - How to fill lost blocks:
+     *   'silence' or 'repeat' (repeat the last good block once, then silence)
+     * @param {number} [options.sampleRate=48000] - Stream sample rate in Hz
+     * @param {number} [options.blockSize=256] - Samples per block
+     * @param {number} [options.channels=2] - Number of channels
+     */
+    constructor(options = {}) {
+        this.latency = options.latency !== undefined ? options.latency : 50;
+        this.maxLatency = options.maxLatency || this.latency * 2;
+        this.concealment = options.concealment || 'silence';
+
+        if (this.concealment !== 'silence' && this.concealment !== 'repeat') {
+            throw new Error(`Unknown concealment mode '${this.concealment}'`);
+        }
+
+        this.sampleRate = options.sampleRate || 48000;
+        this.blockSize = options.blockSize || 256;
+        this.channels = options.channels || 2;
+
+        this.stats = {
+            received: 0,    // Packets accepted into the buffer
+            reordered: 0,   // Packets that arrived after a later sequence
+            duplicates: 0,  // Packets received twice
+            late: 0,        // Packets that arrived after their playout time
+            lost: 0,        // Blocks that were missing at playout time
+            dropped: 0,     // Buffered blocks discarded because of overruns
+            underruns: 0,   // Playout found the buffer empty
+            overruns: 0     // Buffer exceeded maxLatency
+        };
+
+        this.reset(null, null);
+    }
+
+    /**
+     * Latency target expressed in blocks (at least one)
+     * 
+     * @type {number}
+     */
+    get latencyBlocks() {
+        return Math.max(1, Math.ceil(this.latency / 1000 * this.sampleRate / this.blockSize));
+    }
+
+    /**
+     * Maximum number of blocks the buffer may span before it overruns
+     * 
+     * @type {number}
+     */
+    get capacityBlocks() {
+        const blocks = Math.ceil(this.maxLatency / 1000 * this.sampleRate / this.blockSize);
+        return Math.max(this.latencyBlocks + 1, blocks);
+    }
+
+    /**
+     * Number of blocks currently waiting for playout
+     * 
+     * @type {number}
+     */
+    get size() {
+        return this._blocks.size;
+    }
+
+    /**
+     * Clears all buffered blocks and starts over with a new stream
+     * 
+     * Statistics are kept; use `resetStats()` to clear them.
+     * 
+     * @param {number|null} streamId - New stream ID
+     * @param {number|null} formatId - New format ID
+     * @param {Object} [format] - New stream format {sampleRate, blockSize, channels}
+     */
+    reset(streamId, formatId, format) {
+        this.streamId = streamId;
+        this.formatId = formatId;
+
+        if (format) {
+            if (format.sampleRate) this.sampleRate = format.sampleRate;
+            if (format.blockSize) this.blockSize = format.blockSize;
+            if (format.channels) this.channels = format.channels;
+        }
+
+        this._blocks = new Map();     // sequence -> channel arrays
+        this._readSeq = null;         // Next sequence to play
+        this._highSeq = null;         // Highest sequence received
+        this._primed = false;         // Enough audio buffered to start playout
+        this._started = false;        // Playout has produced at least one block
+        this._lastBlock = null;       // Last good block (for 'repeat')
+        this._repeated = false;       // Last block was already repeated once
+        this._finished = false;       // The stream has ended, play out what is left
+    }
+
+    /**
+     * Marks the end of the stream
+     * 
+     * The remaining blocks are played out without waiting for the latency
+     * target; after that pop() returns null.
+     */
+    finish() {
+        this._finished = true;
+    }
+
+    /**
+     * Clears the statistics counters
+     */
+    resetStats() {
+        for (const key of Object.keys(this.stats)) {
+            this.stats[key] = 0;
+        }
+    }
+
+    // ========================================================================
+    // Network Side
+    // ========================================================================
+
+    /**
+     * Adds a received block to the buffer
+     * 
+     * @param {number} streamId - Stream ID from the data packet
+     * @param {number} formatId - Format ID of the stream
+     * @param {number} sequence - Sequence number from the data packet
+     * @param {Array<Float32Array>} channels - Decoded channel data
+     * @returns {string} 'ok', 'late', 'duplicate' or 'overrun'
+     */
+    push(streamId, formatId, sequence, channels) {
+        if (streamId !== this.streamId || formatId !== this.formatId) {
+            this.reset(streamId, formatId);
+        }
+
+        // First packet of a stream defines the playout position
+        if (this._readSeq === null) {
+            this._readSeq = sequence;
+            this._highSeq = sequence;
+        }
+
+        let diff = sequenceDiff(sequence, this._readSeq);
+        if (diff < 0) {
+            // Before playout starts an earlier packet may still arrive
+            if (!this._started) {
+                this._readSeq = sequence;
+                diff = 0;
+            } else {
+                this.stats.late++;
+                return 'late';
+            }
+        }
+
+        if (this._blocks.has(sequence)) {
+            this.stats.duplicates++;
+            return 'duplicate';
+        }
+
+        if (sequenceDiff(sequence, this._highSeq) < 0) {
+            this.stats.reordered++;
+        } else {
+            this._highSeq = sequence;
+        }
+
+        let status = 'ok';
+        if (diff >= this.capacityBlocks) {
+            // Too much audio buffered: skip ahead to the latency target
+            this._skipTo(sequenceAdd(sequence, -(this.latencyBlocks - 1)));
+            this.stats.overruns++;
+            status = 'overrun';
+        }
+
+        this._blocks.set(sequence, channels);
+        this.stats.received++;
+        return status;
+    }
+
+    /**
+     * Discards all blocks before `sequence` and moves the playout position
+     * 
+     * @private
+     * @param {number} sequence - New playout position
+     */
+    _skipTo(sequence) {
+        for (const seq of this._blocks.keys()) {
+            if (sequenceDiff(seq, sequence) < 0) {
+                this._blocks.delete(seq);
+                this.stats.dropped++;
+            }
+        }
+        this._readSeq = sequence;
+    }
+
+    // ========================================================================
+    // Playout Side
+    // ========================================================================
+
+    /**
+     * Takes the next block for playout
+     * 
+     * Returns null until the buffer has been filled up to the latency
+     * target for the first time, and after the end of a finished stream.
+     * Otherwise a block is always returned:
+     * the received block, a concealed block for a lost packet, or silence
+     * while the buffer refills after an underrun.
+     * 
+     * @returns {{channels: Array<Float32Array>, sequence: number, status: string}|null}
+     *   Block with status 'ok', 'lost' or 'underrun'
+     */
+    pop() {
+        if (this._readSeq === null) return null;
+
+        if (this._finished) {
+            if (this._blocks.size === 0) return null;
+            this._primed = true;
+            this._started = true;
+        }
+
+        if (!this._primed) {
+            const span = sequenceDiff(this._highSeq, this._readSeq) + 1;
+            if (span < this.latencyBlocks) {
+                // (Re)buffering - silence once playout has started
+                return this._started
+                    ? { channels: this._silence(), sequence: this._readSeq, status: 'underrun' }
+                    : null;
+            }
+            this._primed = true;
+            this._started = true;
+        }
+
+        const sequence = this._readSeq;
+        const channels = this._blocks.get(sequence);
+
+        if (channels) {
+            this._blocks.delete(sequence);
+            this._readSeq = sequenceAdd(sequence);
+            this._lastBlock = channels;
+            this._repeated = false;
+            return { channels, sequence, status: 'ok' };
+        }
+
+        if (this._blocks.size === 0) {
+            // Nothing buffered at all: refill to the latency target
+            this._primed = false;
+            this.stats.underruns++;
+            return { channels: this._silence(), sequence, status: 'underrun' };
+        }
+
+        // Later blocks are here, this one is not: conceal and move on
+        this._readSeq = sequenceAdd(sequence);
+        this.stats.lost++;
+        return { channels: this._conceal(), sequence, status: 'lost' };
+    }
+
+    /**
+     * Creates a replacement for a lost block
+     * 
+     * @private
+     * @returns {Array<Float32Array>} Concealment block
+     */
+    _conceal() {
+        if (this.concealment === 'repeat' && this._lastBlock && !this._repeated) {
+            this._repeated = true;
+            return this._lastBlock.map((ch) => Float32Array.from(ch));
+        }
+        return this._silence();
+    }
+
+    /**
+     * Creates a block of silence in the current format
+     * 
+     * @private
+     * @returns {Array<Float32Array>} Silent channel arrays
+     */
+    _silence() {
+        const channels = [];
+        for (let ch = 0; ch < this.channels; ch++) {
+            channels.push(new Float32Array(this.blockSize));
+        }
+        return channels;
+    }
+}
+
+module.exports = { JitterBuffer };
@@ -0,0 +1,616 @@
+/**
+ * @fileoverview OSC (Open Sound Control) 1.0/1.1 encoder and decoder
+ * 
+ * Encodes and decodes OSC messages and bundles (with nested bundles and
+ * timetags), and matches OSC address patterns. Used by AooSource and
+ * AooSink for all handshake messages, and usable on its own for control
+ * messages.
+ * 
+ * Supported type tags:
+ *   i - int32                  h - int64 (BigInt)
+ *   f - float32                d - float64
+ *   s - string (UTF-8)         S - symbol (UTF-8)
+ *   b - blob (Buffer)          c - ASCII character
+ *   t - timetag (BigInt)       r - RGBA color {r, g, b, a}
+ *   m - MIDI message (4-byte Buffer: port, status, data1, data2)
+ *   T - true    F - false    N - null    I - impulse/infinitum
+ *   [ ... ] - array
+ * 
+ * Malformed input raises a RangeError (out of bounds, bad padding,
+ * bad structure) or a TypeError (unknown type tag, wrong value type).
+ * 
+ * Specification: https://opensoundcontrol.stanford.edu/spec-1_0.html
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const { TextDecoder } = require('util');
+
+/**
+ * Identifier string that starts every bundle
+ */
+const kBundleTag = '#bundle';
+
+/**
+ * Timetag meaning "immediately" (OSC 1.0 section "Temporal Semantics")
+ */
+const kTimetagImmediate = BigInt(1);
+
+// Strict UTF-8 decoder: invalid byte sequences throw instead of being replaced
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Rounds a byte count up to the next multiple of 4
+ * 
+ * @param {number} n - Byte count
+ * @returns {number} Padded byte count
+ */
+function pad4(n) {
+    return (n + 3) & ~3;
+}
+
+/**
+ * Encodes an OSC string: UTF-8 bytes, null terminator, zero padding
+ * 
+ * @param {string} str - String to encode
+ * @returns {Buffer} Encoded string
+ */
+function encodeString(str) {
+    if (typeof str !== 'string') {
+        throw new TypeError(`OSC string expected, got ${typeof str}`);
+    }
+    const bytes = Buffer.from(str, 'utf8');
+    if (bytes.includes(0)) {
+        throw new TypeError('OSC strings must not contain null characters');
+    }
+    const buf = Buffer.alloc(pad4(bytes.length + 1));
+    bytes.copy(buf, 0);
+    return buf;
+}
+
+/**
+ * Reads an OSC string at `offset`
+ * 
+ * @param {Buffer} buf - Buffer to read from
+ * @param {number} offset - Start of the string
+ * @returns {{value: string, offset: number}} The string and the offset after its padding
+ */
+function readString(buf, offset) {
+    const end = buf.indexOf(0, offset);
+    if (end === -1) {
+        throw new RangeError(`OSC string at offset ${offset} is not null-terminated`);
+    }
+    const next = pad4(end + 1);
+    if (next > buf.length) {
+        throw new RangeError(`OSC string at offset ${offset} is not padded to 4 bytes`);
+    }
+    let value;
+    try {
+        value = utf8Decoder.decode(buf.subarray(offset, end));
+    } catch (e) {
+        throw new RangeError(`OSC string at offset ${offset} is not valid UTF-8`);
+    }
+    return { value, offset: next };
+}
+
+/**
+ * Throws unless `size` bytes can be read at `offset`
+ * 
+ * @param {Buffer} buf - Buffer to read from
+ * @param {number} offset - Read position
+ * @param {number} size - Number of bytes needed
+ * @param {string} what - Description for the error message
+ */
+function checkBounds(buf, offset, size, what) {
+    if (offset + size > buf.length) {
+        throw new RangeError(`OSC ${what} at offset ${offset} exceeds message size (${buf.length} bytes)`);
+    }
+}
+
+/**
+ * Guesses the OSC type of a plain JavaScript value
+ * 
+ * @param {*} value - Argument value
+ * @returns {string} Type tag
+ */
+function inferType(value) {
+    switch (typeof value) {
+        case 'number':
+            if (value === Infinity) return 'I';
+            return Number.isInteger(value) && value >= -0x80000000 && value <= 0x7FFFFFFF ? 'i' : 'f';
+        case 'string':
+            return 's';
+        case 'boolean':
+            return value ? 'T' : 'F';
+        case 'bigint':
+            return 'h';
+        case 'object':
+            if (value === null) return 'N';
+            if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 'b';
+            if (Array.isArray(value)) return '[';
+            break;
+    }
+    throw new TypeError(`Cannot infer OSC type of ${typeof value} value`);
+}
+
+/**
+ * Converts an argument to {type, value} form
+ * 
+ * @param {*} arg - Plain value or {type, value} object
+ * @returns {{type: string, value: *}} Typed argument
+ */
+function normalizeArg(arg) {
+    if (arg !== null && typeof arg === 'object' && typeof arg.type === 'string' &&
+        !Array.isArray(arg) && !Buffer.isBuffer(arg)) {
+        return arg;
+    }
+    return { type: inferType(arg), value: arg };
+}
+
+/**
+ * Converts a timetag value to BigInt
+ * 
+ * @param {bigint|number} value - Timetag as uint64
+ * @returns {bigint} Timetag
+ */
+function toTimetag(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0) return BigInt(value);
+    throw new TypeError('OSC timetag must be a BigInt (uint64)');
+}
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+/**
+ * Appends the type tags and encoded data of one argument
+ * 
+ * @param {{type: string, value: *}} arg - Typed argument
+ * @param {Array<string>} tags - Type tag characters (appended to)
+ * @param {Array<Buffer>} parts - Encoded data (appended to)
+ */
+function encodeArg(arg, tags, parts) {
+    const { type, value } = arg;
+    let buf;
+
+    switch (type) {
+        case 'i':
+            if (!Number.isInteger(value) || value < -0x80000000 || value > 0x7FFFFFFF) {
+                throw new RangeError(`OSC int32 out of range: ${value}`);
+            }
+            buf = Buffer.alloc(4);
+            buf.writeInt32BE(value, 0);
+            break;
+
+        case 'f':
+            if (typeof value !== 'number') throw new TypeError('OSC float32 must be a number');
+            buf = Buffer.alloc(4);
+            buf.writeFloatBE(value, 0);
+            break;
+
+        case 'd':
+            if (typeof value !== 'number') throw new TypeError('OSC float64 must be a number');
+            buf = Buffer.alloc(8);
+            buf.writeDoubleBE(value, 0);
+            break;
+
+        case 'h':
+            buf = Buffer.alloc(8);
+            buf.writeBigInt64BE(BigInt(value), 0);
+            break;
+
+        case 't':
+            buf = Buffer.alloc(8);
+            buf.writeBigUInt64BE(toTimetag(value), 0);
+            break;
+
+        case 's':
+        case 'S':
+            buf = encodeString(value);
+            break;
+
+        case 'c': {
+            const code = typeof value === 'string' ? value.charCodeAt(0) : value;
+            if (!Number.isInteger(code) || code < 0 || code > 0x7F) {
+                throw new RangeError('OSC char must be a single ASCII character');
+            }
+            buf = Buffer.alloc(4);
+            buf.writeUInt32BE(code, 0);
+            break;
+        }
+
+        case 'b': {
+            if (!(value instanceof Uint8Array)) throw new TypeError('OSC blob must be a Buffer');
+            buf = Buffer.alloc(4 + pad4(value.length));
+            buf.writeInt32BE(value.length, 0);
+            buf.set(value, 4);
+            break;
+        }
+
+        case 'r':
+            buf = Buffer.alloc(4);
+            buf[0] = value.r; buf[1] = value.g; buf[2] = value.b; buf[3] = value.a;
+            break;
+
+        case 'm':
+            if (!(value instanceof Uint8Array) && !Array.isArray(value)) {
+                throw new TypeError('OSC MIDI message must be 4 bytes (port, status, data1, data2)');
+            }
+            if (value.length !== 4) throw new RangeError('OSC MIDI message must be 4 bytes');
+            buf = Buffer.from(value);
+            break;
+
+        case 'T':
+        case 'F':
+        case 'N':
+        case 'I':
+            break;
+
+        case '[':
+            if (!Array.isArray(value)) throw new TypeError('OSC array must be an Array');
+            tags.push('[');
+            for (const item of value) {
+                encodeArg(normalizeArg(item), tags, parts);
+            }
+            tags.push(']');
+            return;
+
+        default:
+            throw new TypeError(`Unknown OSC type tag '${type}'`);
+    }
+
+    tags.push(type);
+    if (buf) parts.push(buf);
+}
+
+/**
+ * Encodes an OSC message
+ * 
+ * Arguments are either {type, value} objects or plain values, whose
+ * type is inferred: integers → i, other numbers → f, strings → s,
+ * booleans → T/F, null → N, BigInt → h, Buffer → b, Array → [...].
+ * 
+ * @example
+ * osc.encodeMessage('/synth/1/freq', [440.5, { type: 'd', value: 0.25 }, 'saw']);
+ * 
+ * @param {string} address - OSC address (starting with '/')
+ * @param {Array} [args=[]] - Message arguments
+ * @returns {Buffer} Encoded message
+ * @throws {TypeError|RangeError} On invalid addresses or arguments
+ */
+function encodeMessage(address, args = []) {
+    if (typeof address !== 'string' || address[0] !== '/') {
+        throw new TypeError(`OSC address must start with '/': ${address}`);
+    }
+
+    const tags = [','];
+    const parts = [];
+    for (const arg of args) {
+        encodeArg(normalizeArg(arg), tags, parts);
+    }
+
+    return Buffer.concat([encodeString(address), encodeString(tags.join('')), ...parts]);
+}
+
+/**
+ * Encodes an OSC bundle
+ * 
+ * Elements are messages ({address, args}), nested bundles
+ * ({timetag, elements}) or already encoded Buffers.
+ * 
+ * @param {bigint} timetag - Bundle timetag (1 = immediately)
+ * @param {Array<Object|Buffer>} elements - Bundle contents
+ * @returns {Buffer} Encoded bundle
+ */
+function encodeBundle(timetag, elements = []) {
+    const head = Buffer.alloc(16);
+    head.write(kBundleTag, 0, 'ascii');
+    head.writeBigUInt64BE(toTimetag(timetag), 8);
+
+    const parts = [head];
+    for (const element of elements) {
+        const data = Buffer.isBuffer(element) ? element : encode(element);
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(data.length, 0);
+        parts.push(size, data);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encodes a message or bundle object
+ * 
+ * @param {Object} packet - {address, args} or {timetag, elements}
+ * @returns {Buffer} Encoded packet
+ */
+function encode(packet) {
+    if (packet && packet.elements) {
+        return encodeBundle(packet.timetag !== undefined ? packet.timetag : kTimetagImmediate, packet.elements);
+    }
+    if (packet && typeof packet.address === 'string') {
+        return encodeMessage(packet.address, packet.args);
+    }
+    throw new TypeError('OSC packet must be a message {address, args} or bundle {timetag, elements}');
+}
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+/**
+ * Reads one argument of the given type
+ * 
+ * @param {Buffer} buf - Message buffer
+ * @param {number} offset - Read position
+ * @param {string} tag - Type tag
+ * @returns {{value: *, offset: number}} The value and the next read position
+ */
+function readArg(buf, offset, tag) {
+    switch (tag) {
+        case 'i':
+            checkBounds(buf, offset, 4, 'int32');
+            return { value: buf.readInt32BE(offset), offset: offset + 4 };
+        case 'f':
+            checkBounds(buf, offset, 4, 'float32');
+            return { value: buf.readFloatBE(offset), offset: offset + 4 };
+        case 'd':
+            checkBounds(buf, offset, 8, 'float64');
+            return { value: buf.readDoubleBE(offset), offset: offset + 8 };
+        case 'h':
+            checkBounds(buf, offset, 8, 'int64');
+            return { value: buf.readBigInt64BE(offset), offset: offset + 8 };
+        case 't':
+            checkBounds(buf, offset, 8, 'timetag');
+            return { value: buf.readBigUInt64BE(offset), offset: offset + 8 };
+        case 's':
+        case 'S':
+            return readString(buf, offset);
+        case 'c':
+            checkBounds(buf, offset, 4, 'char');
+            return { value: String.fromCharCode(buf.readUInt32BE(offset)), offset: offset + 4 };
+        case 'r':
+            checkBounds(buf, offset, 4, 'color');
+            return {
+                value: { r: buf[offset], g: buf[offset + 1], b: buf[offset + 2], a: buf[offset + 3] },
+                offset: offset + 4
+            };
+        case 'm':
+            checkBounds(buf, offset, 4, 'MIDI message');
+            return { value: Buffer.from(buf.subarray(offset, offset + 4)), offset: offset + 4 };
+        case 'b': {
+            checkBounds(buf, offset, 4, 'blob size');
+            const size = buf.readInt32BE(offset);
+            if (size < 0) throw new RangeError(`OSC blob at offset ${offset} has negative size`);
+            checkBounds(buf, offset + 4, pad4(size), 'blob');
+            return { value: buf.subarray(offset + 4, offset + 4 + size), offset: offset + 4 + pad4(size) };
+        }
+        case 'T': return { value: true, offset };
+        case 'F': return { value: false, offset };
+        case 'N': return { value: null, offset };
+        case 'I': return { value: Infinity, offset };
+        default:
+            throw new TypeError(`Unknown OSC type tag '${tag}'`);
+    }
+}
+
+/**
+ * Decodes an OSC message
+ * 
+ * Blob values are views into `buf`; copy them if the buffer is reused.
+ * 
+ * @param {Buffer} buf - Encoded message
+ * @returns {{address: string, types: string, args: Array}} Address, type tag
+ *   string (without the leading comma) and argument values. Arrays are
+ *   returned as nested JavaScript arrays.
+ * @throws {RangeError|TypeError} On malformed input
+ */
+function decodeMessage(buf) {
+    if (buf.length % 4 !== 0) {
+        throw new RangeError(`OSC message size ${buf.length} is not a multiple of 4`);
+    }
+    if (buf[0] !== 0x2F) {  // '/'
+        throw new RangeError('OSC address must start with \'/\'');
+    }
+
+    const address = readString(buf, 0);
+    let offset = address.offset;
+
+    // Messages without type tag string (very old OSC) have no arguments
+    if (offset >= buf.length) {
+        return { address: address.value, types: '', args: [] };
+    }
+    if (buf[offset] !== 0x2C) {  // ','
+        throw new RangeError(`OSC type tag string at offset ${offset} must start with ','`);
+    }
+
+    const tags = readString(buf, offset);
+    offset = tags.offset;
+    const types = tags.value.slice(1);
+
+    const args = [];
+    const stack = [];
+    let current = args;
+
+    for (const tag of types) {
+        if (tag === '[') {
+            const array = [];
+            current.push(array);
+            stack.push(current);
+            current = array;
+            continue;
+        }
+        if (tag === ']') {
+            if (stack.length === 0) throw new RangeError('OSC type tags contain unbalanced \']\'');
+            current = stack.pop();
+            continue;
+        }
+        const arg = readArg(buf, offset, tag);
+        current.push(arg.value);
+        offset = arg.offset;
+    }
+
+    if (stack.length > 0) throw new RangeError('OSC type tags contain unbalanced \'[\'');
+    if (offset !== buf.length) {
+        throw new RangeError(`OSC message has ${buf.length - offset} trailing bytes`);
+    }
+
+    return { address: address.value, types, args };
+}
+
+/**
+ * Decodes an OSC bundle (including nested bundles)
+ * 
+ * @param {Buffer} buf - Encoded bundle
+ * @returns {{timetag: bigint, elements: Array<Object>}} Timetag and decoded elements
+ * @throws {RangeError|TypeError} On malformed input
+ */
+function decodeBundle(buf) {
+    if (!isBundle(buf)) {
+        throw new RangeError('OSC bundle must start with \'#bundle\'');
+    }
+    checkBounds(buf, 8, 8, 'bundle timetag');
+    const timetag = buf.readBigUInt64BE(8);
+
+    const elements = [];
+    let offset = 16;
+    while (offset < buf.length) {
+        checkBounds(buf, offset, 4, 'bundle element size');
+        const size = buf.readInt32BE(offset);
+        offset += 4;
+        if (size <= 0 || size % 4 !== 0) {
+            throw new RangeError(`OSC bundle element at offset ${offset} has invalid size ${size}`);
+        }
+        checkBounds(buf, offset, size, 'bundle element');
+        elements.push(decode(buf.subarray(offset, offset + size)));
+        offset += size;
+    }
+
+    return { timetag, elements };
+}
+
+/**
+ * Decodes an OSC packet (message or bundle)
+ * 
+ * @param {Buffer} buf - Encoded packet
+ * @returns {Object} {address, types, args} or {timetag, elements}
+ * @throws {RangeError|TypeError} On malformed input
+ */
+function decode(buf) {
+    return isBundle(buf) ? decodeBundle(buf) : decodeMessage(buf);
+}
+
+/**
+ * Checks whether a buffer holds an OSC bundle
+ * 
+ * @param {Buffer} buf - Encoded packet
+ * @returns {boolean} True if the buffer starts with "#bundle\0"
+ */
+function isBundle(buf) {
+    return buf.length >= 8 && buf.toString('ascii', 0, 8) === kBundleTag + '\0';
+}
+
+// ============================================================================
+// Address Pattern Matching
+// ============================================================================
+
+// Compiled patterns, keyed by pattern string
+const patternCache = new Map();
+const kPatternCacheSize = 256;
+
+/**
+ * Compiles an OSC address pattern into a regular expression
+ * 
+ * Pattern syntax:
+ *   ?        - any single character except '/'
+ *   *        - any sequence of characters except '/'
+ *   [abc]    - any of the listed characters; ranges like [a-z];
+ *              [!abc] negates
+ *   {foo,bar} - any of the comma separated strings
+ * 
+ * @param {string} pattern - OSC address pattern
+ * @returns {RegExp} Regular expression matching whole addresses
+ * @throws {RangeError} On unbalanced brackets or braces
+ */
+function compilePattern(pattern) {
+    let cached = patternCache.get(pattern);
+    if (cached) return cached;
+
+    let re = '^';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        switch (c) {
+            case '?':
+                re += '[^/]';
+                break;
+            case '*':
+                re += '[^/]*';
+                break;
+            case '[': {
+                const end = pattern.indexOf(']', i + 1);
+                if (end === -1) throw new RangeError(`Unbalanced '[' in OSC pattern ${pattern}`);
+                let set = pattern.slice(i + 1, end);
+                let negate = false;
+                if (set[0] === '!') {
+                    negate = true;
+                    set = set.slice(1);
+                }
+                set = set.replace(/[\\\]^]/g, '\\$&');
+                re += negate ? `[^/${set}]` : `[${set}]`;
+                i = end;
+                break;
+            }
+            case '{': {
+                const end = pattern.indexOf('}', i + 1);
+                if (end === -1) throw new RangeError(`Unbalanced '{' in OSC pattern ${pattern}`);
+                const alternatives = pattern.slice(i + 1, end).split(',')
+                    .map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+                re += `(?:${alternatives.join('|')})`;
+                i = end;
+                break;
+            }
+            default:
+                re += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    cached = new RegExp(re + '$');
+
+    if (patternCache.size >= kPatternCacheSize) {
+        patternCache.delete(patternCache.keys().next().value);
+    }
+    patternCache.set(pattern, cached);
+    return cached;
+}
+
+/**
+ * Checks whether an OSC address matches an address pattern
+ * 
+ * @example
+ * osc.matchAddress('/aoo/src/{1,2}/ping', '/aoo/src/2/ping');  // true
+ * osc.matchAddress('/mixer/ch[1-4]/*', '/mixer/ch3/gain');     // true
+ * 
+ * @param {string} pattern - OSC address pattern
+ * @param {string} address - Concrete OSC address
+ * @returns {boolean} True if the address matches
+ */
+function matchAddress(pattern, address) {
+    return compilePattern(pattern).test(address);
+}
+
+module.exports = {
+    kTimetagImmediate,
+    encode,
+    encodeMessage,
+    encodeBundle,
+    decode,
+    decodeMessage,
+    decodeBundle,
+    isBundle,
+    compilePattern,
+    matchAddress
+};
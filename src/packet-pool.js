@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Reusable UDP packet buffers
+ * 
+ * `socket.send()` holds on to its buffer until the datagram has gone
+ * out, which is after the current tick. AooSource therefore can't write
+ * every packet into the same buffer; instead it takes one from this pool
+ * and the send callback puts it back. After the first few blocks the
+ * pool has as many buffers as are ever in flight at once, and sending
+ * doesn't allocate any more.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+// ============================================================================
+// PacketPool Class
+// ============================================================================
+
+/**
+ * PacketPool - free list of fixed size packet buffers
+ * 
+ * @example
+ * const pool = new PacketPool(1400);
+ * const packet = pool.acquire();
+ * const length = writeMessage(packet.buffer);
+ * socket.send(packet.buffer, 0, length, port, host, packet.release);
+ */
+class PacketPool {
+    /**
+     * Creates an empty pool
+     * 
+     * @param {number} packetSize - Size of every buffer in bytes
+     */
+    constructor(packetSize) {
+        this.packetSize = packetSize;
+        this.allocated = 0;     // Buffers created so far
+        this._free = [];
+    }
+
+    /**
+     * Buffers currently waiting in the pool
+     * 
+     * @type {number}
+     */
+    get available() {
+        return this._free.length;
+    }
+
+    /**
+     * Takes a packet from the pool, creating one if the pool is empty
+     * 
+     * @returns {{buffer: Buffer, release: Function}} Packet; call (or pass
+     *   as the send callback) `release` when the buffer is no longer used
+     */
+    acquire() {
+        if (this._free.length > 0) {
+            return this._free.pop();
+        }
+        const packet = {
+            buffer: Buffer.alloc(this.packetSize),
+            release: null
+        };
+        packet.release = () => this._free.push(packet);
+        this.allocated++;
+        return packet;
+    }
+}
+
+module.exports = { PacketPool };
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Raw PCM sample conversion
+ * 
+ * Converts between Float32Array samples and raw PCM bytes in the common
+ * sample formats and either byte order, for the stream interfaces
+ * (streams.js) and WAV files. Integer samples are scaled so that full
+ * scale is ±1.0; out-of-range floats are clipped.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+/**
+ * Supported sample formats: bytes per sample and integer full scale
+ */
+const kSampleFormats = {
+    int16: { size: 2, scale: 0x8000 },
+    int24: { size: 3, scale: 0x800000 },
+    int32: { size: 4, scale: 0x80000000 },
+    float32: { size: 4 },
+    float64: { size: 8 }
+};
+
+/**
+ * Looks up a sample format
+ * 
+ * @param {string} format - 'int16', 'int24', 'int32', 'float32' or 'float64'
+ * @returns {{size: number, scale: number|undefined}} Bytes per sample and full scale
+ * @throws {RangeError} If the format is not supported
+ */
+function sampleFormat(format) {
+    const info = kSampleFormats[format];
+    if (!info) {
+        throw new RangeError(`Unsupported sample format '${format}' ` +
+            `(expected ${Object.keys(kSampleFormats).join(', ')})`);
+    }
+    return info;
+}
+
+/**
+ * Checks a byte order argument
+ * 
+ * @param {string} endianness - 'le' or 'be'
+ * @returns {boolean} True for little-endian
+ * @throws {RangeError} For anything else
+ */
+function isLittleEndian(endianness) {
+    if (endianness !== 'le' && endianness !== 'be') {
+        throw new RangeError(`Endianness must be 'le' or 'be', got '${endianness}'`);
+    }
+    return endianness === 'le';
+}
+
+/**
+ * Bytes per sample of a format
+ * 
+ * @param {string} format - Sample format
+ * @returns {number} Bytes per sample
+ */
+function sampleSize(format) {
+    return sampleFormat(format).size;
+}
+
+/**
+ * Checks a sample format and byte order
+ * 
+ * @param {string} format - Sample format
+ * @param {string} endianness - Byte order, 'le' or 'be'
+ * @throws {RangeError} If either is not supported
+ */
+function validateFormat(format, endianness) {
+    sampleFormat(format);
+    isLittleEndian(endianness);
+}
+
+/**
+ * Decodes raw PCM bytes into float samples
+ * 
+ * Trailing bytes that don't make up a whole sample are ignored.
+ * 
+ * @param {Buffer} buf - PCM data
+ * @param {string} [format='float32'] - Sample format
+ * @param {string} [endianness='le'] - Byte order, 'le' or 'be'
+ * @returns {Float32Array} Samples (interleaved if the data is)
+ */
+function readSamples(buf, format = 'float32', endianness = 'le') {
+    const { size, scale } = sampleFormat(format);
+    const le = isLittleEndian(endianness);
+    const samples = new Float32Array(Math.floor(buf.length / size));
+
+    for (let i = 0, offset = 0; i < samples.length; i++, offset += size) {
+        switch (format) {
+            case 'int16':
+                samples[i] = (le ? buf.readInt16LE(offset) : buf.readInt16BE(offset)) / scale;
+                break;
+            case 'int24':
+                samples[i] = (le ? buf.readIntLE(offset, 3) : buf.readIntBE(offset, 3)) / scale;
+                break;
+            case 'int32':
+                samples[i] = (le ? buf.readInt32LE(offset) : buf.readInt32BE(offset)) / scale;
+                break;
+            case 'float32':
+                samples[i] = le ? buf.readFloatLE(offset) : buf.readFloatBE(offset);
+                break;
+            case 'float64':
+                samples[i] = le ? buf.readDoubleLE(offset) : buf.readDoubleBE(offset);
+                break;
+        }
+    }
+    return samples;
+}
+
+/**
+ * Encodes float samples as raw PCM bytes
+ * 
+ * @param {ArrayLike<number>} samples - Samples (interleaved for multichannel data)
+ * @param {string} [format='float32'] - Sample format
+ * @param {string} [endianness='le'] - Byte order, 'le' or 'be'
+ * @returns {Buffer} PCM data
+ */
+function writeSamples(samples, format = 'float32', endianness = 'le') {
+    const { size, scale } = sampleFormat(format);
+    const le = isLittleEndian(endianness);
+    const buf = Buffer.allocUnsafe(samples.length * size);
+
+    for (let i = 0, offset = 0; i < samples.length; i++, offset += size) {
+        let v = samples[i];
+        if (scale) {
+            v = Math.round(v * scale);
+            if (v > scale - 1) v = scale - 1;
+            else if (v < -scale) v = -scale;
+        }
+        switch (format) {
+            case 'int16':
+                if (le) buf.writeInt16LE(v, offset); else buf.writeInt16BE(v, offset);
+                break;
+            case 'int24':
+                if (le) buf.writeIntLE(v, offset, 3); else buf.writeIntBE(v, offset, 3);
+                break;
+            case 'int32':
+                if (le) buf.writeInt32LE(v, offset); else buf.writeInt32BE(v, offset);
+                break;
+            case 'float32':
+                if (le) buf.writeFloatLE(v, offset); else buf.writeFloatBE(v, offset);
+                break;
+            case 'float64':
+                if (le) buf.writeDoubleLE(v, offset); else buf.writeDoubleBE(v, offset);
+                break;
+        }
+    }
+    return buf;
+}
+
+/**
+ * Interleaves channel arrays: [c0, c1, ..., c0, c1, ...]
+ * 
+ * @param {Array<Float32Array>} channels - One array per channel (equal lengths)
+ * @returns {Float32Array} Interleaved samples
+ */
+function interleave(channels) {
+    const numChannels = channels.length;
+    const frames = numChannels > 0 ? channels[0].length : 0;
+    const out = new Float32Array(frames * numChannels);
+    for (let ch = 0; ch < numChannels; ch++) {
+        const data = channels[ch];
+        for (let i = 0; i < frames; i++) {
+            out[i * numChannels + ch] = data[i];
+        }
+    }
+    return out;
+}
+
+module.exports = {
+    sampleSize,
+    validateFormat,
+    readSamples,
+    writeSamples,
+    interleave
+};
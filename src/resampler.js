@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Streaming sample rate converter
+ * 
+ * Converts interleaved audio from an input rate to a fixed output rate,
+ * one chunk at a time, so AooSource can keep the stream format on the
+ * wire stable when the rate of its input differs or changes (e.g. a
+ * browser AudioContext running at 44.1 kHz for a 48 kHz session).
+ * 
+ * Two qualities:
+ *   linear - linear interpolation; cheap, some aliasing and high
+ *            frequency loss
+ *   sinc   - windowed sinc (Blackman) interpolated from a precomputed
+ *            table, i.e. a polyphase filter with arbitrary phases; low
+ *            pass filtered below the lower of the two Nyquist rates
+ * 
+ * The conversion ratio can be changed at any time, smoothly and without
+ * a reset, which is how small clock drift corrections are absorbed.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Zero crossings of the sinc on each side of the filter (at full
+ * bandwidth); the filter spans 2 × this many input samples
+ */
+const kSincZeroCrossings = 16;
+
+/**
+ * Table entries per zero crossing
+ */
+const kSincResolution = 512;
+
+/**
+ * Filter cutoff relative to the lower Nyquist rate, leaving room for
+ * the transition band
+ */
+const kSincCutoff = 0.95;
+
+/**
+ * Half of the windowed sinc, sampled from 0 to kSincZeroCrossings
+ * (computed on first use)
+ */
+let sincTable = null;
+
+/**
+ * Returns the windowed sinc table, computing it on first use
+ * 
+ * @returns {Float32Array} Table of kSincZeroCrossings × kSincResolution + 2 values
+ */
+function getSincTable() {
+    if (sincTable) return sincTable;
+    const size = kSincZeroCrossings * kSincResolution;
+    // One extra entry (zero) so interpolation never reads past the end
+    sincTable = new Float32Array(size + 2);
+    sincTable[0] = 1;
+    for (let i = 1; i <= size; i++) {
+        const x = i / kSincResolution;
+        const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+        // Blackman window over [-kSincZeroCrossings, kSincZeroCrossings]
+        const w = 2 * Math.PI * (0.5 + x / (2 * kSincZeroCrossings));
+        const window = 0.42 - 0.5 * Math.cos(w) + 0.08 * Math.cos(2 * w);
+        sincTable[i] = sinc * window;
+    }
+    return sincTable;
+}
+
+// ============================================================================
+// Resampler Class
+// ============================================================================
+
+/**
+ * Resampler - streaming sample rate converter for interleaved audio
+ * 
+ * @example
+ * const resampler = new Resampler({ channels: 2, inputRate: 44100, outputRate: 48000 });
+ * const out = resampler.process(interleaved44k);  // about 48000/44100 as many frames
+ */
+class Resampler {
+    /**
+     * Creates a new resampler
+     * 
+     * @param {Object} options - Configuration options
+     * @param {number} options.channels - Number of interleaved channels
+     * @param {number} options.inputRate - Sample rate of the input in Hz
+     * @param {number} options.outputRate - Sample rate of the output in Hz
+     * @param {string} [options.quality='sinc'] - 'linear' or 'sinc'
+     * @throws {RangeError} For invalid rates, channel counts or qualities
+     */
+    constructor(options) {
+        const { channels, inputRate, outputRate } = options;
+        const quality = options.quality || 'sinc';
+        if (!(channels >= 1) || !Number.isInteger(channels)) {
+            throw new RangeError('Resampler needs a positive integer channel count');
+        }
+        if (!(inputRate > 0) || !(outputRate > 0)) {
+            throw new RangeError('Resampler rates must be positive');
+        }
+        if (quality !== 'linear' && quality !== 'sinc') {
+            throw new RangeError(`Unknown resampler quality '${quality}' (expected 'linear' or 'sinc')`);
+        }
+
+        this.channels = channels;
+        this.quality = quality;
+        this.outputRate = outputRate;
+        this.inputRate = inputRate;
+        this.drift = 1;             // Correction factor on the input rate
+
+        this._table = quality === 'sinc' ? getSincTable() : null;
+        this._weights = null;       // Filter weights of the current output frame
+        this.reset();
+    }
+
+    /**
+     * Input frames consumed per output frame
+     * 
+     * @type {number}
+     */
+    get ratio() {
+        return this.inputRate * this.drift / this.outputRate;
+    }
+
+    /**
+     * Input frames that have been passed in but not turned into output
+     * yet; divided by `inputRate` this is the delay of the resampler
+     * 
+     * @type {number}
+     */
+    get buffered() {
+        return Math.max(0, this._frames - this._pos);
+    }
+
+    /**
+     * Changes the input rate (takes effect with the next output frame)
+     * 
+     * @param {number} rate - New input rate in Hz
+     * @throws {RangeError} If the rate is not positive
+     */
+    setInputRate(rate) {
+        if (!(rate > 0)) {
+            throw new RangeError('Resampler rates must be positive');
+        }
+        this.inputRate = rate;
+    }
+
+    /**
+     * Sets a drift correction: the input is consumed `drift` times faster
+     * than its nominal rate (e.g. 1.0001 if it runs 100 ppm fast)
+     * 
+     * @param {number} drift - Correction factor, close to 1
+     * @throws {RangeError} If the factor is not positive
+     */
+    setDrift(drift) {
+        if (!(drift > 0)) {
+            throw new RangeError('Drift correction must be a positive factor');
+        }
+        this.drift = drift;
+    }
+
+    /**
+     * Drops all buffered input and starts over
+     */
+    reset() {
+        this._buffer = new Float32Array(1024 * this.channels);
+        this._frames = 0;           // Valid frames in _buffer
+        this._pos = 0;              // Input position (frames) of the next output frame
+        if (this._table) {
+            // Start with silence as the history, so the first output frame
+            // is the first input frame
+            this._frames = kSincZeroCrossings;
+            this._pos = kSincZeroCrossings;
+        }
+    }
+
+    /**
+     * Converts a chunk of input
+     * 
+     * Output is produced as far as the input allows; the rest is kept for
+     * the next call (the sinc filter needs input ahead of each output
+     * frame).
+     * 
+     * @param {ArrayLike<number>} input - Interleaved input samples
+     * @returns {Float32Array} Interleaved output samples (may be empty)
+     */
+    process(input) {
+        this._append(input);
+
+        const step = this.ratio;
+        const numChannels = this.channels;
+        const halfWidth = this._halfWidth(step);
+        const available = this._frames - halfWidth;
+        if (this._pos >= available) return new Float32Array(0);
+
+        const maxFrames = Math.ceil((available - this._pos) / step) + 1;
+        const out = new Float32Array(maxFrames * numChannels);
+        let n = 0;
+
+        if (!this._table) {
+            n = this._processLinear(out, step, available);
+        } else {
+            n = this._processSinc(out, step, available, halfWidth);
+        }
+
+        this._trim(halfWidth);
+        return out.subarray(0, n * numChannels);
+    }
+
+    /**
+     * Number of input frames the filter needs on each side of an output
+     * frame
+     * 
+     * @private
+     * @param {number} step - Conversion ratio
+     * @returns {number} Half width in input frames
+     */
+    _halfWidth(step) {
+        if (!this._table) return 1;
+        return Math.ceil(kSincZeroCrossings / this._cutoff(step));
+    }
+
+    /**
+     * Filter cutoff relative to the input Nyquist rate
+     * 
+     * @private
+     * @param {number} step - Conversion ratio
+     * @returns {number} Cutoff in (0, 1)
+     */
+    _cutoff(step) {
+        return kSincCutoff * Math.min(1, 1 / step);
+    }
+
+    /**
+     * Linear interpolation
+     * 
+     * @private
+     * @param {Float32Array} out - Output buffer
+     * @param {number} step - Conversion ratio
+     * @param {number} available - Output is possible while the position is below this
+     * @returns {number} Frames written
+     */
+    _processLinear(out, step, available) {
+        const buf = this._buffer;
+        const numChannels = this.channels;
+        let pos = this._pos;
+        let n = 0;
+        while (pos < available) {
+            const i = Math.floor(pos);
+            const frac = pos - i;
+            const a = i * numChannels;
+            const b = a + numChannels;
+            for (let ch = 0; ch < numChannels; ch++) {
+                out[n * numChannels + ch] = buf[a + ch] + (buf[b + ch] - buf[a + ch]) * frac;
+            }
+            n++;
+            pos += step;
+        }
+        this._pos = pos;
+        return n;
+    }
+
+    /**
+     * Windowed sinc interpolation
+     * 
+     * @private
+     * @param {Float32Array} out - Output buffer
+     * @param {number} step - Conversion ratio
+     * @param {number} available - Output is possible while the position is below this
+     * @param {number} halfWidth - Filter half width in input frames
+     * @returns {number} Frames written
+     */
+    _processSinc(out, step, available, halfWidth) {
+        const buf = this._buffer;
+        const table = this._table;
+        const numChannels = this.channels;
+        const cutoff = this._cutoff(step);
+        const scale = cutoff * kSincResolution;
+        const limit = kSincZeroCrossings * kSincResolution;
+
+        const taps = 2 * halfWidth;
+        if (!this._weights || this._weights.length < taps) {
+            this._weights = new Float32Array(taps);
+        }
+        const weights = this._weights;
+
+        let pos = this._pos;
+        let n = 0;
+        while (pos < available) {
+            const i = Math.floor(pos);
+            const first = Math.max(0, i - halfWidth + 1);
+            const last = i + halfWidth;
+
+            // Weights for this output frame, shared by all channels
+            for (let k = first; k <= last; k++) {
+                const x = Math.abs(pos - k) * scale;
+                let w = 0;
+                if (x < limit) {
+                    const j = Math.floor(x);
+                    w = table[j] + (table[j + 1] - table[j]) * (x - j);
+                }
+                weights[k - first] = w;
+            }
+
+            for (let ch = 0; ch < numChannels; ch++) {
+                let sum = 0;
+                for (let k = first, offset = first * numChannels + ch; k <= last; k++, offset += numChannels) {
+                    sum += weights[k - first] * buf[offset];
+                }
+                out[n * numChannels + ch] = sum * cutoff;
+            }
+            n++;
+            pos += step;
+        }
+        this._pos = pos;
+        return n;
+    }
+
+    /**
+     * Appends input frames to the buffer, growing it as needed
+     * 
+     * @private
+     * @param {ArrayLike<number>} input - Interleaved samples
+     */
+    _append(input) {
+        const numChannels = this.channels;
+        const frames = Math.floor(input.length / numChannels);
+        const needed = (this._frames + frames) * numChannels;
+        if (needed > this._buffer.length) {
+            let size = this._buffer.length;
+            while (size < needed) size *= 2;
+            const buffer = new Float32Array(size);
+            buffer.set(this._buffer.subarray(0, this._frames * numChannels));
+            this._buffer = buffer;
+        }
+        const offset = this._frames * numChannels;
+        for (let i = 0; i < frames * numChannels; i++) {
+            this._buffer[offset + i] = input[i];
+        }
+        this._frames += frames;
+    }
+
+    /**
+     * Drops input frames that are no longer needed as filter history
+     * 
+     * @private
+     * @param {number} halfWidth - Filter half width in input frames
+     */
+    _trim(halfWidth) {
+        const keepFrom = Math.floor(this._pos) - (this._table ? halfWidth : 0);
+        if (keepFrom <= 0) return;
+        const drop = Math.min(keepFrom, this._frames);
+        const numChannels = this.channels;
+        this._buffer.copyWithin(0, drop * numChannels, this._frames * numChannels);
+        this._frames -= drop;
+        this._pos -= drop;
+    }
+}
+
+module.exports = { Resampler };
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Preallocated ring buffer of interleaved audio
+ * 
+ * AooSource collects the audio passed to sendAudio here until a whole
+ * block is available. Writing and reading copy into and out of one
+ * Float32Array, so the audio path doesn't allocate (and doesn't feed the
+ * garbage collector) once the buffer has reached its working size.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+// ============================================================================
+// RingBuffer Class
+// ============================================================================
+
+/**
+ * RingBuffer - FIFO of interleaved audio frames
+ * 
+ * @example
+ * const ring = new RingBuffer(2, 1024);
+ * ring.writeChannels([left, right]);
+ * const block = new Float32Array(256 * 2);
+ * while (ring.size >= 256) {
+ *     ring.read(block);
+ *     send(block);
+ * }
+ */
+class RingBuffer {
+    /**
+     * Creates a new ring buffer
+     * 
+     * @param {number} channels - Number of interleaved channels
+     * @param {number} capacity - Initial capacity in frames; the buffer
+     *   grows if more is written than fits
+     */
+    constructor(channels, capacity) {
+        this.channels = channels;
+        this._data = new Float32Array(Math.max(1, capacity) * channels);
+        this._read = 0;         // Read position (samples)
+        this._size = 0;         // Buffered samples
+    }
+
+    /**
+     * Number of buffered frames
+     * 
+     * @type {number}
+     */
+    get size() {
+        return this._size / this.channels;
+    }
+
+    /**
+     * Capacity in frames (before the buffer has to grow)
+     * 
+     * @type {number}
+     */
+    get capacity() {
+        return this._data.length / this.channels;
+    }
+
+    /**
+     * Discards all buffered frames
+     */
+    clear() {
+        this._read = 0;
+        this._size = 0;
+    }
+
+    /**
+     * Appends interleaved samples
+     * 
+     * @param {ArrayLike<number>} samples - Interleaved samples (a whole
+     *   number of frames)
+     */
+    writeInterleaved(samples) {
+        const count = samples.length;
+        this._reserve(count);
+
+        const data = this._data;
+        const start = (this._read + this._size) % data.length;
+        const first = Math.min(count, data.length - start);
+        if (first === count && ArrayBuffer.isView(samples)) {
+            data.set(samples, start);
+        } else {
+            // Plain arrays, or wrapping around (views of the two parts would allocate)
+            for (let i = 0; i < first; i++) data[start + i] = samples[i];
+            for (let i = first; i < count; i++) data[i - first] = samples[i];
+        }
+        this._size += count;
+    }
+
+    /**
+     * Appends one array per channel, interleaving them
+     * 
+     * @param {Array<ArrayLike<number>>} channels - Channel arrays of equal length
+     */
+    writeChannels(channels) {
+        const numChannels = this.channels;
+        const frames = channels[0].length;
+        this._reserve(frames * numChannels);
+
+        const data = this._data;
+        const length = data.length;
+        let pos = (this._read + this._size) % length;
+        for (let i = 0; i < frames; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                data[pos++] = channels[ch][i];
+            }
+            // Frames never straddle the end, as the length is a multiple of the channel count
+            if (pos === length) pos = 0;
+        }
+        this._size += frames * numChannels;
+    }
+
+    /**
+     * Removes frames from the front of the buffer
+     * 
+     * @param {Float32Array} out - Destination; filled completely if
+     *   enough frames are buffered
+     * @returns {number} Frames read
+     */
+    read(out) {
+        const count = Math.min(out.length, this._size);
+        const data = this._data;
+        const start = this._read;
+        const first = Math.min(count, data.length - start);
+        // Copied by hand: `set()` would need views of the ranges, which allocate
+        for (let i = 0; i < first; i++) out[i] = data[start + i];
+        for (let i = first; i < count; i++) out[i] = data[i - first];
+
+        this._read = (this._read + count) % data.length;
+        this._size -= count;
+        return count / this.channels;
+    }
+
+    /**
+     * Makes room for `count` more samples, doubling the capacity as needed
+     * 
+     * @private
+     * @param {number} count - Samples about to be written
+     */
+    _reserve(count) {
+        const needed = this._size + count;
+        if (needed <= this._data.length) return;
+
+        let length = this._data.length;
+        while (length < needed) length *= 2;
+        const data = new Float32Array(length);
+        const size = this._size;
+        const first = Math.min(size, this._data.length - this._read);
+        data.set(this._data.subarray(this._read, this._read + first), 0);
+        data.set(this._data.subarray(0, size - first), first);
+        this._data = data;
+        this._read = 0;
+    }
+}
+
+module.exports = { RingBuffer };
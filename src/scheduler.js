@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Block clock for real-time audio
+ * 
+ * Calls a function once per audio block period. Block deadlines are
+ * computed from a fixed origin on the high-resolution clock
+ * (`performance.now()`), so timer jitter does not accumulate and the
+ * clock doesn't drift the way `setInterval` does. After a stall (GC,
+ * busy event loop) the missed blocks are caught up, but never more
+ * than `maxCatchUp` of them at once; older ones are skipped.
+ * 
+ * Used for the scheduler mode of AooSource.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const { performance } = require('perf_hooks');
+
+// ============================================================================
+// Scheduler Class
+// ============================================================================
+
+/**
+ * Scheduler - drift-free block clock
+ * 
+ * @example
+ * const scheduler = new Scheduler({
+ *     period: 256 / 48000 * 1000,
+ *     callback: ({ lateness, skipped }) => produceBlock()
+ * });
+ * scheduler.start();
+ */
+class Scheduler {
+    /**
+     * Creates a new block clock
+     * 
+     * @param {Object} options - Configuration options
+     * @param {number} options.period - Block period in ms
+     * @param {Function} options.callback - Called once per block as
+     *   `callback({lateness, skipped})`: how late (ms) the block is, and how
+     *   many blocks were skipped before it because of the catch-up limit
+     * @param {number} [options.maxCatchUp=4] - Most blocks to produce in a
+     *   row after a stall
+     */
+    constructor(options) {
+        if (!(options.period > 0)) {
+            throw new RangeError('Scheduler period must be a positive number of ms');
+        }
+        this.period = options.period;
+        this.callback = options.callback;
+        this.maxCatchUp = Math.max(1, options.maxCatchUp || 4);
+
+        this.stats = {
+            blocks: 0,      // Callbacks made
+            late: 0,        // Blocks that were a whole period or more behind
+            skipped: 0      // Blocks dropped by the catch-up limit
+        };
+
+        this._timer = null;
+        this._running = false;
+        this._origin = 0;       // Time (performance.now) of block 0's start
+        this._ticks = 0;        // Blocks produced since the origin
+        this._resynced = false; // resync() was called during a callback
+    }
+
+    /**
+     * Whether the clock is running
+     * 
+     * @type {boolean}
+     */
+    get running() {
+        return this._running;
+    }
+
+    /**
+     * Starts the clock; the first block is due one period from now
+     */
+    start() {
+        if (this._running) return;
+        this._running = true;
+        this._origin = performance.now();
+        this._ticks = 0;
+        this._resynced = true;  // In case of a restart from the callback
+        this._timer = setTimeout(() => this._run(), this.period);
+    }
+
+    /**
+     * Stops the clock (may be called from the callback)
+     */
+    stop() {
+        this._running = false;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Restarts the block count from now, dropping any blocks that are
+     * still due (may be called from the callback)
+     */
+    resync() {
+        this._origin = performance.now();
+        this._ticks = 0;
+        this._resynced = true;
+    }
+
+    /**
+     * Timer handler: makes the callbacks for all blocks that are due and
+     * schedules the next run
+     * 
+     * @private
+     */
+    _run() {
+        this._timer = null;
+        const due = Math.floor((performance.now() - this._origin) / this.period);
+
+        let skipped = 0;
+        if (due - this._ticks > this.maxCatchUp) {
+            skipped = due - this.maxCatchUp - this._ticks;
+            this._ticks = due - this.maxCatchUp;
+            this.stats.skipped += skipped;
+        }
+
+        this._resynced = false;
+        while (this._running && this._ticks < due) {
+            const deadline = this._origin + (this._ticks + 1) * this.period;
+            const lateness = Math.max(0, performance.now() - deadline);
+            if (lateness >= this.period) this.stats.late++;
+
+            this._ticks++;
+            this.stats.blocks++;
+            this.callback({ lateness, skipped });
+            skipped = 0;
+
+            if (this._resynced) break;
+        }
+
+        // Stopped, or restarted (with a new timer) by the callback
+        if (!this._running || this._timer) return;
+        const next = this._origin + (this._ticks + 1) * this.period - performance.now();
+        this._timer = setTimeout(() => this._run(), Math.max(0, next));
+    }
+}
+
+module.exports = { Scheduler };
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Node.js stream interfaces for AooSource and AooSink
+ * 
+ * AooWriteStream takes raw interleaved PCM (e.g. `ffmpeg -f s16le -`)
+ * and feeds it to an AooSource block by block. By default it plays the
+ * data out in real time on the source's block clock, holding back write
+ * callbacks (backpressure) while more than `bufferMs` of audio is
+ * queued, so a file can be piped in as fast as it can be read.
+ * 
+ * AooReadStream turns the decoded blocks of an AooSink into raw
+ * interleaved PCM.
+ * 
+ * Create them with `source.createWriteStream()` and
+ * `sink.createReadStream()`.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const { Writable, Readable } = require('stream');
+const { Scheduler } = require('./scheduler');
+const { sampleSize, validateFormat, readSamples, writeSamples, interleave } = require('./pcm');
+
+// ============================================================================
+// AooWriteStream Class
+// ============================================================================
+
+/**
+ * AooWriteStream - writable stream of raw PCM into an AooSource
+ * 
+ * @example
+ * // ffmpeg -i song.mp3 -f s16le -ac 2 -ar 48000 - | node send.js
+ * source.start();
+ * process.stdin.pipe(source.createWriteStream({ format: 'int16' }));
+ */
+class AooWriteStream extends Writable {
+    /**
+     * Creates a new write stream (use `source.createWriteStream()`)
+     * 
+     * @param {AooSource} source - Source to send the audio with
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.format='int16'] - Sample format: 'int16',
+     *   'int24', 'int32', 'float32' or 'float64'
+     * @param {string} [options.endianness='le'] - Byte order: 'le' or 'be'
+     * @param {boolean} [options.realtime=true] - Play the data out on the
+     *   source's block clock. Set to false for input that already arrives
+     *   in real time (e.g. a sound card), which is then sent as it comes.
+     * @param {number} [options.bufferMs=200] - Realtime mode: queued audio (ms)
+     *   above which writes are held back
+     */
+    constructor(source, options = {}) {
+        super({ highWaterMark: options.highWaterMark });
+
+        this.source = source;
+        this.format = options.format || 'int16';
+        this.endianness = options.endianness || 'le';
+        this.realtime = options.realtime !== false;
+        this.bufferMs = options.bufferMs !== undefined ? options.bufferMs : 200;
+
+        validateFormat(this.format, this.endianness);
+        this._frameBytes = sampleSize(this.format) * source.channels;
+
+        this._buffer = Buffer.alloc(0);     // Queued PCM bytes
+        this._pendingCallback = null;       // Write callback held back for backpressure
+        this._finalCallback = null;         // _final callback waiting for the queue to drain
+        this._scheduler = null;
+    }
+
+    /**
+     * Bytes in one block of `blockSize` frames
+     * 
+     * @private
+     * @type {number}
+     */
+    get _blockBytes() {
+        return this._frameBytes * this.source.blockSize;
+    }
+
+    /**
+     * Queues written PCM data
+     * 
+     * @private
+     * @param {Buffer} chunk - PCM data
+     * @param {string} encoding - Unused (always a Buffer)
+     * @param {Function} callback - Called when more data may be written
+     */
+    _write(chunk, encoding, callback) {
+        this._buffer = this._buffer.length > 0 ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+        if (!this.realtime) {
+            while (this._buffer.length >= this._blockBytes) {
+                this._sendBlock();
+            }
+            callback();
+            return;
+        }
+
+        this._startClock();
+        const maxBytes = this.bufferMs / 1000 * this.source.inputSampleRate * this._frameBytes;
+        if (this._buffer.length < Math.max(maxBytes, this._blockBytes)) {
+            callback();
+        } else {
+            this._pendingCallback = callback;
+        }
+    }
+
+    /**
+     * Sends the remaining data once the stream ends, padding the last
+     * block with silence
+     * 
+     * @private
+     * @param {Function} callback - Called when everything has been sent
+     */
+    _final(callback) {
+        if (this.realtime && this._scheduler && this._buffer.length >= this._blockBytes) {
+            // Let the clock play out the queue
+            this._finalCallback = callback;
+            return;
+        }
+        this._flush();
+        callback();
+    }
+
+    /**
+     * Stops the clock when the stream is destroyed
+     * 
+     * @private
+     * @param {Error|null} err - Error that destroyed the stream
+     * @param {Function} callback - Completion callback
+     */
+    _destroy(err, callback) {
+        this._stopClock();
+        callback(err);
+    }
+
+    /**
+     * Starts the block clock (realtime mode)
+     * 
+     * @private
+     */
+    _startClock() {
+        if (this._scheduler) return;
+        this._scheduler = new Scheduler({
+            period: this.source.blockSize / this.source.inputSampleRate * 1000,
+            maxCatchUp: this.source.maxCatchUp,
+            callback: () => this._tick()
+        });
+        this._scheduler.start();
+    }
+
+    /**
+     * Stops the block clock
+     * 
+     * @private
+     */
+    _stopClock() {
+        if (this._scheduler) {
+            this._scheduler.stop();
+            this._scheduler = null;
+        }
+    }
+
+    /**
+     * Clock callback: sends one block, releases held back writes
+     * 
+     * @private
+     */
+    _tick() {
+        if (this._buffer.length < this._blockBytes) {
+            if (this._finalCallback) {
+                const callback = this._finalCallback;
+                this._finalCallback = null;
+                this._flush();
+                callback();
+                return;
+            }
+            // Input is late: restart the clock rather than burst later
+            this._scheduler.resync();
+        } else {
+            this._sendBlock();
+        }
+
+        const maxBytes = this.bufferMs / 1000 * this.source.inputSampleRate * this._frameBytes;
+        if (this._pendingCallback && this._buffer.length < Math.max(maxBytes, this._blockBytes)) {
+            const callback = this._pendingCallback;
+            this._pendingCallback = null;
+            callback();
+        }
+    }
+
+    /**
+     * Sends the first queued block
+     * 
+     * @private
+     */
+    _sendBlock() {
+        const block = this._buffer.subarray(0, this._blockBytes);
+        this._buffer = this._buffer.subarray(this._blockBytes);
+        this.source.sendAudio(readSamples(block, this.format, this.endianness));
+    }
+
+    /**
+     * Sends everything that is left and stops the clock
+     * 
+     * @private
+     */
+    _flush() {
+        this._stopClock();
+        while (this._buffer.length >= this._blockBytes) {
+            this._sendBlock();
+        }
+        const frames = Math.floor(this._buffer.length / this._frameBytes);
+        if (frames > 0) {
+            const last = Buffer.alloc(this._blockBytes);
+            this._buffer.copy(last, 0, 0, frames * this._frameBytes);
+            this._buffer = last;
+            this._sendBlock();
+        }
+        this._buffer = Buffer.alloc(0);
+    }
+}
+
+// ============================================================================
+// AooReadStream Class
+// ============================================================================
+
+/**
+ * AooReadStream - readable stream of raw PCM from an AooSink
+ * 
+ * If the consumer doesn't keep up, blocks are dropped (and counted in
+ * `dropped`) rather than buffered without limit.
+ * 
+ * Events (in addition to the Readable events):
+ *   format (info) - The stream format of the source changed (channels,
+ *                   sample rate); emitted before its first data
+ * 
+ * @example
+ * // node receive.js | ffplay -f s16le -ac 2 -ar 48000 -
+ * sink.createReadStream({ format: 'int16' }).pipe(process.stdout);
+ */
+class AooReadStream extends Readable {
+    /**
+     * Creates a new read stream (use `sink.createReadStream()`)
+     * 
+     * @param {AooSink} sink - Sink to read from
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.format='int16'] - Sample format: 'int16',
+     *   'int24', 'int32', 'float32' or 'float64'
+     * @param {string} [options.endianness='le'] - Byte order: 'le' or 'be'
+     * @param {number} [options.sourceId] - Only read this source (default: all)
+     * @param {string} [options.host] - Only read sources at this address
+     * @param {number} [options.port] - Only read sources at this port
+     * @param {boolean} [options.endOnStop=false] - End the stream when the
+     *   source stops its stream
+     */
+    constructor(sink, options = {}) {
+        super({ highWaterMark: options.highWaterMark });
+
+        this.sink = sink;
+        this.format = options.format || 'int16';
+        this.endianness = options.endianness || 'le';
+        this.sourceId = options.sourceId;
+        this.host = options.host;
+        this.port = options.port;
+        this.endOnStop = !!options.endOnStop;
+
+        validateFormat(this.format, this.endianness);
+
+        this.dropped = 0;           // Blocks dropped because the consumer was too slow
+        this._waiting = false;      // push() returned false - wait for _read()
+        this._format = null;        // Last format reported with 'format'
+        this._ended = false;        // End of stream was pushed
+
+        this._onData = (channels, info) => this._handleData(channels, info);
+        this._onStop = (info) => {
+            if (this.endOnStop && this._matches(info)) this._end();
+        };
+        this._onClose = () => this._end();
+
+        sink.on('data', this._onData);
+        sink.on('stop', this._onStop);
+        sink.on('close', this._onClose);
+    }
+
+    /**
+     * Checks a source against the stream's filter
+     * 
+     * @private
+     * @param {Object} info - Source info from a sink event
+     * @returns {boolean} True if the stream reads this source
+     */
+    _matches(info) {
+        return (this.sourceId === undefined || info.sourceId === this.sourceId) &&
+            (this.host === undefined || info.host === this.host) &&
+            (this.port === undefined || info.port === this.port);
+    }
+
+    /**
+     * Converts a decoded block to PCM and pushes it
+     * 
+     * @private
+     * @param {Array<Float32Array>} channels - Decoded block
+     * @param {Object} info - Source and block info
+     */
+    _handleData(channels, info) {
+        if (this._ended || !this._matches(info)) return;
+
+        const format = this._format;
+        if (!format || format.channels !== info.channels || format.sampleRate !== info.sampleRate) {
+            this._format = { channels: info.channels, sampleRate: info.sampleRate };
+            this.emit('format', info);
+        }
+
+        if (this._waiting) {
+            this.dropped++;
+            return;
+        }
+        const data = writeSamples(interleave(channels), this.format, this.endianness);
+        if (!this.push(data)) this._waiting = true;
+    }
+
+    /**
+     * Ends the stream (once)
+     * 
+     * @private
+     */
+    _end() {
+        if (this._ended) return;
+        this._ended = true;
+        this.push(null);
+    }
+
+    /**
+     * Called by the stream machinery when the consumer wants more data
+     * 
+     * @private
+     */
+    _read() {
+        this._waiting = false;
+    }
+
+    /**
+     * Detaches from the sink
+     * 
+     * @private
+     * @param {Error|null} err - Error that destroyed the stream
+     * @param {Function} callback - Completion callback
+     */
+    _destroy(err, callback) {
+        this.sink.removeListener('data', this._onData);
+        this.sink.removeListener('stop', this._onStop);
+        this.sink.removeListener('close', this._onClose);
+        callback(err);
+    }
+}
+
+module.exports = { AooWriteStream, AooReadStream };
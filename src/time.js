@@ -0,0 +1,233 @@
+/**
+ * @fileoverview NTP timetags and sample rate estimation
+ * 
+ * OSC timetags are 64-bit NTP timestamps: the upper 32 bits count
+ * seconds since 1 January 1900, the lower 32 bits are the fraction of
+ * a second. `now()` derives them from the high-resolution clock
+ * (`performance.timeOrigin + performance.now()`), so consecutive
+ * timetags have sub-millisecond resolution and never jump backwards
+ * when the system clock is adjusted.
+ * 
+ * The TimeDLL is a delay-locked loop, as used by the C AOO library,
+ * that filters the arrival times of audio blocks to estimate the real
+ * sample rate of the audio clock. The estimate is sent with data
+ * packets so receivers can follow clock drift between machines.
+ * 
+ * Reference: F. Adriaensen, "Using a DLL to filter time" (2005)
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const { performance } = require('perf_hooks');
+
+/**
+ * Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+ */
+const kNtpEpochOffset = 2208988800;
+
+/**
+ * Number of timetag units per second (2^32)
+ */
+const kTimetagScale = 4294967296;
+
+/**
+ * Default DLL bandwidth in Hz (the C AOO library default)
+ */
+const kDefaultDllBandwidth = 0.012;
+
+// ============================================================================
+// Timetags
+// ============================================================================
+
+/**
+ * Current time in seconds since the Unix epoch, from the high-resolution clock
+ * 
+ * @returns {number} Seconds (with sub-millisecond fraction)
+ */
+function seconds() {
+    return (performance.timeOrigin + performance.now()) / 1000;
+}
+
+/**
+ * Converts seconds since the Unix epoch to an NTP timetag
+ * 
+ * @param {number} secs - Seconds since 1970
+ * @returns {bigint} NTP timetag
+ */
+function fromSeconds(secs) {
+    const ntp = secs + kNtpEpochOffset;
+    const whole = Math.floor(ntp);
+    const fraction = Math.floor((ntp - whole) * kTimetagScale);
+    return (BigInt(whole) << BigInt(32)) | BigInt(fraction);
+}
+
+/**
+ * Writes seconds since the Unix epoch as an NTP timetag (uint64 BE)
+ * 
+ * Same value as `fromSeconds`, but written as two 32-bit halves, which
+ * avoids creating BigInts on the audio path.
+ * 
+ * @param {Buffer} buf - Destination buffer
+ * @param {number} offset - Byte offset of the timetag
+ * @param {number} secs - Seconds since 1970
+ * @returns {number} Offset after the timetag
+ */
+function writeTimetag(buf, offset, secs) {
+    const ntp = secs + kNtpEpochOffset;
+    const whole = Math.floor(ntp);
+    const fraction = Math.floor((ntp - whole) * kTimetagScale);
+    buf.writeUInt32BE(whole >>> 0, offset);
+    buf.writeUInt32BE(fraction, offset + 4);
+    return offset + 8;
+}
+
+/**
+ * Converts an NTP timetag to seconds since the Unix epoch
+ * 
+ * @param {bigint} timetag - NTP timetag
+ * @returns {number} Seconds since 1970
+ */
+function toSeconds(timetag) {
+    const whole = Number(timetag >> BigInt(32));
+    const fraction = Number(timetag & BigInt(0xFFFFFFFF));
+    return whole - kNtpEpochOffset + fraction / kTimetagScale;
+}
+
+/**
+ * Current time as an NTP timetag
+ * 
+ * @returns {bigint} NTP timetag
+ */
+function now() {
+    return fromSeconds(seconds());
+}
+
+/**
+ * Time elapsed between two timetags
+ * 
+ * Computed on the raw 64-bit values, so the result keeps full precision.
+ * 
+ * @param {bigint} t1 - Earlier timetag
+ * @param {bigint} t2 - Later timetag
+ * @returns {number} Seconds from t1 to t2 (negative if t2 is earlier)
+ */
+function duration(t1, t2) {
+    return Number(t2 - t1) / kTimetagScale;
+}
+
+// ============================================================================
+// TimeDLL Class
+// ============================================================================
+
+/**
+ * TimeDLL - estimates the real sample rate from block timing
+ * 
+ * Feed it the time at which each audio block of a fixed size arrives;
+ * the loop filter smooths the scheduling jitter and converges on the
+ * actual block period.
+ * 
+ * @example
+ * const dll = new TimeDLL();
+ * dll.setup(48000, 256, performance.now() / 1000);
+ * // for every following block:
+ * dll.update(performance.now() / 1000);
+ * console.log(dll.sampleRate);  // e.g. 48001.7
+ */
+class TimeDLL {
+    /**
+     * Creates a new delay-locked loop
+     * 
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.bandwidth=0.012] - Loop bandwidth in Hz; lower
+     *   values give a smoother but slower estimate
+     */
+    constructor(options = {}) {
+        this.bandwidth = options.bandwidth || kDefaultDllBandwidth;
+        this.reset();
+    }
+
+    /**
+     * Forgets the current estimate; `setup()` must be called again
+     */
+    reset() {
+        this.nominalRate = 0;
+        this.blockSize = 0;
+        this._t0 = 0;       // Filtered time of the current block
+        this._t1 = 0;       // Predicted time of the next block
+        this._e2 = 0;       // Filtered block period
+        this._b = 0;        // Loop filter coefficients
+        this._c = 0;
+    }
+
+    /**
+     * Whether `setup()` has been called since the last reset
+     * 
+     * @type {boolean}
+     */
+    get initialized() {
+        return this.blockSize > 0;
+    }
+
+    /**
+     * Starts the loop at the nominal block period
+     * 
+     * @param {number} sampleRate - Nominal sample rate in Hz
+     * @param {number} blockSize - Samples per block
+     * @param {number} t - Time (seconds) of the first block
+     */
+    setup(sampleRate, blockSize, t) {
+        this.nominalRate = sampleRate;
+        this.blockSize = blockSize;
+
+        const period = blockSize / sampleRate;
+        const omega = 2 * Math.PI * this.bandwidth * period;
+        this._b = Math.SQRT2 * omega;
+        this._c = omega * omega;
+        this._e2 = period;
+        this._t0 = t;
+        this._t1 = t + period;
+    }
+
+    /**
+     * Feeds the time of the next block into the loop
+     * 
+     * @param {number} t - Time (seconds) the block arrived
+     */
+    update(t) {
+        const e = t - this._t1;
+        this._t0 = this._t1;
+        this._t1 += this._b * e + this._e2;
+        this._e2 += this._c * e;
+    }
+
+    /**
+     * Filtered block period in seconds
+     * 
+     * @type {number}
+     */
+    get period() {
+        return this._e2;
+    }
+
+    /**
+     * Estimated real sample rate in Hz (the nominal rate before `setup()`)
+     * 
+     * @type {number}
+     */
+    get sampleRate() {
+        if (!this.initialized) return this.nominalRate;
+        return this.blockSize / this.period;
+    }
+}
+
+module.exports = {
+    kNtpEpochOffset,
+    seconds,
+    now,
+    fromSeconds,
+    writeTimetag,
+    toSeconds,
+    duration,
+    TimeDLL
+};
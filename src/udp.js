@@ -0,0 +1,321 @@
+/**
+ * @fileoverview UDP socket setup and peer address handling
+ * 
+ * AooSource and AooSink each use one UDP socket, either IPv4 ('udp4')
+ * or IPv6 ('udp6'). An IPv6 socket is dual-stack unless `ipv6Only` is
+ * set: it also talks to IPv4 peers, which it sees as IPv4-mapped IPv6
+ * addresses (::ffff:192.168.1.20).
+ * 
+ * Peers are keyed by address, so every address is brought into one form
+ * before it is used as a key: IPv4 addresses in dotted form (also when
+ * they arrived mapped), IPv6 addresses in canonical lowercase form with
+ * an optional zone (fe80::1%eth0). `socketAddress` converts back to the
+ * form the socket needs for sending.
+ * 
+ * Multicast groups and broadcast addresses can be sink targets too;
+ * `addressKind` tells them apart.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const dns = require('dns');
+const net = require('net');
+const os = require('os');
+
+/**
+ * Prefix of IPv4-mapped IPv6 addresses
+ */
+const kMappedPrefix = '::ffff:';
+
+// ============================================================================
+// Socket Configuration
+// ============================================================================
+
+/**
+ * Works out socket type and bind address from the constructor options
+ * of AooSource/AooSink
+ * 
+ * @param {Object} options - Options {socketType, ipv6Only, localAddress, localInterface}
+ * @returns {{type: string, ipv6Only: boolean, address: string}} Socket type,
+ *   IPv6-only flag and the address to bind to (in socket form)
+ * @throws {RangeError} For unknown socket types or interfaces, and
+ *   addresses the socket type can't bind to
+ * @throws {TypeError} If localAddress is not an IP address
+ */
+function socketConfig(options) {
+    const type = options.socketType || 'udp4';
+    if (type !== 'udp4' && type !== 'udp6') {
+        throw new RangeError(`Unknown socketType '${type}' (expected 'udp4' or 'udp6')`);
+    }
+    const ipv6Only = type === 'udp6' && !!options.ipv6Only;
+
+    let address = options.localAddress;
+    if (address) {
+        address = normalizeAddress(address);
+        checkFamily(address, type, ipv6Only, 'localAddress');
+    } else if (options.localInterface) {
+        address = interfaceAddress(options.localInterface, type, ipv6Only);
+    } else {
+        address = type === 'udp6' ? '::' : '0.0.0.0';
+    }
+    return { type, ipv6Only, address: socketAddress(address, type) };
+}
+
+/**
+ * Finds the address of a network interface to bind to
+ * 
+ * IPv6 sockets prefer a global IPv6 address, then a link-local one
+ * (with the interface as zone), then (if dual-stack) an IPv4 address.
+ * 
+ * @param {string} name - Interface name (e.g. 'eth0', 'en0')
+ * @param {string} type - Socket type, 'udp4' or 'udp6'
+ * @param {boolean} ipv6Only - Whether an IPv6 socket is IPv6-only
+ * @returns {string} Interface address
+ * @throws {RangeError} If the interface doesn't exist or has no usable address
+ */
+function interfaceAddress(name, type, ipv6Only) {
+    const entries = os.networkInterfaces()[name];
+    if (!entries) {
+        throw new RangeError(`Unknown network interface '${name}'`);
+    }
+    // `family` was a number in some Node versions
+    const v4 = entries.filter((e) => e.family === 'IPv4' || e.family === 4);
+    const v6 = entries.filter((e) => e.family === 'IPv6' || e.family === 6);
+
+    let candidates = [];
+    if (type === 'udp6') {
+        const global = v6.filter((e) => !isLinkLocal(e.address));
+        const linkLocal = v6.filter((e) => isLinkLocal(e.address));
+        candidates = global.map((e) => e.address)
+            .concat(linkLocal.map((e) => `${e.address}%${name}`));
+        if (!ipv6Only) candidates = candidates.concat(v4.map((e) => e.address));
+    } else {
+        candidates = v4.map((e) => e.address);
+    }
+    if (candidates.length === 0) {
+        throw new RangeError(`Network interface '${name}' has no ${type === 'udp4' ? 'IPv4' : 'IPv6'} address`);
+    }
+    return normalizeAddress(candidates[0]);
+}
+
+/**
+ * Checks whether a socket of the given type can use an address
+ * 
+ * @param {string} address - IP address (normalized)
+ * @param {string} type - Socket type, 'udp4' or 'udp6'
+ * @param {boolean} ipv6Only - Whether an IPv6 socket is IPv6-only
+ * @param {string} what - Name of the address for error messages
+ * @throws {TypeError} If the address is not an IP address
+ * @throws {RangeError} If the socket can't use it
+ */
+function checkFamily(address, type, ipv6Only, what) {
+    const family = net.isIP(address);
+    if (family === 0) {
+        throw new TypeError(`${what} must be an IP address, got '${address}'`);
+    }
+    if (family === 6 && type === 'udp4') {
+        throw new RangeError(`${what} ${address} is IPv6, but the socket is 'udp4' (see socketType)`);
+    }
+    if (family === 4 && ipv6Only) {
+        throw new RangeError(`${what} ${address} is IPv4, but the socket is IPv6-only`);
+    }
+}
+
+// ============================================================================
+// Addresses
+// ============================================================================
+
+/**
+ * Brings an IP address into the form used for peer keys
+ * 
+ * Strips brackets ([::1]), unmaps IPv4-mapped IPv6 addresses and
+ * canonicalizes IPv6 addresses (lowercase, zeros compressed). Anything
+ * that is not an IP address is returned unchanged.
+ * 
+ * @param {string} address - IP address as given by the user or the network
+ * @returns {string} Normalized address
+ */
+function normalizeAddress(address) {
+    if (address.startsWith('[') && address.endsWith(']')) {
+        address = address.slice(1, -1);
+    }
+    if (!net.isIPv6(address)) return address;
+
+    const zoneIndex = address.indexOf('%');
+    const zone = zoneIndex >= 0 ? address.slice(zoneIndex) : '';
+    const ip = zoneIndex >= 0 ? address.slice(0, zoneIndex) : address;
+
+    // The URL parser implements the canonical IPv6 text form (RFC 5952)
+    const canonical = new URL(`http://[${ip}]/`).hostname.slice(1, -1);
+    return unmapAddress(canonical) + zone;
+}
+
+/**
+ * Unmaps an IPv4-mapped IPv6 address (as reported for IPv4 peers of a
+ * dual-stack socket); other addresses are returned unchanged
+ * 
+ * Cheap enough to run on every incoming packet; addresses from the
+ * socket are already canonical otherwise.
+ * 
+ * @param {string} address - Canonical IP address
+ * @returns {string} The IPv4 address, or `address`
+ */
+function unmapAddress(address) {
+    if (!address.startsWith(kMappedPrefix)) return address;
+    const rest = address.slice(kMappedPrefix.length);
+    if (net.isIPv4(rest)) return rest;
+
+    // Hexadecimal form (::ffff:c0a8:114)
+    const match = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(rest);
+    if (!match) return address;
+    const high = parseInt(match[1], 16);
+    const low = parseInt(match[2], 16);
+    return `${high >> 8}.${high & 0xFF}.${low >> 8}.${low & 0xFF}`;
+}
+
+/**
+ * Converts a normalized address to the form a socket sends to
+ * 
+ * @param {string} address - Normalized IP address
+ * @param {string} type - Socket type, 'udp4' or 'udp6'
+ * @returns {string} IPv4 addresses mapped to IPv6 for 'udp6' sockets,
+ *   otherwise `address`
+ */
+function socketAddress(address, type) {
+    return type === 'udp6' && net.isIPv4(address) ? kMappedPrefix + address : address;
+}
+
+/**
+ * Checks for an IPv6 link-local address (fe80::/10)
+ * 
+ * @param {string} address - IPv6 address
+ * @returns {boolean} True if link-local
+ */
+function isLinkLocal(address) {
+    return /^fe[89ab]/i.test(address);
+}
+
+/**
+ * Resolves a host name or IP address to a normalized address usable
+ * with a socket
+ * 
+ * IP addresses are handled right away and `callback` is called
+ * synchronously; host names (including mDNS .local names, where the
+ * system resolver supports them) are looked up with `dns.lookup`.
+ * 
+ * @param {string} host - Host name or IP address
+ * @param {string} type - Socket type, 'udp4' or 'udp6'
+ * @param {boolean} ipv6Only - Whether an IPv6 socket is IPv6-only
+ * @param {Function} callback - Called with (err, address)
+ */
+function resolveHost(host, type, ipv6Only, callback) {
+    const literal = normalizeAddress(host);
+    if (net.isIP(literal)) {
+        try {
+            checkFamily(literal, type, ipv6Only, 'Address');
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        callback(null, literal);
+        return;
+    }
+
+    const family = type === 'udp4' ? 4 : (ipv6Only ? 6 : 0);
+    dns.lookup(host, { family }, (err, address) => {
+        if (err) {
+            callback(new Error(`Cannot resolve host '${host}': ${err.code || err.message}`));
+            return;
+        }
+        callback(null, normalizeAddress(address));
+    });
+}
+
+// ============================================================================
+// Multicast and Broadcast
+// ============================================================================
+
+/**
+ * Tells group addresses (one datagram reaches many hosts) from unicast ones
+ * 
+ * Broadcast addresses are 255.255.255.255 and the directed broadcast
+ * addresses of the local IPv4 networks (e.g. 192.168.1.255 on a /24).
+ * 
+ * @param {string} address - Normalized IP address
+ * @returns {string} 'multicast', 'broadcast' or 'unicast'
+ */
+function addressKind(address) {
+    if (net.isIPv4(address)) {
+        const first = Number(address.slice(0, address.indexOf('.')));
+        if (first >= 224 && first <= 239) return 'multicast';
+        if (address === '255.255.255.255' || isLocalBroadcast(address)) return 'broadcast';
+        return 'unicast';
+    }
+    if (net.isIPv6(address) && /^ff/i.test(address)) return 'multicast';
+    return 'unicast';
+}
+
+/**
+ * Checks for the directed broadcast address of a local IPv4 network
+ * 
+ * @param {string} address - IPv4 address
+ * @returns {boolean} True if some interface broadcasts to `address`
+ */
+function isLocalBroadcast(address) {
+    const target = ipv4ToNumber(address);
+    for (const entries of Object.values(os.networkInterfaces())) {
+        for (const entry of entries) {
+            if (entry.family !== 'IPv4' && entry.family !== 4) continue;
+            const mask = ipv4ToNumber(entry.netmask);
+            // A /32 (or /31) network has no broadcast address
+            if (mask >= 0xFFFFFFFE) continue;
+            if (((ipv4ToNumber(entry.address) | ~mask) >>> 0) === target) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Converts an IPv4 address to a number
+ * 
+ * @param {string} address - IPv4 address in dotted form
+ * @returns {number} The address as an unsigned 32 bit number
+ */
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Converts a multicast interface option to the form the socket takes
+ * (`setMulticastInterface`, `addMembership`)
+ * 
+ * IPv4 sockets name the interface by its address, IPv6 sockets by the
+ * zone of the unspecified address ('::%eth0').
+ * 
+ * @param {string} iface - Interface name or address
+ * @param {string} type - Socket type, 'udp4' or 'udp6'
+ * @returns {string} Interface address
+ * @throws {RangeError} For unknown interfaces (see `interfaceAddress`)
+ */
+function multicastInterface(iface, type) {
+    if (net.isIP(iface.split('%')[0])) return iface;
+    if (type === 'udp6') {
+        if (!os.networkInterfaces()[iface]) {
+            throw new RangeError(`Unknown network interface '${iface}'`);
+        }
+        return `::%${iface}`;
+    }
+    return interfaceAddress(iface, type, false);
+}
+
+module.exports = {
+    socketConfig,
+    interfaceAddress,
+    normalizeAddress,
+    unmapAddress,
+    socketAddress,
+    resolveHost,
+    addressKind,
+    multicastInterface
+};
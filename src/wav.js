@@ -0,0 +1,266 @@
+/**
+ * @fileoverview WAV (RIFF WAVE) files
+ * 
+ * Reads the header of PCM and IEEE float WAV files (including
+ * WAVE_FORMAT_EXTENSIBLE) so that the sample data can be streamed
+ * straight from disk with the sample formats of pcm.js, and writes
+ * WAV files block by block.
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const fs = require('fs');
+const { sampleSize, validateFormat, writeSamples, interleave } = require('./pcm');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const kWaveFormatPcm = 0x0001;
+const kWaveFormatFloat = 0x0003;
+const kWaveFormatExtensible = 0xFFFE;
+
+/**
+ * Data chunk size written by encoders that stream to a pipe and can't
+ * seek back to fill it in (e.g. `ffmpeg -f wav -`)
+ */
+const kUnknownDataSize = 0xFFFFFFFF;
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Maps a WAV format tag and bit depth to a sample format name
+ * 
+ * @param {number} formatTag - kWaveFormatPcm or kWaveFormatFloat
+ * @param {number} bitsPerSample - Bits per sample
+ * @returns {string} Sample format, e.g. 'int16' or 'float32'
+ * @throws {RangeError} If the combination is not supported
+ */
+function sampleFormatOf(formatTag, bitsPerSample) {
+    if (formatTag === kWaveFormatPcm && [16, 24, 32].includes(bitsPerSample)) {
+        return `int${bitsPerSample}`;
+    }
+    if (formatTag === kWaveFormatFloat && [32, 64].includes(bitsPerSample)) {
+        return `float${bitsPerSample}`;
+    }
+    throw new RangeError(`Unsupported WAV format (tag ${formatTag}, ${bitsPerSample} bit)`);
+}
+
+/**
+ * Parses the contents of a 'fmt ' chunk
+ * 
+ * @param {Buffer} chunk - Chunk data (without the chunk header)
+ * @returns {{format: string, channels: number, sampleRate: number}} Stream format
+ * @throws {RangeError} If the chunk is malformed or the format is not supported
+ */
+function parseFormatChunk(chunk) {
+    if (chunk.length < 16) {
+        throw new RangeError('WAV fmt chunk is too short');
+    }
+    let formatTag = chunk.readUInt16LE(0);
+    const channels = chunk.readUInt16LE(2);
+    const sampleRate = chunk.readUInt32LE(4);
+    const bitsPerSample = chunk.readUInt16LE(14);
+
+    if (formatTag === kWaveFormatExtensible) {
+        // The real format tag is the first two bytes of the sub-format GUID
+        if (chunk.length < 40) {
+            throw new RangeError('WAV extensible fmt chunk is too short');
+        }
+        formatTag = chunk.readUInt16LE(24);
+    }
+    if (channels === 0 || sampleRate === 0) {
+        throw new RangeError('WAV file has no channels or no sample rate');
+    }
+
+    return {
+        format: sampleFormatOf(formatTag, bitsPerSample),
+        channels,
+        sampleRate
+    };
+}
+
+/**
+ * Reads the header of a WAV file
+ * 
+ * Walks the RIFF chunks up to the 'data' chunk. The sample data itself is
+ * not read; stream it from `dataOffset` (e.g. with `fs.createReadStream`).
+ * 
+ * @example
+ * const info = readHeader('take1.wav');
+ * fs.createReadStream('take1.wav', { start: info.dataOffset, end: info.dataOffset + info.dataSize - 1 });
+ * 
+ * @param {string} path - File path
+ * @returns {Object} Header {format, endianness: 'le', channels, sampleRate,
+ *   dataOffset, dataSize, frames}. For files that don't state the data size,
+ *   `dataSize` and `frames` extend to the end of the file.
+ * @throws {RangeError} If the file is not a supported WAV file
+ */
+function readHeader(path) {
+    const fd = fs.openSync(path, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const header = Buffer.alloc(12);
+        if (fs.readSync(fd, header, 0, 12, 0) < 12 ||
+            header.toString('latin1', 0, 4) !== 'RIFF' ||
+            header.toString('latin1', 8, 12) !== 'WAVE') {
+            throw new RangeError(`${path} is not a WAV file`);
+        }
+
+        let format = null;
+        let offset = 12;
+        const chunkHeader = Buffer.alloc(8);
+        while (fs.readSync(fd, chunkHeader, 0, 8, offset) === 8) {
+            const id = chunkHeader.toString('latin1', 0, 4);
+            const size = chunkHeader.readUInt32LE(4);
+            offset += 8;
+
+            if (id === 'fmt ') {
+                const chunk = Buffer.alloc(size);
+                fs.readSync(fd, chunk, 0, size, offset);
+                format = parseFormatChunk(chunk);
+            } else if (id === 'data') {
+                if (!format) {
+                    throw new RangeError(`${path}: data chunk before fmt chunk`);
+                }
+                let dataSize = fileSize - offset;
+                if (size !== kUnknownDataSize && size !== 0 && size < dataSize) {
+                    dataSize = size;
+                }
+                const frameSize = format.channels * sampleSize(format.format);
+                const frames = Math.floor(dataSize / frameSize);
+                return {
+                    ...format,
+                    endianness: 'le',
+                    dataOffset: offset,
+                    dataSize: frames * frameSize,
+                    frames
+                };
+            }
+            // Chunks are padded to an even size
+            offset += size + (size & 1);
+        }
+        throw new RangeError(`${path}: no data chunk`);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+/**
+ * Size of the header written by WavWriter (RIFF, fmt and data chunk headers)
+ */
+const kHeaderSize = 44;
+
+/**
+ * Builds a 44 byte WAV header
+ * 
+ * @param {Object} format - Stream format
+ * @param {string} format.format - Sample format (see pcm.js)
+ * @param {number} format.channels - Number of channels
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} [dataSize=0] - Size of the sample data in bytes
+ * @returns {Buffer} The header
+ */
+function createHeader({ format, channels, sampleRate }, dataSize = 0) {
+    const size = sampleSize(format);
+    const header = Buffer.alloc(kHeaderSize);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(kHeaderSize - 8 + dataSize + (dataSize & 1), 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(format.startsWith('float') ? kWaveFormatFloat : kWaveFormatPcm, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * size, 28);
+    header.writeUInt16LE(channels * size, 32);
+    header.writeUInt16LE(size * 8, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(dataSize, 40);
+    return header;
+}
+
+/**
+ * WavWriter - writes a WAV file block by block
+ * 
+ * Writes are synchronous, so the file is complete as soon as `close()`
+ * returns (e.g. in a SIGINT handler). The chunk sizes in the header are
+ * filled in on `close()`; a file that was never closed has zero sizes,
+ * which `readHeader()` reads up to the end of the file.
+ * 
+ * @example
+ * const writer = new WavWriter('out.wav', { format: 'int24', channels: 2, sampleRate: 48000 });
+ * sink.on('data', (channels) => writer.write(channels));
+ * process.on('SIGINT', () => writer.close());
+ */
+class WavWriter {
+    /**
+     * Creates the file and writes the header
+     * 
+     * @param {string} path - File path
+     * @param {Object} format - Stream format
+     * @param {string} [format.format='int16'] - Sample format: 'int16',
+     *   'int24', 'int32', 'float32' or 'float64'
+     * @param {number} format.channels - Number of channels
+     * @param {number} format.sampleRate - Sample rate in Hz
+     */
+    constructor(path, { format = 'int16', channels, sampleRate }) {
+        validateFormat(format, 'le');
+        if (!(channels > 0) || !(sampleRate > 0)) {
+            throw new RangeError('WAV files need at least one channel and a sample rate');
+        }
+
+        this.path = path;
+        this.format = { format, channels, sampleRate };
+        this.frames = 0;        // Frames written
+
+        this._dataSize = 0;
+        this._fd = fs.openSync(path, 'w');
+        fs.writeSync(this._fd, createHeader(this.format));
+    }
+
+    /**
+     * Appends audio
+     * 
+     * @param {Array<Float32Array>|Float32Array} samples - One array per
+     *   channel, or interleaved samples
+     */
+    write(samples) {
+        if (this._fd === null) {
+            throw new Error('WavWriter is closed');
+        }
+        const interleaved = Array.isArray(samples) ? interleave(samples) : samples;
+        const data = writeSamples(interleaved, this.format.format, 'le');
+        fs.writeSync(this._fd, data);
+        this._dataSize += data.length;
+        this.frames += interleaved.length / this.format.channels;
+    }
+
+    /**
+     * Fills in the header and closes the file (safe to call twice)
+     */
+    close() {
+        if (this._fd === null) return;
+        // Chunks must have an even size
+        if (this._dataSize & 1) {
+            fs.writeSync(this._fd, Buffer.alloc(1));
+        }
+        fs.writeSync(this._fd, createHeader(this.format, this._dataSize), 0, kHeaderSize, 0);
+        fs.closeSync(this._fd);
+        this._fd = null;
+    }
+}
+
+module.exports = {
+    readHeader,
+    parseFormatChunk,
+    createHeader,
+    WavWriter
+};
@@ -0,0 +1,498 @@
+/**
+ * @fileoverview WebSocket bridge from browser pages to AOO sinks
+ * 
+ * Browser pages can't open UDP sockets. AooWebBridge accepts WebSocket
+ * connections (see websocket.js) and gives each one an AooSource of its
+ * own, which the page drives with JSON commands and feeds with audio
+ * blocks. The source's events (invitations, pings, stats, ...) go back
+ * to the page. The matching client library is browser/aoo-web-client.js.
+ * 
+ * Messages from the client:
+ *   text   - Commands {id, type, ...}: open, addSink, removeSink,
+ *            removeAllSinks, start, stop, metadata, message, stats,
+ *            inputSampleRate (of the audio that follows).
+ *            Each is answered with {type: 'result', id, result} or
+ *            {type: 'result', id, error}.
+ *   binary - Audio: float32 little-endian samples, one channel after the
+ *            other (planar), all channels with the same number of frames
+ * 
+ * Messages to the client:
+ *   {type: 'result', id, result|error} - Answer to a command
+ *   {type: 'event', name, args}        - An event of the AooSource
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const { AooSource } = require('./aoo-source');
+const { acceptUpgrade, rejectUpgrade, kCloseGoingAway } = require('./websocket');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * AooSource options a client may set with 'open'; the socket and the
+ * invitation policy are up to the server (see `sourceOptions`)
+ */
+const kClientOptions = [
+    'channels', 'sampleRate', 'blockSize', 'codec', 'codecOptions', 'sourceId',
+    'pingInterval', 'statsInterval', 'sinkTimeout', 'maxPacketSize', 'metadata',
+    'historyMs', 'sendTimetags', 'sendSampleRate', 'streamMessages', 'resampler',
+    'inputSampleRate', 'driftCorrection'
+];
+
+/**
+ * Default ranges [min, max] of the numeric options a client may set; they
+ * bound what one page can make the server allocate or send (see `limits`)
+ */
+const kDefaultLimits = {
+    channels: [1, 32],
+    sampleRate: [8000, 192000],
+    inputSampleRate: [8000, 192000],
+    blockSize: [16, 4096],
+    maxPacketSize: [256, 65507],
+    historyMs: [0, 2000],
+    sourceId: [0, 255],
+    pingInterval: [100, 60000],
+    statsInterval: [100, 60000],
+    sinkTimeout: [1000, 600000]
+};
+
+/**
+ * Client options that must be integers
+ */
+const kIntegerOptions = ['channels', 'blockSize', 'maxPacketSize', 'sourceId'];
+
+/**
+ * Client options that may also be 0 (off), outside their range
+ */
+const kZeroOffOptions = ['pingInterval', 'statsInterval', 'sinkTimeout'];
+
+/**
+ * AooSource events forwarded to the client
+ */
+const kForwardedEvents = [
+    'invite', 'decline', 'uninvite', 'sinkAdded', 'sinkRemoved', 'sinkTimeout',
+    'memberAdded', 'memberRemoved', 'start', 'stop', 'formatChange', 'ping',
+    'stats', 'error'
+];
+
+/**
+ * Origin hosts allowed by the default connection check, besides the
+ * server's own
+ */
+const kLocalHosts = ['localhost', '127.0.0.1', '[::1]'];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Default `onConnection`: accepts pages from the server's own origin or
+ * from localhost, and clients that send no Origin (browsers always do)
+ * 
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @returns {boolean} Whether to accept the connection
+ */
+function isSameOriginOrLocal(request) {
+    const origin = request.headers.origin;
+    if (origin === undefined) return true;
+    let url;
+    try {
+        url = new URL(origin);
+    } catch (err) {
+        return false;
+    }
+    return url.host === request.headers.host || kLocalHosts.includes(url.hostname);
+}
+
+// ============================================================================
+// AooWebBridge Class
+// ============================================================================
+
+/**
+ * AooWebBridge - WebSocket server that streams browser audio to AOO sinks
+ * 
+ * By default only pages from the server's origin or from localhost may
+ * connect, and clients can't add sinks at all: the server would send UDP
+ * wherever a page asks. `onAddSink` decides which sinks are allowed.
+ * 
+ * @example
+ * const bridge = new AooWebBridge({
+ *     port: 8080,
+ *     // Only let pages stream to the studio network
+ *     onAddSink: ({ host }) => host.startsWith('192.168.1.')
+ * });
+ * bridge.on('connection', (client) => console.log(`Client from ${client.address}`));
+ * 
+ * Events:
+ *   listening  (address) - The HTTP server is listening (own server only)
+ *   connection (client)  - A client connected {id, address, request, source}
+ *   disconnect (client)  - A client disconnected (its source is closed)
+ *   error      (error)   - Server error (only emitted when a listener is attached)
+ *   close      ()        - Bridge was closed
+ */
+class AooWebBridge extends EventEmitter {
+    /**
+     * Creates the bridge and starts listening
+     * 
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.port=8080] - HTTP port, unless `server` is given
+     * @param {string} [options.host] - Address to listen on (default: all interfaces)
+     * @param {http.Server} [options.server] - Existing HTTP(S) server to
+     *   attach to (e.g. the one serving the page)
+     * @param {string} [options.path='/aoo'] - URL path of the WebSocket endpoint
+     * @param {Object} [options.sourceOptions] - AooSource options for every
+     *   connection; they take precedence over the client's. Sources bind to
+     *   any free port unless `localPort` is given here.
+     * @param {Function} [options.onConnection] - Called as
+     *   `onConnection(request)` for every upgrade request; return false to
+     *   refuse it (e.g. check `request.headers.origin`). By default, pages
+     *   from other origins than the server's and localhost are refused.
+     * @param {Function} [options.onAddSink] - Called as
+     *   `onAddSink({host, port, sinkId, client})` before a client adds a
+     *   sink; return (or resolve to) false to refuse. Without it, all sinks
+     *   are refused.
+     * @param {Object} [options.limits] - Ranges `[min, max]` of the client's
+     *   numeric options, by name; replace those of kDefaultLimits (e.g.
+     *   `{ channels: [1, 64] }`)
+     * @param {number} [options.maxPayload=1048576] - Largest WebSocket message in bytes
+     */
+    constructor(options = {}) {
+        super();
+        this.path = options.path || '/aoo';
+        this.sourceOptions = options.sourceOptions || {};
+        this.onConnection = options.onConnection || isSameOriginOrLocal;
+        this.onAddSink = options.onAddSink || null;
+        this.limits = { ...kDefaultLimits, ...options.limits };
+        this.maxPayload = options.maxPayload;
+        this.clients = new Set();
+        this._nextId = 1;
+        this._closed = false;
+
+        this._ownServer = !options.server;
+        this.server = options.server || http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+            response.end('WebSocket endpoint for AOO streaming\n');
+        });
+        this._onUpgrade = (request, socket, head) => this._handleUpgrade(request, socket, head);
+        this.server.on('upgrade', this._onUpgrade);
+
+        if (this._ownServer) {
+            this.server.on('error', (err) => this._emitError(err));
+            this.server.listen(options.port !== undefined ? options.port : 8080, options.host, () => {
+                this.emit('listening', this.server.address());
+            });
+        }
+    }
+
+    /**
+     * Disconnects all clients, closes their sources and (if the bridge
+     * created it) the HTTP server
+     */
+    close() {
+        if (this._closed) return;
+        this._closed = true;
+        this.server.removeListener('upgrade', this._onUpgrade);
+        for (const client of this.clients) {
+            client.ws.close(kCloseGoingAway, 'Server closing');
+        }
+        if (this._ownServer) {
+            this.server.close(() => this.emit('close'));
+        } else {
+            setImmediate(() => this.emit('close'));
+        }
+    }
+
+    // ========================================================================
+    // Connections
+    // ========================================================================
+
+    /**
+     * Accepts WebSocket upgrades on our path
+     * 
+     * Upgrades for other paths are left alone if the server has other
+     * 'upgrade' listeners, and refused otherwise.
+     * 
+     * @private
+     * @param {http.IncomingMessage} request - The upgrade request
+     * @param {net.Socket} socket - Its socket
+     * @param {Buffer} head - First bytes of the upgraded stream
+     */
+    _handleUpgrade(request, socket, head) {
+        const path = (request.url || '').split('?')[0];
+        if (path !== this.path) {
+            if (this.server.listenerCount('upgrade') === 1) rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+        if (this._closed || this.onConnection(request) === false) {
+            rejectUpgrade(socket, 403, 'Forbidden');
+            return;
+        }
+
+        const ws = acceptUpgrade(request, socket, head, { maxPayload: this.maxPayload });
+        if (!ws) return;
+
+        const client = {
+            id: this._nextId++,
+            address: request.socket.remoteAddress,
+            request,
+            source: null,       // Created by 'open'
+            inputSampleRate: undefined,     // Set by 'inputSampleRate'
+            ws
+        };
+        this.clients.add(client);
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                this._handleAudio(client, data);
+            } else {
+                this._handleCommand(client, data);
+            }
+        });
+        ws.on('error', () => ws.socket.destroy());
+        ws.on('close', () => {
+            this.clients.delete(client);
+            if (client.source) client.source.close();
+            this.emit('disconnect', client);
+        });
+        this.emit('connection', client);
+    }
+
+    /**
+     * Sends a message to a client
+     * 
+     * @private
+     * @param {Object} client - Client state
+     * @param {Object} message - Message, sent as JSON
+     */
+    _send(client, message) {
+        client.ws.send(JSON.stringify(message, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value));
+    }
+
+    // ========================================================================
+    // Commands
+    // ========================================================================
+
+    /**
+     * Runs a command from a client and sends the result
+     * 
+     * @private
+     * @param {Object} client - Client state
+     * @param {string} text - JSON command {id, type, ...}
+     */
+    _handleCommand(client, text) {
+        let command;
+        try {
+            command = JSON.parse(text);
+        } catch (err) {
+            this._send(client, { type: 'result', id: null, error: `Invalid command: ${err.message}` });
+            return;
+        }
+        const id = command.id !== undefined ? command.id : null;
+        const reply = (err, result) => {
+            if (client.ws.readyState !== 'open') return;
+            this._send(client, err
+                ? { type: 'result', id, error: err.message }
+                : { type: 'result', id, result: result !== undefined ? result : null });
+        };
+
+        try {
+            if (command.type === 'open') {
+                this._open(client, command.options || {}, reply);
+                return;
+            }
+            const source = client.source;
+            if (!source) throw new Error(`'open' must come before '${command.type}'`);
+
+            switch (command.type) {
+                case 'addSink':
+                    this._addSink(client, command, reply);
+                    return;
+                case 'removeSink':
+                    reply(null, source.removeSink(command.host, command.port, command.sinkId));
+                    return;
+                case 'removeAllSinks':
+                    source.removeAllSinks();
+                    break;
+                case 'start':
+                    source.start();
+                    break;
+                case 'stop':
+                    source.stop();
+                    break;
+                case 'metadata':
+                    source.setMetadata(command.metadataType, command.data);
+                    break;
+                case 'message':
+                    source.sendMessage(command.data, {
+                        type: command.messageType,
+                        sampleOffset: command.sampleOffset,
+                        channel: command.channel
+                    });
+                    break;
+                case 'stats':
+                    reply(null, source.getStats());
+                    return;
+                case 'inputSampleRate':
+                    client.inputSampleRate = this._checkOption('inputSampleRate', command.sampleRate);
+                    break;
+                default:
+                    throw new Error(`Unknown command '${command.type}'`);
+            }
+            reply(null);
+        } catch (err) {
+            reply(err);
+        }
+    }
+
+    /**
+     * Creates the client's AooSource ('open')
+     * 
+     * Answers once the source's socket is bound, with its port.
+     * 
+     * @private
+     * @param {Object} client - Client state
+     * @param {Object} options - AooSource options from the client
+     * @param {Function} reply - Sends the result
+     * @throws {Error} If the client already has a source, or for invalid options
+     * @throws {RangeError} If a numeric option is outside `limits`
+     */
+    _open(client, options, reply) {
+        if (client.source) throw new Error('Source is already open');
+
+        const sourceOptions = { localPort: 0 };
+        for (const name of kClientOptions) {
+            if (options[name] !== undefined) sourceOptions[name] = this._checkOption(name, options[name]);
+        }
+        const source = new AooSource({ ...sourceOptions, ...this.sourceOptions });
+        client.source = source;
+
+        for (const name of kForwardedEvents) {
+            source.on(name, (...args) => {
+                if (client.ws.readyState !== 'open') return;
+                if (name === 'error') args = [{ message: args[0].message, code: args[0].code }];
+                this._send(client, { type: 'event', name, args });
+            });
+        }
+        source.once('listening', (address) => {
+            reply(null, { port: address.port, sourceId: source.sourceId });
+        });
+    }
+
+    /**
+     * Checks a client's option against `limits`
+     * 
+     * @private
+     * @param {string} name - Option name
+     * @param {*} value - Its value
+     * @returns {*} The value
+     * @throws {RangeError} If it is outside the limits
+     */
+    _checkOption(name, value) {
+        const limit = this.limits[name];
+        if (!limit || (value === 0 && kZeroOffOptions.includes(name))) return value;
+        const integer = kIntegerOptions.includes(name);
+        if (!(typeof value === 'number' && value >= limit[0] && value <= limit[1] &&
+                (!integer || Number.isInteger(value)))) {
+            const off = kZeroOffOptions.includes(name) ? ' (or 0 for off)' : '';
+            throw new RangeError(`${name} must be ${integer ? 'an integer' : 'a number'} from ${limit[0]} to ` +
+                `${limit[1]}${off}, got ${value}`);
+        }
+        return value;
+    }
+
+    /**
+     * Adds a sink for a client ('addSink'), if `onAddSink` allows it
+     * 
+     * @private
+     * @param {Object} client - Client state
+     * @param {Object} command - Command {host, port, sinkId}
+     * @param {Function} reply - Sends the result
+     * @throws {TypeError} For invalid arguments
+     * @throws {Error} If the bridge has no `onAddSink`
+     */
+    _addSink(client, { host, port, sinkId }, reply) {
+        if (typeof host !== 'string' || !Number.isInteger(port) || !Number.isInteger(sinkId)) {
+            throw new TypeError('addSink needs a host (string), port and sinkId (integers)');
+        }
+        if (!this.onAddSink) {
+            throw new Error('This server allows no sinks (it has no onAddSink)');
+        }
+        const check = this.onAddSink({ host, port, sinkId, client });
+        Promise.resolve(check).then((allowed) => {
+            if (allowed === false) {
+                reply(new Error(`Sink ${host}:${port}:${sinkId} is not allowed`));
+                return;
+            }
+            if (!this.clients.has(client)) return;  // Disconnected meanwhile
+            client.source.addSink(host, port, sinkId, reply);
+        }, reply);
+    }
+
+    // ========================================================================
+    // Audio
+    // ========================================================================
+
+    /**
+     * Passes an audio block from a client to its source, with the rate the
+     * client last gave ('inputSampleRate'), as AooSource.sendAudio takes it
+     * 
+     * @private
+     * @param {Object} client - Client state
+     * @param {Buffer} data - Planar float32 LE samples
+     */
+    _handleAudio(client, data) {
+        const source = client.source;
+        if (!source) return;
+        const channels = source.channels;
+        if (data.length === 0 || data.length % (4 * channels) !== 0) {
+            this._sendError(client, `Audio block of ${data.length} bytes doesn't hold ${channels} channels of float32 samples`);
+            return;
+        }
+
+        // Copy into an aligned buffer, then one view per channel
+        const samples = new Float32Array(data.length / 4);
+        Buffer.from(samples.buffer).set(data);
+        const frames = samples.length / channels;
+        const planes = [];
+        for (let ch = 0; ch < channels; ch++) {
+            planes.push(samples.subarray(ch * frames, (ch + 1) * frames));
+        }
+        try {
+            source.sendAudio(planes, client.inputSampleRate);
+        } catch (err) {
+            // There is no command to answer; a throw here would end the server
+            this._sendError(client, err.message);
+        }
+    }
+
+    /**
+     * Sends an 'error' event to a client
+     * 
+     * @private
+     * @param {Object} client - Client state
+     * @param {string} message - Error message
+     */
+    _sendError(client, message) {
+        this._send(client, { type: 'event', name: 'error', args: [{ message }] });
+    }
+
+    /**
+     * Emits an 'error' event if anyone is listening
+     * 
+     * @private
+     * @param {Error} err - The error
+     */
+    _emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+    }
+}
+
+module.exports = { AooWebBridge };
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Minimal WebSocket server connections (RFC 6455)
+ * 
+ * Just enough of the protocol for AooWebBridge, without dependencies:
+ * the opening handshake on an HTTP 'upgrade' request, text and binary
+ * messages (including fragmented ones), ping/pong and the closing
+ * handshake. Extensions (e.g. permessage-deflate) and subprotocols are
+ * not supported; clients fall back to plain frames.
+ * 
+ * @example
+ * server.on('upgrade', (request, socket, head) => {
+ *     const ws = acceptUpgrade(request, socket, head);
+ *     if (ws) ws.on('message', (data, isBinary) => ws.send(data));
+ * });
+ * 
+ * @author XTERMINATORAPPS
+ * @license MIT
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Appended to the client's key for the Sec-WebSocket-Accept header
+ */
+const kWebSocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Frame opcodes
+ */
+const kOpContinuation = 0x0;
+const kOpText = 0x1;
+const kOpBinary = 0x2;
+const kOpClose = 0x8;
+const kOpPing = 0x9;
+const kOpPong = 0xA;
+
+/**
+ * Close status codes
+ */
+const kCloseNormal = 1000;
+const kCloseGoingAway = 1001;
+const kCloseProtocolError = 1002;
+const kCloseNoStatus = 1005;
+const kCloseTooLarge = 1009;
+
+/**
+ * Default limit for the size of a (reassembled) message in bytes
+ */
+const kDefaultMaxPayload = 1024 * 1024;
+
+// ============================================================================
+// Handshake
+// ============================================================================
+
+/**
+ * Computes the Sec-WebSocket-Accept value for a client key
+ * 
+ * @param {string} key - Sec-WebSocket-Key header of the request
+ * @returns {string} Base64 SHA-1 of the key and the WebSocket GUID
+ */
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + kWebSocketGuid).digest('base64');
+}
+
+/**
+ * Completes the opening handshake of an HTTP 'upgrade' request
+ * 
+ * Requests that are not valid WebSocket upgrades are answered with
+ * 400 Bad Request and their socket is closed.
+ * 
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @param {net.Socket} socket - Its socket
+ * @param {Buffer} head - First bytes of the upgraded stream
+ * @param {Object} [options] - Options for the `WebSocket`
+ * @returns {WebSocket|null} The connection, or null if the request was refused
+ */
+function acceptUpgrade(request, socket, head, options = {}) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+    if (request.method !== 'GET' || upgrade !== 'websocket' || !key ||
+        request.headers['sec-websocket-version'] !== '13') {
+        rejectUpgrade(socket, 400, 'Bad Request');
+        return null;
+    }
+
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+    return new WebSocket(socket, head, options);
+}
+
+/**
+ * Refuses an upgrade request with an HTTP error and closes the socket
+ * 
+ * @param {net.Socket} socket - Socket of the request
+ * @param {number} status - HTTP status code
+ * @param {string} message - Status message
+ */
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+// ============================================================================
+// WebSocket Class
+// ============================================================================
+
+/**
+ * WebSocket - server side of a WebSocket connection
+ * 
+ * Events:
+ *   message (data, isBinary) - A message arrived: a string for text
+ *                              messages, a Buffer for binary ones
+ *   close   (code, reason)   - The connection is closed
+ *   error   (error)          - Socket error (only emitted when a listener is attached)
+ */
+class WebSocket extends EventEmitter {
+    /**
+     * Wraps an upgraded socket (see `acceptUpgrade`)
+     * 
+     * @param {net.Socket} socket - Upgraded socket
+     * @param {Buffer} [head] - Bytes that arrived with the upgrade request
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.maxPayload=1048576] - Largest message in
+     *   bytes; bigger ones close the connection (1009)
+     */
+    constructor(socket, head, options = {}) {
+        super();
+        this.socket = socket;
+        this.maxPayload = options.maxPayload || kDefaultMaxPayload;
+        this.readyState = 'open';          // 'open', 'closing' or 'closed'
+
+        this._buffer = Buffer.alloc(0);    // Received bytes not yet parsed
+        this._fragments = [];              // Payloads of a fragmented message
+        this._fragmentSize = 0;
+        this._messageOpcode = 0;           // Opcode of the fragmented message
+        this._closeCode = kCloseNoStatus;
+        this._closeReason = '';
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this._receive(chunk));
+        socket.on('error', (err) => {
+            if (this.listenerCount('error') > 0) this.emit('error', err);
+        });
+        socket.on('close', () => {
+            this.readyState = 'closed';
+            this.emit('close', this._closeCode, this._closeReason);
+        });
+        // Once the caller has attached its listeners
+        if (head && head.length > 0) process.nextTick(() => this._receive(head));
+    }
+
+    /**
+     * Sends a message
+     * 
+     * @param {string|Buffer|ArrayBufferView} data - Strings are sent as
+     *   text messages, anything else as binary
+     */
+    send(data) {
+        if (this.readyState !== 'open') return;
+        if (typeof data === 'string') {
+            this._sendFrame(kOpText, Buffer.from(data, 'utf8'));
+        } else {
+            this._sendFrame(kOpBinary, Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+        }
+    }
+
+    /**
+     * Starts the closing handshake; the socket is closed when the client
+     * answers (or right away if it already asked to close)
+     * 
+     * @param {number} [code=1000] - Close status code
+     * @param {string} [reason=''] - Close reason
+     */
+    close(code = kCloseNormal, reason = '') {
+        if (this.readyState !== 'open') return;
+        this.readyState = 'closing';
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this._sendFrame(kOpClose, payload);
+        // Don't wait forever for clients that never answer
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+    }
+
+    /**
+     * Writes one unmasked, unfragmented frame
+     * 
+     * @private
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     */
+    _sendFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Parses the frames in the received bytes
+     * 
+     * @private
+     * @param {Buffer} chunk - Bytes from the socket
+     */
+    _receive(chunk) {
+        this._buffer = this._buffer.length > 0 ? Buffer.concat([this._buffer, chunk]) : chunk;
+        while (this.readyState !== 'closed') {
+            const frame = this._parseFrame(this._buffer);
+            if (!frame) break;
+            this._buffer = this._buffer.subarray(frame.size);
+            this._handleFrame(frame);
+        }
+    }
+
+    /**
+     * Reads one frame from the start of a buffer
+     * 
+     * @private
+     * @param {Buffer} buf - Received bytes
+     * @returns {Object|null} Frame {fin, opcode, payload, size} (size of the
+     *   whole frame), or null if the frame is not complete (or invalid; the
+     *   connection is then failed)
+     */
+    _parseFrame(buf) {
+        if (buf.length < 2) return null;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0F;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7F;
+        let offset = 2;
+
+        if (buf[0] & 0x70 || !masked) {
+            // Reserved bits without extensions, or an unmasked client frame
+            this._fail(kCloseProtocolError, 'Invalid frame');
+            return null;
+        }
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > this.maxPayload) {
+            this._fail(kCloseTooLarge, 'Message too large');
+            return null;
+        }
+        if (buf.length < offset + 4 + length) return null;
+
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = buf[offset + 4 + i] ^ mask[i & 3];
+        }
+        return { fin, opcode, payload, size: offset + 4 + length };
+    }
+
+    /**
+     * Handles a frame: control frames right away, data frames are
+     * collected until their message is complete
+     * 
+     * @private
+     * @param {Object} frame - Frame from `_parseFrame`
+     */
+    _handleFrame({ fin, opcode, payload }) {
+        if (opcode >= kOpClose) {
+            if (!fin || payload.length > 125) {
+                this._fail(kCloseProtocolError, 'Invalid control frame');
+                return;
+            }
+            this._handleControl(opcode, payload);
+            return;
+        }
+
+        if (opcode === kOpContinuation) {
+            if (this._fragments.length === 0) {
+                this._fail(kCloseProtocolError, 'Unexpected continuation frame');
+                return;
+            }
+        } else if (opcode === kOpText || opcode === kOpBinary) {
+            if (this._fragments.length > 0) {
+                this._fail(kCloseProtocolError, 'Expected continuation frame');
+                return;
+            }
+            this._messageOpcode = opcode;
+        } else {
+            this._fail(kCloseProtocolError, `Unknown opcode ${opcode}`);
+            return;
+        }
+
+        this._fragments.push(payload);
+        this._fragmentSize += payload.length;
+        if (this._fragmentSize > this.maxPayload) {
+            this._fail(kCloseTooLarge, 'Message too large');
+            return;
+        }
+        if (!fin) return;
+
+        const data = this._fragments.length === 1 ? payload : Buffer.concat(this._fragments);
+        this._fragments = [];
+        this._fragmentSize = 0;
+        if (this.readyState !== 'open') return;
+        if (this._messageOpcode === kOpText) {
+            this.emit('message', data.toString('utf8'), false);
+        } else {
+            this.emit('message', data, true);
+        }
+    }
+
+    /**
+     * Handles a close, ping or pong frame
+     * 
+     * @private
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     */
+    _handleControl(opcode, payload) {
+        switch (opcode) {
+            case kOpClose:
+                if (payload.length >= 2) {
+                    this._closeCode = payload.readUInt16BE(0);
+                    this._closeReason = payload.toString('utf8', 2);
+                }
+                if (this.readyState === 'open') {
+                    // Echo the close frame, then we are done
+                    this.readyState = 'closing';
+                    this._sendFrame(kOpClose, payload.subarray(0, 2));
+                }
+                this.socket.end();
+                break;
+            case kOpPing:
+                if (this.readyState === 'open') this._sendFrame(kOpPong, payload);
+                break;
+            case kOpPong:
+                break;
+        }
+    }
+
+    /**
+     * Fails the connection after a protocol violation
+     * 
+     * @private
+     * @param {number} code - Close status code
+     * @param {string} reason - Close reason
+     */
+    _fail(code, reason) {
+        this._closeCode = code;
+        this._closeReason = reason;
+        if (this.readyState === 'open') {
+            this.readyState = 'closing';
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            this._sendFrame(kOpClose, payload);
+        }
+        this._buffer = Buffer.alloc(0);
+        this.socket.end();
+        this.readyState = 'closed';
+    }
+}
+
+module.exports = {
+    kCloseNormal,
+    kCloseGoingAway,
+    acceptKey,
+    acceptUpgrade,
+    rejectUpgrade,
+    WebSocket
+};
@@ -0,0 +1,71 @@
+/**
+ * Tests of the binary data message parser (src/aoo-protocol.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const protocol = require('../src/aoo-protocol');
+
+/**
+ * A data message with 4 bytes of audio and the given trailer
+ * 
+ * @param {Buffer} [trailer] - Bytes after the audio
+ * @returns {Buffer} The message
+ */
+function dataMessage(trailer = Buffer.alloc(0)) {
+    const header = Buffer.alloc(16);
+    header[0] = protocol.kAooMsgTypeSink | protocol.kAooBinMsgDomainBit;
+    header[2] = 1;
+    header[3] = 2;
+    header.writeInt32BE(7, 4);
+    header.writeInt32BE(42, 8);
+    header.writeUInt16BE(4, 14);
+    return Buffer.concat([header, Buffer.from([1, 2, 3, 4]), trailer]);
+}
+
+test('parses a plain data message', () => {
+    const packet = protocol.parseDataMessage(dataMessage());
+    assert.deepStrictEqual([packet.sinkId, packet.sourceId, packet.streamId, packet.sequence],
+        [1, 2, 7, 42]);
+    assert.deepStrictEqual([packet.frameIndex, packet.frameCount], [0, 1]);
+    assert.deepStrictEqual([...packet.data], [1, 2, 3, 4]);
+    assert.deepStrictEqual([packet.sampleRate, packet.timetag, packet.messages], [null, null, null]);
+});
+
+test('round-trips stream messages through the trailer', () => {
+    const list = protocol.encodeStreamMessages([
+        { sampleOffset: 10, channel: 3, type: protocol.dataTypeId('text'), data: Buffer.from('cue') },
+        { sampleOffset: 200, channel: 0, type: protocol.dataTypeId('midi'), data: Buffer.from([0x90, 60, 100]) }
+    ]);
+    assert.strictEqual(list.length, 2 + 2 * protocol.kAooStreamMessageHeaderSize + 6);
+
+    const timetag = Buffer.alloc(8);
+    timetag.writeBigUInt64BE(BigInt(123), 0);
+    const flags = protocol.kAooBinMsgDataFlagTimetag | protocol.kAooBinMsgDataFlagMessages;
+    const packet = protocol.parseDataMessage(dataMessage(Buffer.concat([Buffer.from([flags]), timetag, list])));
+    assert.deepStrictEqual([...packet.data], [1, 2, 3, 4]);
+    assert.strictEqual(packet.timetag, BigInt(123));
+    assert.deepStrictEqual(packet.messages.map((m) => [m.sampleOffset, m.channel, protocol.dataTypeName(m.type)]),
+        [[10, 3, 'text'], [200, 0, 'midi']]);
+    assert.strictEqual(packet.messages[0].data.toString(), 'cue');
+    assert.deepStrictEqual([...packet.messages[1].data], [0x90, 60, 100]);
+});
+
+test('drops malformed data messages', () => {
+    // Flags in the command byte are not a data message
+    const flagged = dataMessage();
+    flagged[1] = 0x40;
+    assert.strictEqual(protocol.parseDataMessage(flagged), null);
+
+    // Truncated audio, timing fields and message lists
+    assert.strictEqual(protocol.parseDataMessage(dataMessage().subarray(0, 19)), null);
+    assert.strictEqual(protocol.parseDataMessage(dataMessage(Buffer.from([0x20, 0, 0]))), null);
+    const list = protocol.encodeStreamMessages([
+        { sampleOffset: 0, channel: 0, type: protocol.dataTypeId('text'), data: Buffer.from('cue') }
+    ]);
+    const trailer = Buffer.concat([Buffer.from([protocol.kAooBinMsgDataFlagMessages]), list]);
+    assert.ok(protocol.parseDataMessage(dataMessage(trailer)));
+    assert.strictEqual(protocol.parseDataMessage(dataMessage(trailer.subarray(0, trailer.length - 1))), null);
+});
@@ -0,0 +1,110 @@
+/**
+ * AooSink tests with hand-made packets from a plain UDP socket, for
+ * input that AooSource never sends
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { once } = require('events');
+const { AooSink } = require('../src');
+const osc = require('../src/osc');
+
+/**
+ * Creates a sink and a socket that plays the source; both are closed
+ * after the test
+ * 
+ * @param {TestContext} t - The test
+ * @returns {Promise<{sink: AooSink, send: Function, errors: Array<Error>}>}
+ *   `send(packet)` sends a datagram to the sink; `errors` collects the
+ *   sink's 'error' events
+ */
+async function createSink(t) {
+    const sink = new AooSink({ localPort: 0, sinkId: 1, pingInterval: 0 });
+    const [address] = await once(sink, 'listening');
+    const socket = dgram.createSocket('udp4');
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    t.after(() => {
+        socket.close();
+        sink.close();
+    });
+    const errors = [];
+    sink.on('error', (err) => errors.push(err));
+    const send = (packet) => new Promise((resolve) => socket.send(packet, address.port, '127.0.0.1', resolve));
+    return { sink, send, errors };
+}
+
+/**
+ * Encodes a /start message for sink 1 from source 1, stream 7; format
+ * fields that are no integers are sent as doubles
+ */
+function startMessage(channels, sampleRate, blockSize) {
+    const field = (value) => ({ type: Number.isInteger(value) ? 'i' : 'd', value });
+    return osc.encodeMessage('/aoo/sink/1/start', [
+        { type: 'i', value: 1 }, { type: 's', value: '2.0' }, { type: 'i', value: 7 },
+        { type: 'i', value: 0 }, { type: 'i', value: 1 }, field(channels),
+        field(sampleRate), field(blockSize),
+        { type: 's', value: 'pcm' }, { type: 'b', value: Buffer.from([0, 0, 0, 3]) }
+    ]);
+}
+
+/**
+ * Encodes a data packet of stream 7 with `bytes` bytes of audio
+ */
+function dataMessage(sequence, bytes) {
+    const msg = Buffer.alloc(16 + bytes);
+    msg[0] = 0x81;      // Binary message to a sink
+    msg[2] = 1;         // Sink ID
+    msg[3] = 1;         // Source ID
+    msg.writeInt32BE(7, 4);
+    msg.writeInt32BE(sequence, 8);
+    msg.writeUInt16BE(bytes, 14);
+    return msg;
+}
+
+/**
+ * Waits for packets sent to the sink to be handled
+ */
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+test('ignores and reports /start with an invalid format', async (t) => {
+    const { sink, send, errors } = await createSink(t);
+    const invalid = [[0, 48000, 64], [2, 48000, 0], [2, 0, 64], [1e6, 48000, 64], [2, 48000, 1e6], [2, 44100.5, 64]];
+    for (const [channels, sampleRate, blockSize] of invalid) {
+        await send(startMessage(channels, sampleRate, blockSize));
+        await send(dataMessage(0, 8));
+    }
+    await settle();
+    assert.strictEqual(errors.length, invalid.length);
+    assert.ok(errors.every((err) => err instanceof RangeError && /Invalid format/.test(err.message)));
+    assert.strictEqual(sink.sources.size, 0);
+});
+
+test('accepts a valid /start after invalid ones', async (t) => {
+    const { sink, send, errors } = await createSink(t);
+    const started = new Promise((resolve) => sink.once('start', resolve));
+    await send(startMessage(0, 48000, 64));
+    await send(startMessage(2, 48000, 64));
+    const info = await started;
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(info.channels, 2);
+    assert.strictEqual(info.blockSize, 64);
+});
+
+test('reports errors on the data path instead of throwing', async (t) => {
+    const { sink, send, errors } = await createSink(t);
+    const started = new Promise((resolve) => sink.once('start', resolve));
+    await send(startMessage(2, 48000, 64));
+    await started;
+    const [source] = sink.sources.values();
+    source.jitterBuffer.push = () => {
+        throw new Error('push failed');
+    };
+    await send(dataMessage(0, 64 * 2 * 4));
+    await settle();
+    assert.deepStrictEqual(errors.map((err) => err.message), ['push failed']);
+});
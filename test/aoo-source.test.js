@@ -0,0 +1,343 @@
+/**
+ * Loopback tests of AooSource on 127.0.0.1, mostly streaming to an AooSink
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { once } = require('events');
+const { AooSource, AooSink } = require('../src');
+const osc = require('../src/osc');
+const time = require('../src/time');
+const { parseDataMessage } = require('../src/aoo-protocol');
+
+/**
+ * Creates a sink and a source bound to free ports, with the sink added
+ * to the source; both are closed after the test
+ * 
+ * @param {TestContext} t - The test
+ * @param {Object} [sourceOptions] - Extra AooSource options
+ * @param {Object} [sinkOptions] - Extra AooSink options
+ * @returns {Promise<{source: AooSource, sink: AooSink}>}
+ */
+async function createPair(t, sourceOptions = {}, sinkOptions = {}) {
+    const sink = new AooSink({ localPort: 0, sinkId: 1, ...sinkOptions });
+    const [address] = await once(sink, 'listening');
+    const source = new AooSource({ localPort: 0, channels: 2, blockSize: 64, ...sourceOptions });
+    t.after(() => {
+        source.close();
+        sink.close();
+    });
+    await once(source, 'listening');
+    source.addSink('127.0.0.1', address.port, 1);
+    return { source, sink };
+}
+
+/**
+ * Sends `total` frames in real time, in calls of `frames` frames:
+ * channel 0 counts up from 1 (in steps that float32 holds exactly),
+ * channel 1 down
+ * 
+ * @returns {Promise} Resolves when all frames are sent
+ */
+function sendRamp(source, total, frames) {
+    return new Promise((resolve) => {
+        const start = Date.now();
+        let sent = 0;
+        const timer = setInterval(() => {
+            const due = Math.min(total, (Date.now() - start) * source.sampleRate / 1000);
+            while (sent + frames <= due) {
+                const left = new Float32Array(frames);
+                const right = new Float32Array(frames);
+                for (let i = 0; i < frames; i++) {
+                    left[i] = (sent + i + 1) / 1024;
+                    right[i] = -left[i];
+                }
+                source.sendAudio(left, right);
+                sent += frames;
+            }
+            if (sent + frames > total) {
+                clearInterval(timer);
+                resolve();
+            }
+        }, 2);
+    });
+}
+
+/**
+ * Collects the audio a sink plays until no block arrived for a while
+ * 
+ * @returns {Promise<Array<Array<number>>>} Samples per channel
+ */
+function collect(sink, idleMs = 300) {
+    return new Promise((resolve) => {
+        const channels = [[], []];
+        let timer = setTimeout(() => resolve(channels), idleMs * 3);
+        sink.on('data', (data) => {
+            for (let ch = 0; ch < data.length; ch++) channels[ch].push(...data[ch]);
+            clearTimeout(timer);
+            timer = setTimeout(() => resolve(channels), idleMs);
+        });
+    });
+}
+
+/**
+ * Checks that a sink played the ramp of `sendRamp`, after the leading
+ * silence of its jitter buffer
+ */
+function assertRamp([left, right], total) {
+    const first = left.findIndex((value) => value !== 0);
+    assert.ok(first >= 0, 'no audio received');
+    for (let i = 0; i < total; i++) {
+        assert.strictEqual(left[first + i], (i + 1) / 1024, `frame ${i}`);
+        assert.strictEqual(right[first + i], -(i + 1) / 1024, `frame ${i}`);
+    }
+}
+
+test('streams audio from source to sink unchanged', async (t) => {
+    const { source, sink } = await createPair(t);
+    const started = once(sink, 'start');
+    const received = collect(sink);
+    source.start();
+    await sendRamp(source, 9600, 64);
+
+    const [format] = await started;
+    assert.strictEqual(format.channels, 2);
+    assert.strictEqual(format.sampleRate, 48000);
+    assertRamp(await received, 9600);
+});
+
+test('splits blocks larger than maxPacketSize into frames', async (t) => {
+    const { source, sink } = await createPair(t, { blockSize: 256, maxPacketSize: 512 });
+    const sizes = [];
+    const send = source.socket.send;
+    source.socket.send = function (msg, offset, length, ...rest) {
+        if (msg[0] & 0x80) sizes.push(length);
+        return send.call(this, msg, offset, length, ...rest);
+    };
+    const received = collect(sink);
+    source.start();
+    await sendRamp(source, 4096, 256);
+
+    // 256 frames x 2 channels x 4 bytes: 2 KB per block, in 5 frames
+    assert.strictEqual(sizes.length, 16 * 5);
+    assert.ok(sizes.every((size) => size <= 512));
+    assertRamp(await received, 4096);
+});
+
+test('sends the timing in a trailer behind the audio', async (t) => {
+    const { source, sink } = await createPair(t,
+        { blockSize: 256, maxPacketSize: 512, sendTimetags: true, sendSampleRate: true });
+    const packets = [];
+    const send = source.socket.send;
+    source.socket.send = function (msg, offset, length, ...rest) {
+        if (msg[0] & 0x80) packets.push(Buffer.from(msg.subarray(offset, offset + length)));
+        return send.call(this, msg, offset, length, ...rest);
+    };
+    const received = collect(sink);
+    source.start();
+    await sendRamp(source, 4096, 256);
+    assertRamp(await received, 4096);
+
+    // A plain header, the audio, then flags and the fields: 1 + 8 + 8 bytes
+    assert.strictEqual(packets.length, 16 * 5);
+    for (const msg of packets) {
+        assert.strictEqual(msg[1], 0);
+        const size = msg.readUInt16BE(14);
+        assert.strictEqual(msg.length, 16 + size + 17);
+        assert.strictEqual(msg[16 + size], 0x30);
+    }
+    const [info] = sink.sources.values();
+    assert.ok(Math.abs(info.realSampleRate - 48000) < 4800, `rate ${info.realSampleRate}`);
+    assert.strictEqual(typeof info.lastTimetag, 'bigint');
+});
+
+test('sends stream messages in the trailer, after the timing', async (t) => {
+    const { source, sink } = await createPair(t, { sendTimetags: true, streamMessages: true });
+    const packets = [];
+    const send = source.socket.send;
+    source.socket.send = function (msg, offset, length, ...rest) {
+        if (msg[0] & 0x80) packets.push(Buffer.from(msg.subarray(offset, offset + length)));
+        return send.call(this, msg, offset, length, ...rest);
+    };
+    const messages = [];
+    sink.on('message', (message, info) => messages.push({ message, info }));
+    const received = collect(sink);
+    source.start();
+    source.sendMessage('cue 1', { type: 'text', sampleOffset: 10, channel: 3 });
+    source.sendMessage(Buffer.from([0x90, 60, 100]), { type: 'midi', sampleOffset: 100 });
+    await sendRamp(source, 4800, 64);
+    assertRamp(await received, 4800);
+
+    // The first two blocks carry one message each, behind the timetag
+    for (const [i, msg] of packets.slice(0, 3).entries()) {
+        assert.strictEqual(msg[1], 0);
+        const size = msg.readUInt16BE(14);
+        assert.strictEqual(msg[16 + size], i < 2 ? 0x60 : 0x20);
+        const packet = parseDataMessage(msg);
+        assert.strictEqual(packet.data.length, size);
+        assert.strictEqual(packet.messages ? packet.messages.length : 0, i < 2 ? 1 : 0);
+    }
+
+    assert.strictEqual(messages.length, 2);
+    const [cue, midi] = messages;
+    assert.deepStrictEqual([cue.message.type, cue.message.data, cue.message.sampleOffset, cue.message.channel],
+        ['text', 'cue 1', 10, 3]);
+    assert.strictEqual(cue.info.sequence, 0);
+    assert.deepStrictEqual([midi.message.type, midi.message.sampleOffset, midi.message.channel],
+        ['midi', 36, 0]);
+    assert.deepStrictEqual([...midi.message.bytes], [0x90, 60, 100]);
+    assert.strictEqual(midi.info.sequence, 1);
+});
+
+test('refuses stream messages it can\'t send', async (t) => {
+    const { source } = await createPair(t, { streamMessages: true, maxPacketSize: 200 });
+    source.start();
+    assert.throws(() => source.sendMessage('cue', { type: 'text', channel: 65536 }), RangeError);
+    assert.throws(() => source.sendMessage('cue', { type: 'text', channel: 1.5 }), RangeError);
+    assert.throws(() => source.sendMessage('cue', { type: 'text', sampleOffset: -1 }), RangeError);
+    // Half of what a packet has left after the header and the timing
+    assert.throws(() => source.sendMessage(Buffer.alloc(72)), /too large \(max 71/);
+    source.sendMessage(Buffer.alloc(71));
+});
+
+test('the sink forgets a source that goes quiet without /stop', async (t) => {
+    // Without pings, nothing arrives once the audio stops
+    const { source, sink } = await createPair(t, { pingInterval: 0 }, { pingInterval: 0, sourceTimeout: 200 });
+    const timedOut = once(sink, 'sourceTimeout');
+    const stopped = once(sink, 'stop');
+    source.start();
+    await sendRamp(source, 4800, 64);
+    assert.strictEqual(sink.sources.size, 1);
+
+    const [info] = await timedOut;
+    assert.strictEqual(info.sourceId, source.sourceId);
+    await stopped;
+    assert.strictEqual(sink.sources.size, 0);
+    assert.strictEqual(sink._formatRequests.size, 0);
+});
+
+test('sendAudio rejects input that does not match the format', async (t) => {
+    const { source } = await createPair(t);
+    source.start();
+    assert.throws(() => source.sendAudio(new Float32Array(3)), RangeError);
+    assert.throws(() => source.sendAudio(new Float32Array(4), new Float32Array(3)), RangeError);
+    assert.throws(() => source.sendAudio('audio'), TypeError);
+});
+
+test('sendMessage needs the streamMessages option', async (t) => {
+    const { source } = await createPair(t);
+    source.start();
+    assert.throws(() => source.sendMessage('cue', { type: 'text' }), /streamMessages/);
+});
+
+test('refuses blocks that need more than 255 frames when created', () => {
+    assert.throws(() => new AooSource({ channels: 1, blockSize: 200000, maxPacketSize: 500, localPort: 0 }),
+        /need \d+ packets/);
+});
+
+test('the resampler follows the drift of the input with driftCorrection', async (t) => {
+    const source = new AooSource({
+        localPort: 0, channels: 1, blockSize: 480, pingInterval: 0,
+        resampler: 'linear', driftCorrection: true, dllBandwidth: 0.5
+    });
+    // A clock under the test's control: the input runs 0.5 % fast
+    const seconds = time.seconds;
+    let clock = 1000;
+    time.seconds = () => clock;
+    t.after(() => {
+        time.seconds = seconds;
+        source.close();
+    });
+    await once(source, 'listening');
+    source.start();
+
+    const input = new Float32Array(480);
+    let blocksBefore = 0;
+    for (let call = 0; call < 2000; call++) {
+        if (call === 1000) blocksBefore = source.sendStats.blocks;
+        clock += 480 / 48240;
+        source.sendAudio(input);
+    }
+
+    // The stream keeps its nominal rate: 0.5 % fewer blocks than input
+    assert.ok(Math.abs(source.realSampleRate - 48000) < 5, `rate ${source.realSampleRate}`);
+    const blocks = source.sendStats.blocks - blocksBefore;
+    assert.ok(Math.abs(blocks - 1000 / 1.005) <= 2, `${blocks} blocks`);
+});
+
+test('resends blocks from its history when a sink asks', async (t) => {
+    // A plain socket plays the sink, so that it can ask for any block
+    const socket = dgram.createSocket('udp4');
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    const source = new AooSource({ localPort: 0, channels: 1, blockSize: 64, pingInterval: 0 });
+    t.after(() => {
+        source.close();
+        socket.close();
+    });
+    const [address] = await once(source, 'listening');
+    const packets = [];
+    socket.on('message', (msg) => {
+        if (msg[0] & 0x80) packets.push(msg);
+    });
+    source.addSink('127.0.0.1', socket.address().port, 1);
+    source.start();
+    for (let i = 0; i < 8; i++) source.sendAudio(new Float32Array(64).fill(i / 8));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(packets.length, 8);
+
+    // Blocks 2 and 5, and one that was never sent
+    const streamId = packets[0].readInt32BE(4);
+    const request = osc.encodeMessage('/aoo/src/1/data', [1, streamId, 2, -1, 5, -1, 100, -1]);
+    socket.send(request, address.port, '127.0.0.1');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.strictEqual(packets.length, 10);
+    assert.deepStrictEqual(packets[8], packets[2]);
+    assert.deepStrictEqual(packets[9], packets[5]);
+    assert.strictEqual(source.resendStats.requested, 3);
+    assert.strictEqual(source.resendStats.served, 2);
+    assert.strictEqual(source.resendStats.missing, 1);
+});
+
+test('ends only the current stream of a known sink on /uninvite', async (t) => {
+    const socket = dgram.createSocket('udp4');
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    const stranger = dgram.createSocket('udp4');
+    await new Promise((resolve) => stranger.bind(0, '127.0.0.1', resolve));
+    const source = new AooSource({ localPort: 0, channels: 1, blockSize: 64, pingInterval: 0 });
+    t.after(() => {
+        source.close();
+        socket.close();
+        stranger.close();
+    });
+    const [address] = await once(source, 'listening');
+    const received = { socket: [], stranger: [] };
+    socket.on('message', (msg) => received.socket.push(msg));
+    stranger.on('message', (msg) => received.stranger.push(msg));
+    const uninvite = (from, streamId) => new Promise((resolve) => from.send(
+        osc.encodeMessage('/aoo/src/1/uninvite', [1, streamId]), address.port, '127.0.0.1', resolve));
+
+    source.addSink('127.0.0.1', socket.address().port, 1);
+    source.start();
+    source.sendAudio(new Float32Array(64));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const [sink] = source.sinks.values();
+
+    // A stale stream ID, and a sender the source doesn't know
+    await uninvite(socket, sink.streamId - 1);
+    await uninvite(stranger, sink.streamId);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(source.sinks.size, 1);
+    assert.strictEqual(received.stranger.length, 0);
+
+    const removed = once(source, 'sinkRemoved');
+    received.socket.length = 0;
+    await uninvite(socket, sink.streamId);
+    await removed;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(source.sinks.size, 0);
+    assert.deepStrictEqual(received.socket.map((msg) => osc.decode(msg).address), ['/aoo/sink/1/stop']);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests of the browser's AudioRingBuffer (browser/audio-ring-buffer.js),
+ * which also loads in Node.js
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AudioRingBuffer } = require('../browser/audio-ring-buffer');
+
+/**
+ * Makes a block of two channels: channel 0 counts up from `first`,
+ * channel 1 is its negative
+ * 
+ * @param {number} first - First value of channel 0
+ * @param {number} frames - Frames in the block
+ * @returns {Array<Float32Array>} The channels
+ */
+function makeBlock(first, frames) {
+    const left = new Float32Array(frames);
+    const right = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+        left[i] = first + i;
+        right[i] = -(first + i);
+    }
+    return [left, right];
+}
+
+/**
+ * Makes a ring of two channels on a plain ArrayBuffer
+ * 
+ * @param {number} capacity - Frames
+ * @returns {AudioRingBuffer} The ring
+ */
+function makeRing(capacity) {
+    return new AudioRingBuffer(AudioRingBuffer.allocate(2, capacity, false), 2);
+}
+
+test('rounds the capacity up to a power of two', () => {
+    assert.strictEqual(makeRing(100).capacity, 128);
+    assert.strictEqual(makeRing(128).capacity, 128);
+    assert.throws(() => AudioRingBuffer.roundCapacity(0), RangeError);
+    assert.throws(() => new AudioRingBuffer(AudioRingBuffer.allocate(2, 64, false), 3), RangeError);
+});
+
+test('keeps the order of samples across the wrap-around', () => {
+    const ring = makeRing(16);
+    const out = makeBlock(0, 6);
+    let next = 0;
+    let expected = 0;
+    // 6-frame blocks in a 16-frame ring wrap at a different offset each time
+    for (let round = 0; round < 20; round++) {
+        assert.strictEqual(ring.write(makeBlock(next, 6)), 6);
+        next += 6;
+        assert.strictEqual(ring.availableRead, 6);
+        assert.strictEqual(ring.read(out), 6);
+        for (let i = 0; i < 6; i++, expected++) {
+            assert.strictEqual(out[0][i], expected);
+            assert.strictEqual(out[1][i], -expected);
+        }
+    }
+    assert.strictEqual(ring.availableRead, 0);
+    assert.strictEqual(ring.dropped, 0);
+});
+
+test('drops and counts what does not fit', () => {
+    const ring = makeRing(16);
+    assert.strictEqual(ring.write(makeBlock(0, 10)), 10);
+    assert.strictEqual(ring.availableWrite, 6);
+    assert.strictEqual(ring.write(makeBlock(10, 10)), 6);
+    assert.strictEqual(ring.dropped, 4);
+    assert.strictEqual(ring.write(makeBlock(20, 3)), 0);
+    assert.strictEqual(ring.dropped, 7);
+
+    // The frames that were kept are intact; the dropped ones are the newest
+    const out = makeBlock(0, 16);
+    assert.strictEqual(ring.read(out), 16);
+    assert.deepStrictEqual(Array.from(out[0]), Array.from(makeBlock(0, 16)[0]));
+});
+
+test('reads no more than was written', () => {
+    const ring = makeRing(16);
+    const out = makeBlock(100, 8);
+    assert.strictEqual(ring.read(out), 0);
+    assert.strictEqual(out[0][0], 100);      // Untouched
+
+    ring.write(makeBlock(0, 5));
+    assert.strictEqual(ring.read(out), 5);
+    assert.deepStrictEqual(Array.from(out[0]), [0, 1, 2, 3, 4, 105, 106, 107]);
+    assert.strictEqual(ring.read(out), 0);
+    assert.strictEqual(ring.availableRead, 0);
+    assert.strictEqual(ring.availableWrite, 16);
+});
+
+test('two rings on one buffer see the same frames', () => {
+    const buffer = AudioRingBuffer.allocate(2, 16);
+    const writer = new AudioRingBuffer(buffer, 2);
+    const reader = new AudioRingBuffer(buffer, 2);
+    writer.write(makeBlock(0, 12));
+    const out = makeBlock(0, 12);
+    assert.strictEqual(reader.read(out, 4), 4);
+    assert.strictEqual(writer.availableWrite, 8);
+    assert.strictEqual(reader.availableRead, 8);
+});
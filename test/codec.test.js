@@ -0,0 +1,114 @@
+/**
+ * Tests of the codec registry and the PCM codec (src/codec.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const codec = require('../src/codec');
+
+const kFormat = { channels: 2, sampleRate: 48000, blockSize: 4 };
+
+/**
+ * Encodes `samples` with the PCM codec and decodes them again, like
+ * AooSource and AooSink do
+ * 
+ * @param {Float32Array} samples - Interleaved block
+ * @param {Object} options - PCM encoder options
+ * @returns {{data: Buffer, decoded: Float32Array, encoder: Object}}
+ */
+function roundTrip(samples, options) {
+    const encoder = codec.createEncoder('pcm', kFormat, options);
+    const data = encoder.encode(samples);
+    const decoder = codec.createDecoder('pcm', kFormat, encoder.extension);
+    assert.strictEqual(decoder.bitDepth, encoder.bitDepth);
+    return { data, decoded: decoder.decode(data), encoder };
+}
+
+test('PCM round-trips every bit depth within its resolution', () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 0.25, -1, 0.999, 0.123456, -0.654321]);
+    const formats = { int16: [2, 1 / 0x8000], int24: [3, 1 / 0x800000], float32: [4, 0], float64: [8, 0] };
+    for (const [bitDepth, [size, lsb]] of Object.entries(formats)) {
+        const { data, decoded } = roundTrip(samples, { bitDepth });
+        assert.strictEqual(data.length, samples.length * size, bitDepth);
+        for (let i = 0; i < samples.length; i++) {
+            assert.ok(Math.abs(decoded[i] - samples[i]) <= lsb / 2, `${bitDepth} sample ${i}`);
+        }
+    }
+});
+
+test('PCM writes big-endian samples and its bit depth as the extension', () => {
+    const { data, encoder } = roundTrip(Float32Array.from([0.5, -0.5]), { bitDepth: 'int16' });
+    assert.deepStrictEqual([...data], [0x40, 0x00, 0xC0, 0x00]);
+    assert.strictEqual(encoder.extension.readInt32BE(0), 1);     // kAooPcmInt16
+
+    // Without an extension the decoder expects float32
+    const decoder = codec.createDecoder('pcm', kFormat, Buffer.alloc(0));
+    assert.strictEqual(decoder.bitDepth, 'float32');
+});
+
+test('PCM encodes into a buffer of maxBlockBytes', () => {
+    const encoder = codec.createEncoder('pcm', kFormat, { bitDepth: 'int24' });
+    assert.strictEqual(encoder.maxBlockBytes, 4 * 2 * 3);
+    const buf = Buffer.alloc(encoder.maxBlockBytes);
+    const samples = new Float32Array(8).fill(0.25);
+    assert.strictEqual(encoder.encodeInto(samples, buf), 24);
+    assert.ok(buf.equals(encoder.encode(samples)));
+});
+
+test('PCM clips integer samples hard or soft and counts them', () => {
+    const samples = Float32Array.from([1.5, -1.5, 0.95, 0.5]);
+    const hard = roundTrip(samples, { bitDepth: 'int16' });
+    assert.strictEqual(hard.encoder.clipped, 2);
+    assert.strictEqual(hard.decoded[0], 0x7FFF / 0x8000);
+    assert.strictEqual(hard.decoded[1], -1);
+
+    const soft = roundTrip(samples, { bitDepth: 'int16', clip: 'soft' });
+    assert.strictEqual(soft.encoder.clipped, 2);
+    // Above the knee the signal bends, below it passes unchanged
+    assert.ok(soft.decoded[2] < 0.95 && soft.decoded[2] > 0.9);
+    assert.ok(Math.abs(soft.decoded[3] - 0.5) < 1 / 0x8000);
+    assert.ok(soft.decoded[0] < 1 && soft.decoded[0] > soft.decoded[2]);
+
+    // Float formats pass samples beyond full scale through
+    assert.strictEqual(roundTrip(samples, {}).decoded[0], 1.5);
+});
+
+test('PCM dither stays within one step', () => {
+    const samples = new Float32Array(8).fill(0.3);
+    const { decoded } = roundTrip(samples, { bitDepth: 'int16', dither: true });
+    for (const value of decoded) assert.ok(Math.abs(value - 0.3) <= 1.5 / 0x8000);
+});
+
+test('PCM refuses unknown options and extensions', () => {
+    assert.throws(() => codec.createEncoder('pcm', kFormat, { bitDepth: 'int8' }), RangeError);
+    assert.throws(() => codec.createEncoder('pcm', kFormat, { clip: 'fold' }), RangeError);
+    const extension = Buffer.alloc(4);
+    extension.writeInt32BE(99, 0);
+    assert.throws(() => codec.createDecoder('pcm', kFormat, extension), RangeError);
+});
+
+test('the registry creates encoders and decoders of registered codecs', () => {
+    assert.ok(codec.listCodecs().includes('pcm'));
+    assert.strictEqual(codec.getCodec('nope'), null);
+    assert.throws(() => codec.createEncoder('nope', kFormat), /Unknown codec 'nope'/);
+    assert.throws(() => codec.createDecoder('nope', kFormat, Buffer.alloc(0)), /Unknown codec 'nope'/);
+
+    const formats = [];
+    codec.registerCodec('test', {
+        createEncoder(format) {
+            formats.push(format);
+            return { extension: Buffer.alloc(0), encode: (samples) => Buffer.from(samples.buffer) };
+        },
+        createDecoder: () => ({ decode: (data) => new Float32Array(data.buffer, data.byteOffset, data.length / 4) })
+    });
+    assert.ok(codec.listCodecs().includes('test'));
+    const encoder = codec.createEncoder('test', kFormat);
+    assert.deepStrictEqual(formats, [kFormat]);
+    const decoded = codec.createDecoder('test', kFormat).decode(encoder.encode(Float32Array.from([0.5])));
+    assert.deepStrictEqual([...decoded], [0.5]);
+
+    assert.throws(() => codec.registerCodec('', {}), TypeError);
+    assert.throws(() => codec.registerCodec('half', { createEncoder() {} }), TypeError);
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests of the capture, recording and replay of AOO traffic (src/dump.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { performance } = require('perf_hooks');
+const osc = require('../src/osc');
+const { decodePacket, formatPacket, AooCapture, DumpWriter, readDump, DumpPlayer } = require('../src/dump');
+
+/**
+ * A data message from source 2 to sink 1 with `size` bytes of audio
+ */
+function dataMessage(size = 4) {
+    const msg = Buffer.alloc(16 + size);
+    msg[0] = 0x81;
+    msg[2] = 1;
+    msg[3] = 2;
+    msg.writeInt32BE(7, 4);
+    msg.writeInt32BE(42, 8);
+    msg.writeUInt16BE(size, 14);
+    return msg;
+}
+
+/**
+ * Binds a UDP socket to a free port on 127.0.0.1; it is closed after the test
+ */
+async function bindSocket(t) {
+    const socket = dgram.createSocket('udp4');
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    t.after(() => socket.close());
+    return socket;
+}
+
+/**
+ * A file name in a temporary directory, removed after the test
+ */
+function tempFile(t, name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aoo-dump-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+}
+
+/**
+ * Waits `ms` milliseconds
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('decodes and describes OSC and data messages', () => {
+    const stop = decodePacket(osc.encodeMessage('/aoo/sink/1/stop', [1, 42]));
+    assert.strictEqual(stop.kind, 'osc');
+    assert.deepStrictEqual(stop.aoo, { to: 'sink', id: 1, command: 'stop', args: { sourceId: 1, streamId: 42 } });
+    assert.strictEqual(formatPacket(stop), '/aoo/sink/1/stop sourceId=1 streamId=42');
+
+    const data = decodePacket(dataMessage());
+    assert.deepStrictEqual([data.kind, data.to, data.sourceId, data.sinkId, data.sequence], ['data', 'sink', 2, 1, 42]);
+    assert.strictEqual(formatPacket(data), 'data to sink 1 from source 2 stream 7 seq 42 frame 1/1 4 bytes');
+
+    assert.strictEqual(decodePacket(dataMessage().subarray(0, 18)).kind, 'invalid');
+    assert.strictEqual(decodePacket(Buffer.from('nonsense')).kind, 'invalid');
+});
+
+test('captures both directions of a tapped socket', async (t) => {
+    const socket = await bindSocket(t);
+    const peer = await bindSocket(t);
+    const send = socket.send;
+    const capture = new AooCapture({ socket, filter: (entry) => entry.data.length > 1 });
+    const entries = [];
+    capture.on('packet', (entry) => entries.push(entry));
+
+    const msg = dataMessage();
+    socket.send(msg, 0, msg.length, peer.address().port, '127.0.0.1');
+    peer.send(osc.encodeMessage('/aoo/src/2/ping', [1]), socket.address().port, '127.0.0.1');
+    peer.send(Buffer.alloc(1), socket.address().port, '127.0.0.1');   // Filtered
+    await sleep(50);
+
+    assert.deepStrictEqual(entries.map((e) => [e.direction, e.port]),
+        [['out', peer.address().port], ['in', peer.address().port]]);
+    assert.strictEqual(entries[1].host, '127.0.0.1');
+    assert.ok(entries[0].data.equals(msg));
+    assert.strictEqual(capture.count, 2);
+
+    capture.close();
+    await once(capture, 'close');
+    assert.strictEqual(socket.send, send);
+    assert.strictEqual(socket.listenerCount('message'), 0);
+});
+
+test('records entries and reads them back', (t) => {
+    const file = tempFile(t, 'session.aoodump');
+    const recorded = [
+        { time: 0, direction: 'out', host: '127.0.0.1', port: 9999, data: dataMessage() },
+        { time: 12.5, direction: 'in', host: '::1', port: 9998, data: osc.encodeMessage('/aoo/src/2/ping', [1]) }
+    ];
+    const writer = new DumpWriter(file);
+    for (const entry of recorded) writer.write(entry);
+    writer.close();
+    assert.strictEqual(writer.count, 2);
+    assert.throws(() => writer.write(recorded[0]), /closed/);
+
+    const { start, entries } = readDump(file);
+    assert.ok(Math.abs(start - Date.now()) < 10000);
+    assert.deepStrictEqual(entries, recorded);
+
+    // A recording that was cut off mid-line loses only that line
+    fs.appendFileSync(file, '{"t": 20, "dir": "ou');
+    assert.deepStrictEqual(readDump(file).entries, recorded);
+
+    fs.writeFileSync(file, 'hello\n');
+    assert.throws(() => readDump(file), /not an AOO dump/);
+    fs.writeFileSync(file, '{"aooDump": 99}\n');
+    assert.throws(() => readDump(file), /version 99/);
+});
+
+test('replays every datagram before \'end\', so the socket can be closed then', async (t) => {
+    const target = await bindSocket(t);
+    const received = [];
+    target.on('message', (msg) => received.push(msg.readInt32BE(8)));
+
+    // A burst at the end, as a recording that ends with /stop and the last blocks
+    const entries = [];
+    for (let i = 0; i < 50; i++) {
+        const data = dataMessage();
+        data.writeInt32BE(i, 8);
+        entries.push({ time: i < 10 ? i * 2 : 20, data });
+    }
+    const player = new DumpPlayer(entries, { host: 'localhost', port: target.address().port });
+    let sent = 0;
+    player.on('packet', () => sent++);
+    player.on('end', () => player.close());
+    player.start();
+    await once(player, 'close');
+    await sleep(50);
+
+    assert.strictEqual(sent, 50);
+    assert.deepStrictEqual(received, entries.map((_, i) => i));
+});
+
+test('replays with the recorded timing, scaled by the speed', async (t) => {
+    const target = await bindSocket(t);
+    const times = [];
+    target.on('message', () => times.push(performance.now()));
+    const entries = [0, 100, 200].map((time) => ({ time, data: dataMessage() }));
+    const player = new DumpPlayer(entries, { host: '127.0.0.1', port: target.address().port, speed: 2 });
+    t.after(() => player.close());
+    player.start();
+    await once(player, 'end');
+    await sleep(20);
+
+    assert.strictEqual(times.length, 3);
+    const elapsed = times[2] - times[0];
+    assert.ok(elapsed >= 95 && elapsed < 150, `${elapsed} ms`);
+    assert.throws(() => new DumpPlayer(entries, { host: '127.0.0.1', port: 1, speed: 0 }), RangeError);
+});
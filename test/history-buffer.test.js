@@ -0,0 +1,78 @@
+/**
+ * Tests of the source's resend history (src/history-buffer.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { HistoryBuffer } = require('../src/history-buffer');
+
+test('finds the blocks it holds and forgets overwritten ones', () => {
+    const history = new HistoryBuffer(4);
+    for (let sequence = 0; sequence < 6; sequence++) {
+        history.push(sequence, Buffer.from([sequence]));
+    }
+    assert.strictEqual(history.find(0), null);
+    assert.strictEqual(history.find(1), null);
+    for (let sequence = 2; sequence < 6; sequence++) {
+        assert.deepStrictEqual([...history.find(sequence).buffer], [sequence]);
+    }
+    assert.strictEqual(history.find(6), null);
+    assert.strictEqual(history.find(-1), null);
+
+    history.clear();
+    assert.strictEqual(history.find(5), null);
+});
+
+test('keeps nothing with a capacity of 0', () => {
+    const history = new HistoryBuffer(0);
+    const entry = history.push(3, Buffer.from([1, 2]));
+    assert.strictEqual(entry.size, 2);
+    assert.strictEqual(history.find(3), null);
+});
+
+test('reuses the storage of a slot for blocks encoded in place', () => {
+    const history = new HistoryBuffer(2);
+    const first = history.reserve(0, 8);
+    first.buffer.writeUInt32BE(0xDEADBEEF, 0);
+    history.commit(first, 4);
+    const storage = first.buffer;
+
+    history.reserve(1, 8);
+    const again = history.reserve(2, 8);   // The slot of block 0
+    assert.strictEqual(again, first);
+    assert.strictEqual(again.buffer, storage);
+    assert.strictEqual(history.find(0), null);
+
+    // A larger block needs new storage
+    assert.notStrictEqual(history.reserve(4, 16).buffer, storage);
+});
+
+test('copies the timing, but keeps the messages', () => {
+    const history = new HistoryBuffer(2);
+    const timing = { time: 1.5, sampleRate: 48000.25 };
+    const messages = Buffer.from([1, 2, 3]);
+    history.push(0, Buffer.alloc(4), timing, messages);
+    timing.time = 2;
+
+    const block = history.find(0);
+    assert.deepStrictEqual(block.timing, { time: 1.5, sampleRate: 48000.25 });
+    assert.strictEqual(block.messages, messages);
+    history.push(2, Buffer.alloc(4));
+    assert.strictEqual(history.find(2).timing, null);
+});
+
+test('hands out the same view for the same frame of a block', () => {
+    const history = new HistoryBuffer(2);
+    const entry = history.reserve(0, 10);
+    entry.buffer.set([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    history.commit(entry, 10);
+
+    assert.strictEqual(history.range(entry, 0, 0, 10), entry.buffer);
+    const frame = history.range(entry, 1, 4, 8);
+    assert.deepStrictEqual([...frame], [4, 5, 6, 7]);
+    assert.strictEqual(history.range(entry, 1, 4, 8), frame);
+    // Another range under the same index replaces the view
+    assert.deepStrictEqual([...history.range(entry, 1, 5, 8)], [5, 6, 7]);
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests of the sink's jitter buffer (src/jitter-buffer.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JitterBuffer } = require('../src/jitter-buffer');
+
+/**
+ * Creates a mono jitter buffer with blocks of 10 ms: a latency target
+ * of 3 blocks and room for 6
+ * 
+ * @param {Object} [options] - Extra JitterBuffer options
+ * @returns {JitterBuffer} The buffer, on stream 1, format 1
+ */
+function createBuffer(options = {}) {
+    return new JitterBuffer({ latency: 30, sampleRate: 1000, blockSize: 10, channels: 1, ...options });
+}
+
+/**
+ * Makes a mono block whose samples are all `value`
+ */
+function block(value) {
+    return [new Float32Array(10).fill(value)];
+}
+
+/**
+ * Pops `count` blocks and returns them as [sequence, status, first sample]
+ */
+function popAll(jb, count) {
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+        const popped = jb.pop();
+        blocks.push(popped && [popped.sequence, popped.status, popped.channels[0][0]]);
+    }
+    return blocks;
+}
+
+test('waits for the latency target, then plays blocks in sequence order', () => {
+    const jb = createBuffer();
+    assert.strictEqual(jb.latencyBlocks, 3);
+    assert.strictEqual(jb.capacityBlocks, 6);
+
+    jb.push(1, 1, 10, block(10));
+    assert.strictEqual(jb.pop(), null);
+    jb.push(1, 1, 12, block(12));
+    jb.push(1, 1, 11, block(11));
+    assert.deepStrictEqual(popAll(jb, 3), [[10, 'ok', 10], [11, 'ok', 11], [12, 'ok', 12]]);
+    assert.strictEqual(jb.stats.reordered, 1);
+    assert.strictEqual(jb.stats.received, 3);
+});
+
+test('an earlier packet before playout starts moves the start back', () => {
+    const jb = createBuffer();
+    jb.push(1, 1, 11, block(11));
+    jb.push(1, 1, 10, block(10));
+    jb.push(1, 1, 12, block(12));
+    assert.deepStrictEqual(popAll(jb, 3), [[10, 'ok', 10], [11, 'ok', 11], [12, 'ok', 12]]);
+});
+
+test('conceals lost blocks with silence', () => {
+    const jb = createBuffer();
+    for (const sequence of [0, 1, 3, 4]) jb.push(1, 1, sequence, block(sequence + 1));
+    assert.deepStrictEqual(popAll(jb, 4),
+        [[0, 'ok', 1], [1, 'ok', 2], [2, 'lost', 0], [3, 'ok', 4]]);
+    assert.strictEqual(jb.stats.lost, 1);
+});
+
+test('repeats the last good block once with concealment: repeat', () => {
+    const jb = createBuffer({ concealment: 'repeat' });
+    for (const sequence of [0, 3]) jb.push(1, 1, sequence, block(sequence + 1));
+    assert.deepStrictEqual(popAll(jb, 4),
+        [[0, 'ok', 1], [1, 'lost', 1], [2, 'lost', 0], [3, 'ok', 4]]);
+    assert.throws(() => createBuffer({ concealment: 'noise' }), /Unknown concealment/);
+});
+
+test('counts late and duplicate packets without buffering them', () => {
+    const jb = createBuffer();
+    for (const sequence of [0, 1, 2]) jb.push(1, 1, sequence, block(sequence));
+    popAll(jb, 1);
+    assert.strictEqual(jb.push(1, 1, 0, block(0)), 'late');
+    assert.strictEqual(jb.push(1, 1, 2, block(2)), 'duplicate');
+    assert.strictEqual(jb.size, 2);
+    assert.strictEqual(jb.stats.late, 1);
+    assert.strictEqual(jb.stats.duplicates, 1);
+});
+
+test('skips ahead to the latency target on overrun', () => {
+    const jb = createBuffer();
+    jb.push(1, 1, 0, block(1));
+    jb.push(1, 1, 1, block(2));
+    assert.strictEqual(jb.push(1, 1, 6, block(7)), 'overrun');
+    // Playout continues 2 blocks before the new one; 0 and 1 are gone
+    assert.strictEqual(jb.stats.overruns, 1);
+    assert.strictEqual(jb.stats.dropped, 2);
+    assert.deepStrictEqual(popAll(jb, 3), [[4, 'lost', 0], [5, 'lost', 0], [6, 'ok', 7]]);
+});
+
+test('plays silence and refills after an underrun', () => {
+    const jb = createBuffer();
+    for (const sequence of [0, 1, 2]) jb.push(1, 1, sequence, block(1));
+    popAll(jb, 3);
+    assert.deepStrictEqual(popAll(jb, 2), [[3, 'underrun', 0], [3, 'underrun', 0]]);
+    assert.strictEqual(jb.stats.underruns, 1);
+
+    for (const sequence of [3, 4, 5]) jb.push(1, 1, sequence, block(2));
+    assert.deepStrictEqual(popAll(jb, 1), [[3, 'ok', 2]]);
+});
+
+test('follows the sequence numbers across the wrap-around', () => {
+    const jb = createBuffer();
+    for (const sequence of [0x7FFFFFFE, 0, 0x7FFFFFFD]) jb.push(1, 1, sequence, block(sequence % 7));
+    assert.deepStrictEqual(popAll(jb, 4).map(([sequence, status]) => [sequence, status]),
+        [[0x7FFFFFFD, 'ok'], [0x7FFFFFFE, 'ok'], [0, 'ok'], [1, 'underrun']]);
+});
+
+test('starts over for a new stream and plays out a finished one', () => {
+    const jb = createBuffer();
+    for (const sequence of [0, 1, 2]) jb.push(1, 1, sequence, block(1));
+    jb.push(2, 1, 100, block(2));
+    assert.strictEqual(jb.streamId, 2);
+    assert.strictEqual(jb.size, 1);
+
+    // Less than the latency target, but the stream has ended
+    jb.finish();
+    assert.deepStrictEqual(popAll(jb, 2), [[100, 'ok', 2], null]);
+});
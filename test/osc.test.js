@@ -0,0 +1,117 @@
+/**
+ * Tests of the OSC encoder and decoder (src/osc.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const osc = require('../src/osc');
+
+test('decodes what it encodes, for every type tag', () => {
+    const args = [
+        42, -0x80000000, { type: 'f', value: 0.5 }, { type: 'd', value: 1 / 3 },
+        'héllo', { type: 'S', value: 'sym' }, Buffer.from([1, 2, 3]), { type: 'c', value: 'x' },
+        { type: 't', value: BigInt('0x0123456789ABCDEF') }, BigInt(-5),
+        { type: 'r', value: { r: 1, g: 2, b: 3, a: 4 } },
+        { type: 'm', value: Buffer.from([0, 0x90, 60, 100]) },
+        true, false, null, Infinity, [1, ['a', 2.5]]
+    ];
+    const msg = osc.encodeMessage('/test/all', args);
+    assert.strictEqual(msg.length % 4, 0);
+
+    const decoded = osc.decode(msg);
+    assert.strictEqual(decoded.address, '/test/all');
+    assert.strictEqual(decoded.types, 'iifdsSbcthrmTFNI[i[sf]]');
+    assert.deepStrictEqual(decoded.args, [
+        42, -0x80000000, 0.5, 1 / 3, 'héllo', 'sym', Buffer.from([1, 2, 3]), 'x',
+        BigInt('0x0123456789ABCDEF'), BigInt(-5), { r: 1, g: 2, b: 3, a: 4 },
+        Buffer.from([0, 0x90, 60, 100]), true, false, null, Infinity, [1, ['a', 2.5]]
+    ]);
+});
+
+test('pads strings and blobs to 4 bytes', () => {
+    // "/abc" + 4 nulls, ",s" + 2 nulls, "abcd" + 4 nulls
+    assert.strictEqual(osc.encodeMessage('/abc', ['abcd']).length, 20);
+    // Blob of 5 bytes: size + 5 bytes + 3 bytes padding
+    assert.strictEqual(osc.encodeMessage('/a', [Buffer.alloc(5)]).length, 4 + 4 + 12);
+    assert.strictEqual(osc.encodeMessage('/a').length, 8);
+});
+
+test('decodes nested bundles with their timetags', () => {
+    const inner = { timetag: BigInt(7), elements: [{ address: '/b', args: ['x'] }] };
+    const bundle = osc.encode({
+        timetag: osc.kTimetagImmediate,
+        elements: [{ address: '/a', args: [1] }, inner]
+    });
+    assert.ok(osc.isBundle(bundle));
+    assert.ok(!osc.isBundle(osc.encodeMessage('/a')));
+
+    assert.deepStrictEqual(osc.decode(bundle), {
+        timetag: BigInt(1),
+        elements: [
+            { address: '/a', types: 'i', args: [1] },
+            { timetag: BigInt(7), elements: [{ address: '/b', types: 's', args: ['x'] }] }
+        ]
+    });
+});
+
+test('refuses values it cannot encode', () => {
+    assert.throws(() => osc.encodeMessage('no-slash'), TypeError);
+    assert.throws(() => osc.encodeMessage('/a', [{ type: 'i', value: 2 ** 31 }]), RangeError);
+    assert.throws(() => osc.encodeMessage('/a', ['nul\0']), TypeError);
+    assert.throws(() => osc.encodeMessage('/a', [{ type: 'c', value: 'é' }]), RangeError);
+    assert.throws(() => osc.encodeMessage('/a', [{ type: 'q', value: 1 }]), TypeError);
+    assert.throws(() => osc.encodeMessage('/a', [() => {}]), TypeError);
+    assert.throws(() => osc.encode({ foo: 1 }), TypeError);
+});
+
+test('throws on malformed input instead of reading past it', () => {
+    const msg = osc.encodeMessage('/test', [1, 'abc', Buffer.alloc(8)]);
+    // Cut anywhere after the address (the last complete message without arguments)
+    for (let size = 12; size < msg.length; size += 4) {
+        assert.throws(() => osc.decode(msg.subarray(0, size)), RangeError, `size ${size}`);
+    }
+    assert.throws(() => osc.decode(msg.subarray(0, 6)), /multiple of 4/);
+    assert.throws(() => osc.decode(Buffer.from('abc\0')), /must start with '\/'/);
+    assert.throws(() => osc.decode(Buffer.from('/a\0\0i\0\0\0')), /must start with ','/);
+    assert.throws(() => osc.decode(Buffer.from('/abc')), /null-terminated/);
+    assert.throws(() => osc.decode(Buffer.from('/\xff\0\0', 'latin1')), /UTF-8/);
+    assert.throws(() => osc.decode(Buffer.from('/a\0\0,q\0\0')), TypeError);
+    assert.throws(() => osc.decode(Buffer.from('/a\0\0,[\0\0')), /unbalanced '\['/);
+    assert.throws(() => osc.decode(Buffer.from('/a\0\0,]\0\0')), /unbalanced '\]'/);
+    assert.throws(() => osc.decode(Buffer.concat([osc.encodeMessage('/a'), Buffer.alloc(4)])), /trailing/);
+
+    const blob = osc.encodeMessage('/a', [Buffer.alloc(4)]);
+    blob.writeInt32BE(-1, 8);
+    assert.throws(() => osc.decode(blob), /negative size/);
+    blob.writeInt32BE(1000, 8);
+    assert.throws(() => osc.decode(blob), /exceeds message size/);
+});
+
+test('throws on malformed bundles', () => {
+    const bundle = osc.encodeBundle(osc.kTimetagImmediate, [{ address: '/a', args: [1] }]);
+    assert.throws(() => osc.decode(bundle.subarray(0, 12)), /bundle timetag/);
+    assert.throws(() => osc.decode(bundle.subarray(0, bundle.length - 4)), /exceeds/);
+    assert.throws(() => osc.decodeBundle(osc.encodeMessage('/a')), /#bundle/);
+
+    const odd = Buffer.from(bundle);
+    odd.writeInt32BE(6, 16);
+    assert.throws(() => osc.decode(odd), /invalid size 6/);
+});
+
+test('matches address patterns', () => {
+    assert.ok(osc.matchAddress('/aoo/src/{1,2}/ping', '/aoo/src/2/ping'));
+    assert.ok(!osc.matchAddress('/aoo/src/{1,2}/ping', '/aoo/src/3/ping'));
+    assert.ok(osc.matchAddress('/mixer/ch[1-4]/*', '/mixer/ch3/gain'));
+    assert.ok(!osc.matchAddress('/mixer/ch[!1-4]/*', '/mixer/ch3/gain'));
+    assert.ok(osc.matchAddress('/a/?', '/a/b'));
+    // Wildcards stay within one part of the address
+    assert.ok(!osc.matchAddress('/a/*', '/a/b/c'));
+    assert.ok(!osc.matchAddress('/a/?', '/a//'));
+    // Regular expression characters are taken literally
+    assert.ok(!osc.matchAddress('/a.b', '/axb'));
+    assert.ok(osc.matchAddress('/a.b', '/a.b'));
+    assert.throws(() => osc.compilePattern('/a/[bc'), RangeError);
+    assert.throws(() => osc.compilePattern('/a/{b,c'), RangeError);
+});
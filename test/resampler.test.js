@@ -0,0 +1,132 @@
+/**
+ * Tests of the sample rate converter (src/resampler.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Resampler } = require('../src/resampler');
+
+/**
+ * Interleaved stereo chunk of a sine on the left and silence on the right
+ * 
+ * @param {number} start - Frame index of the first frame
+ * @param {number} frames - Frames in the chunk
+ * @param {number} frequency - Sine frequency in cycles per frame
+ * @returns {Float32Array} The chunk
+ */
+function sine(start, frames, frequency) {
+    const chunk = new Float32Array(frames * 2);
+    for (let i = 0; i < frames; i++) {
+        chunk[i * 2] = Math.sin(2 * Math.PI * frequency * (start + i));
+    }
+    return chunk;
+}
+
+/**
+ * Feeds `seconds` of a 1 kHz sine (at the input rate the resampler
+ * starts with) through a resampler in chunks of 10 ms and collects the
+ * output
+ * 
+ * @param {Resampler} resampler - Stereo resampler
+ * @param {number} seconds - Input duration
+ * @param {Function} [beforeChunk] - Called with the chunk index before each chunk
+ * @returns {Float32Array} Interleaved output
+ */
+function run(resampler, seconds, beforeChunk) {
+    const chunkFrames = resampler.inputRate / 100;
+    const frequency = 1000 / resampler.inputRate;
+    const outputs = [];
+    let length = 0;
+    for (let chunk = 0; chunk < seconds * 100; chunk++) {
+        if (beforeChunk) beforeChunk(chunk);
+        const out = resampler.process(sine(chunk * chunkFrames, chunkFrames, frequency));
+        outputs.push(out);
+        length += out.length;
+    }
+    const all = new Float32Array(length);
+    let offset = 0;
+    for (const out of outputs) {
+        all.set(out, offset);
+        offset += out.length;
+    }
+    return all;
+}
+
+for (const quality of ['linear', 'sinc']) {
+    test(`${quality}: converts 44.1 to 48 kHz at the right ratio`, () => {
+        const resampler = new Resampler({ channels: 2, inputRate: 44100, outputRate: 48000, quality });
+        assert.strictEqual(resampler.ratio, 44100 / 48000);
+        const out = run(resampler, 1);
+
+        // All input but what the filter still holds back
+        const frames = out.length / 2;
+        const expected = (44100 - resampler.buffered) / resampler.ratio;
+        assert.ok(Math.abs(frames - expected) <= 1, `${frames} frames, expected ${expected}`);
+        assert.ok(resampler.buffered < 40);
+    });
+
+    test(`${quality}: keeps the waveform and the channels apart`, () => {
+        const resampler = new Resampler({ channels: 2, inputRate: 44100, outputRate: 48000, quality });
+        const out = run(resampler, 0.5);
+
+        // Output frame i is input time i × ratio: the same 1 kHz sine
+        const tolerance = quality === 'sinc' ? 0.002 : 0.02;
+        let maxError = 0;
+        let maxRight = 0;
+        for (let i = 1000; i < out.length / 2; i++) {
+            const ideal = Math.sin(2 * Math.PI * 1000 * i / 48000);
+            maxError = Math.max(maxError, Math.abs(out[i * 2] - ideal));
+            maxRight = Math.max(maxRight, Math.abs(out[i * 2 + 1]));
+        }
+        assert.ok(maxError < tolerance, `error ${maxError}`);
+        assert.strictEqual(maxRight, 0);
+    });
+}
+
+test('drift correction consumes the input faster', () => {
+    const resampler = new Resampler({ channels: 2, inputRate: 48000, outputRate: 48000 });
+    resampler.setDrift(1.001);
+    assert.strictEqual(resampler.ratio, 1.001);
+    const frames = run(resampler, 2).length / 2;
+
+    // 96000 input frames make 0.1 % fewer output frames
+    const expected = (96000 - resampler.buffered) / 1.001;
+    assert.ok(Math.abs(frames - expected) <= 1, `${frames} frames, expected ${expected}`);
+});
+
+test('follows a change of the ratio without a jump', () => {
+    const resampler = new Resampler({ channels: 2, inputRate: 44100, outputRate: 48000 });
+    // The input rate steps up by 0.5 % after 250 ms, as drift corrections do
+    const out = run(resampler, 0.5, (chunk) => {
+        if (chunk === 25) resampler.setInputRate(44100 * 1.005);
+    });
+
+    // A 1 kHz sine at 48 kHz moves less than 0.14 per frame
+    let maxStep = 0;
+    for (let i = 1; i < out.length / 2; i++) {
+        maxStep = Math.max(maxStep, Math.abs(out[i * 2] - out[i * 2 - 2]));
+    }
+    assert.ok(maxStep < 0.14, `step ${maxStep}`);
+});
+
+test('starts over after reset', () => {
+    const resampler = new Resampler({ channels: 1, inputRate: 48000, outputRate: 48000, quality: 'linear' });
+    resampler.process(new Float32Array(100).fill(1));
+    assert.ok(resampler.buffered > 0);
+    resampler.reset();
+    assert.strictEqual(resampler.buffered, 0);
+    assert.strictEqual(resampler.process(new Float32Array(0)).length, 0);
+});
+
+test('refuses invalid settings', () => {
+    assert.throws(() => new Resampler({ channels: 0, inputRate: 48000, outputRate: 48000 }), RangeError);
+    assert.throws(() => new Resampler({ channels: 1.5, inputRate: 48000, outputRate: 48000 }), RangeError);
+    assert.throws(() => new Resampler({ channels: 1, inputRate: 0, outputRate: 48000 }), RangeError);
+    assert.throws(() => new Resampler({ channels: 1, inputRate: 48000, outputRate: 48000, quality: 'cubic' }),
+        RangeError);
+    const resampler = new Resampler({ channels: 1, inputRate: 48000, outputRate: 48000 });
+    assert.throws(() => resampler.setInputRate(-1), RangeError);
+    assert.throws(() => resampler.setDrift(0), RangeError);
+});
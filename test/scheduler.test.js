@@ -0,0 +1,94 @@
+/**
+ * Tests of the block clock (src/scheduler.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { performance } = require('perf_hooks');
+const { Scheduler } = require('../src/scheduler');
+
+/**
+ * Waits `ms` milliseconds
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Blocks the event loop for `ms` milliseconds, like a long GC pause
+ */
+function stall(ms) {
+    const end = performance.now() + ms;
+    while (performance.now() < end);
+}
+
+test('calls once per period without drifting', async () => {
+    const times = [];
+    const scheduler = new Scheduler({ period: 10, callback: () => times.push(performance.now()) });
+    const start = performance.now();
+    scheduler.start();
+    await sleep(505);
+    scheduler.stop();
+
+    // Timer jitter delays single calls, but the count follows the clock
+    assert.ok(times.length >= 45 && times.length <= 50, `${times.length} calls`);
+    assert.ok(times[0] - start >= 9.5);
+    assert.strictEqual(scheduler.stats.blocks, times.length);
+    assert.strictEqual(scheduler.running, false);
+});
+
+test('catches up after a stall, but at most maxCatchUp blocks', async () => {
+    const calls = [];
+    const scheduler = new Scheduler({ period: 10, maxCatchUp: 3, callback: (info) => calls.push(info) });
+    scheduler.start();
+    stall(100);
+    await sleep(1);
+    scheduler.stop();
+
+    // About 10 blocks were due after the stall: 3 are made in a row, the
+    // rest skipped (the next one may have been due by now as well)
+    assert.ok(calls.length === 3 || calls.length === 4, `${calls.length} calls`);
+    assert.ok(calls[0].skipped >= 6, `${calls[0].skipped} skipped`);
+    assert.strictEqual(calls[1].skipped + calls[2].skipped, 0);
+    assert.ok(calls[0].lateness >= 10);
+    assert.strictEqual(scheduler.stats.skipped, calls[0].skipped);
+    assert.ok(scheduler.stats.late >= 1);
+});
+
+test('stops and resyncs from within the callback', async () => {
+    let count = 0;
+    const scheduler = new Scheduler({
+        period: 5,
+        callback: () => {
+            if (++count === 3) scheduler.stop();
+        }
+    });
+    scheduler.start();
+    await sleep(100);
+    assert.strictEqual(count, 3);
+
+    // After a resync the blocks that were due are dropped
+    const calls = [];
+    const resyncing = new Scheduler({
+        period: 10,
+        callback: (info) => {
+            calls.push(info);
+            if (calls.length === 1) {
+                stall(50);
+                resyncing.resync();
+            }
+        }
+    });
+    resyncing.start();
+    await sleep(35);
+    resyncing.stop();
+    assert.ok(calls.length <= 3, `${calls.length} calls`);
+    assert.strictEqual(resyncing.stats.skipped, 0);
+});
+
+test('refuses a period that is not positive', () => {
+    assert.throws(() => new Scheduler({ period: 0, callback() {} }), RangeError);
+    assert.throws(() => new Scheduler({ period: NaN, callback() {} }), RangeError);
+});
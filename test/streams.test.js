@@ -0,0 +1,121 @@
+/**
+ * Tests of the PCM streams (src/streams.js), on stand-ins for the source
+ * and the sink
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter, once } = require('events');
+const { performance } = require('perf_hooks');
+const { AooWriteStream, AooReadStream } = require('../src/streams');
+
+/**
+ * Stands in for an AooSource: 2 channels, blocks of 480 frames (10 ms),
+ * and a record of the blocks passed to sendAudio
+ */
+function fakeSource() {
+    const blocks = [];
+    return {
+        channels: 2,
+        blockSize: 480,
+        inputSampleRate: 48000,
+        maxCatchUp: 4,
+        blocks,
+        sendAudio: (samples) => blocks.push(samples)
+    };
+}
+
+/**
+ * Interleaved int16 LE PCM of `frames` stereo frames, all of value `value`
+ */
+function pcm(frames, value) {
+    const buf = Buffer.alloc(frames * 4);
+    for (let i = 0; i < frames * 2; i++) buf.writeInt16LE(value, i * 2);
+    return buf;
+}
+
+/**
+ * Source info of a sink event
+ */
+function info(sourceId, channels = 2) {
+    return { host: '127.0.0.1', port: 9998, sourceId, channels, sampleRate: 48000 };
+}
+
+test('cuts written PCM into blocks and pads the last one', async () => {
+    const source = fakeSource();
+    const stream = new AooWriteStream(source, { realtime: false });
+    // 2.5 blocks, in writes that don't line up with them
+    stream.write(pcm(700, 0x4000));
+    stream.write(pcm(500, 0x4000));
+    stream.end();
+    await once(stream, 'finish');
+
+    assert.strictEqual(source.blocks.length, 3);
+    assert.ok(source.blocks.every((block) => block.length === 960));
+    assert.strictEqual(source.blocks[0][0], 0.5);
+    assert.strictEqual(source.blocks[2][479], 0.5);
+    assert.strictEqual(source.blocks[2][480], 0);
+});
+
+test('plays out in real time and holds back writes', async () => {
+    const source = fakeSource();
+    const stream = new AooWriteStream(source, { bufferMs: 20 });
+    const start = performance.now();
+    // 10 blocks at once: far more than the 20 ms buffer
+    assert.strictEqual(stream.write(pcm(4800, 1)), false);
+    stream.end();
+    await once(stream, 'finish');
+
+    const elapsed = performance.now() - start;
+    assert.strictEqual(source.blocks.length, 10);
+    assert.ok(elapsed >= 85, `finished after ${elapsed} ms`);
+});
+
+test('refuses unknown sample formats', () => {
+    assert.throws(() => new AooWriteStream(fakeSource(), { format: 'int8' }), RangeError);
+    assert.throws(() => new AooReadStream(new EventEmitter(), { endianness: 'middle' }), RangeError);
+});
+
+test('reads the blocks of one source as PCM', async () => {
+    const sink = new EventEmitter();
+    const stream = new AooReadStream(sink, { format: 'int16', sourceId: 1, endOnStop: true });
+    const formats = [];
+    stream.on('format', (format) => formats.push(format.channels));
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+
+    sink.emit('data', [Float32Array.of(0.5, 0), Float32Array.of(-0.5, 0)], info(1));
+    sink.emit('data', [Float32Array.of(1)], info(2, 1));      // Another source
+    sink.emit('data', [Float32Array.of(0.25)], info(1, 1));   // New format
+    sink.emit('stop', info(2));
+    sink.emit('stop', info(1));
+    await once(stream, 'end');
+
+    assert.deepStrictEqual(formats, [2, 1]);
+    const data = Buffer.concat(chunks);
+    assert.deepStrictEqual([...new Int16Array(data.buffer, data.byteOffset, data.length / 2)],
+        [0x4000, -0x4000, 0, 0, 0x2000]);
+});
+
+test('drops blocks while the consumer is behind', () => {
+    const sink = new EventEmitter();
+    const stream = new AooReadStream(sink, { format: 'float32', highWaterMark: 8 });
+    const block = [new Float32Array(4), new Float32Array(4)];
+    // Nobody reads: the first block fills the buffer
+    sink.emit('data', block, info(1));
+    sink.emit('data', block, info(1));
+    sink.emit('data', block, info(1));
+    assert.strictEqual(stream.dropped, 2);
+    assert.strictEqual(stream.readableLength, 32);
+});
+
+test('detaches from the sink when destroyed', async () => {
+    const sink = new EventEmitter();
+    const stream = new AooReadStream(sink);
+    assert.strictEqual(sink.listenerCount('data'), 1);
+    stream.destroy();
+    await once(stream, 'close');
+    for (const event of ['data', 'stop', 'close']) assert.strictEqual(sink.listenerCount(event), 0);
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests of the NTP timetags and the sample rate estimator (src/time.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const time = require('../src/time');
+
+test('converts between seconds and NTP timetags', () => {
+    assert.strictEqual(time.fromSeconds(0), BigInt(time.kNtpEpochOffset) << BigInt(32));
+    assert.strictEqual(time.toSeconds(time.fromSeconds(0)), 0);
+    assert.strictEqual(time.fromSeconds(1.5) & BigInt(0xFFFFFFFF), BigInt(0x80000000));
+
+    const secs = 1760000000.123456;
+    assert.ok(Math.abs(time.toSeconds(time.fromSeconds(secs)) - secs) < 1e-6);
+    assert.strictEqual(time.duration(time.fromSeconds(10), time.fromSeconds(10.25)), 0.25);
+    assert.strictEqual(time.duration(time.fromSeconds(10.25), time.fromSeconds(10)), -0.25);
+});
+
+test('writes the same timetag as fromSeconds', () => {
+    const buf = Buffer.alloc(12);
+    for (const secs of [0, 0.999999, 1760000000.123456, 2085978495.5]) {
+        assert.strictEqual(time.writeTimetag(buf, 4, secs), 12);
+        assert.strictEqual(buf.readBigUInt64BE(4), time.fromSeconds(secs));
+    }
+});
+
+test('timetags of the clock follow each other', () => {
+    const first = time.now();
+    const second = time.now();
+    assert.ok(second >= first);
+    assert.ok(Math.abs(time.toSeconds(first) - Date.now() / 1000) < 1);
+});
+
+test('the DLL reports the nominal rate until it is set up', () => {
+    const dll = new time.TimeDLL();
+    assert.strictEqual(dll.initialized, false);
+    assert.strictEqual(dll.sampleRate, 0);
+    dll.setup(48000, 256, 100);
+    assert.strictEqual(dll.initialized, true);
+    assert.strictEqual(dll.sampleRate, 48000);
+    dll.reset();
+    assert.strictEqual(dll.initialized, false);
+});
+
+test('the DLL follows the drift of the audio clock through jitter', () => {
+    // The audio clock runs 0.1 % fast; blocks arrive up to 2 ms late
+    const realRate = 48048;
+    const dll = new time.TimeDLL();
+    dll.setup(48000, 256, 0);
+    let random = 1;
+    for (let block = 1; block <= 200000; block++) {
+        random = (random * 16807) % 2147483647;
+        dll.update(block * 256 / realRate + (random / 2147483647) * 0.002);
+    }
+    assert.ok(Math.abs(dll.sampleRate - realRate) < 1, `estimated ${dll.sampleRate}`);
+});
+
+test('a higher bandwidth follows a change of rate sooner', () => {
+    const estimate = (bandwidth, blocks) => {
+        const dll = new time.TimeDLL({ bandwidth });
+        dll.setup(48000, 256, 0);
+        for (let block = 1; block <= blocks; block++) dll.update(block * 256 / 48480);
+        return dll.sampleRate;
+    };
+    // About 5 seconds of audio
+    const slow = estimate(0.012, 1000);
+    const fast = estimate(0.5, 1000);
+    assert.ok(Math.abs(fast - 48480) < Math.abs(slow - 48480));
+    assert.ok(Math.abs(fast - 48480) < 1, `estimated ${fast}`);
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests of the address and socket helpers (src/udp.js)
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const udp = require('../src/udp');
+
+/**
+ * Name of the loopback interface ('lo', 'lo0', ...), or null
+ */
+function loopbackName() {
+    for (const [name, entries] of Object.entries(os.networkInterfaces())) {
+        if (entries.some((e) => e.address === '127.0.0.1')) return name;
+    }
+    return null;
+}
+
+test('normalizes IPv6 addresses and unmaps IPv4-mapped ones', () => {
+    assert.strictEqual(udp.normalizeAddress('[::1]'), '::1');
+    assert.strictEqual(udp.normalizeAddress('2001:DB8:0:0:0:0:0:1'), '2001:db8::1');
+    assert.strictEqual(udp.normalizeAddress('FE80:0::1%eth0'), 'fe80::1%eth0');
+    assert.strictEqual(udp.normalizeAddress('::FFFF:192.168.1.20'), '192.168.1.20');
+    assert.strictEqual(udp.normalizeAddress('::ffff:c0a8:114'), '192.168.1.20');
+    assert.strictEqual(udp.normalizeAddress('192.168.1.20'), '192.168.1.20');
+    // Host names are left alone
+    assert.strictEqual(udp.normalizeAddress('example.com'), 'example.com');
+
+    assert.strictEqual(udp.unmapAddress('::ffff:10.0.0.1'), '10.0.0.1');
+    assert.strictEqual(udp.unmapAddress('::ffff:a00:1'), '10.0.0.1');
+    assert.strictEqual(udp.unmapAddress('::1'), '::1');
+});
+
+test('maps IPv4 addresses back for IPv6 sockets only', () => {
+    assert.strictEqual(udp.socketAddress('10.0.0.1', 'udp6'), '::ffff:10.0.0.1');
+    assert.strictEqual(udp.socketAddress('10.0.0.1', 'udp4'), '10.0.0.1');
+    assert.strictEqual(udp.socketAddress('2001:db8::1', 'udp6'), '2001:db8::1');
+    for (const address of ['10.0.0.1', '2001:db8::1', 'fe80::1%eth0']) {
+        assert.strictEqual(udp.normalizeAddress(udp.socketAddress(address, 'udp6')), address);
+    }
+});
+
+test('tells multicast and broadcast from unicast addresses', () => {
+    assert.strictEqual(udp.addressKind('239.1.2.3'), 'multicast');
+    assert.strictEqual(udp.addressKind('224.0.0.1'), 'multicast');
+    assert.strictEqual(udp.addressKind('ff02::1'), 'multicast');
+    assert.strictEqual(udp.addressKind('255.255.255.255'), 'broadcast');
+    assert.strictEqual(udp.addressKind('223.255.255.255'), 'unicast');
+    assert.strictEqual(udp.addressKind('127.0.0.1'), 'unicast');
+    assert.strictEqual(udp.addressKind('::1'), 'unicast');
+
+    // The directed broadcast address of 127.0.0.0/8
+    if (loopbackName()) assert.strictEqual(udp.addressKind('127.255.255.255'), 'broadcast');
+});
+
+test('works out the socket type and bind address', () => {
+    assert.deepStrictEqual(udp.socketConfig({}), { type: 'udp4', ipv6Only: false, address: '0.0.0.0' });
+    assert.deepStrictEqual(udp.socketConfig({ socketType: 'udp6' }),
+        { type: 'udp6', ipv6Only: false, address: '::' });
+    // ipv6Only only applies to IPv6 sockets
+    assert.strictEqual(udp.socketConfig({ ipv6Only: true }).ipv6Only, false);
+    assert.strictEqual(udp.socketConfig({ socketType: 'udp6', localAddress: '127.0.0.1' }).address,
+        '::ffff:127.0.0.1');
+    assert.strictEqual(udp.socketConfig({ localAddress: '[::ffff:127.0.0.1]' }).address, '127.0.0.1');
+
+    const lo = loopbackName();
+    if (lo) {
+        assert.strictEqual(udp.socketConfig({ localInterface: lo }).address, '127.0.0.1');
+        assert.strictEqual(udp.interfaceAddress(lo, 'udp4', false), '127.0.0.1');
+    }
+});
+
+test('refuses socket settings that don\'t fit together', () => {
+    assert.throws(() => udp.socketConfig({ socketType: 'tcp' }), RangeError);
+    assert.throws(() => udp.socketConfig({ localAddress: 'localhost' }), TypeError);
+    assert.throws(() => udp.socketConfig({ localAddress: '::1' }), /is IPv6, but the socket is 'udp4'/);
+    assert.throws(() => udp.socketConfig({ socketType: 'udp6', ipv6Only: true, localAddress: '127.0.0.1' }),
+        /IPv6-only/);
+    assert.throws(() => udp.socketConfig({ localInterface: 'no-such-if0' }), RangeError);
+    assert.throws(() => udp.interfaceAddress('no-such-if0', 'udp6', false), /Unknown network interface/);
+});
+
+test('names multicast interfaces the way the socket takes them', () => {
+    assert.strictEqual(udp.multicastInterface('10.0.0.1', 'udp4'), '10.0.0.1');
+    assert.strictEqual(udp.multicastInterface('::%eth0', 'udp6'), '::%eth0');
+    assert.throws(() => udp.multicastInterface('no-such-if0', 'udp6'), RangeError);
+    assert.throws(() => udp.multicastInterface('no-such-if0', 'udp4'), RangeError);
+
+    const lo = loopbackName();
+    if (lo) {
+        assert.strictEqual(udp.multicastInterface(lo, 'udp6'), `::%${lo}`);
+        assert.strictEqual(udp.multicastInterface(lo, 'udp4'), '127.0.0.1');
+    }
+});
+
+test('resolves IP addresses synchronously and host names with the resolver', async () => {
+    let result = null;
+    udp.resolveHost('[::ffff:127.0.0.1]', 'udp4', false, (err, address) => {
+        result = [err, address];
+    });
+    assert.deepStrictEqual(result, [null, '127.0.0.1']);
+
+    udp.resolveHost('::1', 'udp4', false, (err) => {
+        result = err;
+    });
+    assert.ok(result instanceof RangeError);
+    udp.resolveHost('127.0.0.1', 'udp6', true, (err) => {
+        result = err;
+    });
+    assert.ok(result instanceof RangeError);
+
+    const address = await new Promise((resolve, reject) => {
+        udp.resolveHost('localhost', 'udp4', false, (err, addr) => (err ? reject(err) : resolve(addr)));
+    });
+    assert.strictEqual(address, '127.0.0.1');
+});
@@ -0,0 +1,254 @@
+/**
+ * Tests of the WebSocket bridge (src/web-bridge.js), with a minimal
+ * WebSocket client on a bridge bound to a free port
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const http = require('http');
+const { once } = require('events');
+const { AooWebBridge } = require('../src/web-bridge');
+
+/**
+ * Starts a bridge on a free port; it is closed after the test
+ * 
+ * @param {TestContext} t - The test
+ * @param {Object} [options] - Extra AooWebBridge options
+ * @returns {Promise<{bridge: AooWebBridge, port: number}>}
+ */
+async function startBridge(t, options = {}) {
+    const bridge = new AooWebBridge({ port: 0, host: '127.0.0.1', ...options });
+    t.after(() => bridge.close());
+    const [address] = await once(bridge, 'listening');
+    return { bridge, port: address.port };
+}
+
+/**
+ * Sends an upgrade request
+ * 
+ * @param {number} port - Bridge port
+ * @param {Object} [headers] - Extra request headers
+ * @param {string} [path='/aoo'] - Request path
+ * @returns {Promise<{status: number, socket: net.Socket}>} The HTTP status,
+ *   and the socket if the upgrade was accepted
+ */
+function upgrade(port, headers = {}, path = '/aoo') {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            host: '127.0.0.1',
+            path,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+                'Sec-WebSocket-Version': '13',
+                ...headers
+            }
+        });
+        request.on('upgrade', (response, socket) => resolve({ status: response.statusCode, socket }));
+        request.on('response', (response) => {
+            response.resume();
+            resolve({ status: response.statusCode, socket: null });
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+/**
+ * Client side of a bridge connection: sends JSON commands and audio,
+ * and collects the JSON messages of the bridge
+ */
+class TestClient {
+    constructor(socket) {
+        this.socket = socket;
+        this.messages = [];
+        this._waiting = [];
+        this._buffer = Buffer.alloc(0);
+        this._id = 1;
+        socket.on('data', (chunk) => this._receive(chunk));
+    }
+
+    /**
+     * Sends a command and waits for its result
+     * 
+     * @returns {Promise<Object>} {result} or {error}
+     */
+    command(type, fields = {}) {
+        const id = this._id++;
+        this._sendFrame(0x1, Buffer.from(JSON.stringify({ id, type, ...fields })));
+        return this.next((message) => message.type === 'result' && message.id === id);
+    }
+
+    /**
+     * Sends planar float32 samples
+     */
+    sendAudio(samples) {
+        this._sendFrame(0x2, Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+    }
+
+    /**
+     * Waits for a message of the bridge for which `match` returns true
+     */
+    next(match) {
+        const found = this.messages.find(match);
+        if (found) return Promise.resolve(found);
+        return new Promise((resolve) => this._waiting.push({ match, resolve }));
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+
+    /**
+     * Writes one frame, masked as clients must
+     */
+    _sendFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+        } else {
+            header = Buffer.from([0x80 | opcode, 0x80 | 126, 0, 0]);
+            header.writeUInt16BE(payload.length, 2);
+        }
+        // A zero mask leaves the payload as it is
+        this.socket.write(Buffer.concat([header, Buffer.alloc(4), payload]));
+    }
+
+    /**
+     * Parses the frames of the bridge; text frames are JSON messages
+     */
+    _receive(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+        for (;;) {
+            const buf = this._buffer;
+            if (buf.length < 2) return;
+            let length = buf[1] & 0x7F;
+            let start = 2;
+            if (length === 126) {
+                if (buf.length < 4) return;
+                length = buf.readUInt16BE(2);
+                start = 4;
+            }
+            if (buf.length < start + length) return;
+            if ((buf[0] & 0x0F) === 0x1) {
+                const message = JSON.parse(buf.toString('utf8', start, start + length));
+                this.messages.push(message);
+                this._waiting = this._waiting.filter(({ match, resolve }) => {
+                    if (!match(message)) return true;
+                    resolve(message);
+                    return false;
+                });
+            }
+            this._buffer = buf.subarray(start + length);
+        }
+    }
+}
+
+/**
+ * Connects a client to a bridge; it is closed after the test
+ */
+async function connect(t, port) {
+    const { status, socket } = await upgrade(port);
+    assert.strictEqual(status, 101);
+    const client = new TestClient(socket);
+    t.after(() => client.close());
+    return client;
+}
+
+test('accepts local pages on its path only', async (t) => {
+    const { port } = await startBridge(t);
+    for (const origin of ['http://localhost:3000', `http://127.0.0.1:${port}`]) {
+        const { status, socket } = await upgrade(port, { Origin: origin });
+        assert.strictEqual(status, 101, origin);
+        socket.destroy();
+    }
+    assert.strictEqual((await upgrade(port, { Origin: 'https://example.com' })).status, 403);
+    assert.strictEqual((await upgrade(port, {}, '/other')).status, 404);
+
+    const refusing = await startBridge(t, { onConnection: () => false });
+    assert.strictEqual((await upgrade(refusing.port)).status, 403);
+});
+
+test('refuses source options outside the limits', async (t) => {
+    const { port } = await startBridge(t, { limits: { channels: [1, 2] } });
+    const client = await connect(t, port);
+    const refused = [
+        { channels: 4 },
+        { channels: 1.5 },
+        { blockSize: 8 },
+        { sampleRate: '48000' },
+        { historyMs: 10000 },
+        { sourceId: 256 },
+        { sourceId: 1.5 },
+        { pingInterval: 0.001 },
+        { pingInterval: 'x' },
+        { statsInterval: 1e9 },
+        { sinkTimeout: 5 },
+        { sinkTimeout: -1 }
+    ];
+    for (const options of refused) {
+        const { error } = await client.command('open', { options });
+        assert.match(error, /must be (an integer|a number) from/, JSON.stringify(options));
+    }
+    assert.match((await client.command('open', { options: { pingInterval: 5 } })).error, /\(or 0 for off\)/);
+
+    // 0 turns the timers off
+    const { result } = await client.command('open',
+        { options: { channels: 2, sourceId: 7, pingInterval: 0, statsInterval: 0, sinkTimeout: 0 } });
+    assert.strictEqual(result.sourceId, 7);
+    assert.ok(result.port > 0);
+    assert.match((await client.command('open')).error, /already open/);
+});
+
+test('adds sinks only with onAddSink', async (t) => {
+    const { port } = await startBridge(t);
+    const client = await connect(t, port);
+    assert.match((await client.command('start')).error, /'open' must come before 'start'/);
+    await client.command('open', { options: { pingInterval: 0 } });
+    const { error } = await client.command('addSink', { host: '127.0.0.1', port: 9999, sinkId: 1 });
+    assert.match(error, /allows no sinks/);
+
+    const allowing = await startBridge(t, { onAddSink: ({ host }) => host === '127.0.0.1' });
+    const other = await connect(t, allowing.port);
+    await other.command('open', { options: { pingInterval: 0 } });
+    assert.match((await other.command('addSink', { host: '10.0.0.1', port: 9999, sinkId: 1 })).error, /not allowed/);
+    assert.match((await other.command('addSink', { host: '127.0.0.1', port: '9999', sinkId: 1 })).error,
+        /needs a host/);
+});
+
+test('streams the audio of a page to a sink', async (t) => {
+    const sink = dgram.createSocket('udp4');
+    await new Promise((resolve) => sink.bind(0, '127.0.0.1', resolve));
+    t.after(() => sink.close());
+    const packets = [];
+    sink.on('message', (msg) => packets.push(msg));
+
+    const { port } = await startBridge(t, { onAddSink: () => true });
+    const client = await connect(t, port);
+    await client.command('open', { options: { channels: 2, blockSize: 64, pingInterval: 0 } });
+    assert.strictEqual((await client.command('addSink', { host: '127.0.0.1', port: sink.address().port, sinkId: 1 })).error,
+        undefined);
+    await client.command('start');
+
+    // Planar: 64 frames of 0.5 on the left, then 64 of -0.5 on the right
+    const block = new Float32Array(128);
+    block.fill(0.5, 0, 64);
+    block.fill(-0.5, 64);
+    client.sendAudio(block);
+    client.sendAudio(new Float32Array(3));      // Not 2 channels
+    const event = await client.next((message) => message.type === 'event' && message.name === 'error');
+    assert.match(event.args[0].message, /doesn't hold 2 channels/);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const data = packets.filter((msg) => msg[0] & 0x80);
+    assert.strictEqual(data.length, 1);
+    assert.strictEqual(data[0].readUInt16BE(14), 64 * 2 * 4);
+    // Interleaved float32 BE samples after the header
+    assert.deepStrictEqual([data[0].readFloatBE(16), data[0].readFloatBE(20)], [0.5, -0.5]);
+    assert.ok(packets.some((msg) => msg.toString('latin1').startsWith('/aoo/sink/1/start')));
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests of the WebSocket framing (src/websocket.js), on a stand-in for
+ * the upgraded socket
+ * 
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { acceptKey, acceptUpgrade, WebSocket } = require('../src/websocket');
+
+/**
+ * Stands in for the net.Socket of an upgraded request: keeps what is
+ * written and whether it was ended
+ */
+function fakeSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.ended = false;
+    socket.setNoDelay = () => {};
+    socket.write = (data) => socket.written.push(Buffer.from(data));
+    socket.end = (data) => {
+        if (data) socket.written.push(Buffer.from(data));
+        socket.ended = true;
+    };
+    socket.destroy = () => socket.emit('close');
+    return socket;
+}
+
+/**
+ * A masked client frame
+ * 
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer|string} payload - Payload
+ * @param {boolean} [fin=true] - Last frame of the message
+ * @returns {Buffer} The frame
+ */
+function clientFrame(opcode, payload, fin = true) {
+    payload = Buffer.from(payload);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([opcode | (fin ? 0x80 : 0), 0x80 | payload.length]);
+    } else if (payload.length < 0x10000) {
+        header = Buffer.from([opcode | (fin ? 0x80 : 0), 0x80 | 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = opcode | (fin ? 0x80 : 0);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i & 3]));
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Reads the (unmasked) frames the server wrote
+ * 
+ * @returns {Array<{opcode: number, payload: Buffer}>} Frames
+ */
+function serverFrames(socket) {
+    const buf = Buffer.concat(socket.written);
+    const frames = [];
+    let offset = 0;
+    while (offset < buf.length) {
+        let length = buf[offset + 1];
+        let start = offset + 2;
+        if (length === 126) {
+            length = buf.readUInt16BE(offset + 2);
+            start = offset + 4;
+        } else if (length === 127) {
+            length = Number(buf.readBigUInt64BE(offset + 2));
+            start = offset + 10;
+        }
+        frames.push({ opcode: buf[offset] & 0x0F, payload: buf.subarray(start, start + length) });
+        offset = start + length;
+    }
+    return frames;
+}
+
+/**
+ * A connection on a fake socket, and the messages it emits
+ */
+function connect(options) {
+    const socket = fakeSocket();
+    const ws = new WebSocket(socket, null, options);
+    const messages = [];
+    ws.on('message', (data, isBinary) => messages.push([data, isBinary]));
+    return { socket, ws, messages };
+}
+
+test('answers the opening handshake and refuses other requests', () => {
+    // The example of RFC 6455
+    assert.strictEqual(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+    const headers = { upgrade: 'WebSocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==', 'sec-websocket-version': '13' };
+    const socket = fakeSocket();
+    assert.ok(acceptUpgrade({ method: 'GET', headers }, socket, Buffer.alloc(0)) instanceof WebSocket);
+    const response = socket.written[0].toString();
+    assert.match(response, /^HTTP\/1\.1 101 /);
+    assert.match(response, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/);
+
+    for (const request of [
+        { method: 'POST', headers },
+        { method: 'GET', headers: { ...headers, 'sec-websocket-version': '8' } },
+        { method: 'GET', headers: { ...headers, upgrade: 'h2c' } }
+    ]) {
+        const refused = fakeSocket();
+        assert.strictEqual(acceptUpgrade(request, refused, Buffer.alloc(0)), null);
+        assert.match(refused.written[0].toString(), /^HTTP\/1\.1 400 /);
+        assert.ok(refused.ended);
+    }
+});
+
+test('reads text and binary messages, in pieces and in fragments', () => {
+    const { socket, messages } = connect();
+    const long = Buffer.alloc(300, 7);
+    const stream = Buffer.concat([
+        clientFrame(0x1, 'héllo'),
+        clientFrame(0x2, long),
+        clientFrame(0x1, 'frag', false),
+        clientFrame(0x9, 'ping'),           // Control frames may come in between
+        clientFrame(0x0, 'mented')
+    ]);
+    // One byte at a time: every frame arrives in pieces
+    for (let i = 0; i < stream.length; i++) socket.emit('data', stream.subarray(i, i + 1));
+
+    assert.deepStrictEqual(messages.map(([, isBinary]) => isBinary), [false, true, false]);
+    assert.strictEqual(messages[0][0], 'héllo');
+    assert.ok(messages[1][0].equals(long));
+    assert.strictEqual(messages[2][0], 'fragmented');
+    assert.deepStrictEqual(serverFrames(socket).map((f) => [f.opcode, f.payload.toString()]), [[0xA, 'ping']]);
+});
+
+test('sends unmasked frames with the shortest length field', () => {
+    const { socket, ws } = connect();
+    ws.send('hi');
+    ws.send(new Float32Array(100));        // 400 bytes: 16 bit length
+    ws.send(Buffer.alloc(70000, 1));       // 64 bit length
+    const frames = serverFrames(socket);
+    assert.deepStrictEqual(frames.map((f) => [f.opcode, f.payload.length]), [[0x1, 2], [0x2, 400], [0x2, 70000]]);
+    assert.deepStrictEqual(socket.written.map((buf) => buf.length - frames.shift().payload.length), [2, 4, 10]);
+});
+
+test('closes messages beyond maxPayload with 1009', () => {
+    // A single frame: refused from its header, before the payload arrives
+    const single = connect({ maxPayload: 100 });
+    single.socket.emit('data', clientFrame(0x2, Buffer.alloc(101)).subarray(0, 8));
+    let [frame] = serverFrames(single.socket);
+    assert.deepStrictEqual([frame.opcode, frame.payload.readUInt16BE(0)], [0x8, 1009]);
+    assert.ok(single.socket.ended);
+    assert.strictEqual(single.ws.readyState, 'closed');
+
+    // Fragments that only add up to too much
+    const fragmented = connect({ maxPayload: 100 });
+    fragmented.socket.emit('data', Buffer.concat([
+        clientFrame(0x2, Buffer.alloc(60), false),
+        clientFrame(0x0, Buffer.alloc(60))
+    ]));
+    [frame] = serverFrames(fragmented.socket);
+    assert.strictEqual(frame.payload.readUInt16BE(0), 1009);
+    assert.strictEqual(fragmented.messages.length, 0);
+
+    // Right at the limit is fine
+    const fits = connect({ maxPayload: 100 });
+    fits.socket.emit('data', clientFrame(0x2, Buffer.alloc(100)));
+    assert.strictEqual(fits.messages.length, 1);
+});
+
+test('fails the connection on protocol errors with 1002', () => {
+    const unmasked = Buffer.from([0x81, 0x02, 0x68, 0x69]);
+    const invalid = [
+        unmasked,
+        clientFrame(0x0, 'continued'),                  // Nothing to continue
+        clientFrame(0x3, 'reserved'),                   // Unknown opcode
+        clientFrame(0x9, 'ping', false),                // Fragmented control frame
+        Buffer.concat([clientFrame(0x1, 'a', false), clientFrame(0x1, 'b')])
+    ];
+    for (const data of invalid) {
+        const { socket, messages } = connect();
+        socket.emit('data', data);
+        const [frame] = serverFrames(socket);
+        assert.deepStrictEqual([frame.opcode, frame.payload.readUInt16BE(0)], [0x8, 1002], data.toString('hex'));
+        assert.ok(socket.ended);
+        assert.strictEqual(messages.length, 0);
+    }
+});
+
+test('echoes the client\'s close frame and reports its code', () => {
+    const { socket, ws } = connect();
+    const closed = [];
+    ws.on('close', (code, reason) => closed.push([code, reason]));
+    const payload = Buffer.concat([Buffer.from([0x03, 0xE8]), Buffer.from('bye')]);
+    socket.emit('data', clientFrame(0x8, payload));
+    socket.emit('close');
+
+    const [frame] = serverFrames(socket);
+    assert.deepStrictEqual([frame.opcode, frame.payload.readUInt16BE(0)], [0x8, 1000]);
+    assert.ok(socket.ended);
+    assert.deepStrictEqual(closed, [[1000, 'bye']]);
+    ws.send('late');
+    assert.strictEqual(socket.written.length, 1);
+});